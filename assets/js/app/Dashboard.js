@@ -838,76 +838,618 @@ LocusZoom.Dashboard.Components.add("region_scale", function(layout){
 });
 
 /**
- * Button to export current plot to an SVG image
+ * Button and menu to export the plot, or a single panel, as an image: SVG, PNG (at 1x, 2x or 4x the resolution of the
+ *   screen, or any other DPI) or vector PDF. Page styles that apply to the plot are included in SVG and PNG images,
+ *   whatever stylesheet they come from. PDF images are offered only when jsPDF and svg2pdf.js are on the page.
  * @class LocusZoom.Dashboard.Components.download
  * @augments LocusZoom.Dashboard.Component
+ * @param {object} layout
+ * @param {String} [layout.button_html="Download Image"] Text to display on the toolbar button
+ * @param {String} [layout.button_title="Download an image of the plot"] Hover text for the toolbar button
+ * @param {String[]} [layout.formats=["svg", "png", "pdf"]] The formats to offer (without "pdf" by default when PDF
+ *   images can't be made)
+ * @param {String} [layout.filename="locuszoom"] The name of the file to save, without an extension. When a single
+ *   panel is exported, the panel ID is added.
+ * @param {String} [layout.panel_id] The panel to export by default. On a panel dashboard, this is the parent panel.
  */
 LocusZoom.Dashboard.Components.add("download", function(layout){
+    if (typeof layout.button_html != "string"){ layout.button_html = "Download Image"; }
+    if (typeof layout.button_title != "string"){ layout.button_title = "Download an image of the plot"; }
     LocusZoom.Dashboard.Component.apply(this, arguments);
+
+    var formats = Array.isArray(layout.formats) ? layout.formats
+        : ["svg", "png"].concat(LocusZoom.Export.canMakePDF() ? ["pdf"] : []);
+    var format_names = { svg: "SVG", png: "PNG", pdf: "PDF" };
+    var scales = [{ name: "1x", dpi: 96 }, { name: "2x", dpi: 192 }, { name: "4x", dpi: 384 }];
+
+    /**
+     * The selected export options
+     * @member {{format: String, dpi: Number, panel_id: String|null}}
+     */
+    this.options = {
+        format: formats[0],
+        dpi: 96,
+        panel_id: layout.panel_id || (this.parent_panel ? this.parent_panel.id : null)
+    };
+
+    /**
+     * Get the name of the file to save
+     * @returns {String}
+     */
+    this.getFilename = function(){
+        var filename = layout.filename || "locuszoom";
+        if (this.options.panel_id){ filename += "_" + this.options.panel_id; }
+        return filename + "." + this.options.format;
+    };
+
+    /**
+     * Export the plot (or panel) with the selected options and save the file
+     * @returns {Promise}
+     */
+    this.download = function(){
+        var plot = this.parent_plot;
+        var panel_id = this.options.panel_id && plot.panels[this.options.panel_id] ? this.options.panel_id : null;
+        var format = this.options.format;
+        var file;
+        if (format === "pdf"){
+            file = LocusZoom.Export.getPDF(plot, panel_id).then(function(bytes){
+                return { data: bytes, type: "application/pdf" };
+            });
+        } else if (format === "png"){
+            var dpi = this.options.dpi;
+            file = LocusZoom.Export.getSVG(plot, panel_id).then(function(svg){
+                return LocusZoom.Export.getPNG(svg, LocusZoom.Export.getSize(plot, panel_id), dpi);
+            }).then(function(bytes){
+                return { data: bytes, type: "image/png" };
+            });
+        } else {
+            file = LocusZoom.Export.getSVG(plot, panel_id).then(function(svg){
+                return { data: svg, type: "image/svg+xml" };
+            });
+        }
+        this.button.selector.classed("lz-dashboard-button-gray-disabled", true).html("Preparing Image");
+        var filename = this.getFilename();
+        return file.then(function(result){
+            LocusZoom.Export.save(result.data, result.type, filename);
+        }).fin(function(){
+            this.button.selector.classed("lz-dashboard-button-gray-disabled", false).html(layout.button_html);
+        }.bind(this));
+    };
+
+    /**
+     * Get an SVG image of the plot, as used before other formats were offered
+     * @deprecated Use `LocusZoom.Export.getSVG`
+     * @returns {Promise} Resolves to the base64-encoded SVG markup
+     */
+    this.generateBase64SVG = function(){
+        return LocusZoom.Export.getSVG(this.parent_plot).then(LocusZoom.Export.toBase64);
+    };
+
     this.update = function(){
         if (this.button){ return this; }
         this.button = new LocusZoom.Dashboard.Component.Button(this)
-            .setColor(layout.color).setHtml("Download Image").setTitle("Download image of the current plot as locuszoom.svg")
-            .setOnMouseover(function() {
-                this.button.selector
-                    .classed("lz-dashboard-button-gray-disabled", true)
-                    .html("Preparing Image");
-                this.generateBase64SVG().then(function(base64_string){
-                    this.button.selector
-                        .attr("href", "data:image/svg+xml;base64,\n" + base64_string)
-                        .classed("lz-dashboard-button-gray-disabled", false)
-                        .classed("lz-dashboard-button-gray-highlighted", true)
-                        .html("Download Image");
+            .setColor(layout.color).setHtml(layout.button_html).setTitle(layout.button_title)
+            .setOnclick(function(){
+                this.button.menu.populate();
+            }.bind(this));
+
+        this.button.menu.setPopulate(function(){
+            // Multiple copies of this button might be used on a single LZ page; append unique IDs where needed
+            var uniqueID = Math.floor(Math.random() * 1e4).toString();
+            var selector = this.button.menu.inner_selector;
+            selector.html("");
+            var table = selector.append("table").attr("class", "lz-dashboard-download");
+
+            // Format
+            var row = table.append("tr");
+            row.append("td").text("Format");
+            var cell = row.append("td");
+            formats.forEach(function(format){
+                var label = cell.append("label");
+                label.append("input")
+                    .attr({ type: "radio", name: "download-format-" + uniqueID, value: format })
+                    .property("checked", format === this.options.format)
+                    .on("click", function(){
+                        this.options.format = format;
+                        this.button.menu.populate();
+                    }.bind(this));
+                label.append("span").text(format_names[format] || format);
+            }.bind(this));
+
+            // Resolution, for PNG images
+            if (this.options.format === "png"){
+                row = table.append("tr");
+                row.append("td").text("Size");
+                cell = row.append("td");
+                scales.forEach(function(scale){
+                    var label = cell.append("label");
+                    label.append("input")
+                        .attr({ type: "radio", name: "download-scale-" + uniqueID, value: scale.dpi })
+                        .property("checked", scale.dpi === this.options.dpi)
+                        .on("click", function(){
+                            this.options.dpi = scale.dpi;
+                            this.button.menu.populate();
+                        }.bind(this));
+                    label.append("span").text(scale.name);
                 }.bind(this));
-            }.bind(this))
-            .setOnMouseout(function() {
-                this.button.selector.classed("lz-dashboard-button-gray-highlighted", false);
+                var custom = cell.append("label");
+                custom.append("input")
+                    .attr({ type: "number", min: 1, step: 1, title: "Resolution (DPI)", "class": "lz-dashboard-download-dpi" })
+                    .property("value", this.options.dpi)
+                    .on("change", function(){
+                        var dpi = Math.round(+d3.event.target.value);
+                        if (dpi > 0){ this.options.dpi = dpi; }
+                        this.button.menu.populate();
+                    }.bind(this));
+                custom.append("span").text("DPI");
+            }
+
+            // Whole plot or a single panel
+            row = table.append("tr");
+            row.append("td").text("Export");
+            var select = row.append("td").append("select")
+                .on("change", function(){
+                    this.options.panel_id = d3.event.target.value || null;
+                    this.button.menu.populate();
+                }.bind(this));
+            select.append("option").attr("value", "").text("Whole plot");
+            this.parent_plot.panel_ids_by_y_index.forEach(function(panel_id){
+                var panel = this.parent_plot.panels[panel_id];
+                select.append("option").attr("value", panel_id)
+                    .text("Panel: " + (panel.layout.title && panel.layout.title.text ? panel.layout.title.text : panel_id));
             }.bind(this));
+            select.property("value", this.options.panel_id || "");
+
+            selector.append("button")
+                .attr("class", "lz-dashboard-button lz-dashboard-button-" + this.layout.color)
+                .text("Save " + this.getFilename())
+                .on("click", function(){
+                    this.download().catch(function(error){
+                        console.error(error);
+                    });
+                }.bind(this));
+        }.bind(this));
+
         this.button.show();
-        this.button.selector.attr("href-lang", "image/svg+xml").attr("download", "locuszoom.svg");
         return this;
     };
-    this.css_string = "";
-    for (var stylesheet in Object.keys(document.styleSheets)){
-        if ( document.styleSheets[stylesheet].href !== null
-             && document.styleSheets[stylesheet].href.indexOf("locuszoom.css") !== -1){
-            LocusZoom.createCORSPromise("GET", document.styleSheets[stylesheet].href)
-                .then(function(response){
-                    this.css_string = response.replace(/[\r\n]/g," ").replace(/\s+/g," ");
-                    if (this.css_string.indexOf("/* ! LocusZoom HTML Styles */")){
-                        this.css_string = this.css_string.substring(0, this.css_string.indexOf("/* ! LocusZoom HTML Styles */"));
-                    }
+});
+
+/**
+ * Button and menu to download the data behind a data layer, as CSV, TSV or JSON. The menu lists the data layers of
+ *   the parent panel (or, on a plot dashboard, of every panel), and offers to download every record, only the selected
+ *   records, or only the records that pass the layer's filters and aren't hidden. See `LocusZoom.DataLayer.exportData`.
+ * @class LocusZoom.Dashboard.Components.download_data
+ * @augments LocusZoom.Dashboard.Component
+ * @param {object} layout
+ * @param {String} [layout.button_html="Download Data"] Text to display on the toolbar button
+ * @param {String} [layout.button_title="Download the data shown in the plot"] Hover text for the toolbar button
+ * @param {String[]} [layout.formats=["csv", "tsv", "json"]] The formats to offer
+ * @param {String} [layout.filename] The name of the file to save, without an extension (default: "locuszoom_", then
+ *   the panel and data layer IDs)
+ */
+LocusZoom.Dashboard.Components.add("download_data", function(layout){
+    if (typeof layout.button_html != "string"){ layout.button_html = "Download Data"; }
+    if (typeof layout.button_title != "string"){ layout.button_title = "Download the data shown in the plot"; }
+    LocusZoom.Dashboard.Component.apply(this, arguments);
+
+    var formats = Array.isArray(layout.formats) ? layout.formats : ["csv", "tsv", "json"];
+    var format_names = { csv: "CSV", tsv: "TSV", json: "JSON" };
+    var format_types = { csv: "text/csv", tsv: "text/tab-separated-values", json: "application/json" };
+    var scopes = [
+        { name: "all", display_name: "All rows" },
+        { name: "selected", display_name: "Selected" },
+        { name: "filtered", display_name: "Shown (passing filters)" }
+    ];
+
+    /**
+     * The selected download options. The data layer is identified by its state ID ("<panel_id>.<data_layer_id>").
+     * @member {{format: String, scope: String, data_layer: String|null}}
+     */
+    this.options = { format: formats[0], scope: "all", data_layer: null };
+
+    /**
+     * Get the data layers that can be downloaded
+     * @returns {LocusZoom.DataLayer[]}
+     */
+    this.getDataLayers = function(){
+        var panel_ids = this.parent_panel ? [this.parent_panel.id] : this.parent_plot.panel_ids_by_y_index;
+        var data_layers = [];
+        panel_ids.forEach(function(panel_id){
+            var panel = this.parent_plot.panels[panel_id];
+            panel.data_layer_ids_by_z_index.forEach(function(data_layer_id){
+                data_layers.push(panel.data_layers[data_layer_id]);
+            });
+        }.bind(this));
+        return data_layers;
+    };
+
+    /**
+     * Get the data layer to download
+     * @returns {LocusZoom.DataLayer|null}
+     */
+    this.getDataLayer = function(){
+        var data_layers = this.getDataLayers();
+        var matches = data_layers.filter(function(data_layer){
+            return data_layer.state_id === this.options.data_layer;
+        }.bind(this));
+        return matches[0] || data_layers[0] || null;
+    };
+
+    /**
+     * Get the name of the file to save
+     * @returns {String}
+     */
+    this.getFilename = function(){
+        var data_layer = this.getDataLayer();
+        var filename = layout.filename || ["locuszoom", data_layer.parent.id, data_layer.id].join("_");
+        return filename + "." + this.options.format;
+    };
+
+    /**
+     * Download the data of the selected data layer, with the selected options
+     * @returns {LocusZoom.Dashboard.Component}
+     */
+    this.download = function(){
+        var data_layer = this.getDataLayer();
+        if (!data_layer){ return this; }
+        var data = data_layer.exportData(this.options.format, this.options.scope);
+        if (data === null){
+            this.parent_plot.curtain.show("Unable to export the data of " + data_layer.parent.id + " / " + data_layer.id
+                + " (see the browser console for details)");
+            return this;
+        }
+        LocusZoom.Export.save(data, format_types[this.options.format] || "text/plain", this.getFilename());
+        return this;
+    };
+
+    this.update = function(){
+        if (this.button){ return this; }
+        this.button = new LocusZoom.Dashboard.Component.Button(this)
+            .setColor(layout.color).setHtml(layout.button_html).setTitle(layout.button_title)
+            .setOnclick(function(){
+                this.button.menu.populate();
+            }.bind(this));
+
+        this.button.menu.setPopulate(function(){
+            // Multiple copies of this button might be used on a single LZ page; append unique IDs where needed
+            var uniqueID = Math.floor(Math.random() * 1e4).toString();
+            var selector = this.button.menu.inner_selector;
+            selector.html("");
+            var data_layers = this.getDataLayers();
+            if (!data_layers.length){
+                selector.append("i").html("no data layers to download");
+                return;
+            }
+            var table = selector.append("table").attr("class", "lz-dashboard-download");
+
+            // Data layer
+            var row = table.append("tr");
+            row.append("td").text("Data");
+            var select = row.append("td").append("select")
+                .on("change", function(){
+                    this.options.data_layer = d3.event.target.value;
+                    this.button.menu.populate();
                 }.bind(this));
-            break;
+            data_layers.forEach(function(data_layer){
+                var name = this.parent_panel ? data_layer.id : data_layer.parent.id + " / " + data_layer.id;
+                select.append("option").attr("value", data_layer.state_id)
+                    .text(name + " (" + data_layer.data.length + " rows)");
+            }.bind(this));
+            select.property("value", this.getDataLayer().state_id);
+
+            // Options offered as radio buttons
+            var renderRadios = function(label, option, values){
+                var cell = table.append("tr");
+                cell.append("td").text(label);
+                cell = cell.append("td");
+                values.forEach(function(value){
+                    var item = cell.append("label");
+                    item.append("input")
+                        .attr({ type: "radio", name: "download-data-" + option + "-" + uniqueID, value: value.name })
+                        .property("checked", value.name === this.options[option])
+                        .on("click", function(){
+                            this.options[option] = value.name;
+                            this.button.menu.populate();
+                        }.bind(this));
+                    item.append("span").text(value.display_name);
+                }.bind(this));
+            }.bind(this);
+            renderRadios("Format", "format", formats.map(function(format){
+                return { name: format, display_name: format_names[format] || format };
+            }));
+            renderRadios("Rows", "scope", scopes);
+
+            selector.append("button")
+                .attr("class", "lz-dashboard-button lz-dashboard-button-" + this.layout.color)
+                .text("Save " + this.getFilename())
+                .on("click", function(){
+                    this.download();
+                }.bind(this));
+        }.bind(this));
+
+        this.button.show();
+        return this;
+    };
+});
+
+/**
+ * Search box to move the plot to a region, gene or variant. It accepts:
+ *   - A region or position, in any form understood by `LocusZoom.parsePositionQuery` (as in "10:114550000-114950000",
+ *     "10:114758349+100kb" or "10:114758349")
+ *   - A variant ID of the form "chr:position_ref/alt" (or with ":" or "_" between any of its parts)
+ *   - Anything that the lookup sources can find, such as gene symbols or rsIDs. A lookup source is any data source
+ *     with a `search(query, limit)` method (see `LocusZoom.Data.GeneSource.prototype.search` and
+ *     `LocusZoom.Data.SearchSource`).
+ *
+ * Suggestions are shown while typing. Variants and single positions are centered in the plot, with `flank` base pairs
+ *   to either side, and variants become the LD reference variant (`state.ldrefvar`).
+ * @class LocusZoom.Dashboard.Components.search_box
+ * @augments LocusZoom.Dashboard.Component
+ * @param {object} layout
+ * @param {String} [layout.placeholder="Region, gene or variant"] Text to show in the empty search box
+ * @param {String} [layout.gene_namespace="gene"] The namespace of the data source used to look up genes, if it has a
+ *   `search` method
+ * @param {String[]} [layout.lookup_namespaces=[]] The namespaces of other data sources used to look up search terms
+ * @param {Number} [layout.flank=100000] The distance to show on either side of a variant or position, in base pairs
+ * @param {Number} [layout.gene_flank=20000] The distance to show on either side of a gene, in base pairs
+ * @param {Boolean} [layout.set_ldrefvar=true] Whether to make a variant the LD reference variant
+ * @param {Number} [layout.min_length=2] The shortest text to look up suggestions for
+ * @param {Number} [layout.delay=250] How long to wait after typing stops before looking up suggestions, in ms
+ * @param {Number} [layout.limit=10] The largest number of suggestions to show
+ */
+LocusZoom.Dashboard.Components.add("search_box", function(layout){
+    LocusZoom.Dashboard.Component.apply(this, arguments);
+    var defaults = {
+        placeholder: "Region, gene or variant",
+        gene_namespace: "gene",
+        lookup_namespaces: [],
+        flank: 100000,
+        gene_flank: 20000,
+        set_ldrefvar: true,
+        min_length: 2,
+        delay: 250,
+        limit: 10
+    };
+    Object.keys(defaults).forEach(function(key){
+        if (typeof layout[key] == "undefined"){ layout[key] = defaults[key]; }
+    });
+
+    /**
+     * The suggestions currently shown
+     * @member {Object[]}
+     */
+    this.suggestions = [];
+    /**
+     * The index of the highlighted suggestion, or -1 if none is highlighted
+     * @member {Number}
+     */
+    this.highlighted_index = -1;
+    /**
+     * Each lookup is numbered, so that suggestions from an earlier lookup that returns late are ignored
+     * @private
+     * @member {Number}
+     */
+    this._lookup_count = 0;
+
+    /**
+     * Recognize a region, position or variant ID without looking it up
+     * @param {String} query
+     * @returns {Object|null} A result of the form `{type: "region", label, chr, start, end}`,
+     *   `{type: "position", label, chr, position}` or `{type: "variant", label, chr, position, variant}`
+     */
+    this.parseQuery = function(query){
+        query = query.trim();
+        var variant = /^(?:chr)?(\w+?)[:_](\d+)[:_]([ACGTN]+)[:_/]([ACGTN]+)$/i.exec(query);
+        if (variant){
+            return { type: "variant", label: query, chr: variant[1], position: +variant[2], variant: query };
         }
-    } 
-    this.generateBase64SVG = function(){
-        return Q.fcall(function () {
-            // Insert a hidden div, clone the node into that so we can modify it with d3
-            var container = this.parent.selector.append("div").style("display", "none")
-                .html(this.parent_plot.svg.node().outerHTML);
-            // Remove unnecessary elements
-            container.selectAll("g.lz-curtain").remove();
-            container.selectAll("g.lz-mouse_guide").remove();
-            // Convert units on axis tick dy attributes from ems to pixels
-            container.selectAll("g.tick text").each(function(){
-                var dy = +(d3.select(this).attr("dy").substring(-2).slice(0,-2))*10;
-                d3.select(this).attr("dy", dy);
+        var parsed = LocusZoom.parsePositionQuery(query.replace(/^chr/i, ""));
+        if (parsed && typeof parsed.position != "undefined"){
+            if (isNaN(parsed.position)){ return null; }
+            return { type: "position", label: query, chr: parsed.chr, position: parsed.position };
+        }
+        if (parsed && parsed.chr && !isNaN(parsed.start) && !isNaN(parsed.end)){
+            return { type: "region", label: query, chr: parsed.chr, start: parsed.start, end: parsed.end };
+        }
+        return null;
+    };
+
+    /**
+     * Get the data sources used to look up search terms
+     * @returns {Object[]} Data sources with a `search` method
+     */
+    this.getLookupSources = function(){
+        var namespaces = [layout.gene_namespace].concat(layout.lookup_namespaces || []);
+        return namespaces.map(function(namespace){
+            return (namespace && this.parent_plot.datasource) ? this.parent_plot.datasource.get(namespace) : null;
+        }.bind(this)).filter(function(source){
+            return source && typeof source.search == "function";
+        });
+    };
+
+    /**
+     * Find the results for a search: a region, position or variant ID if the query is one, or else the results of
+     *   every lookup source (any that fail are ignored)
+     * @param {String} query
+     * @returns {Promise} Resolves to a list of results (see `parseQuery` and `LocusZoom.Data.SearchSource.search`)
+     */
+    this.lookup = function(query){
+        query = query.trim();
+        var parsed = this.parseQuery(query);
+        if (parsed){ return Q([parsed]); }
+        if (!query){ return Q([]); }
+        var searches = this.getLookupSources().map(function(source){
+            return Q.fcall(function(){ return source.search(query, layout.limit); }).fail(function(){ return []; });
+        });
+        return Q.all(searches).then(function(results){
+            var seen = {};
+            return results.reduce(function(all, list){ return all.concat(list || []); }, [])
+                .filter(function(result){
+                    var key = [result.type, result.label, result.chr, result.start, result.position].join("_");
+                    if (seen[key]){ return false; }
+                    seen[key] = true;
+                    return true;
+                })
+                .slice(0, layout.limit);
+        });
+    };
+
+    /**
+     * Move the plot to a search result
+     * @param {Object} result
+     * @returns {Promise}
+     */
+    this.applyResult = function(result){
+        var new_state = { chr: result.chr };
+        if (result.type === "region"){
+            new_state.start = result.start;
+            new_state.end = result.end;
+        } else if (result.type === "variant" || result.type === "position"){
+            new_state.start = Math.max(result.position - layout.flank, 1);
+            new_state.end = result.position + layout.flank;
+            if (result.type === "variant" && layout.set_ldrefvar && result.variant){
+                new_state.ldrefvar = result.variant;
+            }
+        } else {
+            new_state.start = Math.max(result.start - layout.gene_flank, 1);
+            new_state.end = result.end + layout.gene_flank;
+        }
+        this.hideSuggestions();
+        if (this.input){ this.input.property("value", result.label); }
+        return this.parent_plot.applyState(new_state);
+    };
+
+    /**
+     * Search for a query and move the plot to the first result, if there is one
+     * @param {String} query
+     * @returns {Promise} Resolves to the result that was applied, or null
+     */
+    this.search = function(query){
+        this._lookup_count++;
+        return this.lookup(query).then(function(results){
+            if (!results.length){
+                if (this.selector){ this.selector.classed("lz-dashboard-search-not-found", true); }
+                return null;
+            }
+            // Prefer a result whose label matches the query exactly
+            var exact = results.filter(function(result){
+                return String(result.label).toLowerCase() === query.trim().toLowerCase();
             });
-            // Pull the svg into a string and add the contents of the locuszoom stylesheet
-            // Don't add this with d3 because it will escape the CDATA declaration incorrectly
-            var initial_html = d3.select(container.select("svg").node().parentNode).html();
-            var style_def = "<style type=\"text/css\"><![CDATA[ " + this.css_string + " ]]></style>";
-            var insert_at = initial_html.indexOf(">") + 1;
-            initial_html = initial_html.slice(0,insert_at) + style_def + initial_html.slice(insert_at);
-            // Delete the container node
-            container.remove();
-            // Base64-encode the string and return it
-            return btoa(encodeURIComponent(initial_html).replace(/%([0-9A-F]{2})/g, function(match, p1) {
-                return String.fromCharCode("0x" + p1);
-            }));
+            var result = exact[0] || results[0];
+            return this.applyResult(result).then(function(){ return result; });
+        }.bind(this));
+    };
+
+    /**
+     * Look up and show suggestions for a query
+     * @param {String} query
+     * @returns {Promise}
+     */
+    this.suggest = function(query){
+        var count = ++this._lookup_count;
+        if (query.trim().length < layout.min_length){
+            this.hideSuggestions();
+            return Q([]);
+        }
+        return this.lookup(query).then(function(results){
+            if (count === this._lookup_count){ this.showSuggestions(results); }
+            return results;
         }.bind(this));
     };
+
+    /**
+     * Show a list of suggestions below the search box
+     * @param {Object[]} results
+     */
+    this.showSuggestions = function(results){
+        this.suggestions = results;
+        this.highlighted_index = -1;
+        if (!this.list){ return; }
+        var descriptions = {
+            region: function(result){ return "chr" + result.chr + ":" + LocusZoom.positionIntToString(result.start) + "-" + LocusZoom.positionIntToString(result.end); },
+            position: function(result){ return "chr" + result.chr + ":" + LocusZoom.positionIntToString(result.position); },
+            variant: function(result){ return "variant, chr" + result.chr + ":" + LocusZoom.positionIntToString(result.position); },
+            gene: function(result){ return "gene, chr" + result.chr + ":" + LocusZoom.positionIntToString(result.start) + "-" + LocusZoom.positionIntToString(result.end); }
+        };
+        var items = this.list.selectAll("li").data(results);
+        items.enter().append("li");
+        items.exit().remove();
+        items.html("")
+            .attr("class", "lz-dashboard-search-suggestion")
+            .on("mousedown", function(result){
+                // Use mousedown, as the search box loses focus (and hides the suggestions) before a click
+                d3.event.preventDefault();
+                this.applyResult(result);
+            }.bind(this));
+        items.append("span").attr("class", "lz-dashboard-search-suggestion-label").text(function(result){ return result.label; });
+        items.append("span").attr("class", "lz-dashboard-search-suggestion-description").text(function(result){
+            return (descriptions[result.type] || descriptions.gene)(result);
+        });
+        this.list.style("display", results.length ? null : "none");
+    };
+
+    /**
+     * Hide the list of suggestions
+     */
+    this.hideSuggestions = function(){
+        this.suggestions = [];
+        this.highlighted_index = -1;
+        if (this.list){ this.list.style("display", "none").selectAll("li").remove(); }
+    };
+
+    /**
+     * Highlight a suggestion, as with the arrow keys
+     * @param {Number} index
+     */
+    this.highlightSuggestion = function(index){
+        if (!this.suggestions.length){ return; }
+        this.highlighted_index = (index + this.suggestions.length) % this.suggestions.length;
+        this.list.selectAll("li").classed("lz-dashboard-search-suggestion-highlighted", function(d, idx){
+            return idx === this.highlighted_index;
+        }.bind(this));
+    };
+
+    this.initialize = function(){
+        this.selector.classed("lz-dashboard-search", true);
+        var timeout = null;
+        this.input = this.selector.append("input")
+            .attr({ type: "text", placeholder: layout.placeholder, "class": "lz-dashboard-search-input" })
+            .on("input", function(){
+                this.selector.classed("lz-dashboard-search-not-found", false);
+                clearTimeout(timeout);
+                var query = this.input.property("value");
+                timeout = setTimeout(function(){ this.suggest(query); }.bind(this), layout.delay);
+            }.bind(this))
+            .on("keydown", function(){
+                var key = d3.event.keyCode;
+                if (key === 13){ // Enter
+                    d3.event.preventDefault();
+                    clearTimeout(timeout);
+                    if (this.highlighted_index !== -1){
+                        this.applyResult(this.suggestions[this.highlighted_index]);
+                    } else {
+                        this.search(this.input.property("value"));
+                    }
+                } else if (key === 38 || key === 40){ // Up and down arrows
+                    d3.event.preventDefault();
+                    this.highlightSuggestion(this.highlighted_index + (key === 40 ? 1 : -1));
+                } else if (key === 27){ // Escape
+                    this.hideSuggestions();
+                }
+            }.bind(this))
+            // Keep the dashboard visible while the search box is in use
+            .on("focus", function(){ this.persist = true; }.bind(this))
+            .on("blur", function(){
+                this.persist = false;
+                this.hideSuggestions();
+            }.bind(this));
+        this.list = this.selector.append("ul").attr("class", "lz-dashboard-search-suggestions").style("display", "none");
+    };
+
+    this.update = function(){
+        return this;
+    };
 });
 
 /**
@@ -1284,6 +1826,96 @@ LocusZoom.Dashboard.Components.add("toggle_split_tracks", function(layout){
     };
 });
 
+/**
+ * Button to cycle the display mode of a genes data layer: collapsed, expanded (one row per transcript), and squished
+ * @class LocusZoom.Dashboard.Components.gene_display_mode
+ * @augments LocusZoom.Dashboard.Component
+ * @param {Object} layout
+ * @param {String} [layout.data_layer_id="genes"]
+ */
+LocusZoom.Dashboard.Components.add("gene_display_mode", function(layout){
+    LocusZoom.Dashboard.Component.apply(this, arguments);
+    if (!layout.data_layer_id){ layout.data_layer_id = "genes"; }
+    if (!this.parent_panel.data_layers[layout.data_layer_id]){
+        throw ("Dashboard gene display mode component missing valid data layer ID");
+    }
+    var next_modes = { collapsed: "expanded", expanded: "squished", squished: "collapsed" };
+    var labels = { collapsed: "Collapse Transcripts", expanded: "Show Transcripts", squished: "Squish Transcripts" };
+    this.update = function(){
+        var data_layer = this.parent_panel.data_layers[layout.data_layer_id];
+        var html = labels[next_modes[data_layer.layout.display_mode] || "collapsed"];
+        if (this.button){
+            this.button.setHtml(html);
+            this.button.show();
+            this.parent.position();
+            return this;
+        } else {
+            this.button = new LocusZoom.Dashboard.Component.Button(this)
+                .setColor(layout.color).setHtml(html)
+                .setTitle("Change whether genes are shown with one transcript each, or with all of their transcripts")
+                .setOnclick(function(){
+                    data_layer.setDisplayMode(next_modes[data_layer.layout.display_mode] || "collapsed");
+                    this.update();
+                }.bind(this));
+            return this.update();
+        }
+    };
+});
+
+/**
+ * Menu for choosing how dragging across the panel selects data elements: with a rectangle, with a freehand lasso, or
+ *   not at all (see `LocusZoom.Panel.setSelectionMode`). The button shows the mode in use.
+ * @class LocusZoom.Dashboard.Components.select_elements
+ * @augments LocusZoom.Dashboard.Component
+ * @param {Object} layout
+ * @param {String} [layout.status="selected"] The status to give selected elements
+ * @param {String[]} [layout.data_layer_ids] The IDs of the data layers to select from (default: all that can be)
+ */
+LocusZoom.Dashboard.Components.add("select_elements", function(layout){
+    LocusZoom.Dashboard.Component.apply(this, arguments);
+    var labels = { none: "Off", rectangle: "Rectangle", lasso: "Lasso" };
+    var getShape = function(){
+        var mode = this.parent_panel.layout.interaction.select_elements;
+        return mode ? mode.shape : "none";
+    }.bind(this);
+    this.update = function(){
+        var html = "Select: " + labels[getShape()];
+        if (this.button){
+            this.button.setHtml(html);
+            this.button.show();
+            this.parent.position();
+            return this;
+        }
+        this.button = new LocusZoom.Dashboard.Component.Button(this)
+            .setColor(layout.color).setHtml(html)
+            .setTitle("Choose how to select points by dragging across the panel. Hold SHIFT to add to the selection, or ALT to remove from it.")
+            .setOnclick(function(){
+                this.button.menu.populate();
+            }.bind(this));
+        this.button.menu.setPopulate(function(){
+            var uniqueID = Math.floor(Math.random() * 1e4).toString();
+            this.button.menu.inner_selector.html("");
+            var table = this.button.menu.inner_selector.append("table");
+            Object.keys(labels).forEach(function(shape){
+                var row = table.append("tr");
+                row.append("td").append("input")
+                    .attr({ type: "radio", name: "select-elements-" + uniqueID, value: shape })
+                    .property("checked", shape === getShape())
+                    .on("click", function(){
+                        this.parent_panel.setSelectionMode(shape === "none" ? null : {
+                            shape: shape,
+                            status: layout.status,
+                            data_layer_ids: layout.data_layer_ids
+                        });
+                        this.update();
+                    }.bind(this));
+                row.append("td").text(labels[shape]);
+            }.bind(this));
+        }.bind(this));
+        return this.update();
+    };
+});
+
 /**
  * Button to resize panel height to fit available data (eg when showing a list of tracks)
  * @class LocusZoom.Dashboard.Components.resize_to_data
@@ -16,6 +16,11 @@ LocusZoom.Data = LocusZoom.Data ||  {};
 LocusZoom.DataSources = function() {
     /** @member {Object.<string, LocusZoom.Data.Source>} */
     this.sources = {};
+    /**
+     * Interceptors applied to every request made by every source in this collection
+     * @member {Function[]}
+     */
+    this.interceptors = [];
 };
 
 /** @deprecated */
@@ -37,6 +42,11 @@ LocusZoom.DataSources.prototype.add = function(ns, x) {
 
 /** @protected */
 LocusZoom.DataSources.prototype.set = function(ns, x) {
+    // Let a source that is being replaced or removed release anything it holds (such as a worker)
+    var previous = this.sources[ns];
+    if (previous && previous !== x && typeof previous.destroy === "function") {
+        previous.destroy();
+    }
     if (Array.isArray(x)) {
         var dsobj = LocusZoom.KnownDataSources.create.apply(null, x);
         this.sources[ns] = dsobj;
@@ -47,6 +57,24 @@ LocusZoom.DataSources.prototype.set = function(ns, x) {
             delete this.sources[ns];
         }
     }
+    if (this.sources[ns]) {
+        // Sources use this to find the interceptors for their collection. It is not enumerable, so that sources
+        //  without a toJSON method can still be serialized.
+        Object.defineProperty(this.sources[ns], "parent", { value: this, writable: true, configurable: true });
+    }
+    return this;
+};
+
+/**
+ * Register a function that can modify every request made by the sources in this collection before it is sent: for
+ *   example, to add an authorization header or to rewrite URLs. Interceptors added here run before those added to
+ *   individual sources. See `LocusZoom.Data.Source.addInterceptor` for details.
+ * @public
+ * @param {Function} interceptor
+ * @returns {LocusZoom.DataSources}
+ */
+LocusZoom.DataSources.prototype.addInterceptor = function(interceptor) {
+    this.interceptors.push(interceptor);
     return this;
 };
 
@@ -124,14 +152,29 @@ LocusZoom.DataSources.prototype.toJSON = function() {
  *
  * @public
  * @class
+ * A field may also be derived from other fields, with the syntax `expression as [namespace:]name`, for example
+ *   `assoc:beta / assoc:se as assoc:z`. The value is calculated from the expression (see `LocusZoom.Data.Expression`),
+ *   and the field can then be referred to by its name (`assoc:z`) anywhere else in the layout.
+ *
  * @param {String} field A string representing the namespace of the datasource, the name of the desired field to fetch
  *   from that datasource, and arbitrarily many transformations to apply to the value. The namespace and
  *   transformation(s) are optional and information is delimited according to the general syntax
  *   `[namespace:]name[|transformation][|transformation]`. For example, `association:pvalue|neglog10`
  */
 LocusZoom.Data.Field = function(field){
-    
-    var parts = /^(?:([^:]+):)?([^:|]*)(\|.+)*$/.exec(field);
+
+    var derived = /^(.+?)\s+as\s+([^\s"'()]+)$/.exec(field);
+    /**
+     * For derived fields, the expression that the value is calculated from
+     * @member {LocusZoom.Data.Expression|null}
+     */
+    this.expression = null;
+    if (derived){
+        this.expression = new LocusZoom.Data.Expression(derived[1]);
+        field = derived[2];
+    }
+
+    var parts = /^(?:([^:|]+):)?([^:|]*)(\|.+)*$/.exec(field);
     /** @member {String} */
     this.full_name = field;
     /** @member {String} */
@@ -142,10 +185,9 @@ LocusZoom.Data.Field = function(field){
     this.transformations = [];
     
     if (typeof parts[3] == "string" && parts[3].length > 1){
-        this.transformations = parts[3].substring(1).split("|");
-        this.transformations.forEach(function(transform, i){
-            this.transformations[i] = LocusZoom.TransformationFunctions.get(transform);
-        }.bind(this));
+        this.transformations = LocusZoom.TransformationFunctions.parse(parts[3]).map(function(transform){
+            return LocusZoom.TransformationFunctions.get(transform.name, transform.args);
+        });
     }
 
     this.applyTransformations = function(val){
@@ -158,10 +200,12 @@ LocusZoom.Data.Field = function(field){
     // Resolve the field for a given data element.
     // First look for a full match with transformations already applied by the data requester.
     // Otherwise prefer a namespace match and fall back to just a name match, applying transformations on the fly.
+    // Derived fields are calculated from their expression instead.
     this.resolve = function(d){
         if (typeof d[this.full_name] == "undefined"){
             var val = null;
-            if (typeof (d[this.namespace+":"+this.name]) != "undefined"){ val = d[this.namespace+":"+this.name]; }
+            if (this.expression){ val = this.expression.evaluate(d); }
+            else if (typeof (d[this.namespace+":"+this.name]) != "undefined"){ val = d[this.namespace+":"+this.name]; }
             else if (typeof d[this.name] != "undefined"){ val = d[this.name]; }
             d[this.full_name] = this.applyTransformations(val);
         }
@@ -170,24 +214,195 @@ LocusZoom.Data.Field = function(field){
     
 };
 
+/**
+ * An arithmetic expression over the fields of a record, as used to calculate derived fields. Expressions may contain
+ *   numbers, field names (with optional namespace and transformations), the operators `+ - * /`, parentheses, and calls
+ *   to functions registered in `LocusZoom.DerivedFields`, such as `log10(assoc:pvalue)`.
+ *
+ * Arithmetic with a missing (null) value gives null.
+ *
+ * @public
+ * @class
+ * @param {String} text
+ */
+LocusZoom.Data.Expression = function(text){
+    /** @member {String} */
+    this.text = text;
+    /**
+     * The fields that the expression refers to
+     * @member {String[]}
+     */
+    this.fields = [];
+
+    // Split into tokens: numbers, names (fields or functions), and punctuation
+    var tokens = [];
+    var re = /^\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][\w.]*(?::[\w.]+)?(?:\|\w+(?:\((?:"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^()"'])*\))?)*)|([-+*/(),]))/;
+    var rest = text;
+    while (rest.trim().length){
+        var match = re.exec(rest);
+        if (!match){
+            throw("Unable to parse expression at \"" + rest.trim() + "\": " + text);
+        }
+        if (match[1]){ tokens.push({ type: "number", value: match[1] }); }
+        else if (match[2]){ tokens.push({ type: "name", value: match[2] }); }
+        else { tokens.push({ type: "symbol", value: match[3] }); }
+        rest = rest.substring(match[0].length);
+    }
+
+    // Parse the tokens by recursive descent, building a function for each part of the expression
+    var pos = 0;
+    var peek = function(){ return tokens[pos] && tokens[pos].type === "symbol" ? tokens[pos].value : null; };
+    var expect = function(symbol){
+        if (peek() !== symbol){
+            throw("Expected \"" + symbol + "\" in expression: " + text);
+        }
+        pos++;
+    };
+    var arithmetic = function(op, left, right){
+        return function(d){
+            var a = left(d), b = right(d);
+            if (a === null || b === null || typeof a == "undefined" || typeof b == "undefined"){ return null; }
+            a = +a;
+            b = +b;
+            var val = (op === "+") ? a + b : (op === "-") ? a - b : (op === "*") ? a * b : a / b;
+            return isNaN(val) ? null : val;
+        };
+    };
+    var parseSum, parseProduct, parseUnary, parsePrimary;
+    parseSum = function(){
+        var left = parseProduct();
+        while (peek() === "+" || peek() === "-"){
+            var op = tokens[pos++].value;
+            left = arithmetic(op, left, parseProduct());
+        }
+        return left;
+    };
+    parseProduct = function(){
+        var left = parseUnary();
+        while (peek() === "*" || peek() === "/"){
+            var op = tokens[pos++].value;
+            left = arithmetic(op, left, parseUnary());
+        }
+        return left;
+    };
+    parseUnary = function(){
+        if (peek() === "-"){
+            pos++;
+            return arithmetic("*", function(){ return -1; }, parseUnary());
+        } else if (peek() === "+"){
+            pos++;
+            return parseUnary();
+        }
+        return parsePrimary();
+    };
+    parsePrimary = function(){
+        var token = tokens[pos++];
+        if (!token){
+            throw("Unexpected end of expression: " + text);
+        }
+        if (token.type === "number"){
+            var number = +token.value;
+            return function(){ return number; };
+        } else if (token.type === "name" && peek() === "("){
+            pos++;
+            var fn = LocusZoom.DerivedFields.get(token.value);
+            var args = [];
+            if (peek() !== ")"){
+                args.push(parseSum());
+                while (peek() === ","){
+                    pos++;
+                    args.push(parseSum());
+                }
+            }
+            expect(")");
+            return function(d){
+                return fn.apply(null, args.map(function(arg){ return arg(d); }));
+            };
+        } else if (token.type === "name"){
+            if (this.fields.indexOf(token.value) === -1){
+                this.fields.push(token.value);
+            }
+            var field = new LocusZoom.Data.Field(token.value);
+            return function(d){ return field.resolve(d); };
+        } else if (token.value === "("){
+            var inner = parseSum();
+            expect(")");
+            return inner;
+        }
+        throw("Unexpected \"" + token.value + "\" in expression: " + text);
+    }.bind(this);
+
+    var evaluate = parseSum();
+    if (pos < tokens.length){
+        throw("Unexpected \"" + tokens[pos].value + "\" in expression: " + text);
+    }
+
+    /**
+     * Calculate the value of the expression for a record
+     * @param {Object} d
+     * @returns {*}
+     */
+    this.evaluate = function(d){
+        var val = evaluate(d);
+        return (typeof val == "undefined") ? null : val;
+    };
+};
+
 /**
  * The Requester manages fetching of data across multiple data sources. It is used internally by LocusZoom data layers.
  *   It passes state information and ensures that data is formatted in the manner expected by the plot.
  *
- * It is also responsible for constructing a "chain" of dependent requests, by requesting each datasource
- *   sequentially in the order specified in the datalayer `fields` array. Data sources are only chained within a
- *   data layer, and only if that layer requests more than one kind of data source.
+ * It is also responsible for constructing a "chain" of dependent requests. By default, each datasource is requested
+ *   after the one before it in the datalayer `fields` array, and receives its output as the chain. A data source may
+ *   instead declare the namespaces that it depends on (see `LocusZoom.Data.Source.getDependencies`), or that it depends
+ *   on none (see `LocusZoom.Data.Source.independentSource`); it is then requested once all of its dependencies have been
+ *   fetched, and receives their combined output as its chain. Sources that do not depend on each other are requested in
+ *   parallel, and their results are merged into a single chain body. Data sources are only chained within a data
+ *   layer, and only if that layer requests more than one kind of data source.
  * @param {LocusZoom.DataSources} sources An object of {ns: LocusZoom.Data.Source} instances
  * @class
  */
 LocusZoom.Data.Requester = function(sources) {
 
+    /**
+     * Separate derived fields (`expression as name`) from those that are requested from data sources
+     * @param {String[]} fields
+     * @returns {{fields: String[], derived: LocusZoom.Data.Field[]}} The fields to request from data sources
+     *   (including any that derived fields are calculated from), and the derived fields to calculate once the data
+     *   has arrived
+     */
+    function find_derived(fields) {
+        var requested = [];
+        var derived = [];
+        fields.forEach(function(raw) {
+            var field = new LocusZoom.Data.Field(raw);
+            if (field.expression) {
+                derived.push(field);
+            } else {
+                requested.push(raw);
+            }
+        });
+        var outputs = derived.map(function(field) {
+            return field.namespace ? field.namespace + ":" + field.name : field.name;
+        });
+        derived.forEach(function(field) {
+            field.expression.fields.forEach(function(raw) {
+                var input = new LocusZoom.Data.Field(raw);
+                var name = input.namespace ? input.namespace + ":" + input.name : input.name;
+                if (requested.indexOf(raw) === -1 && outputs.indexOf(name) === -1) {
+                    requested.push(raw);
+                }
+            });
+        });
+        return { fields: requested, derived: derived };
+    }
+
     function split_requests(fields) {
         // Given a fields array, return an object specifying what datasource names the data layer should make requests
         //  to, and how to handle the returned data
         var requests = {};
         // Regular expression finds namespace:field|trans
-        var re = /^(?:([^:]+):)?([^:|]*)(\|.+)*$/;
+        var re = /^(?:([^:|]+):)?([^:|]*)(\|.+)*$/;
         fields.forEach(function(raw) {
             var parts = re.exec(raw);
             var ns = parts[1] || "base";
@@ -203,30 +418,171 @@ LocusZoom.Data.Requester = function(sources) {
         return requests;
     }
 
+    /**
+     * Combine the results of several requests into one chain: headers are merged, and records are concatenated
+     * @param {Object[]} chains
+     * @returns {{header: Object, body: Object[]}}
+     */
+    function merge_chains(chains) {
+        if (chains.length === 1) {
+            return chains[0];
+        }
+        var merged = {header: {}, body: []};
+        chains.forEach(function(chain) {
+            Object.keys(chain.header || {}).forEach(function(key) {
+                merged.header[key] = chain.header[key];
+            });
+            if (Array.isArray(chain.body)) {
+                merged.body = merged.body.concat(chain.body);
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * List the namespaces of a fields array, in the order in which each is first named
+     * @param {String[]} fields
+     * @returns {String[]}
+     */
+    function find_namespaces(fields) {
+        var namespaces = [];
+        fields.forEach(function(raw) {
+            var ns = /^(?:([^:|]+):)?/.exec(raw)[1] || "base";
+            if (namespaces.indexOf(ns) === -1) {
+                namespaces.push(ns);
+            }
+        });
+        return namespaces;
+    }
+
+    /**
+     * Determine which namespaces each requested namespace depends on. A source can only be given the data of a
+     *   namespace that the data layer requests fields from, as it has no way of saying which fields of that namespace it
+     *   needs, so depending on any other namespace is an error.
+     * @param {Object} requests The output of split_requests
+     * @param {String[]} namespaces The requested namespaces, in the order in which the data layer's fields name them
+     * @returns {Object} An object of {namespace: [dependency namespaces]}
+     */
+    function find_dependencies(requests, namespaces) {
+        var graph = {};
+        namespaces.forEach(function(ns) {
+            var source = sources.get(ns);
+            if (!source) {
+                throw("Datasource for namespace " + ns + " not found");
+            }
+            var dependencies = source.getDependencies ? source.getDependencies() : null;
+            if (Array.isArray(dependencies)) {
+                dependencies.forEach(function(dependency) {
+                    if (!sources.get(dependency)) {
+                        throw("Datasource for namespace " + ns + " depends on namespace " + dependency + ", which has no datasource");
+                    }
+                    if (typeof requests[dependency] == "undefined") {
+                        throw("Datasource for namespace " + ns + " depends on namespace " + dependency + ", but the data layer"
+                            + " requests no fields from it. Add the " + dependency + " fields that " + ns + " needs (such as"
+                            + " the variant ID and position) to the data layer's fields.");
+                    }
+                });
+            }
+            // Keep the order of the fields; undeclared dependencies are filled in below
+            graph[ns] = Array.isArray(dependencies) ? dependencies : null;
+        });
+        // Whether one namespace already depends (directly or not) on another
+        var depends_on = function(ns, target, seen) {
+            seen = seen || {};
+            if (seen[ns]) {
+                return false;
+            }
+            seen[ns] = true;
+            return (graph[ns] || []).some(function(dependency) {
+                return dependency === target || depends_on(dependency, target, seen);
+            });
+        };
+        // Sources that do not declare their dependencies are chained after the namespace named before them in the
+        //  fields (or the nearest one before that, if it is itself waiting on this source), unless they say that they
+        //  need no chain
+        namespaces.forEach(function(ns, idx) {
+            if (graph[ns]) {
+                return;
+            }
+            graph[ns] = [];
+            if (sources.get(ns).independentSource) {
+                return;
+            }
+            for (var i = idx - 1; i >= 0; i--) {
+                if (!depends_on(namespaces[i], ns)) {
+                    graph[ns] = [namespaces[i]];
+                    return;
+                }
+            }
+        });
+        // Check for cycles with a depth-first search
+        var visited = {};
+        var visit = function(ns, path) {
+            if (path.indexOf(ns) !== -1) {
+                throw("Datasource dependency cycle: " + path.slice(path.indexOf(ns)).concat(ns).join(" -> "));
+            }
+            if (!visited[ns]) {
+                graph[ns].forEach(function(dependency) {
+                    visit(dependency, path.concat(ns));
+                });
+                visited[ns] = true;
+            }
+        };
+        Object.keys(graph).forEach(function(ns) {
+            visit(ns, []);
+        });
+        return graph;
+    }
+
     /**
      * Fetch data, and create a chain that only connects two data sources if they depend on each other
      * @param {Object} state The current "state" of the plot, such as chromosome and start/end positions
      * @param {String[]} fields The list of data fields specified in the `layout` for a specific data layer
+     * @param {LocusZoom.CancelToken} [cancel_token] If provided, abort all requests when this token is cancelled
      * @returns {Promise}
      */
-    this.getData = function(state, fields) {
-        var requests = split_requests(fields);
-        // Create an array of functions that, when called, will trigger the request to the specified datasource
-        var promises = Object.keys(requests).map(function(key) {
-            if (!sources.get(key)) {
-                throw("Datasource for namespace " + key + " not found");
+    this.getData = function(state, fields, cancel_token) {
+        var derived = find_derived(fields);
+        var requests = split_requests(derived.fields);
+        var graph = find_dependencies(requests, find_namespaces(derived.fields));
+        // Create functions that, when called with a chain, will trigger the request to the specified datasource
+        var getters = {};
+        Object.keys(requests).forEach(function(key) {
+            var getter = sources.get(key).getData(state, requests[key].fields,
+                                                  requests[key].outnames, requests[key].trans, cancel_token);
+            getters[key] = function(chain) {
+                return getter(chain).fail(function(error) {
+                    // Say which source failed, so that the error shown to the user is specific
+                    if (error instanceof LocusZoom.RequestError && !error.source) {
+                        error.source = key;
+                    }
+                    throw error;
+                });
+            };
+        });
+        // Each request starts as soon as all of the requests it depends on have completed
+        var promises = {};
+        var request = function(ns) {
+            if (!promises[ns]) {
+                var chain = graph[ns].length ? Q.all(graph[ns].map(request)).then(merge_chains) : Q.when({header:{}, body:[]});
+                promises[ns] = chain.then(getters[ns]);
             }
-            return sources.get(key).getData(state, requests[key].fields, 
-                                            requests[key].outnames, requests[key].trans);
+            return promises[ns];
+        };
+        // The results of dependencies are already part of the chain returned by the requests that use them, so only
+        //  the requests that nothing else depends on need to be merged
+        var sinks = Object.keys(graph).filter(function(ns) {
+            return !Object.keys(graph).some(function(other) { return graph[other].indexOf(ns) !== -1; });
+        });
+        return Q.all(sinks.map(request)).then(merge_chains).then(function(chain) {
+            // Derived fields are calculated in the order given, so they may use derived fields listed before them
+            chain.body.forEach(function(record) {
+                derived.derived.forEach(function(field) {
+                    field.resolve(record);
+                });
+            });
+            return chain;
         });
-        //assume the fields are requested in dependent order
-        //TODO: better manage dependencies
-        var ret = Q.when({header:{}, body:{}});
-        for(var i=0; i < promises.length; i++) {
-            // If a single datalayer uses multiple sources, perform the next request when the previous one completes
-            ret = ret.then(promises[i]);
-        }
-        return ret;
     };
 };
 
@@ -241,6 +597,117 @@ LocusZoom.Data.Source = function() {
     this.enableCache = true;
 };
 
+/**
+ * If true, and no dependencies are configured, this source does not use the data of any other source, so it is
+ *   requested (in parallel with the others) without waiting for the namespace before it in the data layer's `fields`
+ *   array. This is intended for sources (such as recombination rates) that only read their own data.
+ * @member {Boolean}
+ */
+LocusZoom.Data.Source.prototype.independentSource = false;
+
+/**
+ * List the namespaces whose data this source needs in order to make its own request, as set by the `dependencies` param.
+ *   For example, an LD source may depend on the association namespace to choose a reference variant:
+ *   `["LDLZ", { url: "...", params: { dependencies: ["assoc"] } }]`
+ * Data layers that use the source must also request the fields it needs from those namespaces (such as `assoc:variant`,
+ *   `assoc:position` and `assoc:log_pvalue`). An empty list means that the source depends on no other namespace.
+ * @public
+ * @returns {String[]|null} The namespaces, or null if they are not declared (in which case the source is chained after
+ *   the namespace before it in the data layer's fields, unless it is an `independentSource`)
+ */
+LocusZoom.Data.Source.prototype.getDependencies = function() {
+    return (this.params && this.params.dependencies) || null;
+};
+
+/**
+ * The number of responses each source will cache, unless configured otherwise with the `cache_size` param
+ * @type {Number}
+ */
+LocusZoom.Data.Source.DEFAULT_CACHE_SIZE = 10;
+
+/**
+ * A bounded cache that discards the least recently used entry when full
+ * @class
+ * @param {Number} max_size The maximum number of entries to keep. A size of 0 disables the cache.
+ */
+LocusZoom.Data.LRUCache = function(max_size) {
+    /** @member {Number} */
+    this.max_size = max_size;
+    /**
+     * Entries, in order from most to least recently used
+     * @protected
+     * @member {Object[]}
+     */
+    this._entries = [];
+};
+
+/**
+ * Find the first entry matching a condition, and mark it as most recently used
+ * @param {Function} condition Called with each entry; should return true for a match
+ * @returns {Object|undefined} An entry of the form {key, value, region, region_key}
+ */
+LocusZoom.Data.LRUCache.prototype.find = function(condition) {
+    for (var i = 0; i < this._entries.length; i++) {
+        if (condition(this._entries[i])) {
+            var entry = this._entries.splice(i, 1)[0];
+            this._entries.unshift(entry);
+            return entry;
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Fetch a value by key, and mark it as most recently used
+ * @param {String} key
+ * @returns {*} The cached value, or undefined if the key is not in the cache
+ */
+LocusZoom.Data.LRUCache.prototype.get = function(key) {
+    var entry = this.find(function(entry) { return entry.key === key; });
+    return entry ? entry.value : undefined;
+};
+
+/**
+ * Add a value to the cache, replacing any previous value with the same key
+ * @param {String} key
+ * @param {*} value
+ * @param {Object} [region] The region of the genome that the value describes, as {chr, start, end}
+ * @param {String} [region_key] A key that identifies the request in a way that does not depend on the region
+ */
+LocusZoom.Data.LRUCache.prototype.add = function(key, value, region, region_key) {
+    this.remove(key);
+    if (this.max_size <= 0) {
+        return;
+    }
+    this._entries.unshift({ key: key, value: value, region: region || null, region_key: region_key });
+    if (this._entries.length > this.max_size) {
+        this._entries.length = this.max_size;
+    }
+};
+
+/**
+ * Remove a value from the cache
+ * @param {String} key
+ */
+LocusZoom.Data.LRUCache.prototype.remove = function(key) {
+    this._entries = this._entries.filter(function(entry) { return entry.key !== key; });
+};
+
+/**
+ * List the keys in the cache, from most to least recently used
+ * @returns {String[]}
+ */
+LocusZoom.Data.LRUCache.prototype.keys = function() {
+    return this._entries.map(function(entry) { return entry.key; });
+};
+
+/**
+ * Remove all values from the cache
+ */
+LocusZoom.Data.LRUCache.prototype.clear = function() {
+    this._entries = [];
+};
+
 /**
  * A default constructor that can be used when creating new data sources
  * @param {String|Object} init Basic configuration- either a url, or a config object
@@ -263,6 +730,45 @@ LocusZoom.Data.Source.prototype.parseInit = function(init) {
 
 };
 
+/**
+ * Fetch the response cache for this source, creating it the first time it is used. The size is set by the
+ *   `cache_size` param.
+ *
+ * If the `cache_contained_regions` param is true, a cached response for a region will also be used to answer
+ *   requests for any smaller region within it (on the same chromosome, and with all other request parameters the same).
+ *   Records with a position outside of the requested region are then removed from the parsed data (see
+ *   `filterToRegion`).
+ * @protected
+ * @returns {LocusZoom.Data.LRUCache}
+ */
+LocusZoom.Data.Source.prototype.getCache = function() {
+    // Extended sources share a prototype instance, so each source must create its own cache
+    if (!Object.prototype.hasOwnProperty.call(this, "_cache")) {
+        var params = this.params || {};
+        var size = typeof params.cache_size === "number" ? params.cache_size : LocusZoom.Data.Source.DEFAULT_CACHE_SIZE;
+        /** @member {LocusZoom.Data.LRUCache} */
+        this._cache = new LocusZoom.Data.LRUCache(size);
+    }
+    return this._cache;
+};
+
+/**
+ * List the keys of all responses currently cached by this source, from most to least recently used
+ * @public
+ * @returns {String[]}
+ */
+LocusZoom.Data.Source.prototype.getCacheKeys = function() {
+    return this.getCache().keys();
+};
+
+/**
+ * Discard all responses cached by this source, so that the next request will fetch new data
+ * @public
+ */
+LocusZoom.Data.Source.prototype.clearCache = function() {
+    this.getCache().clear();
+};
+
 /**
  * Fetch the internal string used to represent this data when cache is used
  * @protected
@@ -282,10 +788,98 @@ LocusZoom.Data.Source.prototype.getCacheKey = function(state, chain, fields) {
  * @param {Object} state The state of the parent plot
  * @param chain
  * @param fields
+ * @param {LocusZoom.CancelToken} [cancel_token] If provided, abort the request when this token is cancelled
  */
-LocusZoom.Data.Source.prototype.fetchRequest = function(state, chain, fields) {
+LocusZoom.Data.Source.prototype.fetchRequest = function(state, chain, fields, cancel_token) {
     var url = this.getURL(state, chain, fields);
-    return LocusZoom.createCORSPromise("GET", url); 
+    return this.sendRequest({ method: "GET", url: url }, cancel_token);
+};
+
+/**
+ * Register a function that can modify each request made by this source before it is sent.
+ *
+ * An interceptor is called with a request object of the form `{method, url, body, headers, timeout, responseType}`
+ *   and the source making the request. It may modify the request in place, or return a replacement (or a promise
+ *   for one), for example to add a bearer token: `function(request) { request.headers.Authorization = "Bearer " + token; }`
+ * @public
+ * @param {Function} interceptor
+ * @returns {LocusZoom.Data.Source}
+ */
+LocusZoom.Data.Source.prototype.addInterceptor = function(interceptor) {
+    // Extended sources share a prototype instance, so each source must create its own list
+    if (!Object.prototype.hasOwnProperty.call(this, "interceptors")) {
+        /** @member {Function[]} */
+        this.interceptors = [];
+    }
+    this.interceptors.push(interceptor);
+    return this;
+};
+
+/**
+ * Send an HTTP request, after applying any interceptors. Failed requests are retried according to the source params:
+ *   - `retries`: the number of times to retry a failed request (default: 0)
+ *   - `retry_delay`: the time to wait (in ms) before the first retry (default: 1000)
+ *   - `retry_backoff`: the factor by which the delay increases for each subsequent retry (default: 2)
+ *   - `timeout`: the time to wait (in ms) for a response before the request fails (default: no limit)
+ * @protected
+ * @param {Object} request
+ * @param {String} [request.method="GET"]
+ * @param {String} request.url
+ * @param {String} [request.body]
+ * @param {Object} [request.headers]
+ * @param {Number} [request.timeout]
+ * @param {String} [request.responseType]
+ * @param {LocusZoom.CancelToken} [cancel_token] If provided, abort the request when this token is cancelled
+ * @returns {Promise}
+ */
+LocusZoom.Data.Source.prototype.sendRequest = function(request, cancel_token) {
+    var params = this.params || {};
+    request.method = request.method || "GET";
+    request.headers = request.headers || {};
+    if (typeof request.timeout == "undefined" && params.timeout) {
+        request.timeout = params.timeout;
+    }
+    var interceptors = ((this.parent && this.parent.interceptors) || []).concat(this.interceptors || []);
+    var intercepted = interceptors.reduce(function(promise, interceptor) {
+        return promise.then(function(request) {
+            return Q.when(interceptor(request, this)).then(function(replacement) {
+                return replacement || request;
+            });
+        }.bind(this));
+    }.bind(this), Q.when(request));
+
+    var send = function(request, retries, delay) {
+        return LocusZoom.createCORSPromise(request.method, request.url, request.body, request.headers,
+                                           request.timeout, request.responseType, cancel_token)
+            .fail(function(error) {
+                if (retries <= 0 || (cancel_token && cancel_token.cancelled) || !this.isRetryable(error)) {
+                    throw error;
+                }
+                return Q.delay(delay).then(function() {
+                    if (cancel_token && cancel_token.cancelled) {
+                        throw cancel_token.reason;
+                    }
+                    return send(request, retries - 1, delay * (params.retry_backoff || 2));
+                });
+            }.bind(this));
+    }.bind(this);
+    return intercepted.then(function(request) {
+        return send(request, params.retries || 0, typeof params.retry_delay == "number" ? params.retry_delay : 1000);
+    });
+};
+
+/**
+ * Decide whether a failed request is worth retrying: by default, requests that timed out or received no response,
+ *   and responses that indicate a temporary problem (408, 429, or any 5xx status)
+ * @protected
+ * @param {LocusZoom.RequestError|*} error
+ * @returns {Boolean}
+ */
+LocusZoom.Data.Source.prototype.isRetryable = function(error) {
+    if (!(error instanceof LocusZoom.RequestError)) {
+        return false;
+    }
+    return error.status === 0 || error.status === 408 || error.status === 429 || error.status >= 500;
 };
 // TODO: move this.getURL stub into parent class and add documentation; parent should not check for methods known only to children
 
@@ -293,22 +887,41 @@ LocusZoom.Data.Source.prototype.fetchRequest = function(state, chain, fields) {
 /**
  * TODO Rename to handleRequest (to disambiguate from, say HTTP get requests) and update wiki docs and other references
  * @protected
+ * @param {Object} state
+ * @param {Object} chain
+ * @param {String[]} fields
+ * @param {LocusZoom.CancelToken} [cancel_token] If provided, abort the request when this token is cancelled. Cancelled
+ *   requests are not cached.
  */
-LocusZoom.Data.Source.prototype.getRequest = function(state, chain, fields) {
-    var req;
+LocusZoom.Data.Source.prototype.getRequest = function(state, chain, fields, cancel_token) {
     var cacheKey = this.getCacheKey(state, chain, fields);
-    if (this.enableCache && typeof(cacheKey) !== "undefined" && cacheKey === this._cachedKey) {
-        req = Q.when(this._cachedResponse);
-    } else {
-        req = this.fetchRequest(state, chain, fields);
-        if (this.enableCache) {
-            req = req.then(function(x) {
-                this._cachedKey = cacheKey;
-                return this._cachedResponse = x;
-            }.bind(this));
+    if (!this.enableCache || typeof(cacheKey) === "undefined") {
+        return this.fetchRequest(state, chain, fields, cancel_token);
+    }
+    var cache = this.getCache();
+    var region = { chr: state.chr, start: state.start, end: state.end };
+    var regionKey;
+    if (this.params && this.params.cache_contained_regions) {
+        // Identify the request with the region left out, so that requests which differ only by region can be compared
+        var regionless = {};
+        Object.keys(state).forEach(function(key) { regionless[key] = state[key]; });
+        regionless.start = regionless.end = null;
+        regionKey = this.getCacheKey(regionless, chain, fields);
+    }
+    var entry = cache.find(function(entry) {
+        if (entry.key === cacheKey) {
+            return true;
         }
+        return typeof regionKey !== "undefined" && entry.region_key === regionKey
+            && entry.region.chr === region.chr && entry.region.start <= region.start && entry.region.end >= region.end;
+    });
+    if (entry) {
+        return Q.when(entry.value);
     }
-    return req;
+    return this.fetchRequest(state, chain, fields, cancel_token).then(function(x) {
+        cache.add(cacheKey, x, region, regionKey);
+        return x;
+    });
 };
 
 /**
@@ -320,9 +933,11 @@ LocusZoom.Data.Source.prototype.getRequest = function(state, chain, fields) {
  *     originally requested field name, including the namespace. This must be an array with the same length as `fields`
  * @param {Function[]} trans The collection of transformation functions to be run on selected fields.
  *     This must be an array with the same length as `fields`
+ * @param {LocusZoom.CancelToken} [cancel_token] If provided, abort the request (and reject the result) when this token
+ *     is cancelled
  * @returns {function(this:LocusZoom.Data.Source)} A callable operation that can be used as part of the data chain
  */
-LocusZoom.Data.Source.prototype.getData = function(state, fields, outnames, trans) {
+LocusZoom.Data.Source.prototype.getData = function(state, fields, outnames, trans, cancel_token) {
     if (this.preGetData) {
         var pre = this.preGetData(state, fields, outnames, trans);
         if(this.pre) {
@@ -334,12 +949,61 @@ LocusZoom.Data.Source.prototype.getData = function(state, fields, outnames, tran
     }
 
     return function (chain) {
-        return this.getRequest(state, chain, fields).then(function(resp) {
-            return this.parseResponse(resp, chain, fields, outnames, trans);
+        if (cancel_token && cancel_token.cancelled) {
+            return Q.reject(cancel_token.reason);
+        }
+        return this.getRequest(state, chain, fields, cancel_token).then(function(resp) {
+            // Sources that cannot abort their requests may still complete after being cancelled
+            if (cancel_token && cancel_token.cancelled) {
+                throw(cancel_token.reason);
+            }
+            var result = this.parseResponse(resp, chain, fields, outnames, trans, state);
+            if (this.params && this.params.cache_contained_regions) {
+                result.body = this.filterToRegion(result.body, state);
+            }
+            return result;
         }.bind(this));
     }.bind(this);
 };
 
+/**
+ * Remove records that lie outside of the plotted region, as may be present when a cached response for a larger region
+ *   is reused. Records are compared by their position: the field named by the `position_field` param (default
+ *   "position"), with or without a namespace. Records without that field, but with `start` and `end` fields (such as
+ *   genes), are kept if they overlap the region. Records without a numeric position are always kept.
+ * @protected
+ * @param {Object[]} records
+ * @param {Object} state
+ * @returns {Object[]}
+ */
+LocusZoom.Data.Source.prototype.filterToRegion = function(records, state) {
+    if (!Array.isArray(records) || !records.length) {
+        return records;
+    }
+    var names = Object.keys(records[0]);
+    var findField = function(field) {
+        return names.filter(function(name) {
+            return name === field || name.slice(-field.length - 1) === ":" + field;
+        })[0];
+    };
+    var positionField = findField((this.params && this.params.position_field) || "position");
+    var startField = findField("start");
+    var endField = findField("end");
+    if (positionField) {
+        return records.filter(function(record) {
+            var position = record[positionField];
+            return typeof position !== "number" || (position >= state.start && position <= state.end);
+        });
+    } else if (startField && endField) {
+        return records.filter(function(record) {
+            var start = record[startField];
+            var end = record[endField];
+            return typeof start !== "number" || typeof end !== "number" || (start <= state.end && end >= state.start);
+        });
+    }
+    return records;
+};
+
 /**
  * Parse response data. Return an object containing "header" (metadata or request parameters) and "body"
  *   (data to be used for plotting). The response from this request is combined with responses from all other requests
@@ -352,9 +1016,10 @@ LocusZoom.Data.Source.prototype.getData = function(state, fields, outnames, tran
  *     originally requested field name, including the namespace. This must be an array with the same length as `fields`
  * @param {Function[]} trans The collection of transformation functions to be run on selected fields.
  *     This must be an array with the same length as `fields`
+ * @param {Object} [state] The state for which the data was requested
  * @returns {{header: ({}|*), body: {}}}
  */
-LocusZoom.Data.Source.prototype.parseResponse = function(resp, chain, fields, outnames, trans) {
+LocusZoom.Data.Source.prototype.parseResponse = function(resp, chain, fields, outnames, trans, state) {
     var json = typeof resp == "string" ? JSON.parse(resp) : resp;
     var records = this.parseData(json.data || json, fields, outnames, trans);
     return {header: chain.header || {}, body: records};
@@ -480,8 +1145,19 @@ LocusZoom.Data.Source.prototype.prepareData = function(records) {
     return records;
 };
 
+/**
+ * Release anything that the source holds, such as a Web Worker. This is called when the source is removed from (or
+ *   replaced in) a `LocusZoom.DataSources` collection, and does nothing by default.
+ * @public
+ */
+LocusZoom.Data.Source.prototype.destroy = function() {};
+
 /**
  * Method to define new custom datasources based on a provided constructor. (does not allow registering any additional methods)
+ *
+ * When the base is given as a name or constructor, the new class's prototype inherits from the base's prototype
+ *   (rather than being the same object), so methods added to the new class do not replace those of the base, while
+ *   methods added to the base later are still inherited.
  * @public
  * @param {Function} constructorFun Constructor function that is used to create the specified class
  * @param {String} [uniqueName] The name by which the class should be listed in `KnownDataSources`
@@ -493,9 +1169,10 @@ LocusZoom.Data.Source.extend = function(constructorFun, uniqueName, base) {
         if (Array.isArray(base)) {
             base = LocusZoom.KnownDataSources.create.apply(null, base);
         } else if (typeof base === "string") {
-            base = LocusZoom.KnownDataSources.get(base).prototype;
+            // Inherit from (rather than share) the parent prototype, so that new methods do not change the parent
+            base = Object.create(LocusZoom.KnownDataSources.get(base).prototype);
         } else if (typeof base === "function") {
-            base = base.prototype;
+            base = Object.create(base.prototype);
         }
     } else {
         base =  new LocusZoom.Data.Source();
@@ -554,19 +1231,50 @@ LocusZoom.Data.AssociationSource.prototype.getURL = function(state, chain, field
 
 /**
  * Data Source for LD Data, as fetched from the LocusZoom API server (or compatible)
+ *
+ * The following fields can be requested, in any combination:
+ *   - `rsquare`, `dprime`: LD statistics between each variant and the reference variant
+ *   - `isrefvar`: 1 for the reference variant, and 0 for all others
+ *   - `refvar`: the ID of the reference variant
+ *   - `state`, `best`: the value of `params.statistic`, with the reference variant chosen from the plot state or as the
+ *     most significant variant (respectively), regardless of `params.refvar`. This is how LD was requested before the
+ *     other fields existed.
+ *
+ * Several namespaces can use LD sources with different reference variants in the same plot (for example, one that
+ *   follows the plot state and one fixed to a variant of interest).
+ *
+ * @example
+ * data_sources.add("ld", ["LDLZ", { url: apiBase + "pair/LD/" }]);
+ * data_sources.add("ld_lead", ["LDLZ", { url: apiBase + "pair/LD/", params: { refvar: "10:114758349_C/T" } }]);
+ * // fields: ["ld:rsquare", "ld:dprime", "ld:isrefvar", "ld_lead:rsquare", "ld_lead:refvar"]
+ *
  * @class
  * @public
  * @augments LocusZoom.Data.Source
+ * @param {String|Object} init Either the URL of the LD API, or a config object
+ * @param {Object} [init.params]
+ * @param {String} [init.params.refvar="state"] How to choose the reference variant: "state" (the variant in
+ *     `state.ldrefvar`, or else the most significant variant), "best" (always the most significant variant), or the ID
+ *     of a specific variant
+ * @param {String} [init.params.statistic="rsquare"] The statistic provided by the `state` and `best` fields
  */
 LocusZoom.Data.LDSource = LocusZoom.Data.Source.extend(function(init) {
     this.parseInit(init);
 }, "LDLZ");
 
+/**
+ * The fields that LD sources can provide, other than those that choose the reference variant (`state`, `best`)
+ * @protected
+ * @type {String[]}
+ */
+LocusZoom.Data.LDSource.FIELDS = ["rsquare", "dprime", "isrefvar", "refvar"];
+
 LocusZoom.Data.LDSource.prototype.preGetData = function(state, fields) {
-    if (fields.length>1) {
-        if (fields.length!==2 || fields.indexOf("isrefvar")===-1) {
-            throw("LD does not know how to get all fields: " + fields.join(", "));
-        }
+    var others = fields.filter(function(field) {
+        return LocusZoom.Data.LDSource.FIELDS.indexOf(field) === -1;
+    });
+    if (others.length > 1) {
+        throw("LD does not know how to get all fields: " + fields.join(", "));
     }
 };
 
@@ -602,21 +1310,47 @@ LocusZoom.Data.LDSource.prototype.findMergeFields = function(chain) {
     return dataFields;
 };
 
+/**
+ * Sort the requested fields by what they provide
+ * @protected
+ * @param {String[]} fields
+ * @param {String[]} [outnames]
+ * @returns {{stats: Array, ldin: String, ldout: String, isrefvarin: String, isrefvarout: String, refvarin: String,
+ *     refvarout: String}} `stats` lists each LD statistic to merge, as {name, outname}. `ldin` is the field (if any)
+ *     that chooses the reference variant, such as "state" or "best".
+ */
 LocusZoom.Data.LDSource.prototype.findRequestedFields = function(fields, outnames) {
-    var obj = {};
+    var obj = { stats: [] };
     for(var i=0; i<fields.length; i++) {
+        var outname = outnames && outnames[i];
         if(fields[i]==="isrefvar") {
             obj.isrefvarin = fields[i];
-            obj.isrefvarout = outnames && outnames[i];
+            obj.isrefvarout = outname;
+        } else if (fields[i]==="refvar") {
+            obj.refvarin = fields[i];
+            obj.refvarout = outname;
+        } else if (fields[i]==="rsquare" || fields[i]==="dprime") {
+            obj.stats.push({ name: fields[i], outname: outname });
         } else {
             obj.ldin = fields[i];
-            obj.ldout = outnames && outnames[i];
+            obj.ldout = outname;
+            obj.stats.push({ name: (this.params && this.params.statistic) || "rsquare", outname: outname });
         }
     }
     return obj;
 };
 
-LocusZoom.Data.LDSource.prototype.getURL = function(state, chain, fields) {
+/**
+ * Determine the ID of the reference variant that LD should be calculated against: either the one requested in the
+ *   state, a fixed variant, or the variant with the most significant p-value in the association data (see
+ *   `params.refvar`). The chosen variant is recorded in the chain header as `ldrefvar`.
+ * @protected
+ * @param {Object} state
+ * @param {Object} chain
+ * @param {String[]} fields
+ * @returns {String}
+ */
+LocusZoom.Data.LDSource.prototype.getRefvar = function(state, chain, fields) {
     var findExtremeValue = function(x, pval, sign) {
         pval = pval || "pvalue";
         sign = sign || 1;
@@ -630,11 +1364,11 @@ LocusZoom.Data.LDSource.prototype.getURL = function(state, chain, fields) {
         return extremeIdx;
     };
 
-    var refSource = state.ldrefsource || chain.header.ldrefsource || 1;
     var reqFields = this.findRequestedFields(fields);
-    var refVar = reqFields.ldin;
+    var refVar = reqFields.ldin || (this.params && this.params.refvar) || "state";
     if (refVar === "state") {
-        refVar = state.ldrefvar || chain.header.ldrefvar || "best";
+        // The chain header is not consulted here: it may hold the reference variant of another LD source in the chain
+        refVar = state.ldrefvar || "best";
     }
     if (refVar === "best") {
         if (!chain.body) {
@@ -651,16 +1385,25 @@ LocusZoom.Data.LDSource.prototype.getURL = function(state, chain, fields) {
     }
     if (!chain.header) {chain.header = {};}
     chain.header.ldrefvar = refVar;
+    return refVar;
+};
+
+LocusZoom.Data.LDSource.prototype.getURL = function(state, chain, fields) {
+    var refSource = state.ldrefsource || chain.header.ldrefsource || 1;
+    var refVar = this.getRefvar(state, chain, fields);
+    var stats = this.findRequestedFields(fields).stats.map(function(stat) { return stat.name; });
+    stats = stats.filter(function(name, i) { return stats.indexOf(name) === i; });
     return this.url + "results/?filter=reference eq " + refSource + 
         " and chromosome2 eq '" + state.chr + "'" + 
         " and position2 ge " + state.start + 
         " and position2 le " + state.end + 
         " and variant1 eq '" + refVar + "'" + 
-        "&fields=chr,pos,rsquare";
+        "&fields=chr,pos," + (stats.length ? stats.join(",") : "rsquare");
 };
 
-LocusZoom.Data.LDSource.prototype.parseResponse = function(resp, chain, fields, outnames) {
-    var json = JSON.parse(resp);
+LocusZoom.Data.LDSource.prototype.parseResponse = function(resp, chain, fields, outnames, trans, state) {
+    var json = typeof resp == "string" ? JSON.parse(resp) : resp;
+    var refvar = state ? this.getRefvar(state, chain, fields) : chain.header.ldrefvar;
     var keys = this.findMergeFields(chain);
     var reqFields = this.findRequestedFields(fields, outnames);
     if (!keys.position) {
@@ -689,13 +1432,93 @@ LocusZoom.Data.LDSource.prototype.parseResponse = function(resp, chain, fields,
             }
         }
     };
-    leftJoin(chain.body, json.data, reqFields.ldout, "rsquare");
-    if(reqFields.isrefvarin && chain.header.ldrefvar) {
-        tagRefVariant(chain.body, chain.header.ldrefvar, keys.id, reqFields.isrefvarout);
+    reqFields.stats.forEach(function(stat) {
+        if (json.data[stat.name]) {
+            leftJoin(chain.body, json.data, stat.outname, stat.name);
+        }
+    });
+    if(reqFields.isrefvarin && refvar) {
+        tagRefVariant(chain.body, refvar, keys.id, reqFields.isrefvarout);
+    }
+    if (reqFields.refvarin) {
+        chain.body.forEach(function(record) {
+            record[reqFields.refvarout] = refvar;
+        });
     }
     return chain;   
 };
 
+/**
+ * Data Source for the LD between every pair of variants in a region, as fetched from an LD server (see
+ *   github.com/statgen/LDServer), for use with the `ld_heatmap` data layer. Results that span several pages are
+ *   fetched in full.
+ *
+ * Each record provides `variant1`, `position1`, `variant2`, and `position2`, along with the requested statistic as
+ *   `rsquare` or `dprime` (and, by either name, as `correlation`).
+ *
+ * @example
+ * data_sources.add("ldpairs", ["PairwiseLDLZ", { url: "https://portaldev.sph.umich.edu/ld/", params: { population: "EUR" } }]);
+ *
+ * @class
+ * @public
+ * @augments LocusZoom.Data.Source
+ * @param {String|Object} init Either the URL of the LD server, or a config object
+ * @param {Object} [init.params]
+ * @param {String} [init.params.build="GRCh37"] The genome build
+ * @param {String} [init.params.source="1000G"] The reference panel
+ * @param {String} [init.params.population="ALL"] The population within the reference panel
+ * @param {String} [init.params.statistic="rsquare"] "rsquare" or "dprime"
+ * @param {Number} [init.params.max_pages=20] The most pages of results to fetch for one region
+ */
+LocusZoom.Data.PairwiseLDSource = LocusZoom.Data.Source.extend(function(init) {
+    this.parseInit(init);
+}, "PairwiseLDLZ");
+
+LocusZoom.Data.PairwiseLDSource.prototype.independentSource = true;
+
+LocusZoom.Data.PairwiseLDSource.prototype.getURL = function(state, chain, fields) {
+    var params = this.params || {};
+    return this.url + [
+        "genome_builds", params.build || "GRCh37",
+        "references", params.source || "1000G",
+        "populations", params.population || "ALL",
+        "regions"
+    ].map(encodeURIComponent).join("/")
+        + "?chrom=" + encodeURIComponent(state.chr) + "&start=" + state.start + "&stop=" + state.end
+        + "&correlation=" + encodeURIComponent(params.statistic || "rsquare") + "&limit=100000";
+};
+
+LocusZoom.Data.PairwiseLDSource.prototype.fetchRequest = function(state, chain, fields, cancel_token) {
+    var max_pages = (this.params && this.params.max_pages) || 20;
+    var combined = null;
+    var fetchPage = function(url, page) {
+        return this.sendRequest({ method: "GET", url: url }, cancel_token).then(function(resp) {
+            var json = typeof resp == "string" ? JSON.parse(resp) : resp;
+            var data = json.data || {};
+            if (!combined) {
+                combined = data;
+            } else {
+                Object.keys(combined).forEach(function(key) {
+                    combined[key] = combined[key].concat(data[key] || []);
+                });
+            }
+            if (json.next && page < max_pages) {
+                return fetchPage(json.next, page + 1);
+            }
+            return { data: combined };
+        });
+    }.bind(this);
+    return fetchPage(this.getURL(state, chain, fields), 1);
+};
+
+LocusZoom.Data.PairwiseLDSource.prototype.parseResponse = function(resp, chain, fields, outnames, trans, state) {
+    var data = resp.data;
+    if (data.correlation) {
+        data[(this.params && this.params.statistic) || "rsquare"] = data.correlation;
+    }
+    return LocusZoom.Data.Source.prototype.parseResponse.call(this, { data: data }, chain, fields, outnames, trans, state);
+};
+
 /**
  * Data Source for Gene Data, as fetched from the LocusZoom API server (or compatible)
  * @public
@@ -719,6 +1542,32 @@ LocusZoom.Data.GeneSource.prototype.parseResponse = function(resp, chain, fields
     return {header: chain.header, body: json.data};
 };
 
+/**
+ * Look up genes whose symbols start with a query, for the `search_box` dashboard component (which also uses this to
+ *   suggest genes while typing). A gene whose symbol matches the query exactly is listed first, and then the others in
+ *   order of their symbols. Any data source with a `search` method of this form can be used to look up search terms.
+ * @public
+ * @param {String} query
+ * @param {Number} [limit=10] The largest number of results to return
+ * @returns {Promise} Resolves to a list of results of the form `{type: "gene", label, chr, start, end}`
+ */
+LocusZoom.Data.GeneSource.prototype.search = function(query, limit) {
+    var source = this.params.source || 2;
+    var symbol = query.trim().toUpperCase().replace(/'/g, "");
+    // The API's `like` filter takes SQL wildcards, so the "%" that ends the prefix is sent URL-encoded
+    var url = this.url + "?filter=source in " + source +
+        " and gene_name like '" + encodeURIComponent(symbol.replace(/[%_]/g, "")) + "%25'";
+    return this.sendRequest({ method: "GET", url: url }).then(function(resp) {
+        var genes = JSON.parse(resp).data.slice().sort(function(a, b) {
+            var exact = (b.gene_name === symbol) - (a.gene_name === symbol);
+            return exact || d3.ascending(a.gene_name, b.gene_name);
+        });
+        return genes.slice(0, limit || 10).map(function(gene) {
+            return { type: "gene", label: gene.gene_name, chr: gene.chrom, start: gene.start, end: gene.end };
+        });
+    });
+};
+
 /**
  * Data Source for Gene Constraint Data, as fetched from the LocusZoom API server (or compatible)
  * @public
@@ -737,11 +1586,11 @@ LocusZoom.Data.GeneConstraintSource.prototype.getCacheKey = function(state, chai
     return this.url + JSON.stringify(state);
 };
 
-LocusZoom.Data.GeneConstraintSource.prototype.fetchRequest = function(state, chain, fields) {
+LocusZoom.Data.GeneConstraintSource.prototype.fetchRequest = function(state, chain, fields, cancel_token) {
     var geneids = [];
     chain.body.forEach(function(gene){
         var gene_id = gene.gene_id;
-        if (gene_id.indexOf(".")){
+        if (gene_id.indexOf(".") !== -1){
             gene_id = gene_id.substr(0, gene_id.indexOf("."));
         }
         geneids.push(gene_id);
@@ -751,7 +1600,7 @@ LocusZoom.Data.GeneConstraintSource.prototype.fetchRequest = function(state, cha
     var headers = {
         "Content-Type": "application/x-www-form-urlencoded"
     };
-    return LocusZoom.createCORSPromise("POST", url, body, headers);
+    return this.sendRequest({ method: "POST", url: url, body: body, headers: headers }, cancel_token);
 };
 
 LocusZoom.Data.GeneConstraintSource.prototype.parseResponse = function(resp, chain, fields, outnames) {
@@ -763,7 +1612,7 @@ LocusZoom.Data.GeneConstraintSource.prototype.parseResponse = function(resp, cha
     var constraint_fields = ["bp", "exp_lof", "exp_mis", "exp_syn", "lof_z", "mis_z", "mu_lof", "mu_mis","mu_syn", "n_exons", "n_lof", "n_mis", "n_syn", "pLI", "syn_z"]; 
     chain.body.forEach(function(gene, i){
         var gene_id = gene.gene_id;
-        if (gene_id.indexOf(".")){
+        if (gene_id.indexOf(".") !== -1){
             gene_id = gene_id.substr(0, gene_id.indexOf("."));
         }
         constraint_fields.forEach(function(field){
@@ -794,6 +1643,8 @@ LocusZoom.Data.RecombinationRateSource = LocusZoom.Data.Source.extend(function(i
     this.parseInit(init);
 }, "RecombLZ");
 
+LocusZoom.Data.RecombinationRateSource.prototype.independentSource = true;
+
 LocusZoom.Data.RecombinationRateSource.prototype.getURL = function(state, chain, fields) {
     var source = state.recombsource || chain.header.recombsource || this.params.source || 15;
     return this.url + "?filter=id in " + source +
@@ -812,6 +1663,8 @@ LocusZoom.Data.IntervalSource = LocusZoom.Data.Source.extend(function(init) {
     this.parseInit(init);
 }, "IntervalLZ");
 
+LocusZoom.Data.IntervalSource.prototype.independentSource = true;
+
 LocusZoom.Data.IntervalSource.prototype.getURL = function(state, chain, fields) {
     var source = state.bedtracksource || chain.header.bedtracksource || this.params.source || 16;
     return this.url + "?filter=id in " + source + 
@@ -840,6 +1693,51 @@ LocusZoom.Data.StaticSource.prototype.toJSON = function() {
     return [Object.getPrototypeOf(this).constructor.SOURCE_NAME, this._data];
 };
 
+/**
+ * Data Source that looks up genes, variants (such as rsIDs) or other search terms, for the `search_box` dashboard
+ *   component. It is not used to fetch data for data layers.
+ *
+ * Requests are sent to `<url>?q=<query>&limit=<limit>` (and `&build=<build>`, if a `build` param is given). The
+ *   response should be JSON of the form `{data: [{term, type, chrom, start, end, variant}]}`, where `type` is "gene" or
+ *   "variant". Variants may give only `start` (their position) and a `variant` ID to use as the LD reference variant.
+ * @public
+ * @class
+ * @augments LocusZoom.Data.Source
+ * @param {String|Object} init
+ * @param {String} [init.params.build] The genome build, as in "GRCh37"
+ */
+LocusZoom.Data.SearchSource = LocusZoom.Data.Source.extend(function(init) {
+    this.parseInit(init);
+}, "SearchLZ");
+
+/**
+ * Look up a search term
+ * @public
+ * @param {String} query
+ * @param {Number} [limit=10] The largest number of results to return
+ * @returns {Promise} Resolves to a list of results: `{type: "gene", label, chr, start, end}` or
+ *   `{type: "variant", label, chr, position, variant}`
+ */
+LocusZoom.Data.SearchSource.prototype.search = function(query, limit) {
+    var url = this.url + "?q=" + encodeURIComponent(query) + "&limit=" + (limit || 10);
+    if (this.params.build) {
+        url += "&build=" + encodeURIComponent(this.params.build);
+    }
+    return this.sendRequest({ method: "GET", url: url }).then(function(resp) {
+        var json = typeof resp == "string" ? JSON.parse(resp) : resp;
+        return (json.data || []).map(function(item) {
+            var chr = String(item.chrom || item.chr || "").replace(/^chr/i, "");
+            if (item.type === "variant" || (item.variant && !item.end)) {
+                return {
+                    type: "variant", label: item.term || item.variant, chr: chr,
+                    position: +(item.position || item.start), variant: item.variant || item.term
+                };
+            }
+            return { type: item.type || "gene", label: item.term, chr: chr, start: +item.start, end: +item.end };
+        });
+    });
+};
+
 /**
  * Data source for PheWAS data served from external JSON files
  * @public
@@ -0,0 +1,123 @@
+"use strict";
+
+/**
+ * Data Source for intervals read from a BED file (BED3 through BED12), such as peak calls or chromatin states. The file
+ *   may be plain text (which is read in full, once), bgzipped and tabix-indexed, or bigBed (for both of which only the
+ *   plotted region is read). It can be served by any static file server that supports HTTP range requests, or read
+ *   from a local file.
+ *
+ * Each record provides the following fields, with positions converted to 1-based, inclusive coordinates. Columns that
+ *   are not present in the file are null.
+ *   - `id` ("chr:start-end", plus "_name" if there is a name), `chromosome`, `start`, `end`
+ *   - `name`, `score`, `strand`
+ *   - `thick_start`, `thick_end`
+ *   - `color`: the itemRgb column as a CSS color, such as "rgb(255,0,0)", for use as `color: { field: "bed:color" }`
+ *   - `blocks`: an array of {start, end}, one per block
+ *   - `state_id` and `state_name`: both the name, for use with layouts written for chromatin states
+ *
+ * @example
+ * data_sources.add("bed", ["BED", { url: "/data/peaks.bed.gz" }]);
+ * data_sources.add("chromhmm", ["BED", { url: "/data/states.bb" }]);
+ *
+ * @class
+ * @public
+ * @augments LocusZoom.Data.Source
+ * @param {String|Object} init Either the URL of the BED file, or a config object
+ * @param {String} [init.url] The URL of the BED file
+ * @param {Object} [init.params]
+ * @param {Blob} [init.params.file] A local BED file, to be used instead of a URL
+ * @param {String} [init.params.format] "text", "tabix", or "bigbed". By default, this is guessed from the file name:
+ *   ".bb" and ".bigbed" files are bigBed, and ".gz" files (or any file with an index) are tabix-indexed.
+ * @param {String} [init.params.index_url] The URL of a tabix index (default: the BED URL plus ".tbi")
+ * @param {Blob} [init.params.index_file] A local tabix index file, to be used instead of an index URL
+ */
+LocusZoom.Data.BedSource = LocusZoom.Data.Source.extend(function(init) {
+    this.parseInit(init);
+}, "BED");
+
+LocusZoom.Data.BedSource.prototype.independentSource = true;
+
+/**
+ * Where to find the location of each line of a plain text BED file
+ * @type {Object}
+ */
+LocusZoom.Data.BedSource.COLUMNS = { col_seq: 1, col_beg: 2, col_end: 3, zero_based: true };
+
+LocusZoom.Data.BedSource.prototype.parseInit = function(init) {
+    if (typeof init === "string") {
+        init = { url: init };
+    }
+    var params = init.params || {};
+    var filename = init.url || (params.file && params.file.name) || "";
+    if (params.format === "bigbed" || (!params.format && /\.(bb|bigbed)$/i.test(filename))) {
+        this.url = init.url;
+        this.params = params;
+        if (!this.url && !this.params.file) {
+            throw("Source not initialized with required URL or file");
+        }
+        /** @member {String} */
+        this.format = "bigbed";
+        /** @member {LocusZoom.Data.BigBedReader|LocusZoom.Data.TabixReader|LocusZoom.Data.TextReader} */
+        this.reader = new LocusZoom.Data.BigBedReader(this.url || this.params.file, this.sendRequest.bind(this));
+    } else {
+        LocusZoom.Data.TextReader.initSource(this, init, LocusZoom.Data.BedSource.COLUMNS);
+    }
+};
+
+LocusZoom.Data.BedSource.prototype.getCacheKey = function(state, chain, fields) {
+    var file = this.url || (this.params.file && this.params.file.name) || "";
+    return [file, state.chr, state.start, state.end].join("_");
+};
+
+/**
+ * Convert the columns of one line of a BED file into a record
+ * @protected
+ * @param {String[]} cols
+ * @returns {Object}
+ */
+LocusZoom.Data.BedSource.prototype.parseLine = function(cols) {
+    var value = function(i) {
+        return (typeof cols[i] === "undefined" || cols[i] === "" || cols[i] === ".") ? null : cols[i];
+    };
+    var number = function(i) {
+        return value(i) === null ? null : +cols[i];
+    };
+    var zero_based_start = +cols[1];
+    var record = {
+        chromosome: cols[0],
+        start: zero_based_start + 1,
+        end: +cols[2],
+        name: value(3),
+        score: number(4),
+        strand: (cols[5] === "+" || cols[5] === "-") ? cols[5] : null,
+        thick_start: number(6) === null ? null : number(6) + 1,
+        thick_end: number(7),
+        color: null,
+        blocks: null
+    };
+    var rgb = value(8);
+    if (rgb && rgb !== "0") {
+        record.color = "rgb(" + rgb + ")";
+    }
+    if (number(9)) {
+        var sizes = cols[10].split(",");
+        var starts = cols[11].split(",");
+        record.blocks = [];
+        for (var i = 0; i < number(9); i++) {
+            record.blocks.push({
+                start: zero_based_start + +starts[i] + 1,
+                end: zero_based_start + +starts[i] + +sizes[i]
+            });
+        }
+    }
+    record.id = record.chromosome + ":" + record.start + "-" + record.end + (record.name ? "_" + record.name : "");
+    record.state_id = record.name;
+    record.state_name = record.name;
+    return record;
+};
+
+LocusZoom.Data.BedSource.prototype.fetchRequest = function(state, chain, fields, cancel_token) {
+    return this.reader.fetchRegion(state.chr, state.start, state.end, cancel_token).then(function(lines) {
+        return lines.map(this.parseLine.bind(this));
+    }.bind(this));
+};
@@ -0,0 +1,228 @@
+"use strict";
+
+/**
+ * Support for reading bigBed files directly in the browser, either from a static file server (via HTTP range
+ *   requests) or from a local File/Blob. Only the parts of the index and the data blocks that overlap the requested
+ *   region are fetched.
+ *
+ * See Kent et al. (2010) "BigWig and BigBed: enabling browsing of large distributed datasets" for the file format.
+ */
+
+/**
+ * Read a bigBed file, given as a URL, a File/Blob, or an ArrayBuffer/Uint8Array containing the entire file.
+ *
+ * URLs are read with HTTP range requests; the server must honor the `Range` header.
+ *
+ * @class
+ * @param {String|Blob|ArrayBuffer|Uint8Array} data The bigBed file
+ * @param {Function} [send] Used to make HTTP requests (see `LocusZoom.Data.TabixReader`)
+ */
+LocusZoom.Data.BigBedReader = function(data, send) {
+    if (!data) {
+        throw("BigBedReader requires a data file");
+    }
+    /** @member {String|Blob|ArrayBuffer|Uint8Array} */
+    this.data = data;
+    /**
+     * Promise for the parsed header and chromosome list, created the first time it is needed
+     * @protected
+     * @member {Promise}
+     */
+    this._header = null;
+    /** @member {Function} */
+    this.send = send || function(request, cancel_token) {
+        return LocusZoom.createCORSPromise(request.method, request.url, undefined, request.headers, undefined,
+                                           request.responseType, cancel_token);
+    };
+};
+
+/**
+ * @type {Number}
+ */
+LocusZoom.Data.BigBedReader.MAGIC = 0x8789F2EB;
+
+/**
+ * Read a range of raw bytes from the file (see `LocusZoom.Data.TabixReader.readBytes`)
+ * @protected
+ * @returns {Promise} Resolves to a Uint8Array
+ */
+LocusZoom.Data.BigBedReader.prototype.readBytes = function(source, start, end, cancel_token) {
+    return LocusZoom.Data.TabixReader.prototype.readBytes.call(this, source, start, end, cancel_token);
+};
+
+/**
+ * Read integers from a byte array. bigBed files may be written in either byte order.
+ * @protected
+ * @param {Uint8Array} bytes
+ * @param {Boolean} little_endian
+ * @returns {{uint8: function, uint16: function, uint32: function, uint64: function}} Functions that take an offset
+ *   into `bytes` and return the value found there
+ */
+LocusZoom.Data.BigBedReader.view = function(bytes, little_endian) {
+    var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return {
+        uint8: function(pos) { return view.getUint8(pos); },
+        uint16: function(pos) { return view.getUint16(pos, little_endian); },
+        uint32: function(pos) { return view.getUint32(pos, little_endian); },
+        // File offsets are 64 bit; as JS numbers, they are exact for files smaller than 8 PB
+        uint64: function(pos) {
+            var lo = view.getUint32(little_endian ? pos : pos + 4, little_endian);
+            var hi = view.getUint32(little_endian ? pos + 4 : pos, little_endian);
+            return hi * 4294967296 + lo;
+        }
+    };
+};
+
+/**
+ * Fetch and parse the file header and the list of chromosomes (once)
+ * @returns {Promise} Resolves to an object with the header fields, along with `chromosomes` (a map of
+ *   {name: {id, size}}) and `names` (chromosome names by id)
+ */
+LocusZoom.Data.BigBedReader.prototype.fetchHeader = function() {
+    if (!this._header) {
+        this._header = this.readBytes(this.data, 0, 64).then(function(bytes) {
+            var little_endian = true;
+            var read = LocusZoom.Data.BigBedReader.view(bytes, true);
+            if (read.uint32(0) !== LocusZoom.Data.BigBedReader.MAGIC) {
+                little_endian = false;
+                read = LocusZoom.Data.BigBedReader.view(bytes, false);
+                if (read.uint32(0) !== LocusZoom.Data.BigBedReader.MAGIC) {
+                    throw("Invalid bigBed file");
+                }
+            }
+            var header = {
+                little_endian: little_endian,
+                version: read.uint16(4),
+                chrom_tree_offset: read.uint64(8),
+                full_data_offset: read.uint64(16),
+                full_index_offset: read.uint64(24),
+                field_count: read.uint16(32),
+                defined_field_count: read.uint16(34),
+                uncompress_buf_size: read.uint32(52),
+                chromosomes: {},
+                names: []
+            };
+            // The chromosome B+ tree is written just before the data
+            return this.readBytes(this.data, header.chrom_tree_offset, header.full_data_offset).then(function(tree) {
+                var read = LocusZoom.Data.BigBedReader.view(tree, little_endian);
+                var key_size = read.uint32(8);
+                var readNode = function(pos) {
+                    var is_leaf = read.uint8(pos);
+                    var count = read.uint16(pos + 2);
+                    pos += 4;
+                    for (var i = 0; i < count; i++) {
+                        if (is_leaf) {
+                            var key = LocusZoom.Data.TabixReader.decodeText(tree.subarray(pos, pos + key_size)).replace(/\u0000+$/, "");
+                            var id = read.uint32(pos + key_size);
+                            header.chromosomes[key] = { id: id, size: read.uint32(pos + key_size + 4) };
+                            header.names[id] = key;
+                            pos += key_size + 8;
+                        } else {
+                            readNode(read.uint64(pos + key_size) - header.chrom_tree_offset);
+                            pos += key_size + 8;
+                        }
+                    }
+                };
+                readNode(32);
+                return header;
+            });
+        }.bind(this));
+        // Don't hold on to a failed read, so that the next request tries again
+        this._header.fail(function() {
+            this._header = null;
+        }.bind(this));
+    }
+    return this._header;
+};
+
+/**
+ * Fetch the records that overlap a region. Chromosome names are matched with or without a "chr" prefix.
+ * @param {String} chr
+ * @param {Number} start The 1-based first position of the region
+ * @param {Number} end The 1-based last position of the region (inclusive)
+ * @param {LocusZoom.CancelToken} [cancel_token] If provided, abort the request for data when this token is cancelled
+ * @returns {Promise} Resolves to an array of records, each an array of BED column values
+ */
+LocusZoom.Data.BigBedReader.prototype.fetchRegion = function(chr, start, end, cancel_token) {
+    return this.fetchHeader().then(function(header) {
+        chr = String(chr);
+        var alt_chr = chr.indexOf("chr") === 0 ? chr.substring(3) : "chr" + chr;
+        var chrom = header.chromosomes[chr] || header.chromosomes[alt_chr];
+        if (!chrom) {
+            return [];
+        }
+        var beg = Math.max(start - 1, 0);
+        var le = header.little_endian;
+
+        // Items in the R tree cover a range from (chromosome, base) to (chromosome, base)
+        var overlaps = function(read, pos) {
+            var start_chrom = read.uint32(pos), start_base = read.uint32(pos + 4);
+            var end_chrom = read.uint32(pos + 8), end_base = read.uint32(pos + 12);
+            return (start_chrom < chrom.id || (start_chrom === chrom.id && start_base < end))
+                && (end_chrom > chrom.id || (end_chrom === chrom.id && end_base > beg));
+        };
+        // Walk the R tree to find the data blocks that overlap the region
+        var searchNode = function(offset, block_size) {
+            // Leaf items are the larger kind, so read enough for a full node of them
+            return this.readBytes(this.data, offset, offset + 4 + block_size * 32, cancel_token).then(function(node) {
+                var read = LocusZoom.Data.BigBedReader.view(node, le);
+                var is_leaf = read.uint8(0);
+                var count = read.uint16(2);
+                var blocks = [];
+                var children = [];
+                for (var i = 0; i < count; i++) {
+                    var pos = 4 + i * (is_leaf ? 32 : 24);
+                    if (overlaps(read, pos)) {
+                        if (is_leaf) {
+                            blocks.push({ offset: read.uint64(pos + 16), size: read.uint64(pos + 24) });
+                        } else {
+                            children.push(searchNode(read.uint64(pos + 16), block_size));
+                        }
+                    }
+                }
+                return Q.all(children).then(function(results) {
+                    return results.reduce(function(acc, result) { return acc.concat(result); }, blocks);
+                });
+            });
+        }.bind(this);
+
+        return this.readBytes(this.data, header.full_index_offset, header.full_index_offset + 48, cancel_token).then(function(bytes) {
+            var read = LocusZoom.Data.BigBedReader.view(bytes, le);
+            return searchNode(header.full_index_offset + 48, read.uint32(4));
+        }).then(function(blocks) {
+            if (!blocks.length) {
+                return [];
+            }
+            blocks.sort(function(a, b) { return a.offset - b.offset; });
+            var first = blocks[0].offset;
+            var last = blocks[blocks.length - 1].offset + blocks[blocks.length - 1].size;
+            // Blocks that overlap a region are usually adjacent, so fetch them all in one request
+            return this.readBytes(this.data, first, last, cancel_token).then(function(bytes) {
+                var records = [];
+                blocks.forEach(function(block) {
+                    var data = bytes.subarray(block.offset - first, block.offset - first + block.size);
+                    if (header.uncompress_buf_size) {
+                        data = pako.inflate(data);
+                    }
+                    var read = LocusZoom.Data.BigBedReader.view(data, le);
+                    var pos = 0;
+                    while (pos + 12 <= data.length) {
+                        var chrom_id = read.uint32(pos);
+                        var rec_start = read.uint32(pos + 4);
+                        var rec_end = read.uint32(pos + 8);
+                        var rest_end = pos + 12;
+                        while (rest_end < data.length && data[rest_end] !== 0) {
+                            rest_end++;
+                        }
+                        var rest = LocusZoom.Data.TabixReader.decodeText(data.subarray(pos + 12, rest_end));
+                        pos = rest_end + 1;
+                        if (chrom_id === chrom.id && rec_start < end && rec_end > beg) {
+                            records.push([header.names[chrom_id], String(rec_start), String(rec_end)].concat(rest ? rest.split("\t") : []));
+                        }
+                    }
+                });
+                return records;
+            });
+        }.bind(this));
+    }.bind(this));
+};
@@ -0,0 +1,264 @@
+"use strict";
+
+/**
+ * Data Source for gene annotations read from a GTF or GFF3 file, for use with the `genes` data layer. The file may be
+ *   plain text (which is read in full, once) or bgzipped and tabix-indexed (for which only the plotted region is read),
+ *   from a URL or a local file.
+ *
+ * Genes, transcripts and exons are assembled into the same structure as provided by `GeneLZ`:
+ *   `{gene_id, gene_name, gene_type, chrom, start, end, strand, transcripts: [{transcript_id, transcript_name, chrom,
+ *   start, end, strand, exons: [{exon_id, chrom, start, end, strand}]}]}`
+ *
+ * Transcripts with coding sequence ("CDS" lines) also have `cds_start` and `cds_end`, so that the `genes` data layer can
+ *   draw UTRs thinner than coding exons. Transcripts tagged "Ensembl_canonical" have `is_canonical: true`.
+ *
+ * - In GTF files, features are grouped by their `gene_id` and `transcript_id` attributes. "gene" and "transcript"
+ *   lines are optional; without them, the extent of each gene and transcript is taken from its exons.
+ * - In GFF3 files, features are grouped by their `ID` and `Parent` attributes. Gene IDs are taken from the `gene_id`
+ *   attribute if there is one (as in Ensembl files), or else the `ID` without any "gene:" prefix.
+ *
+ * When the gene IDs are Ensembl IDs, gene constraint data can be added with a `GeneConstraintLZ` source.
+ *
+ * @example
+ * data_sources.add("gene", ["GTF", { url: "/data/genes.gtf.gz" }]);
+ * data_sources.add("gene", ["GTF", { params: { file: selected_file, format: "text", type: "gff3" } }]);
+ *
+ * @class
+ * @public
+ * @augments LocusZoom.Data.Source
+ * @param {String|Object} init Either the URL of the annotation file, or a config object
+ * @param {String} [init.url] The URL of the annotation file
+ * @param {Object} [init.params]
+ * @param {Blob} [init.params.file] A local annotation file, to be used instead of a URL
+ * @param {String} [init.params.type] "gtf" or "gff3". By default, files whose names contain ".gff" are GFF3.
+ * @param {String} [init.params.format] "text" or "tabix" (see `LocusZoom.Data.TextReader.initSource`)
+ * @param {String} [init.params.index_url] The URL of a tabix index (default: the file URL plus ".tbi")
+ * @param {Blob} [init.params.index_file] A local tabix index file, to be used instead of an index URL
+ */
+LocusZoom.Data.GTFSource = LocusZoom.Data.Source.extend(function(init) {
+    this.parseInit(init);
+}, "GTF");
+
+LocusZoom.Data.GTFSource.prototype.parseInit = function(init) {
+    LocusZoom.Data.TextReader.initSource(this, init, { col_seq: 1, col_beg: 4, col_end: 5 });
+    var filename = this.url || (this.params.file && this.params.file.name) || "";
+    /** @member {String} */
+    this.type = this.params.type || (/\.gff/i.test(filename) ? "gff3" : "gtf");
+    if (this.type !== "gtf" && this.type !== "gff3") {
+        throw("GTF source does not know how to read files of type " + this.type);
+    }
+};
+
+LocusZoom.Data.GTFSource.prototype.getCacheKey = function(state, chain, fields) {
+    var file = this.url || (this.params.file && this.params.file.name) || "";
+    return [file, state.chr, state.start, state.end].join("_");
+};
+
+/**
+ * Parse the attributes column of a GTF (`key "value"; key "value";`) or GFF3 (`key=value;key=value`) line
+ * @protected
+ * @param {String} text
+ * @returns {Object}
+ */
+LocusZoom.Data.GTFSource.prototype.parseAttributes = function(text) {
+    var attributes = {};
+    (text || "").split(";").forEach(function(pair) {
+        pair = pair.trim();
+        if (!pair) {
+            return;
+        }
+        var match;
+        if (this.type === "gff3") {
+            match = pair.match(/^([^=]+)=(.*)$/);
+            if (match) {
+                attributes[match[1]] = decodeURIComponent(match[2]);
+            }
+        } else {
+            match = pair.match(/^(\S+)\s+"?(.*?)"?$/);
+            if (match && !(match[1] in attributes)) {
+                attributes[match[1]] = match[2];
+            }
+        }
+    }.bind(this));
+    return attributes;
+};
+
+/**
+ * Assemble lines of a GTF or GFF3 file into genes, transcripts and exons
+ * @protected
+ * @param {String[][]} lines
+ * @returns {Object[]} Genes, in order of their start position
+ */
+LocusZoom.Data.GTFSource.prototype.assembleGenes = function(lines) {
+    var genes = {};
+    var gene_order = [];
+    var transcripts = {};
+    var exons = [];
+    var cds = [];
+
+    var feature = function(cols) {
+        return { chrom: cols[0], start: +cols[3], end: +cols[4], strand: cols[6] === "-" ? "-" : "+" };
+    };
+    var getGene = function(id, cols) {
+        if (!genes[id]) {
+            genes[id] = feature(cols);
+            genes[id].gene_id = id;
+            genes[id].gene_name = id;
+            genes[id].gene_type = null;
+            genes[id].transcripts = [];
+            genes[id].from_line = false;
+            gene_order.push(id);
+        }
+        return genes[id];
+    };
+    var getTranscript = function(id, gene, cols) {
+        if (!transcripts[id]) {
+            transcripts[id] = feature(cols);
+            transcripts[id].transcript_id = id;
+            transcripts[id].transcript_name = id;
+            transcripts[id].exons = [];
+            transcripts[id].from_line = false;
+            gene.transcripts.push(transcripts[id]);
+        }
+        return transcripts[id];
+    };
+    var applyLine = function(target, cols, fields) {
+        var location = feature(cols);
+        Object.keys(location).forEach(function(key) { target[key] = location[key]; });
+        Object.keys(fields).forEach(function(key) {
+            if (fields[key]) {
+                target[key] = fields[key];
+            }
+        });
+        target.from_line = true;
+    };
+    var gene_types = ["gene", "pseudogene", "ncRNA_gene"];
+
+    if (this.type === "gtf") {
+        lines.forEach(function(cols) {
+            var attributes = this.parseAttributes(cols[8]);
+            if (!attributes.gene_id) {
+                return;
+            }
+            var gene = getGene(attributes.gene_id, cols);
+            if (cols[2] === "gene") {
+                applyLine(gene, cols, {
+                    gene_name: attributes.gene_name,
+                    gene_type: attributes.gene_type || attributes.gene_biotype
+                });
+            } else if (attributes.transcript_id) {
+                var transcript = getTranscript(attributes.transcript_id, gene, cols);
+                if (cols[2] === "transcript") {
+                    applyLine(transcript, cols, { transcript_name: attributes.transcript_name });
+                    // Transcripts may have many tags, but only the first value of each attribute is kept
+                    if (/tag "Ensembl_canonical"/.test(cols[8])) {
+                        transcript.is_canonical = true;
+                    }
+                } else if (cols[2] === "exon") {
+                    exons.push({ transcript: transcript, cols: cols, exon_id: attributes.exon_id });
+                } else if (cols[2] === "CDS") {
+                    cds.push({ transcript: transcript, cols: cols });
+                }
+                if (attributes.gene_name && !gene.from_line) {
+                    gene.gene_name = attributes.gene_name;
+                }
+            }
+        }.bind(this));
+    } else {
+        // GFF3 features may be listed in any order, so first find every gene, then transcripts, then exons
+        var parsed = lines.map(function(cols) {
+            return { cols: cols, attributes: this.parseAttributes(cols[8]) };
+        }.bind(this));
+        var gene_ids = {};
+        parsed.forEach(function(line) {
+            if (gene_types.indexOf(line.cols[2]) !== -1 && line.attributes.ID) {
+                var id = line.attributes.gene_id || line.attributes.ID.replace(/^gene:/, "");
+                gene_ids[line.attributes.ID] = id;
+                applyLine(getGene(id, line.cols), line.cols, {
+                    gene_name: line.attributes.Name || line.attributes.gene_name,
+                    gene_type: line.attributes.biotype || line.attributes.gene_type || line.attributes.gene_biotype
+                });
+            }
+        });
+        var transcript_ids = {};
+        parsed.forEach(function(line) {
+            var parent = (line.attributes.Parent || "").split(",")[0];
+            if (line.attributes.ID && gene_ids[parent]) {
+                var id = line.attributes.transcript_id || line.attributes.ID.replace(/^transcript:/, "");
+                transcript_ids[line.attributes.ID] = id;
+                var transcript = getTranscript(id, genes[gene_ids[parent]], line.cols);
+                applyLine(transcript, line.cols, { transcript_name: line.attributes.Name || line.attributes.transcript_name });
+                if ((line.attributes.tag || "").split(",").indexOf("Ensembl_canonical") !== -1) {
+                    transcript.is_canonical = true;
+                }
+            }
+        });
+        parsed.forEach(function(line) {
+            if (line.cols[2] !== "exon" && line.cols[2] !== "CDS") {
+                return;
+            }
+            (line.attributes.Parent || "").split(",").forEach(function(parent) {
+                var id = transcript_ids[parent];
+                if (!id) {
+                    return;
+                }
+                if (line.cols[2] === "exon") {
+                    exons.push({ transcript: transcripts[id], cols: line.cols, exon_id: line.attributes.exon_id || line.attributes.ID });
+                } else {
+                    cds.push({ transcript: transcripts[id], cols: line.cols });
+                }
+            });
+        });
+    }
+
+    cds.forEach(function(part) {
+        var transcript = part.transcript;
+        var record = feature(part.cols);
+        transcript.cds_start = Math.min(typeof transcript.cds_start == "undefined" ? Infinity : transcript.cds_start, record.start);
+        transcript.cds_end = Math.max(typeof transcript.cds_end == "undefined" ? -Infinity : transcript.cds_end, record.end);
+    });
+
+    exons.forEach(function(exon) {
+        var transcript = exon.transcript;
+        var record = feature(exon.cols);
+        record.exon_id = exon.exon_id || (transcript.transcript_id + "_" + (transcript.exons.length + 1));
+        transcript.exons.push(record);
+        if (!transcript.from_line) {
+            transcript.start = Math.min(transcript.start, record.start);
+            transcript.end = Math.max(transcript.end, record.end);
+        }
+    });
+
+    return gene_order.map(function(id) {
+        var gene = genes[id];
+        gene.transcripts.forEach(function(transcript) {
+            transcript.exons.sort(function(a, b) { return a.start - b.start; });
+            if (!gene.from_line) {
+                gene.start = Math.min(gene.start, transcript.start);
+                gene.end = Math.max(gene.end, transcript.end);
+            }
+            delete transcript.from_line;
+        });
+        // The genes layer draws the first transcript, so every gene needs one (even if without any exons)
+        if (!gene.transcripts.length) {
+            gene.transcripts.push({
+                transcript_id: gene.gene_id, transcript_name: gene.gene_name, chrom: gene.chrom,
+                start: gene.start, end: gene.end, strand: gene.strand, exons: []
+            });
+        }
+        delete gene.from_line;
+        return gene;
+    }).sort(function(a, b) { return a.start - b.start; });
+};
+
+LocusZoom.Data.GTFSource.prototype.fetchRequest = function(state, chain, fields, cancel_token) {
+    return this.reader.fetchRegion(state.chr, state.start, state.end, cancel_token).then(function(lines) {
+        return this.assembleGenes(lines).filter(function(gene) {
+            return gene.start <= state.end && gene.end >= state.start;
+        });
+    }.bind(this));
+};
+
+LocusZoom.Data.GTFSource.prototype.parseResponse = function(resp, chain, fields, outnames) {
+    return { header: chain.header, body: resp };
+};
@@ -0,0 +1,505 @@
+"use strict";
+
+/**
+ * Support for reading bgzip-compressed, tabix-indexed text files (such as GWAS summary statistics) directly in the
+ *   browser, either from a static file server (via HTTP range requests) or from a local File/Blob.
+ *
+ * Only the blocks that overlap the requested region are fetched and decompressed. Decompression uses the
+ *   `pako` vendor library.
+ *
+ * See the SAM/BAM and tabix specifications for details of the BGZF and TBI file formats.
+ */
+
+/**
+ * Read a tabix-indexed file. Both the data file and the index may be given as a URL, a File/Blob, or an
+ *   ArrayBuffer/Uint8Array containing the entire (compressed) file.
+ *
+ * URLs are read with HTTP range requests; the server must honor the `Range` header.
+ *
+ * @class
+ * @param {String|Blob|ArrayBuffer|Uint8Array} data The bgzipped data file
+ * @param {String|Blob|ArrayBuffer|Uint8Array} index The tabix (.tbi) index for the data file
+ * @param {Function} [send] Used to make HTTP requests, as `send(request, cancel_token)`, where request has the form
+ *   `{method, url, headers, responseType}`. Data sources pass their own `sendRequest`, so that interceptors and
+ *   retries apply. (default: make the request directly)
+ */
+LocusZoom.Data.TabixReader = function(data, index, send) {
+    if (!data || !index) {
+        throw("TabixReader requires both a data file and an index");
+    }
+    /** @member {String|Blob|ArrayBuffer|Uint8Array} */
+    this.data = data;
+    /** @member {String|Blob|ArrayBuffer|Uint8Array} */
+    this.index = index;
+    /**
+     * Promise for the parsed index, created the first time it is needed
+     * @protected
+     * @member {Promise}
+     */
+    this._index = null;
+    /**
+     * Promise for the header lines of the data file, created the first time they are needed
+     * @protected
+     * @member {Promise}
+     */
+    this._header = null;
+    /** @member {Function} */
+    this.send = send || function(request, cancel_token) {
+        return LocusZoom.createCORSPromise(request.method, request.url, undefined, request.headers, undefined,
+                                           request.responseType, cancel_token);
+    };
+};
+
+/**
+ * The largest possible size of a single BGZF block, compressed or uncompressed
+ * @type {Number}
+ */
+LocusZoom.Data.TabixReader.MAX_BLOCK_SIZE = 65536;
+
+/**
+ * Read a range of raw bytes from a file
+ * @protected
+ * @param {String|Blob|ArrayBuffer|Uint8Array} source
+ * @param {Number} [start] The first byte to read (default: start of file)
+ * @param {Number} [end] The byte after the last one to read (default: end of file)
+ * @param {LocusZoom.CancelToken} [cancel_token] If provided, abort an HTTP request when this token is cancelled
+ * @returns {Promise} Resolves to a Uint8Array
+ */
+LocusZoom.Data.TabixReader.prototype.readBytes = function(source, start, end, cancel_token) {
+    var ranged = typeof start !== "undefined";
+    if (typeof source === "string") {
+        var headers = ranged ? { Range: "bytes=" + start + "-" + (end - 1) } : {};
+        return this.send({ method: "GET", url: source, headers: headers, responseType: "arraybuffer" }, cancel_token)
+            .then(function(buffer) {
+                var bytes = new Uint8Array(buffer);
+                // A server that ignores the Range header will send back the entire file
+                if (ranged && bytes.length > end - start) {
+                    bytes = bytes.subarray(start, end);
+                }
+                return bytes;
+            });
+    } else if (typeof Blob !== "undefined" && source instanceof Blob) {
+        var blob = ranged ? source.slice(start, end) : source;
+        var result = Q.defer();
+        var reader = new FileReader();
+        reader.onload = function() { result.resolve(new Uint8Array(reader.result)); };
+        reader.onerror = function() { result.reject("Could not read file: " + reader.error); };
+        reader.readAsArrayBuffer(blob);
+        return result.promise;
+    } else if (source instanceof ArrayBuffer || source instanceof Uint8Array) {
+        var all = source instanceof Uint8Array ? source : new Uint8Array(source);
+        return Q.when(ranged ? all.subarray(start, end) : all);
+    }
+    return Q.reject("TabixReader cannot read from a source of type " + typeof source);
+};
+
+/**
+ * Decompress a series of consecutive BGZF blocks. A truncated block at the end of the input is ignored, which allows
+ *   callers to over-fetch without knowing exactly where blocks end.
+ * @param {Uint8Array} bytes Compressed data, beginning at the start of a block
+ * @returns {{data: Uint8Array, offsets: Object}} The decompressed data, along with a map of
+ *   {compressed offset of block: position of block within the decompressed data}
+ */
+LocusZoom.Data.TabixReader.inflateBlocks = function(bytes) {
+    var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    var parts = [];
+    var offsets = {};
+    var total = 0;
+    var pos = 0;
+    while (pos + 18 <= bytes.length) {
+        if (bytes[pos] !== 31 || bytes[pos + 1] !== 139 || bytes[pos + 2] !== 8 || !(bytes[pos + 3] & 4)) {
+            throw("Invalid BGZF block at offset " + pos + "; is this file compressed with bgzip?");
+        }
+        // Find the block size in the "BC" subfield of the gzip extra field
+        var xlen = view.getUint16(pos + 10, true);
+        var bsize = null;
+        for (var x = pos + 12; x < pos + 12 + xlen; x += 4 + view.getUint16(x + 2, true)) {
+            if (bytes[x] === 66 && bytes[x + 1] === 67) {
+                bsize = view.getUint16(x + 4, true) + 1;
+                break;
+            }
+        }
+        if (bsize === null) {
+            throw("BGZF block at offset " + pos + " does not specify its size");
+        }
+        if (pos + bsize > bytes.length) {
+            break;
+        }
+        var block = pako.inflateRaw(bytes.subarray(pos + 12 + xlen, pos + bsize - 8));
+        offsets[pos] = total;
+        parts.push(block);
+        total += block.length;
+        pos += bsize;
+    }
+    var data = new Uint8Array(total);
+    var written = 0;
+    parts.forEach(function(part) {
+        data.set(part, written);
+        written += part.length;
+    });
+    return { data: data, offsets: offsets };
+};
+
+/**
+ * Convert bytes to a string
+ * @param {Uint8Array} bytes
+ * @returns {String}
+ */
+LocusZoom.Data.TabixReader.decodeText = function(bytes) {
+    if (typeof TextDecoder !== "undefined") {
+        return new TextDecoder("utf-8").decode(bytes);
+    }
+    var text = "";
+    var step = 8192;
+    for (var i = 0; i < bytes.length; i += step) {
+        text += String.fromCharCode.apply(null, bytes.subarray(i, i + step));
+    }
+    return text;
+};
+
+/**
+ * Parse a (decompressed) tabix index
+ * @param {Uint8Array} bytes
+ * @returns {Object}
+ */
+LocusZoom.Data.TabixReader.parseIndex = function(bytes) {
+    var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    var pos = 0;
+    var int32 = function() { pos += 4; return view.getInt32(pos - 4, true); };
+    // Virtual file offsets are 64 bit; as JS numbers, they are exact for files smaller than 128 GB
+    var offset64 = function() { pos += 8; return view.getUint32(pos - 4, true) * 4294967296 + view.getUint32(pos - 8, true); };
+
+    if (LocusZoom.Data.TabixReader.decodeText(bytes.subarray(0, 4)) !== "TBI\u0001") {
+        throw("Invalid tabix index file");
+    }
+    pos = 4;
+    var n_ref = int32();
+    var index = {
+        format: int32(),
+        col_seq: int32(),
+        col_beg: int32(),
+        col_end: int32(),
+        meta: String.fromCharCode(int32()),
+        skip: int32(),
+        names: [],
+        refs: []
+    };
+    var l_nm = int32();
+    index.names = LocusZoom.Data.TabixReader.decodeText(bytes.subarray(pos, pos + l_nm)).split("\u0000").slice(0, n_ref);
+    pos += l_nm;
+    for (var r = 0; r < n_ref; r++) {
+        var ref = { bins: {}, ioff: [] };
+        var n_bin = int32();
+        for (var b = 0; b < n_bin; b++) {
+            var bin = view.getUint32(pos, true);
+            pos += 4;
+            var n_chunk = int32();
+            var chunks = [];
+            for (var c = 0; c < n_chunk; c++) {
+                chunks.push({ beg: offset64(), end: offset64() });
+            }
+            ref.bins[bin] = chunks;
+        }
+        var n_intv = int32();
+        for (var i = 0; i < n_intv; i++) {
+            ref.ioff.push(offset64());
+        }
+        index.refs.push(ref);
+    }
+    return index;
+};
+
+/**
+ * List the bins that may contain features overlapping a 0-based, half-open region (from the SAM specification)
+ * @param {Number} beg
+ * @param {Number} end
+ * @returns {Number[]}
+ */
+LocusZoom.Data.TabixReader.reg2bins = function(beg, end) {
+    var bins = [0];
+    end -= 1;
+    [[1, 26], [9, 23], [73, 20], [585, 17], [4681, 14]].forEach(function(level) {
+        for (var k = level[0] + (beg >> level[1]); k <= level[0] + (end >> level[1]); k++) {
+            bins.push(k);
+        }
+    });
+    return bins;
+};
+
+/**
+ * Fetch and parse the index (once)
+ * @returns {Promise}
+ */
+LocusZoom.Data.TabixReader.prototype.fetchIndex = function() {
+    if (!this._index) {
+        this._index = this.readBytes(this.index).then(function(bytes) {
+            return LocusZoom.Data.TabixReader.parseIndex(LocusZoom.Data.TabixReader.inflateBlocks(bytes).data);
+        });
+        // Don't hold on to a failed read, so that the next request tries again
+        this._index.fail(function() {
+            this._index = null;
+        }.bind(this));
+    }
+    return this._index;
+};
+
+/**
+ * Fetch the header lines at the start of the data file: any lines beginning with the index "meta" character, as well
+ *   as the number of lines the index says to skip. The last of these usually gives the column names.
+ * @returns {Promise} Resolves to an array of strings
+ */
+LocusZoom.Data.TabixReader.prototype.fetchHeader = function() {
+    if (!this._header) {
+        this._header = Q.all([this.fetchIndex(), this.readBytes(this.data, 0, LocusZoom.Data.TabixReader.MAX_BLOCK_SIZE)])
+            .spread(function(index, bytes) {
+                var text = LocusZoom.Data.TabixReader.decodeText(LocusZoom.Data.TabixReader.inflateBlocks(bytes).data);
+                var lines = text.split("\n");
+                var header = [];
+                for (var i = 0; i < lines.length - 1; i++) {
+                    if (i < index.skip || lines[i].charAt(0) === index.meta) {
+                        header.push(lines[i]);
+                    } else {
+                        break;
+                    }
+                }
+                return header;
+            });
+        this._header.fail(function() {
+            this._header = null;
+        }.bind(this));
+    }
+    return this._header;
+};
+
+/**
+ * Fetch all data lines that overlap a region
+ * @param {String} chr The chromosome name. A leading "chr" is ignored if the file does not use it (and vice versa).
+ * @param {Number} start The 1-based first position of the region
+ * @param {Number} end The 1-based last position of the region (inclusive)
+ * @param {LocusZoom.CancelToken} [cancel_token] If provided, abort the request for data when this token is cancelled
+ * @returns {Promise} Resolves to an array of data lines, each an array of column values
+ */
+LocusZoom.Data.TabixReader.prototype.fetchRegion = function(chr, start, end, cancel_token) {
+    return this.fetchIndex().then(function(index) {
+        chr = String(chr);
+        var alt_chr = chr.indexOf("chr") === 0 ? chr.substring(3) : "chr" + chr;
+        var tid = index.names.indexOf(chr);
+        if (tid === -1) {
+            tid = index.names.indexOf(alt_chr);
+        }
+        if (tid === -1) {
+            return [];
+        }
+        var ref = index.refs[tid];
+        var beg = Math.max(start - 1, 0);
+        var stop = Math.min(end, 1 << 29);
+
+        // Use the linear index to skip chunks that can only contain features before the region
+        var min_offset = 0;
+        if (ref.ioff.length) {
+            min_offset = ref.ioff[Math.min(beg >> 14, ref.ioff.length - 1)];
+        }
+        var chunks = [];
+        LocusZoom.Data.TabixReader.reg2bins(beg, stop).forEach(function(bin) {
+            (ref.bins[bin] || []).forEach(function(chunk) {
+                if (chunk.end > min_offset) {
+                    chunks.push({ beg: Math.max(chunk.beg, min_offset), end: chunk.end });
+                }
+            });
+        });
+        if (!chunks.length) {
+            return [];
+        }
+        chunks.sort(function(a, b) { return a.beg - b.beg; });
+        var merged = [chunks[0]];
+        chunks.slice(1).forEach(function(chunk) {
+            var last = merged[merged.length - 1];
+            if (chunk.beg <= last.end) {
+                last.end = Math.max(last.end, chunk.end);
+            } else {
+                merged.push(chunk);
+            }
+        });
+
+        // Fetch every block the chunks touch, in one request
+        var first_coffset = Math.floor(merged[0].beg / 65536);
+        var last_coffset = Math.floor(merged[merged.length - 1].end / 65536);
+        return this.readBytes(this.data, first_coffset, last_coffset + LocusZoom.Data.TabixReader.MAX_BLOCK_SIZE, cancel_token)
+            .then(function(bytes) {
+                var inflated = LocusZoom.Data.TabixReader.inflateBlocks(bytes);
+                var toPosition = function(voffset) {
+                    // Virtual offsets combine the compressed offset of a block with a position inside that block
+                    var block = Math.floor(voffset / 65536) - first_coffset;
+                    if (!(block in inflated.offsets)) {
+                        return inflated.data.length;
+                    }
+                    return inflated.offsets[block] + voffset % 65536;
+                };
+                var zero_based = (index.format & 0x10000) !== 0;
+                var lines = [];
+                merged.forEach(function(chunk) {
+                    var text = LocusZoom.Data.TabixReader.decodeText(inflated.data.subarray(toPosition(chunk.beg), toPosition(chunk.end)));
+                    text.split("\n").forEach(function(line) {
+                        if (!line || line.charAt(0) === index.meta) {
+                            return;
+                        }
+                        var cols = line.split("\t");
+                        if (cols[index.col_seq - 1] !== index.names[tid]) {
+                            return;
+                        }
+                        var line_beg = +cols[index.col_beg - 1] + (zero_based ? 1 : 0);
+                        var line_end = index.col_end ? +cols[index.col_end - 1] : line_beg;
+                        if (line_end >= start && line_beg <= end) {
+                            lines.push(cols);
+                        }
+                    });
+                });
+                return lines;
+            });
+    }.bind(this));
+};
+
+/**
+ * Configure a data source that reads from a tabix-indexed file. The source is given either a URL, or a config object
+ *   with `url` (or `params.file`) for the data and, optionally, `params.index_url` (or `params.index_file`) for the
+ *   index. By default, the index URL is the data URL plus ".tbi".
+ * @param {LocusZoom.Data.Source} source
+ * @param {String|Object} init
+ */
+LocusZoom.Data.TabixReader.initSource = function(source, init) {
+    if (typeof init === "string") {
+        init = { url: init };
+    }
+    source.url = init.url;
+    source.params = init.params || {};
+    var data = source.url || source.params.file;
+    var index = source.params.index_url || source.params.index_file || (source.url && source.url + ".tbi");
+    if (!data) {
+        throw("Source not initialized with required URL or file");
+    }
+    if (!index) {
+        throw("Source not initialized with required tabix index");
+    }
+    /** @member {LocusZoom.Data.TabixReader} */
+    source.reader = new LocusZoom.Data.TabixReader(data, index, source.sendRequest.bind(source));
+};
+
+/**
+ * Data Source for association data read from a bgzipped, tabix-indexed text file, such as GWAS summary statistics.
+ *   This can be served by any static file server that supports HTTP range requests, or read from a local file.
+ *
+ * The `columns` param maps output field names to columns in the file, either by 1-based column number or by the name
+ *   used in the header line. Any field may be mapped, but the following are given special treatment:
+ *   - `chromosome` and `position` default to the columns named in the tabix index
+ *   - `id` is built as "chr:pos_ref/alt" if not specified; the same value is also provided as `variant`
+ *   - `pvalue` and `log_pvalue` are calculated from each other, so only one needs to be present in the file
+ *
+ * Missing values ("", ".", "NA") are returned as null.
+ *
+ * @example
+ * data_sources.add("assoc", ["TabixAssociation", {
+ *     url: "/data/my_gwas.tsv.gz",
+ *     params: { columns: { pvalue: "p", ref_allele: "ref", alt_allele: "alt", beta: 7 } }
+ * }]);
+ *
+ * @class
+ * @public
+ * @augments LocusZoom.Data.Source
+ * @param {String|Object} init Either the URL of the data file, or a config object
+ * @param {String} [init.url] The URL of the data file
+ * @param {Object} [init.params]
+ * @param {Blob} [init.params.file] A local data file, to be used instead of a URL
+ * @param {String} [init.params.index_url] The URL of the index (default: the data URL plus ".tbi")
+ * @param {Blob} [init.params.index_file] A local index file, to be used instead of an index URL
+ * @param {Object} [init.params.columns] Mapping of {field name: column number or header name}
+ * @param {String} [init.params.id_field="id"]
+ */
+LocusZoom.Data.TabixAssociationSource = LocusZoom.Data.Source.extend(function(init) {
+    this.parseInit(init);
+}, "TabixAssociation");
+
+LocusZoom.Data.TabixAssociationSource.prototype.parseInit = function(init) {
+    LocusZoom.Data.TabixReader.initSource(this, init);
+};
+
+LocusZoom.Data.TabixAssociationSource.prototype.preGetData = LocusZoom.Data.AssociationSource.prototype.preGetData;
+
+LocusZoom.Data.TabixAssociationSource.prototype.getCacheKey = function(state, chain, fields) {
+    var file = this.url || (this.params.file && this.params.file.name) || "";
+    return [file, state.chr, state.start, state.end].join("_");
+};
+
+/**
+ * Resolve the configured column mapping to 0-based column indices
+ * @protected
+ * @returns {Promise} Resolves to an object of {field name: column index}
+ */
+LocusZoom.Data.TabixAssociationSource.prototype.getColumns = function() {
+    var columns = this.params.columns || {};
+    var needsHeader = Object.keys(columns).some(function(key) { return typeof columns[key] === "string"; });
+    return Q.all([this.reader.fetchIndex(), needsHeader ? this.reader.fetchHeader() : []]).spread(function(index, header) {
+        var names = [];
+        if (header.length) {
+            var line = header[header.length - 1];
+            while (line.charAt(0) === index.meta) {
+                line = line.substring(1);
+            }
+            names = line.split("\t");
+        }
+        var resolved = {
+            chromosome: index.col_seq - 1,
+            position: index.col_beg - 1
+        };
+        Object.keys(columns).forEach(function(key) {
+            var column = columns[key];
+            if (typeof column === "string") {
+                if (names.indexOf(column) === -1) {
+                    throw("Column '" + column + "' not found in file header");
+                }
+                resolved[key] = names.indexOf(column);
+            } else {
+                resolved[key] = column - 1;
+            }
+        });
+        if (!("pvalue" in resolved) && !("log_pvalue" in resolved)) {
+            throw("TabixAssociation source requires a pvalue or log_pvalue column");
+        }
+        return resolved;
+    });
+};
+
+LocusZoom.Data.TabixAssociationSource.prototype.fetchRequest = function(state, chain, fields, cancel_token) {
+    return Q.all([this.getColumns(), this.reader.fetchRegion(state.chr, state.start, state.end, cancel_token)]).spread(function(columns, lines) {
+        var missing = ["", ".", "NA"];
+        var numeric = ["position", "pvalue", "log_pvalue"];
+        var id_field = this.params.id_field || "id";
+        return lines.map(function(cols) {
+            var record = {};
+            Object.keys(columns).forEach(function(key) {
+                var val = cols[columns[key]];
+                if (typeof val === "undefined" || missing.indexOf(val) !== -1) {
+                    val = null;
+                } else if (numeric.indexOf(key) !== -1) {
+                    val = +val;
+                }
+                record[key] = val;
+            });
+            if (!("pvalue" in columns)) {
+                record.pvalue = record.log_pvalue === null ? null : Math.pow(10, -record.log_pvalue);
+            }
+            if (!("log_pvalue" in columns)) {
+                record.log_pvalue = record.pvalue === null ? null : -Math.log(record.pvalue) / Math.LN10;
+            }
+            if (!(id_field in columns)) {
+                record[id_field] = record.chromosome + ":" + record.position;
+                if (record.ref_allele && record.alt_allele) {
+                    record[id_field] += "_" + record.ref_allele + "/" + record.alt_allele;
+                }
+            }
+            if (!("variant" in columns)) {
+                record.variant = record[id_field];
+            }
+            return record;
+        });
+    }.bind(this));
+};
@@ -0,0 +1,135 @@
+"use strict";
+
+/**
+ * Read regions from a plain (uncompressed, unindexed) tab-delimited text file, such as a small BED or GTF file. The
+ *   whole file is read once, the first time it is needed; after that, regions are found without further requests.
+ *   This has the same interface as `LocusZoom.Data.TabixReader`, so that sources can read either kind of file.
+ *
+ * Lines beginning with "#", and lines without a numeric position (such as BED "track" lines), are skipped.
+ *
+ * @class
+ * @param {String|Blob|ArrayBuffer|Uint8Array} data The text file
+ * @param {Object} columns Where to find the location of each line, in the same form as a tabix index
+ * @param {Number} columns.col_seq The 1-based column number of the chromosome
+ * @param {Number} columns.col_beg The 1-based column number of the start position
+ * @param {Number} [columns.col_end] The 1-based column number of the end position (default: same as the start)
+ * @param {Boolean} [columns.zero_based=false] Whether start positions are 0-based, as in BED files
+ * @param {Function} [send] Used to make HTTP requests (see `LocusZoom.Data.TabixReader`)
+ */
+LocusZoom.Data.TextReader = function(data, columns, send) {
+    if (!data) {
+        throw("TextReader requires a data file");
+    }
+    /** @member {String|Blob|ArrayBuffer|Uint8Array} */
+    this.data = data;
+    /** @member {Object} */
+    this.columns = columns;
+    /**
+     * Promise for the lines of the file, created the first time they are needed
+     * @protected
+     * @member {Promise}
+     */
+    this._lines = null;
+    /** @member {Function} */
+    this.send = send || function(request, cancel_token) {
+        return LocusZoom.createCORSPromise(request.method, request.url, undefined, request.headers, undefined,
+                                           request.responseType, cancel_token);
+    };
+};
+
+/**
+ * Read a range of raw bytes from the file (see `LocusZoom.Data.TabixReader.readBytes`)
+ * @protected
+ * @returns {Promise} Resolves to a Uint8Array
+ */
+LocusZoom.Data.TextReader.prototype.readBytes = function(source, start, end, cancel_token) {
+    return LocusZoom.Data.TabixReader.prototype.readBytes.call(this, source, start, end, cancel_token);
+};
+
+/**
+ * Read every line of the file (once), split into columns
+ * @param {LocusZoom.CancelToken} [cancel_token] If provided, stop waiting for the lines when this token is cancelled.
+ *   The file is read once for all requests, so cancelling one request doesn't stop the read for the others.
+ * @returns {Promise}
+ */
+LocusZoom.Data.TextReader.prototype.fetchLines = function(cancel_token) {
+    if (!this._lines) {
+        var col_beg = this.columns.col_beg - 1;
+        this._lines = this.readBytes(this.data).then(function(bytes) {
+            return LocusZoom.Data.TabixReader.decodeText(bytes).split(/\r?\n/).filter(function(line) {
+                return line && line.charAt(0) !== "#";
+            }).map(function(line) {
+                return line.split("\t");
+            }).filter(function(cols) {
+                return cols[col_beg] !== "" && !isNaN(+cols[col_beg]);
+            });
+        });
+        // Don't hold on to a failed (or cancelled) read, so that the next request tries again
+        this._lines.fail(function() {
+            this._lines = null;
+        }.bind(this));
+    }
+    if (!cancel_token) {
+        return this._lines;
+    }
+    var lines = Q.defer();
+    cancel_token.onCancel(lines.reject);
+    this._lines.then(lines.resolve, lines.reject);
+    return lines.promise;
+};
+
+/**
+ * Fetch the lines that overlap a region. Chromosome names are matched with or without a "chr" prefix.
+ * @param {String} chr
+ * @param {Number} start The 1-based first position of the region
+ * @param {Number} end The 1-based last position of the region (inclusive)
+ * @param {LocusZoom.CancelToken} [cancel_token] If provided, abort the request for data when this token is cancelled
+ * @returns {Promise} Resolves to an array of data lines, each an array of column values
+ */
+LocusZoom.Data.TextReader.prototype.fetchRegion = function(chr, start, end, cancel_token) {
+    chr = String(chr);
+    var alt_chr = chr.indexOf("chr") === 0 ? chr.substring(3) : "chr" + chr;
+    var columns = this.columns;
+    return this.fetchLines(cancel_token).then(function(lines) {
+        return lines.filter(function(cols) {
+            var seq = cols[columns.col_seq - 1];
+            var line_beg = +cols[columns.col_beg - 1] + (columns.zero_based ? 1 : 0);
+            var line_end = columns.col_end ? +cols[columns.col_end - 1] : line_beg;
+            return (seq === chr || seq === alt_chr) && line_end >= start && line_beg <= end;
+        });
+    });
+};
+
+/**
+ * Configure a data source that reads from either a tabix-indexed file (see `LocusZoom.Data.TabixReader.initSource`)
+ *   or a plain text file. The format may be given as `params.format` ("tabix" or "text"); otherwise, files whose
+ *   names end in ".gz", or that are given an index, are tabix-indexed.
+ * @param {LocusZoom.Data.Source} source
+ * @param {String|Object} init
+ * @param {Object} columns Where to find the location of each line in a plain text file (see `TextReader`)
+ */
+LocusZoom.Data.TextReader.initSource = function(source, init, columns) {
+    if (typeof init === "string") {
+        init = { url: init };
+    }
+    var params = init.params || {};
+    var filename = init.url || (params.file && params.file.name) || "";
+    var format = params.format;
+    if (!format) {
+        format = (/\.gz$/i.test(filename) || params.index_url || params.index_file) ? "tabix" : "text";
+    }
+    if (format === "tabix") {
+        LocusZoom.Data.TabixReader.initSource(source, init);
+    } else if (format === "text") {
+        source.url = init.url;
+        source.params = params;
+        if (!source.url && !source.params.file) {
+            throw("Source not initialized with required URL or file");
+        }
+        source.reader = new LocusZoom.Data.TextReader(source.url || source.params.file, columns, source.sendRequest.bind(source));
+    } else {
+        throw("Source does not know how to read files of format " + format);
+    }
+    /** @member {String} */
+    source.format = format;
+};
@@ -0,0 +1,365 @@
+"use strict";
+
+/**
+ * Data Source for LD calculated in the browser from the genotypes in a bgzipped, tabix-indexed VCF file (such as a
+ *   private reference panel). For the reference variant (chosen as for `LDLZ`), r² and D′ are calculated against every
+ *   variant in the VCF within the plotted region, and merged into the association data by position.
+ *
+ * Phased genotypes are compared as haplotypes. If either variant has unphased genotypes, r² is calculated from
+ *   genotype dosages instead, and D′ is not available. D′ is given as an absolute value. Missing genotypes are ignored.
+ *
+ * Calculations are done in a Web Worker where the browser supports it, so that the page stays responsive.
+ *
+ * @example
+ * data_sources.add("ld", ["VCFLD", { url: "/data/panel.vcf.gz" }]);
+ * // fields: ["ld:rsquare", "ld:dprime", "ld:isrefvar"]
+ *
+ * @class
+ * @public
+ * @augments LocusZoom.Data.LDSource
+ * @param {String|Object} init Either the URL of the VCF file, or a config object
+ * @param {String} [init.url] The URL of the VCF file
+ * @param {Object} [init.params]
+ * @param {Blob} [init.params.file] A local VCF file, to be used instead of a URL
+ * @param {String} [init.params.index_url] The URL of the index (default: the VCF URL plus ".tbi")
+ * @param {Blob} [init.params.index_file] A local index file, to be used instead of an index URL
+ * @param {String} [init.params.refvar="state"] How to choose the reference variant (see `LDLZ`)
+ * @param {String} [init.params.statistic="rsquare"] The statistic provided by the `state` and `best` fields
+ */
+LocusZoom.Data.VCFLDSource = LocusZoom.Data.Source.extend(function(init) {
+    LocusZoom.Data.TabixReader.initSource(this, init);
+    /**
+     * @protected
+     * @member {Worker}
+     */
+    this._worker = null;
+    /**
+     * The object URL of the worker's script
+     * @protected
+     * @member {String}
+     */
+    this._worker_url = null;
+    /**
+     * Deferreds for calculations sent to the worker, by request id
+     * @protected
+     * @member {Object}
+     */
+    this._pending = {};
+    /**
+     * @protected
+     * @member {Number}
+     */
+    this._next_request = 0;
+}, "VCFLD", "LDLZ");
+
+/**
+ * Calculate LD between a reference variant and each variant in a region, given the VCF lines for both, or (if
+ *   `message.pairwise` is set) between every pair of variants in the region. This runs in a Web Worker, so it must not
+ *   refer to anything outside of itself.
+ * @param {Object} message
+ * @param {String[][]} message.lines VCF lines (as arrays of columns) for the region
+ * @param {String[][]} [message.ref_lines] VCF lines at the position of the reference variant
+ * @param {Object} [message.ref] The reference variant, as {ref_allele, alt_allele}. Alleles may be null if unknown.
+ * @param {Boolean} [message.pairwise=false]
+ * @returns {{position2: Number[], rsquare: Number[], dprime: Number[]}|{variant1: String[], position1: Number[],
+ *   variant2: String[], position2: Number[], rsquare: Number[], dprime: Number[]}}
+ */
+LocusZoom.Data.VCFLDSource.computeLD = function(message) {
+    // Read the genotypes in one line as alternate allele counts, per haplotype and per sample (null if missing)
+    var readGenotypes = function(cols, alt_index) {
+        var gt = cols[8] ? cols[8].split(":").indexOf("GT") : -1;
+        if (gt === -1) {
+            return null;
+        }
+        var result = { haplotypes: [], dosages: [], phased: true };
+        for (var i = 9; i < cols.length; i++) {
+            var call = cols[i].split(":")[gt] || ".";
+            if (call.indexOf("/") !== -1) {
+                result.phased = false;
+            }
+            var dosage = 0;
+            call.split(/[|/]/).forEach(function(allele) {
+                var value = allele === "." ? null : (+allele === alt_index ? 1 : 0);
+                result.haplotypes.push(value);
+                dosage = (dosage === null || value === null) ? null : dosage + value;
+            });
+            result.dosages.push(dosage);
+        }
+        return result;
+    };
+    // Squared correlation of two vectors, skipping missing values
+    var rsquare = function(x, y) {
+        var n = 0, sx = 0, sy = 0, sxy = 0, sxx = 0, syy = 0;
+        for (var i = 0; i < x.length; i++) {
+            if (x[i] === null || y[i] === null) {
+                continue;
+            }
+            n++;
+            sx += x[i];
+            sy += y[i];
+            sxy += x[i] * y[i];
+            sxx += x[i] * x[i];
+            syy += y[i] * y[i];
+        }
+        var cov = sxy / n - (sx / n) * (sy / n);
+        var vx = sxx / n - (sx / n) * (sx / n);
+        var vy = syy / n - (sy / n) * (sy / n);
+        return (n && vx > 0 && vy > 0) ? cov * cov / (vx * vy) : null;
+    };
+    // D' between two vectors of haplotypes
+    var dprime = function(x, y) {
+        var n = 0, pa = 0, pb = 0, pab = 0;
+        for (var i = 0; i < x.length; i++) {
+            if (x[i] === null || y[i] === null) {
+                continue;
+            }
+            n++;
+            pa += x[i];
+            pb += y[i];
+            pab += x[i] * y[i];
+        }
+        if (!n) {
+            return null;
+        }
+        pa /= n;
+        pb /= n;
+        var d = pab / n - pa * pb;
+        var dmax = d < 0 ? Math.min(pa * pb, (1 - pa) * (1 - pb)) : Math.min(pa * (1 - pb), (1 - pa) * pb);
+        return dmax > 0 ? Math.abs(d / dmax) : null;
+    };
+
+    // Statistics for one pair of variants, comparing haplotypes if both are phased
+    var correlate = function(x, y) {
+        if (x.phased && y.phased) {
+            return [rsquare(x.haplotypes, y.haplotypes), dprime(x.haplotypes, y.haplotypes)];
+        }
+        return [rsquare(x.dosages, y.dosages), null];
+    };
+
+    if (message.pairwise) {
+        var variants = [];
+        message.lines.forEach(function(cols) {
+            var position = +cols[1];
+            if (variants.length && variants[variants.length - 1].position === position) {
+                return;
+            }
+            var genotypes = readGenotypes(cols, 1);
+            if (genotypes) {
+                genotypes.position = position;
+                genotypes.id = cols[0].replace(/^chr/, "") + ":" + position + "_" + cols[3] + "/" + cols[4].split(",")[0];
+                variants.push(genotypes);
+            }
+        });
+        var pairs = { variant1: [], position1: [], variant2: [], position2: [], rsquare: [], dprime: [] };
+        for (var i = 0; i < variants.length; i++) {
+            for (var j = i + 1; j < variants.length; j++) {
+                var stats = correlate(variants[i], variants[j]);
+                pairs.variant1.push(variants[i].id);
+                pairs.position1.push(variants[i].position);
+                pairs.variant2.push(variants[j].id);
+                pairs.position2.push(variants[j].position);
+                pairs.rsquare.push(stats[0]);
+                pairs.dprime.push(stats[1]);
+            }
+        }
+        return pairs;
+    }
+
+    // Find the line for the reference variant, matching alleles (in either order) if they are known
+    var ref = message.ref;
+    var ref_genotypes = null;
+    message.ref_lines.forEach(function(cols) {
+        if (ref_genotypes) {
+            return;
+        }
+        var alts = cols[4].split(",");
+        var alt_index = 1;
+        if (ref.ref_allele && ref.alt_allele) {
+            if (cols[3] === ref.ref_allele && alts.indexOf(ref.alt_allele) !== -1) {
+                alt_index = alts.indexOf(ref.alt_allele) + 1;
+            } else if (cols[3] === ref.alt_allele && alts.indexOf(ref.ref_allele) !== -1) {
+                alt_index = alts.indexOf(ref.ref_allele) + 1;
+            } else {
+                return;
+            }
+        }
+        ref_genotypes = readGenotypes(cols, alt_index);
+    });
+
+    var result = { position2: [], rsquare: [], dprime: [] };
+    if (!ref_genotypes) {
+        return result;
+    }
+    message.lines.forEach(function(cols) {
+        var position = +cols[1];
+        // Results are joined by position, so only the first variant at each position is used
+        if (result.position2.length && result.position2[result.position2.length - 1] === position) {
+            return;
+        }
+        var genotypes = readGenotypes(cols, 1);
+        if (!genotypes) {
+            return;
+        }
+        var stats = correlate(ref_genotypes, genotypes);
+        result.position2.push(position);
+        result.rsquare.push(stats[0]);
+        result.dprime.push(stats[1]);
+    });
+    return result;
+};
+
+/**
+ * Run the LD calculation, in a Web Worker if possible
+ * @protected
+ * @param {Object} message See `computeLD`
+ * @returns {Promise}
+ */
+LocusZoom.Data.VCFLDSource.prototype.compute = function(message) {
+    if (typeof Worker === "undefined" || typeof Blob === "undefined" || typeof URL === "undefined" || !URL.createObjectURL) {
+        return Q.fcall(LocusZoom.Data.VCFLDSource.computeLD, message);
+    }
+    if (!this._worker) {
+        var script = "var computeLD = " + LocusZoom.Data.VCFLDSource.computeLD.toString() + ";\n"
+            + "self.onmessage = function(event) {\n"
+            + "    try { self.postMessage({ id: event.data.id, result: computeLD(event.data.message) }); }\n"
+            + "    catch (error) { self.postMessage({ id: event.data.id, error: String(error) }); }\n"
+            + "};";
+        this._worker_url = URL.createObjectURL(new Blob([script], { type: "application/javascript" }));
+        this._worker = new Worker(this._worker_url);
+        this._worker.onmessage = function(event) {
+            var request = this._pending[event.data.id];
+            delete this._pending[event.data.id];
+            if (request && event.data.error) {
+                request.reject("Unable to calculate LD: " + event.data.error);
+            } else if (request) {
+                request.resolve(event.data.result);
+            }
+        }.bind(this);
+        this._worker.onerror = function(event) {
+            Object.keys(this._pending).forEach(function(id) {
+                this._pending[id].reject("Unable to calculate LD: " + event.message);
+            }.bind(this));
+            this._pending = {};
+        }.bind(this);
+    }
+    var id = this._next_request++;
+    var request = this._pending[id] = Q.defer();
+    this._worker.postMessage({ id: id, message: message });
+    return request.promise;
+};
+
+/**
+ * Stop the worker (failing any calculations still in progress) and release its script. The worker is started again if
+ *   the source is used afterwards.
+ * @public
+ */
+LocusZoom.Data.VCFLDSource.prototype.destroy = function() {
+    if (this._worker) {
+        this._worker.terminate();
+        this._worker = null;
+        URL.revokeObjectURL(this._worker_url);
+        this._worker_url = null;
+    }
+    Object.keys(this._pending).forEach(function(id) {
+        this._pending[id].reject("Unable to calculate LD: the data source was removed");
+    }.bind(this));
+    this._pending = {};
+};
+
+/**
+ * Find the position and alleles of the reference variant: from the association data if it is there, or else from an
+ *   ID of the form "chr:position_ref/alt"
+ * @protected
+ * @param {String} refvar
+ * @param {Object} chain
+ * @param {Object} state
+ * @returns {{chr: String, position: Number, ref_allele: String|null, alt_allele: String|null}}
+ */
+LocusZoom.Data.VCFLDSource.prototype.findRefvar = function(refvar, chain, state) {
+    var match = String(refvar).match(/^(?:chr)?([^:]+):(\d+)(?:_([^/]+)\/(.+))?$/);
+    var ref = {
+        chr: match ? match[1] : state.chr,
+        position: match ? +match[2] : null,
+        ref_allele: match && match[3] ? match[3] : null,
+        alt_allele: match && match[4] ? match[4] : null
+    };
+    var keys = this.findMergeFields(chain);
+    if (keys.id && keys.position) {
+        chain.body.forEach(function(record) {
+            if (record[keys.id] === refvar) {
+                ref.chr = state.chr;
+                ref.position = record[keys.position];
+            }
+        });
+    }
+    if (ref.position === null) {
+        throw("Unable to find the position of LD reference variant " + refvar);
+    }
+    return ref;
+};
+
+LocusZoom.Data.VCFLDSource.prototype.getCacheKey = function(state, chain, fields) {
+    var file = this.url || (this.params.file && this.params.file.name) || "";
+    return [file, state.chr, state.start, state.end, this.getRefvar(state, chain, fields)].join("_");
+};
+
+LocusZoom.Data.VCFLDSource.prototype.fetchRequest = function(state, chain, fields, cancel_token) {
+    var ref = this.findRefvar(this.getRefvar(state, chain, fields), chain, state);
+    return Q.all([
+        this.reader.fetchRegion(state.chr, state.start, state.end, cancel_token),
+        this.reader.fetchRegion(ref.chr, ref.position, ref.position, cancel_token)
+    ]).spread(function(lines, ref_lines) {
+        return this.compute({ lines: lines, ref_lines: ref_lines, ref: ref });
+    }.bind(this));
+};
+
+LocusZoom.Data.VCFLDSource.prototype.parseResponse = function(resp, chain, fields, outnames, trans, state) {
+    return LocusZoom.Data.LDSource.prototype.parseResponse.call(this, { data: resp }, chain, fields, outnames, trans, state);
+};
+
+/**
+ * Data Source for the LD between every pair of variants in a region, calculated in the browser from the genotypes in a
+ *   bgzipped, tabix-indexed VCF file (as for `VCFLD`), for use with the `ld_heatmap` data layer.
+ *
+ * Each record provides `variant1`, `position1`, `variant2`, `position2`, `rsquare`, and `dprime`, in the same form as
+ *   `PairwiseLDLZ`. Variants are identified as "chr:position_ref/alt", and only the first variant at each position is
+ *   used. The number of pairs grows with the square of the number of variants, so regions with more than
+ *   `params.max_variants` variants are thinned to that many, evenly spaced by rank.
+ *
+ * @example
+ * data_sources.add("ldpairs", ["VCFPairwiseLD", { url: "/data/panel.vcf.gz", params: { max_variants: 300 } }]);
+ *
+ * @class
+ * @public
+ * @augments LocusZoom.Data.VCFLDSource
+ * @param {String|Object} init Either the URL of the VCF file, or a config object (see `VCFLD`)
+ * @param {Number} [init.params.max_variants=200]
+ */
+LocusZoom.Data.VCFPairwiseLDSource = LocusZoom.Data.Source.extend(function(init) {
+    LocusZoom.Data.VCFLDSource.apply(this, arguments);
+}, "VCFPairwiseLD", "VCFLD");
+
+// Pairs do not depend on the other data in the chain, or on a reference variant
+LocusZoom.Data.VCFPairwiseLDSource.prototype.independentSource = true;
+
+LocusZoom.Data.VCFPairwiseLDSource.prototype.preGetData = null;
+
+LocusZoom.Data.VCFPairwiseLDSource.prototype.getCacheKey = function(state, chain, fields) {
+    var file = this.url || (this.params.file && this.params.file.name) || "";
+    return [file, state.chr, state.start, state.end].join("_");
+};
+
+LocusZoom.Data.VCFPairwiseLDSource.prototype.fetchRequest = function(state, chain, fields, cancel_token) {
+    var max_variants = Math.max(this.params.max_variants || 200, 2);
+    return this.reader.fetchRegion(state.chr, state.start, state.end, cancel_token).then(function(lines) {
+        if (lines.length > max_variants) {
+            var step = (lines.length - 1) / (max_variants - 1);
+            lines = d3.range(max_variants).map(function(i) { return lines[Math.round(i * step)]; });
+        }
+        return this.compute({ lines: lines, pairwise: true });
+    }.bind(this));
+};
+
+LocusZoom.Data.VCFPairwiseLDSource.prototype.parseResponse = function(resp, chain, fields, outnames, trans, state) {
+    return LocusZoom.Data.Source.prototype.parseResponse.call(this, { data: resp }, chain, fields, outnames, trans, state);
+};
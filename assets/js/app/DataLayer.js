@@ -45,11 +45,25 @@ LocusZoom.DataLayer = function(layout, parent) {
     // Initialize parameters for storing data and tool tips
     /** @member {Array} */
     this.data = [];
+    /**
+     * Token for the data request made by the most recent reMap; cancelled when a newer reMap supersedes it
+     * @protected
+     * @member {LocusZoom.CancelToken}
+     */
+    this.remap_token = null;
     if (this.layout.tooltip){
         /** @member {Object} */
         this.tooltips = {};
     }
 
+    /**
+     * The elements given a status by each legend element that has one, by status and then by element ID, so that
+     *   the status can be removed from them when the legend element is toggled off
+     * @protected
+     * @member {Object}
+     */
+    this.legend_status_elements = {};
+
     // Initialize flags for tracking global statuses
     this.global_statuses = {
         "highlighted": false,
@@ -310,7 +324,8 @@ LocusZoom.DataLayer.prototype.moveDown = function(){
 
 /**
  * Apply scaling functions to an element or parameter as needed, based on its layout and the element's data
- * If the layout parameter is already a primitive type, simply return the value as given
+ * If the layout parameter is already a primitive type, simply return the value as given. If it names a field but no
+ *   scale function, the value of that field is used directly (for instance, a color provided by the data source).
  * @param {Array|Number|String|Object} layout
  * @param {*} data The value to be used with the filter
  * @returns {*} The transformed value
@@ -337,6 +352,11 @@ LocusZoom.DataLayer.prototype.resolveScalableParameter = function(layout, data){
                 } else {
                     ret = LocusZoom.ScaleFunctions.get(layout.scale_function, layout.parameters || {}, data);
                 }
+            } else if (layout.field) {
+                ret = new LocusZoom.Data.Field(layout.field).resolve(data);
+                if (typeof ret == "undefined"){
+                    ret = null;
+                }
             }
             break;
         }
@@ -824,6 +844,184 @@ LocusZoom.DataLayer.prototype.setElementStatusByFilters = function(status, toggl
     return this;
 };
 
+/**
+ * Get the position at which an element is drawn, in pixels relative to the panel's clip area. Only layers that draw
+ *   each element at a single point (such as scatter) can report positions; for all others this returns null.
+ * @param {Object} element
+ * @returns {{x: Number, y: Number}|null}
+ */
+LocusZoom.DataLayer.prototype.getElementPosition = function(element){
+    return null;
+};
+
+/**
+ * Find the elements drawn inside a polygon, such as one drawn by a selection interaction (see
+ *   `LocusZoom.Panel.setSelectionMode`)
+ * @param {Array[]} polygon The polygon's vertices as [x, y] pairs, in pixels relative to the panel's clip area
+ * @param {Boolean} [include_hidden=false] Whether to include elements that are hidden
+ * @returns {Object[]}
+ */
+LocusZoom.DataLayer.prototype.getElementsInPolygon = function(polygon, include_hidden){
+    if (!Array.isArray(polygon) || polygon.length < 3){ return []; }
+    var hidden = (this.state[this.state_id] && this.state[this.state_id].hidden) || [];
+    // Count the polygon's edges crossed by a ray cast rightward from the point: an odd number means it is inside
+    var contains = function(x, y){
+        var inside = false;
+        for (var i = 0, j = polygon.length - 1; i < polygon.length; j = i++){
+            var xi = polygon[i][0], yi = polygon[i][1];
+            var xj = polygon[j][0], yj = polygon[j][1];
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi){
+                inside = !inside;
+            }
+        }
+        return inside;
+    };
+    return this.data.filter(function(element){
+        var position = this.getElementPosition(element);
+        if (!position || isNaN(position.x) || isNaN(position.y)){ return false; }
+        if (!include_hidden){
+            try {
+                if (hidden.indexOf(this.getElementId(element)) !== -1){ return false; }
+            } catch (get_element_id_error){
+                return false;
+            }
+        }
+        return contains(position.x, position.y);
+    }.bind(this));
+};
+
+/**
+ * Toggle a status on every element drawn inside a polygon. Hidden elements are left alone unless the status being
+ *   toggled is "hidden". Tooltips are not opened for the elements, as a selection may hold a great many of them.
+ * @param {String} status
+ * @param {Boolean} toggle
+ * @param {Array[]} polygon The polygon's vertices as [x, y] pairs, in pixels relative to the panel's clip area
+ * @param {Boolean} exclusive
+ * @returns {Object[]} The elements inside the polygon, whose status was toggled
+ */
+LocusZoom.DataLayer.prototype.setElementStatusByPolygon = function(status, toggle, polygon, exclusive){
+
+    // Sanity check
+    if (typeof status == "undefined" || LocusZoom.DataLayer.Statuses.adjectives.indexOf(status) === -1){
+        throw("Invalid status passed to DataLayer.setElementStatusByPolygon()");
+    }
+    if (typeof this.state[this.state_id][status] == "undefined"){ return []; }
+    if (typeof toggle == "undefined"){ toggle = true; } else { toggle = !!toggle; }
+    if (typeof exclusive == "undefined"){ exclusive = false; } else { exclusive = !!exclusive; }
+
+    if (exclusive){
+        this.setAllElementStatus(status, !toggle);
+    }
+
+    // Apply statuses, then close any tooltips that doing so opened
+    var open_tooltips = this.tooltips ? Object.keys(this.tooltips) : [];
+    var elements = this.getElementsInPolygon(polygon, status === "hidden");
+    elements.forEach(function(element){
+        this.setElementStatus(status, element, toggle);
+    }.bind(this));
+    if (this.tooltips){
+        Object.keys(this.tooltips).forEach(function(id){
+            if (open_tooltips.indexOf(id) === -1){ this.destroyTooltip(id); }
+        }.bind(this));
+    }
+
+    return elements;
+};
+
+/**
+ * Find the elements represented by one of the data layer's legend elements: those that match the legend element's
+ *   `filters` (in the format used by `DataLayer.filter`), or else those drawn in the legend element's `color`
+ * @param {Object} legend_element
+ * @returns {Object[]}
+ */
+LocusZoom.DataLayer.prototype.getLegendElementMatches = function(legend_element){
+    if (Array.isArray(legend_element.filters)){
+        return this.filterElements(legend_element.filters);
+    }
+    if (typeof legend_element.color != "string" || typeof this.layout.color == "undefined"){ return []; }
+    var color = d3.rgb(legend_element.color).toString();
+    return this.data.filter(function(element){
+        var element_color = this.resolveScalableParameter(this.layout.color, element);
+        return typeof element_color == "string" && d3.rgb(element_color).toString() === color;
+    }.bind(this));
+};
+
+/**
+ * Give a status (such as hidden or faded) to all elements represented by one of the data layer's legend elements, as
+ *   when that legend element is clicked. The choice is kept in the data layer's state, as `legend` (the status of each
+ *   legend element, by its index), so that it applies to new data and can be set through `Plot.applyState`.
+ * @param {Number} index The index of the element in the data layer's `legend`
+ * @param {String|null} status The status to give, or null to remove any status given by this legend element
+ * @returns {LocusZoom.DataLayer}
+ */
+LocusZoom.DataLayer.prototype.setLegendElementStatus = function(index, status){
+    if (status !== null && LocusZoom.DataLayer.Statuses.adjectives.indexOf(status) === -1){
+        throw("Invalid status passed to DataLayer.setLegendElementStatus()");
+    }
+    var current = this.state[this.state_id].legend || {};
+    var legend_state = {};
+    Object.keys(current).forEach(function(idx){ legend_state[idx] = current[idx]; });
+    if (status){
+        legend_state[index] = status;
+    } else {
+        delete legend_state[index];
+    }
+    return this.setLegendElementStatuses(legend_state);
+};
+
+/**
+ * Replace the statuses of all of the data layer's legend elements at once (see `setLegendElementStatus`)
+ * @param {Object} statuses The status of each legend element that has one, by its index
+ * @returns {LocusZoom.DataLayer}
+ */
+LocusZoom.DataLayer.prototype.setLegendElementStatuses = function(statuses){
+    var legend_state = {};
+    Object.keys(statuses || {}).forEach(function(index){
+        if (LocusZoom.DataLayer.Statuses.adjectives.indexOf(statuses[index]) === -1){
+            throw("Invalid status passed to DataLayer.setLegendElementStatuses()");
+        }
+        legend_state[index] = statuses[index];
+    });
+    this.state[this.state_id].legend = legend_state;
+    return this.applyLegendStatuses();
+};
+
+/**
+ * Apply the statuses of legend elements (as set by `setLegendElementStatus`) to the elements that they represent, and
+ *   remove them from elements that they no longer represent
+ * @returns {LocusZoom.DataLayer}
+ */
+LocusZoom.DataLayer.prototype.applyLegendStatuses = function(){
+    var legend_state = this.state[this.state_id].legend || {};
+    var legend = Array.isArray(this.layout.legend) ? this.layout.legend : [];
+    var current = {};
+    Object.keys(legend_state).forEach(function(index){
+        var status = legend_state[index];
+        if (!legend[index] || LocusZoom.DataLayer.Statuses.adjectives.indexOf(status) === -1){ return; }
+        current[status] = current[status] || {};
+        this.getLegendElementMatches(legend[index]).forEach(function(element){
+            current[status][this.getElementId(element)] = element;
+        }.bind(this));
+    }.bind(this));
+    var previous = this.legend_status_elements;
+    Object.keys(previous).forEach(function(status){
+        Object.keys(previous[status]).forEach(function(id){
+            if (!current[status] || !current[status][id]){
+                this.setElementStatus(status, previous[status][id], false);
+            }
+        }.bind(this));
+    }.bind(this));
+    Object.keys(current).forEach(function(status){
+        Object.keys(current[status]).forEach(function(id){
+            if (this.state[this.state_id][status].indexOf(id) === -1){
+                this.setElementStatus(status, current[status][id], true);
+            }
+        }.bind(this));
+    }.bind(this));
+    this.legend_status_elements = current;
+    return this;
+};
+
 /**
  * Toggle a status on all elements in the data layer
  * @param {String} status
@@ -935,6 +1133,11 @@ LocusZoom.DataLayer.prototype.executeBehaviors = function(directive, behaviors)
                     }
                 }
                 break;
+
+            // Show the region around the element in a regional plot
+            case "open_region":
+                this.openRegion(element, behavior);
+                break;
                 
             // Action not defined, just return
             default:
@@ -950,6 +1153,61 @@ LocusZoom.DataLayer.prototype.executeBehaviors = function(directive, behaviors)
 
 };
 
+/**
+ * Show the region around an element in a regional plot, such as when a peak is clicked in a genome-wide plot. The
+ *   regional plot is created the first time, and after that is moved to each new region.
+ * @param {Object} element
+ * @param {Object} [options]
+ * @param {String} [options.chromosome_field] The field with the chromosome of the element (default: the
+ *   `chromosome_field` of this layer's layout)
+ * @param {String} [options.position_field] The field with the position of the element (default: the
+ *   `position_field` of this layer's layout)
+ * @param {Number} [options.flank=250000] How many base pairs to show on either side of the element
+ * @param {String} [options.selector] A CSS selector for the element to draw the regional plot in. By default, a new
+ *   element is added just after this plot.
+ * @param {String} [options.layout="standard_association"] The name of the plot layout to use for the regional plot
+ * @returns {LocusZoom.Plot} The regional plot
+ */
+LocusZoom.DataLayer.prototype.openRegion = function(element, options){
+    options = options || {};
+    var chromosome_field = options.chromosome_field || this.layout.chromosome_field;
+    var position_field = options.position_field || this.layout.position_field;
+    if (!chromosome_field || !position_field){
+        throw("DataLayer [" + this.id + "] must specify a chromosome_field and position_field to open a region");
+    }
+    var position = +element[position_field];
+    var flank = isNaN(options.flank) ? 250000 : +options.flank;
+    var state = {
+        chr: String(element[chromosome_field]).replace(/^chr/i, ""),
+        start: Math.max(Math.round(position - flank), 1),
+        end: Math.round(position + flank)
+    };
+
+    var selector = options.selector;
+    if (!selector){
+        var id = this.parent_plot.id + "_region";
+        if (!document.getElementById(id)){
+            var container = this.parent_plot.container;
+            var div = document.createElement("div");
+            div.id = id;
+            container.parentNode.insertBefore(div, container.nextSibling);
+        }
+        selector = "#" + id;
+    }
+
+    // Reuse the regional plot drawn by an earlier call, as long as it is still on the page
+    this.region_plots = this.region_plots || {};
+    var plot = this.region_plots[selector];
+    if (plot && plot.container && document.body.contains(plot.container) && d3.select(selector).node() === plot.container){
+        plot.applyState(state);
+    } else {
+        var layout = LocusZoom.Layouts.get("plot", options.layout || "standard_association", { state: state });
+        plot = LocusZoom.populate(selector, this.parent_plot.datasource, layout);
+        this.region_plots[selector] = plot;
+    }
+    return plot;
+};
+
 /**
  * Get an object with the x and y coordinates of the panel's origin in terms of the entire page
  *   Necessary for positioning any HTML elements over the panel
@@ -964,20 +1222,109 @@ LocusZoom.DataLayer.prototype.getPageOrigin = function(){
 };
 
 /**
- * Get a data layer's current underlying data in a standard format (e.g. JSON or CSV)
+ * Get the records of a data layer to export
+ * @param {('all'|'selected'|'filtered')} [scope='all'] Which records to export: all of them, only those that are
+ *   selected, or only those that pass the layer's `filters` (if it has any) and are not hidden
+ * @returns {Object[]}
+ */
+LocusZoom.DataLayer.prototype.getExportData = function(scope){
+    var state = (this.parent_plot && this.parent_plot.state[this.state_id]) || {};
+    var has_status = function(status){
+        var ids = state[status] || [];
+        return function(element){
+            return ids.indexOf(this.getElementId(element)) !== -1;
+        }.bind(this);
+    }.bind(this);
+    switch (scope){
+    case "selected":
+        return this.data.filter(has_status("selected"));
+    case "filtered":
+        var is_hidden = has_status("hidden");
+        var data = Array.isArray(this.layout.filters) ? this.filter(this.layout.filters, "elements") : this.data;
+        return data.filter(function(element){ return !is_hidden(element); });
+    default:
+        return this.data;
+    }
+};
+
+/**
+ * Get readable column names for the fields of a data layer: each field without its namespace (as in "pvalue" for
+ *   "assoc:pvalue"), unless that would give two fields the same name
+ * @returns {String[]}
+ */
+LocusZoom.DataLayer.prototype.getExportFieldNames = function(){
+    var fields = this.layout.fields.map(function(field){
+        return new LocusZoom.Data.Field(field);
+    });
+    var names = fields.map(function(field){
+        return field.full_name.replace(/^[^:|]+:/, "");
+    });
+    return names.map(function(name, idx){
+        var count = names.filter(function(other){ return other === name; }).length;
+        return count > 1 ? fields[idx].full_name : name;
+    });
+};
+
+/**
+ * Get the columns to export from some records: the data layer's fields or, if the records are not stored under the
+ *   names of their fields (as genes are not), each key whose value is not an object in any record. Values that refer to
+ *   other objects, such as the data layer that a gene is drawn by, are never exported.
+ * @param {Object[]} data
+ * @returns {{keys: String[], names: String[]}} The keys to read from each record, and the column names to give them
+ */
+LocusZoom.DataLayer.prototype.getExportColumns = function(data){
+    // Derived fields are stored under their names, rather than the expressions that define them
+    var fields = this.layout.fields.map(function(field){
+        return new LocusZoom.Data.Field(field).full_name;
+    });
+    var has_fields = !data.length || fields.some(function(key){
+        return data.some(function(record){ return typeof record[key] != "undefined"; });
+    });
+    if (has_fields){
+        return { keys: fields, names: this.getExportFieldNames() };
+    }
+    var keys = [];
+    var excluded = {};
+    data.forEach(function(record){
+        Object.keys(record).forEach(function(key){
+            var value = record[key];
+            if (value !== null && (typeof value == "object" || typeof value == "function")){
+                excluded[key] = true;
+            } else if (keys.indexOf(key) === -1){
+                keys.push(key);
+            }
+        });
+    });
+    keys = keys.filter(function(key){ return !excluded[key]; });
+    return { keys: keys, names: keys };
+};
+
+/**
+ * Get a data layer's current underlying data in a standard format (e.g. JSON or CSV). Only the columns given by
+ *   `getExportColumns` are exported. CSV and TSV data have a header row of readable column names.
  * @param {('csv'|'tsv'|'json')} format How to export the data
- * @returns {*}
+ * @param {('all'|'selected'|'filtered')} [scope='all'] Which records to export (see `getExportData`)
+ * @returns {String|null} The exported data, or null if it could not be exported
  */
-LocusZoom.DataLayer.prototype.exportData = function(format){
+LocusZoom.DataLayer.prototype.exportData = function(format, scope){
     var default_format = "json";
     format = format || default_format;
     format = (typeof format == "string" ? format.toLowerCase() : default_format);
     if (["json","csv","tsv"].indexOf(format) === -1){ format = default_format; }
+    var data = this.getExportData(scope);
+    var columns = this.getExportColumns(data);
+    var records = data.map(function(record){
+        var exported = {};
+        columns.keys.forEach(function(key){
+            if (typeof record[key] != "undefined"){ exported[key] = record[key]; }
+        });
+        return exported;
+    });
     var ret;
     switch (format){
     case "json":
         try {
-            ret = JSON.stringify(this.data);
+            ret = JSON.stringify(records);
         } catch (e){
             ret = null;
             console.error("Unable to export JSON data from data layer: " + this.getBaseId() + ";", e);
@@ -986,28 +1333,23 @@ LocusZoom.DataLayer.prototype.exportData = function(format){
     case "tsv":
     case "csv":
         try {
-            var jsonified = JSON.parse(JSON.stringify(this.data));
-            if (typeof jsonified != "object"){
-                ret = jsonified.toString();
-            } else if (!Array.isArray(jsonified)){
-                ret = "Object";
-            } else {
-                var delimiter = (format === "tsv") ? "\t" : ",";
-                var header = this.layout.fields.map(function(header){
-                    return JSON.stringify(header);
-                }).join(delimiter) + "\n";
-                ret = header + jsonified.map(function(record){
-                    return this.layout.fields.map(function(field){
-                        if (typeof record[field] == "undefined"){
-                            return JSON.stringify(null);
-                        } else if (typeof record[field] == "object" && record[field] !== null){
-                            return Array.isArray(record[field]) ? "\"[Array(" + record[field].length + ")]\"" : "\"[Object]\"";
-                        } else {
-                            return JSON.stringify(record[field]);
-                        }
-                    }).join(delimiter);
-                }.bind(this)).join("\n");
-            }
+            var jsonified = JSON.parse(JSON.stringify(records));
+            var delimiter = (format === "tsv") ? "\t" : ",";
+            // Column names are only quoted if they would otherwise be read as more than one column
+            var header = columns.names.map(function(name){
+                return (name.indexOf(delimiter) !== -1 || /["\r\n]/.test(name)) ? JSON.stringify(name) : name;
+            }).join(delimiter) + "\n";
+            ret = header + jsonified.map(function(record){
+                return columns.keys.map(function(key){
+                    if (typeof record[key] == "undefined"){
+                        return JSON.stringify(null);
+                    } else if (typeof record[key] == "object" && record[key] !== null){
+                        return Array.isArray(record[key]) ? "\"[Array(" + record[key].length + ")]\"" : "\"[Object]\"";
+                    } else {
+                        return JSON.stringify(record[key]);
+                    }
+                }).join(delimiter);
+            }).join("\n");
         } catch (e){
             ret = null;
             console.error("Unable to export CSV data from data layer: " + this.getBaseId() + ";", e);
@@ -1033,16 +1375,24 @@ LocusZoom.DataLayer.prototype.draw = function(){
 
 /**
  * Re-Map a data layer to reflect changes in the state of a plot (such as viewing region/ chromosome range)
+ * @param {LocusZoom.CancelToken} [cancel_token] If provided, abort the data request when this token is cancelled
  * @return {Promise}
  */
-LocusZoom.DataLayer.prototype.reMap = function(){
+LocusZoom.DataLayer.prototype.reMap = function(cancel_token){
 
     this.destroyAllTooltips(); // hack - only non-visible tooltips should be destroyed
     // and then recreated if returning to visibility
 
+    // Abort any request still pending for an earlier state, so that only data for the latest state is applied
+    if (this.remap_token){
+        this.remap_token.cancel();
+    }
+    var token = this.remap_token = cancel_token ? cancel_token.child() : new LocusZoom.CancelToken();
+
     // Fetch new data
-    var promise = this.parent_plot.lzd.getData(this.state, this.layout.fields); //,"ld:best"
+    var promise = this.parent_plot.lzd.getData(this.state, this.layout.fields, token); //,"ld:best"
     promise.then(function(new_data){
+        if (token.cancelled){ return; }
         this.data = new_data.body;
         this.applyDataMethods();
         this.initialized = true;
@@ -1119,10 +1469,11 @@ LocusZoom.DataLayers = (function() {
      * @param {String} parent_name The name of the parent data layer whose behavior is to be extended
      * @param {String} name The name of the new datalayer to register
      * @param {Object} [overrides] Object of properties and methods to combine with the prototype of the parent datalayer
+     * @param {Function} [constructor] Additional setup for each new instance, called (with the same arguments) after the
+     *   constructor of the parent datalayer. This can be used to replace methods that the parent defines per instance.
      * @returns {Function} The constructor for the new child class
      */
-    obj.extend = function(parent_name, name, overrides) {
-        // TODO: Consider exposing additional constructor argument, if there is a use case for very granular extension
+    obj.extend = function(parent_name, name, overrides, constructor) {
         overrides = overrides || {};
 
         var parent = datalayers[parent_name];
@@ -1132,7 +1483,13 @@ LocusZoom.DataLayers = (function() {
         if (typeof overrides !== "object") {
             throw "Must specify an object of properties and methods";
         }
-        var child = LocusZoom.subclass(parent, overrides);
+        if (constructor && typeof constructor !== "function") {
+            throw "Constructor must be a function";
+        }
+        var child = LocusZoom.subclass(parent, overrides, constructor && function() {
+            parent.apply(this, arguments);
+            constructor.apply(this, arguments);
+        });
         // Bypass .set() because we want a layer of inheritance below `DataLayer`
         datalayers[name] = child;
         return child;
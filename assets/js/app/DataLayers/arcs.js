@@ -0,0 +1,208 @@
+"use strict";
+
+/**
+ * Arcs Data Layer
+ * Implements a data layer that draws arcs between two genomic regions, such as chromatin interactions (e.g. promoter
+ *   capture Hi-C loops) or links between variants and the genes they regulate. Each record has two anchors
+ *   (start1-end1 and start2-end2) and a score; arcs join the centers of their anchors.
+ * Arcs are kept even when one anchor lies outside of the plotted region, and are clipped at the edge of the panel.
+ * @class LocusZoom.DataLayers.arcs
+ * @augments LocusZoom.DataLayer
+ */
+LocusZoom.DataLayers.add("arcs", function(layout){
+
+    // Define a default layout for this DataLayer type and merge it with the passed argument
+    this.DefaultLayout = {
+        start1_field: "start1",
+        end1_field: "end1",
+        start2_field: "start2",
+        end2_field: "end2",
+        score_field: "score",
+        // Arcs rise from the bottom of the panel ("up") or hang from the top ("down")
+        direction: "up",
+        // The height of each arc in pixels. If not defined (or null for an arc), arcs are scaled so that the arc with
+        //   the highest score fills the height of the panel.
+        arc_height: null,
+        color: "#357EBD",
+        stroke_width: 1.5,
+        stroke_opacity: 1
+    };
+    layout = LocusZoom.Layouts.merge(layout, this.DefaultLayout);
+
+    // Apply the arguments to set LocusZoom.DataLayer as the prototype
+    LocusZoom.DataLayer.apply(this, arguments);
+
+    /**
+     * The highest score of any arc in the data, to which arcs are scaled when no `arc_height` is given
+     * @member {Number}
+     */
+    this.max_score = 0;
+
+    /**
+     * Find the highest score once per data load, rather than for every arc drawn
+     * @returns {LocusZoom.DataLayer}
+     */
+    this.applyCustomDataMethods = function(){
+        this.max_score = d3.max(this.data, function(record){ return +record[this.layout.score_field]; }.bind(this)) || 0;
+        return this;
+    };
+
+    /**
+     * Records have no single ID field (unless one is given as `id_field`), so identify each arc by its anchors
+     * @override
+     * @param {String|Object} element
+     * @returns {String}
+     */
+    this.getElementId = function(element){
+        if (typeof element == "object" && !this.layout.id_field){
+            element = [
+                element[this.layout.start1_field], element[this.layout.end1_field],
+                element[this.layout.start2_field], element[this.layout.end2_field]
+            ].join("_").replace(/\W/g, "");
+        }
+        return LocusZoom.DataLayer.prototype.getElementId.call(this, element);
+    };
+
+    /**
+     * Get the height available to arcs, in pixels
+     * @returns {Number}
+     */
+    this.getLayerHeight = function(){
+        return this.parent.layout.height - (this.parent.layout.margin.top + this.parent.layout.margin.bottom);
+    };
+
+    /**
+     * Get the position of an arc's ends and peak, in pixels. Ends lie at the center of each anchor (or at the start of
+     *   an anchor without an end), and may be outside of the plotted region.
+     * @param {Object} d
+     * @returns {{x1: Number, x2: Number, baseline: Number, peak: Number}} `peak` is the y coordinate of the top of the
+     *   arc (or the bottom, if it hangs down)
+     */
+    this.getArcGeometry = function(d){
+        var center = function(start_field, end_field){
+            var start = +d[this.layout[start_field]];
+            var end = d[this.layout[end_field]];
+            end = (typeof end == "undefined" || end === null) ? start : +end;
+            return this.parent.x_scale((start + end) / 2);
+        }.bind(this);
+        var layer_height = this.getLayerHeight();
+        var height = this.layout.arc_height === null ? null : this.resolveScalableParameter(this.layout.arc_height, d);
+        if (height === null || isNaN(+height)){
+            var score = +d[this.layout.score_field];
+            height = (this.max_score > 0 && score > 0) ? layer_height * score / this.max_score : 0;
+        }
+        height = Math.max(Math.min(+height, layer_height), 0);
+        var baseline = this.layout.direction === "down" ? 0 : layer_height;
+        return {
+            x1: center("start1_field", "end1_field"),
+            x2: center("start2_field", "end2_field"),
+            baseline: baseline,
+            peak: this.layout.direction === "down" ? baseline + height : baseline - height
+        };
+    };
+
+    // Reimplement the positionTooltip() method to place tooltips next to the peak of an arc
+    this.positionTooltip = function(id){
+        if (typeof id != "string"){
+            throw ("Unable to position tooltip: id is not a string");
+        }
+        if (!this.tooltips[id]){
+            throw ("Unable to position tooltip: id does not point to a valid tooltip");
+        }
+        var tooltip = this.tooltips[id];
+        var arrow_width = 7; // as defined in the default stylesheet
+        var stroke_width = 1; // as defined in the default stylesheet
+        var page_origin = this.getPageOrigin();
+        var tooltip_box = tooltip.selector.node().getBoundingClientRect();
+        var arc = this.getArcGeometry(tooltip.data);
+        var data_layer_height = this.getLayerHeight();
+        var data_layer_width = this.parent.layout.width - (this.parent.layout.margin.left + this.parent.layout.margin.right);
+        // Position horizontally: center on the peak of the arc (if it's in view), padding to either side if bumping up
+        // against the edge of the data layer
+        var peak_x = Math.max(Math.min((arc.x1 + arc.x2) / 2, data_layer_width), 0);
+        var offset_right = Math.max((tooltip_box.width / 2) - peak_x, 0);
+        var offset_left = Math.max((tooltip_box.width / 2) + peak_x - data_layer_width, 0);
+        var left = page_origin.x + peak_x - (tooltip_box.width / 2) - offset_left + offset_right;
+        var arrow_left = (tooltip_box.width / 2) - (arrow_width / 2) + offset_left - offset_right;
+        // Position vertically below the peak unless there's insufficient space
+        var top, arrow_type, arrow_top;
+        if (tooltip_box.height + stroke_width + arrow_width > data_layer_height - arc.peak){
+            top = page_origin.y + arc.peak - (tooltip_box.height + stroke_width + arrow_width);
+            arrow_type = "down";
+            arrow_top = tooltip_box.height - stroke_width;
+        } else {
+            top = page_origin.y + arc.peak + stroke_width + arrow_width;
+            arrow_type = "up";
+            arrow_top = 0 - stroke_width - arrow_width;
+        }
+        // Apply positions to the main div
+        tooltip.selector.style("left", left + "px").style("top", top + "px");
+        // Create / update position on arrow connecting tooltip to data
+        if (!tooltip.arrow){
+            tooltip.arrow = tooltip.selector.append("div").style("position", "absolute");
+        }
+        tooltip.arrow
+            .attr("class", "lz-data_layer-tooltip-arrow_" + arrow_type)
+            .style("left", arrow_left + "px")
+            .style("top", arrow_top + "px");
+    };
+
+    // Implement the main render function
+    this.render = function(){
+
+        var selection = this.svg.group
+            .selectAll("path.lz-data_layer-arcs")
+            .data(this.data, function(d){ return this.getElementId(d); }.bind(this));
+
+        // Create elements, apply class and ID
+        selection.enter()
+            .append("path")
+            .attr("class", "lz-data_layer-arcs")
+            .attr("id", function(d){ return this.getElementId(d); }.bind(this));
+
+        // Each arc is a quadratic curve, whose control point is twice as far from the baseline as its peak
+        var shape = function(d){
+            var arc = this.getArcGeometry(d);
+            var control_y = (2 * arc.peak) - arc.baseline;
+            return "M" + arc.x1 + "," + arc.baseline
+                + "Q" + ((arc.x1 + arc.x2) / 2) + "," + control_y
+                + " " + arc.x2 + "," + arc.baseline;
+        }.bind(this);
+        var stroke = function(d){ return this.resolveScalableParameter(this.layout.color, d); }.bind(this);
+        var stroke_width = function(d){ return this.resolveScalableParameter(this.layout.stroke_width, d); }.bind(this);
+        var stroke_opacity = function(d){ return this.resolveScalableParameter(this.layout.stroke_opacity, d); }.bind(this);
+
+        if (this.canTransition()){
+            selection
+                .transition()
+                .duration(this.layout.transition.duration || 0)
+                .ease(this.layout.transition.ease || "cubic-in-out")
+                .attr("d", shape)
+                .attr("stroke", stroke)
+                .attr("stroke-width", stroke_width)
+                .attr("stroke-opacity", stroke_opacity);
+        } else {
+            selection
+                .attr("d", shape)
+                .attr("stroke", stroke)
+                .attr("stroke-width", stroke_width)
+                .attr("stroke-opacity", stroke_opacity);
+        }
+
+        // Remove old elements as needed
+        selection.exit().remove();
+
+        // Apply default event emitters to selection
+        selection.on("click.event_emitter", function(element){
+            this.parent.emit("element_clicked", element);
+            this.parent_plot.emit("element_clicked", element);
+        }.bind(this));
+
+        // Apply behaviors to arcs
+        this.applyBehaviors(selection);
+
+    };
+
+    return this;
+
+});
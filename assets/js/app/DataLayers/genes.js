@@ -2,7 +2,13 @@
 
 /*********************
  * Genes Data Layer
- * Implements a data layer that will render gene tracks
+ * Implements a data layer that will render gene tracks. Genes can be shown in one of three display modes:
+ *   - "collapsed": one row per gene, showing either its canonical transcript (the one marked `is_canonical`, or else the
+ *     first) or, with `collapsed_transcript: "merged"`, the exons of all of its transcripts merged together
+ *   - "expanded": one labeled row per transcript, each with its own tooltip
+ *   - "squished": one thin, unlabeled row per transcript, to show many isoforms in little space
+ * Transcripts that provide `cds_start` and `cds_end` are drawn with thinner UTRs than coding exons.
+ * In the expanded and squished modes, the panel height is scaled to fit the rows shown.
  * @class
  * @augments LocusZoom.DataLayer
 */
@@ -16,8 +22,13 @@ LocusZoom.DataLayers.add("genes", function(layout){
         label_font_size: 12,
         label_exon_spacing: 4,
         exon_height: 16,
+        utr_height: 8,
         bounding_box_padding: 6,
         track_vertical_spacing: 10,
+        display_mode: "collapsed",
+        collapsed_transcript: "canonical",
+        squished_exon_height: 6,
+        strand_arrow_spacing: 30
     };
     layout = LocusZoom.Layouts.merge(layout, this.DefaultLayout);
 
@@ -33,25 +44,233 @@ LocusZoom.DataLayers.add("genes", function(layout){
         return this.getElementId(element) + "-statusnode";
     };
 
+    /**
+     * Get the sizes of the parts of a single gene track in the current display mode. Squished tracks have no labels.
+     * @returns {{padding: number, label_height: number, exon_height: number, utr_height: number, spacing: number}}
+     */
+    this.getTrackDimensions = function(){
+        if (this.layout.display_mode === "squished"){
+            var scale = this.layout.squished_exon_height / this.layout.exon_height;
+            return {
+                padding: 1,
+                label_height: 0,
+                exon_height: this.layout.squished_exon_height,
+                utr_height: this.layout.utr_height * scale,
+                spacing: 2
+            };
+        }
+        return {
+            padding: this.layout.bounding_box_padding,
+            label_height: this.layout.label_font_size + this.layout.label_exon_spacing,
+            exon_height: this.layout.exon_height,
+            utr_height: this.layout.utr_height,
+            spacing: this.layout.track_vertical_spacing
+        };
+    };
+
     /**
      * Helper function to sum layout values to derive total height for a single gene track
      * @returns {number}
      */
     this.getTrackHeight = function(){
-        return 2 * this.layout.bounding_box_padding
-            + this.layout.label_font_size
-            + this.layout.label_exon_spacing
-            + this.layout.exon_height
-            + this.layout.track_vertical_spacing;
+        var track = this.getTrackDimensions();
+        return 2 * track.padding + track.label_height + track.exon_height + track.spacing;
+    };
+
+    /**
+     * The height of all tracks, as used to scale the panel to fit the data
+     * @override
+     * @returns {number}
+     */
+    this.getAbsoluteDataHeight = function(){
+        return (this.tracks * this.getTrackHeight()) - this.getTrackDimensions().spacing;
     };
 
     /**
-     * A gene may have arbitrarily many transcripts, but this data layer isn't set up to render them yet.
-     * Stash a transcript_idx to point to the first transcript and use that for all transcript refs.
+     * Change how genes are displayed, and scale the panel to fit
+     * @param {("collapsed"|"expanded"|"squished")} mode
+     * @returns {LocusZoom.DataLayer}
+     */
+    this.setDisplayMode = function(mode){
+        if (["collapsed", "expanded", "squished"].indexOf(mode) === -1){
+            throw("Invalid gene display mode: " + mode);
+        }
+        this.layout.display_mode = mode;
+        // Tooltips belong to genes or transcripts that may no longer be drawn
+        this.destroyAllTooltips();
+        this.render();
+        this.parent.scaleHeightToData(this.getAbsoluteDataHeight());
+        return this;
+    };
+
+    /**
+     * The genes (in collapsed mode) or transcripts (in expanded and squished modes) currently drawn, one per row.
+     *   Each has all of the fields of its gene, the fields of the transcript drawn for it, and a `feature_id`.
+     * @member {Object[]}
+     */
+    this.features = [];
+
+    /**
+     * The height to which the panel was last scaled to fit the data, so that it is scaled only when that changes
+     * @protected
      * @member {number}
-     * @type {number}
      */
-    this.transcript_idx = 0;
+    this.scaled_height = null;
+
+    /**
+     * Get the transcript to draw for a gene in collapsed mode: either its canonical transcript, or a transcript
+     *   made of the exons of all of its transcripts merged together
+     * @param {Object} gene
+     * @returns {Object}
+     */
+    this.getCollapsedTranscript = function(gene){
+        if (this.layout.collapsed_transcript === "merged" && gene.transcripts.length > 1){
+            var exons = [];
+            var cds_start = Infinity, cds_end = -Infinity;
+            gene.transcripts.forEach(function(transcript){
+                exons = exons.concat(transcript.exons);
+                if (typeof transcript.cds_start == "number" && typeof transcript.cds_end == "number"){
+                    cds_start = Math.min(cds_start, transcript.cds_start);
+                    cds_end = Math.max(cds_end, transcript.cds_end);
+                }
+            });
+            var merged = [];
+            exons.slice().sort(function(a, b){ return a.start - b.start; }).forEach(function(exon){
+                var last = merged[merged.length - 1];
+                if (last && exon.start <= last.end){
+                    last.end = Math.max(last.end, exon.end);
+                } else {
+                    merged.push({ exon_id: gene.gene_id + "_merged_" + (merged.length + 1), start: exon.start, end: exon.end });
+                }
+            });
+            var transcript = {
+                transcript_id: gene.transcripts.map(function(t){ return t.transcript_id; }).join(", "),
+                exons: merged
+            };
+            if (cds_start <= cds_end){
+                transcript.cds_start = cds_start;
+                transcript.cds_end = cds_end;
+            }
+            return transcript;
+        }
+        var canonical = gene.transcripts.filter(function(transcript){ return transcript.is_canonical; });
+        return canonical[0] || gene.transcripts[0];
+    };
+
+    /**
+     * Build the list of genes or transcripts to draw in the current display mode
+     * @returns {Object[]}
+     */
+    this.getFeatures = function(){
+        var collapsed = this.layout.display_mode === "collapsed";
+        var features = [];
+        this.data.forEach(function(gene){
+            var transcripts = collapsed ? [this.getCollapsedTranscript(gene)] : gene.transcripts;
+            transcripts.forEach(function(transcript){
+                var feature = {};
+                Object.keys(gene).forEach(function(key){
+                    if (key !== "transcripts"){ feature[key] = gene[key]; }
+                });
+                // Collapsed genes span the whole gene; transcripts span only themselves
+                var keys = ["transcript_id", "transcript_name", "exons", "cds_start", "cds_end", "is_canonical"];
+                if (!collapsed){ keys = keys.concat(["start", "end", "strand"]); }
+                keys.forEach(function(key){
+                    if (typeof transcript[key] != "undefined"){ feature[key] = transcript[key]; }
+                });
+                feature.gene = gene;
+                feature.transcript = transcript;
+                if (collapsed){
+                    feature.feature_id = gene.gene_id;
+                    feature.label = gene.gene_name;
+                } else {
+                    feature.feature_id = gene.gene_id + "_" + transcript.transcript_id;
+                    feature.label = (transcript.transcript_name && transcript.transcript_name !== transcript.transcript_id)
+                        ? transcript.transcript_name : gene.gene_name + " " + transcript.transcript_id;
+                }
+                features.push(feature);
+            });
+        }.bind(this));
+        return features;
+    };
+
+    /**
+     * Each gene or transcript drawn is identified by its `feature_id`: the gene ID in collapsed mode, or the gene and
+     *   transcript IDs otherwise
+     * @override
+     * @param {String|Object} element
+     * @returns {String}
+     */
+    this.getElementId = function(element){
+        if (typeof element == "object" && typeof element.feature_id != "undefined"){
+            element = element.feature_id.toString().replace(/\W/g, "");
+        }
+        return LocusZoom.DataLayer.prototype.getElementId.call(this, element);
+    };
+
+    /**
+     * Split the exons of a gene or transcript into coding and untranslated parts, if its coding sequence is known
+     * @param {Object} feature
+     * @returns {Object[]} An array of {exon_id, start, end, coding}
+     */
+    this.getExonSegments = function(feature){
+        var has_cds = typeof feature.cds_start == "number" && typeof feature.cds_end == "number";
+        var segments = [];
+        (feature.exons || []).forEach(function(exon){
+            if (!has_cds){
+                segments.push({ exon_id: exon.exon_id, start: exon.start, end: exon.end, coding: true });
+                return;
+            }
+            [
+                { start: exon.start, end: Math.min(exon.end, feature.cds_start), coding: false },
+                { start: Math.max(exon.start, feature.cds_start), end: Math.min(exon.end, feature.cds_end), coding: true },
+                { start: Math.max(exon.start, feature.cds_end), end: exon.end, coding: false }
+            ].forEach(function(part, p){
+                if (part.end > part.start){
+                    part.exon_id = exon.exon_id + "_" + p;
+                    segments.push(part);
+                }
+            });
+        });
+        return segments;
+    };
+
+    /**
+     * Generate a path of arrows along the introns of a gene or transcript, pointing in the direction of its strand
+     * @param {Object} feature
+     * @param {number} center_y The vertical center of the track
+     * @param {number} size The height of each arrow
+     * @returns {String}
+     */
+    this.getStrandArrowPath = function(feature, center_y, size){
+        var spacing = +this.layout.strand_arrow_spacing;
+        if (!spacing){ return ""; }
+        var x_scale = this.parent.x_scale;
+        var data_layer_width = this.parent.layout.width - (this.parent.layout.margin.left + this.parent.layout.margin.right);
+        var direction = feature.strand === "-" ? -1 : 1;
+        var half = size / 2;
+        // Introns are the gaps between exons (or the whole gene, if it has none)
+        var introns = [];
+        var cursor = feature.start;
+        (feature.exons || []).slice().sort(function(a, b){ return a.start - b.start; }).forEach(function(exon){
+            if (exon.start > cursor){ introns.push([cursor, exon.start]); }
+            cursor = Math.max(cursor, exon.end);
+        });
+        if (feature.end > cursor){ introns.push([cursor, feature.end]); }
+        var path = "";
+        introns.forEach(function(intron){
+            // Only draw the arrows that can be seen
+            var start = Math.max(x_scale(intron[0]), 0);
+            var end = Math.min(x_scale(intron[1]), data_layer_width);
+            var count = Math.floor((end - start) / spacing);
+            for (var a = 0; a < count; a++){
+                var x = start + ((end - start) * (a + 0.5) / count);
+                path += "M" + (x - direction * half / 2) + "," + (center_y - half)
+                    + "L" + (x + direction * half / 2) + "," + center_y
+                    + "L" + (x - direction * half / 2) + "," + (center_y + half);
+            }
+        });
+        return path;
+    };
 
     /**
      * An internal counter for the number of tracks in the data layer. Used as an internal counter for looping
@@ -81,8 +300,9 @@ LocusZoom.DataLayers.add("genes", function(layout){
          * @returns {number}
          */
         this.getLabelWidth = function(gene_name, font_size){
+            var temp_text = null;
             try {
-                var temp_text = this.svg.group.append("text")
+                temp_text = this.svg.group.append("text")
                     .attr("x", 0).attr("y", 0).attr("class", "lz-data_layer-genes lz-label")
                     .style("font-size", font_size)
                     .text(gene_name + "→");
@@ -90,6 +310,8 @@ LocusZoom.DataLayers.add("genes", function(layout){
                 temp_text.remove();
                 return label_width;
             } catch (e){
+                // Don't leave the measuring text behind, where it would be mistaken for a label
+                if (temp_text){ temp_text.remove(); }
                 return 0;
             }
         };
@@ -98,74 +320,95 @@ LocusZoom.DataLayers.add("genes", function(layout){
         this.tracks = 1;
         this.gene_track_index = { 1: [] };
 
-        this.data.map(function(d, g){
+        this.data.forEach(function(gene){
 
             // If necessary, split combined gene id / version fields into discrete fields.
             // NOTE: this may be an issue with CSG's genes data source that may eventually be solved upstream.
-            if (this.data[g].gene_id && this.data[g].gene_id.indexOf(".")){
-                var split = this.data[g].gene_id.split(".");
-                this.data[g].gene_id = split[0];
-                this.data[g].gene_version = split[1];
+            if (gene.gene_id && gene.gene_id.indexOf(".")){
+                var split = gene.gene_id.split(".");
+                gene.gene_id = split[0];
+                gene.gene_version = split[1];
             }
 
-            // Stash the transcript ID on the parent gene
-            this.data[g].transcript_id = this.data[g].transcripts[this.transcript_idx].transcript_id;
+            // Stash parent references on all genes, trascripts, and exons
+            gene.parent = this;
+            gene.transcripts.forEach(function(transcript){
+                transcript.parent = gene;
+                transcript.exons.forEach(function(exon){
+                    exon.parent = transcript;
+                });
+            });
+
+        }.bind(this));
+
+        var label_widths = {};
+        var squished = this.layout.display_mode === "squished";
+        this.features = this.getFeatures();
+        this.features.forEach(function(feature){
 
             // Determine display range start and end, based on minimum allowable gene display width, bounded by what we can see
             // (range: values in terms of pixels on the screen)
-            this.data[g].display_range = {
-                start: this.parent.x_scale(Math.max(d.start, this.state.start)),
-                end:   this.parent.x_scale(Math.min(d.end, this.state.end))
+            feature.display_range = {
+                start: this.parent.x_scale(Math.max(feature.start, this.state.start)),
+                end:   this.parent.x_scale(Math.min(feature.end, this.state.end))
             };
-            this.data[g].display_range.label_width = this.getLabelWidth(this.data[g].gene_name, this.layout.label_font_size);
-            this.data[g].display_range.width = this.data[g].display_range.end - this.data[g].display_range.start;
+            if (squished){
+                feature.display_range.label_width = 0;
+            } else {
+                if (typeof label_widths[feature.label] == "undefined"){
+                    label_widths[feature.label] = this.getLabelWidth(feature.label, this.layout.label_font_size);
+                }
+                feature.display_range.label_width = label_widths[feature.label];
+            }
+            feature.display_range.width = feature.display_range.end - feature.display_range.start;
             // Determine label text anchor (default to middle)
-            this.data[g].display_range.text_anchor = "middle";
-            if (this.data[g].display_range.width < this.data[g].display_range.label_width){
-                if (d.start < this.state.start){
-                    this.data[g].display_range.end = this.data[g].display_range.start
-                        + this.data[g].display_range.label_width
+            feature.display_range.text_anchor = "middle";
+            if (feature.display_range.width < feature.display_range.label_width){
+                if (feature.start < this.state.start){
+                    feature.display_range.end = feature.display_range.start
+                        + feature.display_range.label_width
                         + this.layout.label_font_size;
-                    this.data[g].display_range.text_anchor = "start";
-                } else if (d.end > this.state.end){
-                    this.data[g].display_range.start = this.data[g].display_range.end
-                        - this.data[g].display_range.label_width
+                    feature.display_range.text_anchor = "start";
+                } else if (feature.end > this.state.end){
+                    feature.display_range.start = feature.display_range.end
+                        - feature.display_range.label_width
                         - this.layout.label_font_size;
-                    this.data[g].display_range.text_anchor = "end";
+                    feature.display_range.text_anchor = "end";
                 } else {
-                    var centered_margin = ((this.data[g].display_range.label_width - this.data[g].display_range.width) / 2)
+                    var centered_margin = ((feature.display_range.label_width - feature.display_range.width) / 2)
                         + this.layout.label_font_size;
-                    if ((this.data[g].display_range.start - centered_margin) < this.parent.x_scale(this.state.start)){
-                        this.data[g].display_range.start = this.parent.x_scale(this.state.start);
-                        this.data[g].display_range.end = this.data[g].display_range.start + this.data[g].display_range.label_width;
-                        this.data[g].display_range.text_anchor = "start";
-                    } else if ((this.data[g].display_range.end + centered_margin) > this.parent.x_scale(this.state.end)) {
-                        this.data[g].display_range.end = this.parent.x_scale(this.state.end);
-                        this.data[g].display_range.start = this.data[g].display_range.end - this.data[g].display_range.label_width;
-                        this.data[g].display_range.text_anchor = "end";
+                    if ((feature.display_range.start - centered_margin) < this.parent.x_scale(this.state.start)){
+                        feature.display_range.start = this.parent.x_scale(this.state.start);
+                        feature.display_range.end = feature.display_range.start + feature.display_range.label_width;
+                        feature.display_range.text_anchor = "start";
+                    } else if ((feature.display_range.end + centered_margin) > this.parent.x_scale(this.state.end)) {
+                        feature.display_range.end = this.parent.x_scale(this.state.end);
+                        feature.display_range.start = feature.display_range.end - feature.display_range.label_width;
+                        feature.display_range.text_anchor = "end";
                     } else {
-                        this.data[g].display_range.start -= centered_margin;
-                        this.data[g].display_range.end += centered_margin;
+                        feature.display_range.start -= centered_margin;
+                        feature.display_range.end += centered_margin;
                     }
                 }
-                this.data[g].display_range.width = this.data[g].display_range.end - this.data[g].display_range.start;
+                feature.display_range.width = feature.display_range.end - feature.display_range.start;
             }
             // Add bounding box padding to the calculated display range start, end, and width
-            this.data[g].display_range.start -= this.layout.bounding_box_padding;
-            this.data[g].display_range.end   += this.layout.bounding_box_padding;
-            this.data[g].display_range.width += 2 * this.layout.bounding_box_padding;
+            var padding = this.getTrackDimensions().padding;
+            feature.display_range.start -= padding;
+            feature.display_range.end   += padding;
+            feature.display_range.width += 2 * padding;
             // Convert and stash display range values into domain values
             // (domain: values in terms of the data set, e.g. megabases)
-            this.data[g].display_domain = {
-                start: this.parent.x_scale.invert(this.data[g].display_range.start),
-                end:   this.parent.x_scale.invert(this.data[g].display_range.end)
+            feature.display_domain = {
+                start: this.parent.x_scale.invert(feature.display_range.start),
+                end:   this.parent.x_scale.invert(feature.display_range.end)
             };
-            this.data[g].display_domain.width = this.data[g].display_domain.end - this.data[g].display_domain.start;
+            feature.display_domain.width = feature.display_domain.end - feature.display_domain.start;
 
             // Using display range/domain data generated above cast each gene to tracks such that none overlap
-            this.data[g].track = null;
+            feature.track = null;
             var potential_track = 1;
-            while (this.data[g].track === null){
+            while (feature.track === null){
                 var collision_on_potential_track = false;
                 this.gene_track_index[potential_track].map(function(placed_gene){
                     if (!collision_on_potential_track){
@@ -175,10 +418,10 @@ LocusZoom.DataLayers.add("genes", function(layout){
                             collision_on_potential_track = true;
                         }
                     }
-                }.bind(this.data[g]));
+                }.bind(feature));
                 if (!collision_on_potential_track){
-                    this.data[g].track = potential_track;
-                    this.gene_track_index[potential_track].push(this.data[g]);
+                    feature.track = potential_track;
+                    this.gene_track_index[potential_track].push(feature);
                 } else {
                     potential_track++;
                     if (potential_track > this.tracks){
@@ -188,15 +431,6 @@ LocusZoom.DataLayers.add("genes", function(layout){
                 }
             }
 
-            // Stash parent references on all genes, trascripts, and exons
-            this.data[g].parent = this;
-            this.data[g].transcripts.map(function(d, t){
-                this.data[g].transcripts[t].parent = this.data[g];
-                this.data[g].transcripts[t].exons.map(function(d, e){
-                    this.data[g].transcripts[t].exons[e].parent = this.data[g].transcripts[t];
-                }.bind(this));
-            }.bind(this));
-
         }.bind(this));
         return this;
     };
@@ -209,10 +443,11 @@ LocusZoom.DataLayers.add("genes", function(layout){
         this.assignTracks();
 
         var width, height, x, y;
+        var track = this.getTrackDimensions();
 
-        // Render gene groups
+        // Render gene (or transcript) groups
         var selection = this.svg.group.selectAll("g.lz-data_layer-genes")
-            .data(this.data, function(d){ return d.gene_name; });
+            .data(this.features, function(d){ return d.feature_id; });
 
         selection.enter().append("g")
             .attr("class", "lz-data_layer-genes");
@@ -221,6 +456,8 @@ LocusZoom.DataLayers.add("genes", function(layout){
             .each(function(gene){
 
                 var data_layer = gene.parent;
+                var track_y = (gene.track - 1) * data_layer.getTrackHeight();
+                var exon_y = track_y + track.padding + track.label_height;
 
                 // Render gene bounding boxes (status nodes to show selected/highlighted)
                 var bboxes = d3.select(this).selectAll("rect.lz-data_layer-genes.lz-data_layer-genes-statusnode")
@@ -234,23 +471,23 @@ LocusZoom.DataLayers.add("genes", function(layout){
                         return data_layer.getElementStatusNodeId(d);
                     })
                     .attr("rx", function(){
-                        return data_layer.layout.bounding_box_padding;
+                        return track.padding;
                     })
                     .attr("ry", function(){
-                        return data_layer.layout.bounding_box_padding;
+                        return track.padding;
                     });
 
                 width = function(d){
                     return d.display_range.width;
                 };
                 height = function(){
-                    return data_layer.getTrackHeight() - data_layer.layout.track_vertical_spacing;
+                    return data_layer.getTrackHeight() - track.spacing;
                 };
                 x = function(d){
                     return d.display_range.start;
                 };
-                y = function(d){
-                    return ((d.track-1) * data_layer.getTrackHeight());
+                y = function(){
+                    return track_y;
                 };
                 if (data_layer.canTransition()){
                     bboxes
@@ -267,7 +504,7 @@ LocusZoom.DataLayers.add("genes", function(layout){
 
                 // Render gene boundaries
                 var boundaries = d3.select(this).selectAll("rect.lz-data_layer-genes.lz-boundary")
-                    .data([gene], function(d){ return d.gene_name + "_boundary"; });
+                    .data([gene], function(d){ return d.feature_id + "_boundary"; });
 
                 boundaries.enter().append("rect")
                     .attr("class", "lz-data_layer-genes lz-boundary");
@@ -281,12 +518,8 @@ LocusZoom.DataLayers.add("genes", function(layout){
                 x = function(d){
                     return data_layer.parent.x_scale(d.start);
                 };
-                y = function(d){
-                    return ((d.track-1) * data_layer.getTrackHeight())
-                        + data_layer.layout.bounding_box_padding
-                        + data_layer.layout.label_font_size
-                        + data_layer.layout.label_exon_spacing
-                        + (Math.max(data_layer.layout.exon_height, 3) / 2);
+                y = function(){
+                    return exon_y + (Math.max(track.exon_height, 3) / 2);
                 };
                 if (data_layer.canTransition()){
                     boundaries
@@ -301,9 +534,22 @@ LocusZoom.DataLayers.add("genes", function(layout){
                 
                 boundaries.exit().remove();
 
-                // Render gene labels
+                // Render strand arrows along introns
+                var arrows = d3.select(this).selectAll("path.lz-data_layer-genes.lz-strand")
+                    .data([gene], function(d){ return d.feature_id + "_strand"; });
+
+                arrows.enter().append("path")
+                    .attr("class", "lz-data_layer-genes lz-strand");
+
+                arrows.attr("d", function(d){
+                    return data_layer.getStrandArrowPath(d, exon_y + (track.exon_height / 2), Math.min(track.exon_height / 2, 6));
+                });
+
+                arrows.exit().remove();
+
+                // Render gene labels (except when squished)
                 var labels = d3.select(this).selectAll("text.lz-data_layer-genes.lz-label")
-                    .data([gene], function(d){ return d.gene_name + "_label"; });
+                    .data(track.label_height ? [gene] : [], function(d){ return d.feature_id + "_label"; });
 
                 labels.enter().append("text")
                     .attr("class", "lz-data_layer-genes lz-label");
@@ -313,7 +559,7 @@ LocusZoom.DataLayers.add("genes", function(layout){
                         return d.display_range.text_anchor;
                     })
                     .text(function(d){
-                        return (d.strand === "+") ? d.gene_name + "→" : "←" + d.gene_name;
+                        return (d.strand === "+") ? d.label + "→" : "←" + d.label;
                     })
                     .style("font-size", gene.parent.layout.label_font_size);
 
@@ -321,15 +567,13 @@ LocusZoom.DataLayers.add("genes", function(layout){
                     if (d.display_range.text_anchor === "middle"){
                         return d.display_range.start + (d.display_range.width / 2);
                     } else if (d.display_range.text_anchor === "start"){
-                        return d.display_range.start + data_layer.layout.bounding_box_padding;
+                        return d.display_range.start + track.padding;
                     } else if (d.display_range.text_anchor === "end"){
-                        return d.display_range.end - data_layer.layout.bounding_box_padding;
+                        return d.display_range.end - track.padding;
                     }
                 };
-                y = function(d){
-                    return ((d.track-1) * data_layer.getTrackHeight())
-                        + data_layer.layout.bounding_box_padding
-                        + data_layer.layout.label_font_size;
+                y = function(){
+                    return track_y + track.padding + data_layer.layout.label_font_size;
                 };
                 if (data_layer.canTransition()){
                     labels
@@ -344,27 +588,26 @@ LocusZoom.DataLayers.add("genes", function(layout){
 
                 labels.exit().remove();
 
-                // Render exon rects (first transcript only, for now)
+                // Render exon rects, with UTRs thinner than coding exons
                 var exons = d3.select(this).selectAll("rect.lz-data_layer-genes.lz-exon")
-                    .data(gene.transcripts[gene.parent.transcript_idx].exons, function(d){ return d.exon_id; });
+                    .data(data_layer.getExonSegments(gene), function(d){ return d.exon_id; });
                         
                 exons.enter().append("rect")
                     .attr("class", "lz-data_layer-genes lz-exon");
+
+                exons.classed("lz-utr", function(d){ return !d.coding; });
                         
                 width = function(d){
                     return data_layer.parent.x_scale(d.end) - data_layer.parent.x_scale(d.start);
                 };
-                height = function(){
-                    return data_layer.layout.exon_height;
+                height = function(d){
+                    return d.coding ? track.exon_height : track.utr_height;
                 };
                 x = function(d){
                     return data_layer.parent.x_scale(d.start);
                 };
-                y = function(){
-                    return ((gene.track-1) * data_layer.getTrackHeight())
-                        + data_layer.layout.bounding_box_padding
-                        + data_layer.layout.label_font_size
-                        + data_layer.layout.label_exon_spacing;
+                y = function(d){
+                    return exon_y + ((track.exon_height - height(d)) / 2);
                 };
                 if (data_layer.canTransition()){
                     exons
@@ -381,7 +624,7 @@ LocusZoom.DataLayers.add("genes", function(layout){
 
                 // Render gene click area
                 var clickareas = d3.select(this).selectAll("rect.lz-data_layer-genes.lz-clickarea")
-                    .data([gene], function(d){ return d.gene_name + "_clickarea"; });
+                    .data([gene], function(d){ return d.feature_id + "_clickarea"; });
 
                 clickareas.enter().append("rect")
                     .attr("class", "lz-data_layer-genes lz-clickarea");
@@ -391,23 +634,23 @@ LocusZoom.DataLayers.add("genes", function(layout){
                         return data_layer.getElementId(d) + "_clickarea";
                     })
                     .attr("rx", function(){
-                        return data_layer.layout.bounding_box_padding;
+                        return track.padding;
                     })
                     .attr("ry", function(){
-                        return data_layer.layout.bounding_box_padding;
+                        return track.padding;
                     });
 
                 width = function(d){
                     return d.display_range.width;
                 };
                 height = function(){
-                    return data_layer.getTrackHeight() - data_layer.layout.track_vertical_spacing;
+                    return data_layer.getTrackHeight() - track.spacing;
                 };
                 x = function(d){
                     return d.display_range.start;
                 };
-                y = function(d){
-                    return ((d.track-1) * data_layer.getTrackHeight());
+                y = function(){
+                    return track_y;
                 };
                 if (data_layer.canTransition()){
                     clickareas
@@ -437,6 +680,17 @@ LocusZoom.DataLayers.add("genes", function(layout){
         // Remove old elements as needed
         selection.exit().remove();
 
+        // Rows of transcripts come and go as the plot is panned and zoomed, so scale the panel to fit them
+        if (this.layout.display_mode !== "collapsed"){
+            var data_height = this.getAbsoluteDataHeight();
+            if (data_height !== this.scaled_height){
+                this.scaled_height = data_height;
+                this.parent.scaleHeightToData(data_height);
+            }
+        } else {
+            this.scaled_height = null;
+        }
+
     };
 
     /**
@@ -461,7 +715,7 @@ LocusZoom.DataLayers.add("genes", function(layout){
         var data_layer_width = this.parent.layout.width - (this.parent.layout.margin.left + this.parent.layout.margin.right);
         // Position horizontally: attempt to center on the portion of the gene that's visible,
         // pad to either side if bumping up against the edge of the data layer
-        var gene_center_x = ((tooltip.data.display_range.start + tooltip.data.display_range.end) / 2) - (this.layout.bounding_box_padding / 2);
+        var gene_center_x = ((tooltip.data.display_range.start + tooltip.data.display_range.end) / 2) - (this.getTrackDimensions().padding / 2);
         var offset_right = Math.max((tooltip_box.width / 2) - gene_center_x, 0);
         var offset_left = Math.max((tooltip_box.width / 2) + gene_center_x - data_layer_width, 0);
         var left = page_origin.x + gene_center_x - (tooltip_box.width / 2) - offset_left + offset_right;
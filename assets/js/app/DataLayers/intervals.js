@@ -404,7 +404,14 @@ LocusZoom.DataLayers.add("intervals", function(layout){
                         end: (this.layout.track_height/2)
                     }
                 };
-                this.layout.legend.forEach(function(element){
+                // Without a legend in the layout (as for intervals colored by the data source), label each track
+                // with its value of the track split field
+                var legend = this.layout.legend || Object.keys(this.track_split_field_index).map(function(key){
+                    var element = { label: key };
+                    element[this.layout.track_split_field] = key;
+                    return element;
+                }.bind(this));
+                legend.forEach(function(element){
                     var key = element[this.layout.track_split_field];
                     var track = this.track_split_field_index[key];
                     if (track){
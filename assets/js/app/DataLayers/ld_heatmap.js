@@ -0,0 +1,285 @@
+"use strict";
+
+/*********************
+ * LD Heatmap Data Layer
+ * Implements a Haploview-style heatmap of the LD between pairs of variants: the LD matrix is rotated by 45 degrees and
+ *   cut along its diagonal, so that each variant sits at its position on the (shared) x axis and the LD between two
+ *   variants is drawn below and between them. Pairs may be provided by the `PairwiseLDLZ` or `VCFPairwiseLD` sources.
+ * Each cell spans from halfway to the previous variant to halfway to the next, so that the cells tile the triangle.
+ * @class
+ * @augments LocusZoom.DataLayer
+*/
+LocusZoom.DataLayers.add("ld_heatmap", function(layout){
+    /**
+     * Define a default layout for this DataLayer type and merge it with the passed argument
+     * @protected
+     * @member {Object}
+     * */
+    this.DefaultLayout = {
+        variant1_field: "variant1",
+        position1_field: "position1",
+        variant2_field: "variant2",
+        position2_field: "position2",
+        color: [
+            {
+                field: "rsquare",
+                scale_function: "interpolate",
+                parameters: {
+                    breaks: [0, 1],
+                    values: ["#FFFFFF", "#D43F3A"]
+                }
+            },
+            "#B8B8B8"
+        ],
+        fill_opacity: 1
+    };
+    layout = LocusZoom.Layouts.merge(layout, this.DefaultLayout);
+
+    // Apply the arguments to set LocusZoom.DataLayer as the prototype
+    LocusZoom.DataLayer.apply(this, arguments);
+
+    /**
+     * The positions of all variants in the data, in ascending order
+     * @member {Number[]}
+     */
+    this.positions = [];
+
+    /**
+     * The index of each position in `positions`
+     * @member {Object.<Number, Number>}
+     */
+    this.position_index = {};
+
+    /**
+     * The boundaries of the cells along each side of the triangle: cells for the variant at `positions[i]` span from
+     *   `boundaries[i]` to `boundaries[i + 1]`
+     * @member {Number[]}
+     */
+    this.boundaries = [];
+
+    /**
+     * Parsed versions of the layout's variant and position fields, by field name (see `getField`)
+     * @protected
+     * @member {Object.<String, LocusZoom.Data.Field>}
+     */
+    this.parsed_fields = {};
+
+    /**
+     * Get one of the variant or position fields named in the layout, parsed once for as long as the layout names it
+     * @protected
+     * @param {String} name The layout option, as in "position1_field"
+     * @returns {LocusZoom.Data.Field}
+     */
+    this.getField = function(name){
+        var field = this.layout[name];
+        if (!this.parsed_fields[field]){
+            this.parsed_fields[field] = new LocusZoom.Data.Field(field);
+        }
+        return this.parsed_fields[field];
+    };
+
+    /**
+     * Find every variant position and the cell boundaries between them, and the position of each pair's cell in the
+     *   LD matrix (as `cell_indices`)
+     * @returns {LocusZoom.DataLayer}
+     */
+    this.applyCustomDataMethods = function(){
+        var position1 = this.getField("position1_field");
+        var position2 = this.getField("position2_field");
+        var positions = {};
+        this.data.forEach(function(d){
+            positions[+position1.resolve(d)] = true;
+            positions[+position2.resolve(d)] = true;
+        });
+        this.positions = Object.keys(positions).map(Number).filter(function(position){
+            return !isNaN(position);
+        }).sort(function(a, b){ return a - b; });
+        this.position_index = {};
+        this.positions.forEach(function(position, idx){
+            this.position_index[position] = idx;
+        }.bind(this));
+
+        var n = this.positions.length;
+        this.boundaries = [];
+        if (n === 1){
+            this.boundaries = [this.positions[0] - 0.5, this.positions[0] + 0.5];
+        } else if (n > 1){
+            this.boundaries.push(this.positions[0] - (this.positions[1] - this.positions[0]) / 2);
+            for (var i = 1; i < n; i++){
+                this.boundaries.push((this.positions[i - 1] + this.positions[i]) / 2);
+            }
+            this.boundaries.push(this.positions[n - 1] + (this.positions[n - 1] - this.positions[n - 2]) / 2);
+        }
+
+        // A variant paired with itself has no cell
+        this.data = this.data.filter(function(d){
+            var i = this.position_index[+position1.resolve(d)];
+            var j = this.position_index[+position2.resolve(d)];
+            if (typeof i == "undefined" || typeof j == "undefined" || i === j){
+                return false;
+            }
+            d.cell_indices = [Math.min(i, j), Math.max(i, j)];
+            return true;
+        }.bind(this));
+        return this;
+    };
+
+    /**
+     * Get the indices (into `positions`) of the two variants of a pair, in ascending order
+     * @param {Object} d
+     * @returns {Number[]|null}
+     */
+    this.getCellIndices = function(d){
+        return d.cell_indices || null;
+    };
+
+    /**
+     * Get the four corners of the cell for a pair of variants, in pixels: top, right, bottom, left
+     * @param {Object} d
+     * @returns {Array[]} An array of [x, y] points
+     */
+    this.getCellCorners = function(d){
+        var indices = this.getCellIndices(d);
+        var i = indices[0], j = indices[1];
+        var B = this.boundaries;
+        // A point (u, v) of the LD matrix lies midway between u and v, as far below the axis as they are apart
+        var point = function(u, v){
+            var x_u = this.parent.x_scale(u);
+            var x_v = this.parent.x_scale(v);
+            return [(x_u + x_v) / 2, (x_v - x_u) / 2];
+        }.bind(this);
+        return [point(B[i + 1], B[j]), point(B[i + 1], B[j + 1]), point(B[i], B[j + 1]), point(B[i], B[j])];
+    };
+
+    /**
+     * Get the center of the cell for a pair of variants, in pixels
+     * @param {Object} d
+     * @returns {{x: Number, y: Number}}
+     */
+    this.getCellCenter = function(d){
+        var corners = this.getCellCorners(d);
+        return {
+            x: (corners[1][0] + corners[3][0]) / 2,
+            y: (corners[0][1] + corners[2][1]) / 2
+        };
+    };
+
+    /**
+     * Pairs have no single ID field, so identify each element by the IDs of both of its variants
+     * @override
+     * @param {String|Object} element
+     * @returns {String}
+     */
+    this.getElementId = function(element){
+        if (typeof element == "object"){
+            var variant1 = this.getField("variant1_field").resolve(element);
+            var variant2 = this.getField("variant2_field").resolve(element);
+            if (typeof variant1 == "undefined" || typeof variant2 == "undefined"){
+                throw("Unable to generate element ID");
+            }
+            element = (variant1 + "_" + variant2).replace(/\W/g, "");
+        }
+        return LocusZoom.DataLayer.prototype.getElementId.call(this, element);
+    };
+
+    // Reimplement the positionTooltip() method to place tooltips beside the center of a cell
+    this.positionTooltip = function(id){
+        if (typeof id != "string"){
+            throw ("Unable to position tooltip: id is not a string");
+        }
+        if (!this.tooltips[id]){
+            throw ("Unable to position tooltip: id does not point to a valid tooltip");
+        }
+        var tooltip = this.tooltips[id];
+        var arrow_width = 7; // as defined in the default stylesheet
+        var stroke_width = 1; // as defined in the default stylesheet
+        var page_origin = this.getPageOrigin();
+        var center = this.getCellCenter(tooltip.data);
+        var tooltip_box = tooltip.selector.node().getBoundingClientRect();
+        // Position horizontally on the left or the right depending on which side of the plot the cell is on
+        var left, arrow_type, arrow_left;
+        if (center.x <= this.parent.layout.width / 2){
+            left = page_origin.x + center.x + arrow_width + stroke_width;
+            arrow_type = "left";
+            arrow_left = -1 * (arrow_width + stroke_width);
+        } else {
+            left = page_origin.x + center.x - tooltip_box.width - arrow_width - stroke_width;
+            arrow_type = "right";
+            arrow_left = tooltip_box.width - stroke_width;
+        }
+        var top = page_origin.y + center.y - (tooltip_box.height / 2);
+        var arrow_top = (tooltip_box.height / 2) - arrow_width;
+        // Apply positions to the main div
+        tooltip.selector.style("left", left + "px").style("top", top + "px");
+        // Create / update position on arrow connecting tooltip to data
+        if (!tooltip.arrow){
+            tooltip.arrow = tooltip.selector.append("div").style("position", "absolute");
+        }
+        tooltip.arrow
+            .attr("class", "lz-data_layer-tooltip-arrow_" + arrow_type)
+            .style("left", arrow_left + "px")
+            .style("top", arrow_top + "px");
+    };
+
+    /**
+     * Mark the cells in the row and column of the LD matrix for each variant of a pair (that is, every cell that
+     *   includes either variant), or clear the marks if no pair is given
+     * @param {Object|null} element
+     * @returns {LocusZoom.DataLayer}
+     */
+    this.setCrosshair = function(element){
+        var indices = (element && element.cell_indices) || [];
+        this.svg.group.selectAll("path.lz-data_layer-ld_heatmap")
+            .classed("lz-data_layer-ld_heatmap-crosshair", function(d){
+                var cell = d.cell_indices;
+                return cell[0] === indices[0] || cell[0] === indices[1] || cell[1] === indices[0] || cell[1] === indices[1];
+            });
+        return this;
+    };
+
+    // Implement the main render function
+    this.render = function(){
+
+        var selection = this.svg.group
+            .selectAll("path.lz-data_layer-ld_heatmap")
+            .data(this.data, function(d){ return this.getElementId(d); }.bind(this));
+
+        // Create elements, apply class and ID
+        selection.enter()
+            .append("path")
+            .attr("class", "lz-data_layer-ld_heatmap")
+            .attr("id", function(d){ return this.getElementId(d); }.bind(this));
+
+        // Apply shape and color. Cells are positioned by the x scale alone, so they follow the plot as it zooms.
+        var shape = function(d){
+            return "M" + this.getCellCorners(d).map(function(point){ return point.join(","); }).join("L") + "Z";
+        }.bind(this);
+        var fill = function(d){ return this.resolveScalableParameter(this.layout.color, d); }.bind(this);
+        var fill_opacity = function(d){ return this.resolveScalableParameter(this.layout.fill_opacity, d); }.bind(this);
+        selection
+            .attr("d", shape)
+            .attr("fill", fill)
+            .attr("fill-opacity", fill_opacity);
+
+        // Remove old elements as needed
+        selection.exit().remove();
+
+        // Apply default event emitters to selection
+        selection.on("click.event_emitter", function(element){
+            this.parent.emit("element_clicked", element);
+            this.parent_plot.emit("element_clicked", element);
+        }.bind(this));
+
+        // Highlight the row and column of the hovered variants
+        selection
+            .on("mouseover.crosshair", function(element){ this.setCrosshair(element); }.bind(this))
+            .on("mouseout.crosshair", function(){ this.setCrosshair(null); }.bind(this));
+
+        // Apply behaviors to cells
+        this.applyBehaviors(selection);
+
+    };
+
+    return this;
+
+});
@@ -3,6 +3,11 @@
 /*********************
   Scatter Data Layer
   Implements a standard scatter plot
+
+  Points may have error bars along either axis, defined by an `error_bars` object in the layout with `x` and/or `y`
+  members. Each gives either `lower_field` and `upper_field`, or `se_field` (with an optional `field` for the center,
+  by default that of the axis, and a `multiplier`, by default 1.96). `cap_width` sets the width of the caps in pixels
+  (default 6). Error bars are drawn in the color of their point, take on its statuses, and ignore the mouse.
 */
 
 LocusZoom.DataLayers.add("scatter", function(layout){
@@ -17,7 +22,9 @@ LocusZoom.DataLayers.add("scatter", function(layout){
         y_axis: {
             axis: 1
         },
-        id_field: "id"
+        id_field: "id",
+        renderer: "svg",
+        canvas_threshold: 10000
     };
     layout = LocusZoom.Layouts.merge(layout, this.DefaultLayout);
 
@@ -30,6 +37,13 @@ LocusZoom.DataLayers.add("scatter", function(layout){
     // Apply the arguments to set LocusZoom.DataLayer as the prototype
     LocusZoom.DataLayer.apply(this, arguments);
 
+    // Points drawn on a canvas, by ID, when the canvas renderer is in use
+    this.canvas_active = false;
+    this.canvas_elements = {};
+    // The data and a description of everything else that the canvas was last drawn from
+    this.canvas_data = null;
+    this.canvas_key = null;
+
     // Reimplement the positionTooltip() method to be scatter-specific
     this.positionTooltip = function(id){
         if (typeof id != "string"){
@@ -253,6 +267,399 @@ LocusZoom.DataLayers.add("scatter", function(layout){
         }
     };
 
+    // Whether to draw points on a canvas instead of as SVG elements, as set by `layout.renderer`: "svg" (the default),
+    // "canvas", or "auto" (a canvas only when there are more than `layout.canvas_threshold` points)
+    this.usesCanvas = function(){
+        if (this.layout.renderer === "canvas"){ return true; }
+        return this.layout.renderer === "auto" && this.data.length > this.layout.canvas_threshold;
+    };
+
+    // Elements drawn on a canvas that are highlighted or selected, and so are also drawn in SVG
+    this.getOverlayData = function(){
+        var overlay = {};
+        ["highlighted", "selected"].forEach(function(status){
+            this.state[this.state_id][status].forEach(function(id){
+                if (this.canvas_elements[id]){ overlay[id] = this.canvas_elements[id]; }
+            }.bind(this));
+        }.bind(this));
+        return Object.keys(overlay).map(function(id){ return overlay[id]; });
+    };
+
+    // Read the stroke and opacity that the stylesheet gives points (with a given status, if any), so that points on
+    // the canvas look like those drawn in SVG
+    this.getCanvasStyle = function(status){
+        var defaults = status === "faded" ? { stroke: "rgb(24, 24, 24)", stroke_opacity: 0.1, stroke_width: 1, fill_opacity: 0.1 }
+            : { stroke: "rgb(24, 24, 24)", stroke_opacity: 0.4, stroke_width: 1, fill_opacity: null };
+        var base_class = "lz-data_layer-" + this.layout.type;
+        var probe = this.svg.group.append("path").attr("class", base_class + (status ? " " + base_class + "-" + status : ""));
+        var computed = window.getComputedStyle ? window.getComputedStyle(probe.node()) : null;
+        probe.remove();
+        if (!computed){ return defaults; }
+        var number = function(value, default_value){
+            value = parseFloat(value);
+            return isNaN(value) ? default_value : value;
+        };
+        return {
+            stroke: computed.getPropertyValue("stroke") || defaults.stroke,
+            stroke_opacity: number(computed.getPropertyValue("stroke-opacity"), defaults.stroke_opacity),
+            stroke_width: number(computed.getPropertyValue("stroke-width"), defaults.stroke_width),
+            fill_opacity: status === "faded" ? number(computed.getPropertyValue("fill-opacity"), defaults.fill_opacity) : null
+        };
+    };
+
+    // Outline of a point shape centered on the origin, as used by d3.svg.symbol: either a circle radius or the
+    // vertices of a polygon
+    this.getSymbolOutline = function(shape, size){
+        if (shape === "circle" || d3.svg.symbolTypes.indexOf(shape) === -1){
+            return { radius: Math.sqrt(size / Math.PI) };
+        }
+        var path = d3.svg.symbol().type(shape).size(size)();
+        var vertices = [];
+        var x = 0, y = 0;
+        var re = /([MLHVZ])([^MLHVZ]*)/g;
+        var match;
+        while ((match = re.exec(path)) !== null){
+            var values = match[2].split(/[\s,]+/).filter(function(v){ return v !== ""; }).map(Number);
+            for (var i = 0; i < values.length; i++){
+                if (match[1] === "H"){
+                    x = values[i];
+                } else if (match[1] === "V"){
+                    y = values[i];
+                } else {
+                    x = values[i];
+                    y = values[++i];
+                }
+                vertices.push([x, y]);
+            }
+        }
+        return { vertices: vertices };
+    };
+
+    // The fields named by `error_bars`, parsed once each
+    this.error_bar_fields = {};
+    this.getErrorBarField = function(field){
+        if (!this.error_bar_fields[field]){
+            this.error_bar_fields[field] = new LocusZoom.Data.Field(field);
+        }
+        return this.error_bar_fields[field];
+    };
+
+    // Get the extent of an error bar along one axis ("x" or "y"), in data units, from either explicit lower and upper
+    // fields or a center field plus a standard error (scaled by `multiplier`, 1.96 by default)
+    this.getErrorBarExtent = function(axis, d){
+        var bar = this.layout.error_bars && this.layout.error_bars[axis];
+        if (!bar){ return null; }
+        var resolve = function(field){
+            var value = (typeof field == "undefined" || field === null) ? null : this.getErrorBarField(field).resolve(d);
+            return (typeof value == "undefined" || value === null || value === "") ? NaN : +value;
+        }.bind(this);
+        var lower, upper;
+        if (bar.se_field){
+            var center = resolve(bar.field || this.layout[axis + "_axis"].field);
+            var margin = resolve(bar.se_field) * (isNaN(bar.multiplier) ? 1.96 : +bar.multiplier);
+            lower = center - margin;
+            upper = center + margin;
+        } else {
+            lower = resolve(bar.lower_field);
+            upper = resolve(bar.upper_field);
+        }
+        if (isNaN(lower) || isNaN(upper)){ return null; }
+        return [lower, upper];
+    };
+
+    // Get the line segments (each a pair of [x, y] points, in pixels) that make up the error bars of an element: one
+    // segment along each axis that has a bar, plus a cap at either end
+    this.getErrorBarSegments = function(d){
+        var x_scale = "x_scale";
+        var y_scale = "y"+this.layout.y_axis.axis+"_scale";
+        var x = this.parent[x_scale](d[this.layout.x_axis.field]);
+        var y = this.parent[y_scale](d[this.layout.y_axis.field]);
+        var segments = [];
+        if (isNaN(x) || isNaN(y)){ return segments; }
+        var cap = (isNaN(this.layout.error_bars.cap_width) ? 6 : +this.layout.error_bars.cap_width) / 2;
+        var y_extent = this.getErrorBarExtent("y", d);
+        if (y_extent){
+            var y1 = this.parent[y_scale](y_extent[0]);
+            var y2 = this.parent[y_scale](y_extent[1]);
+            segments.push([[x, y1], [x, y2]]);
+            if (cap){ segments.push([[x - cap, y1], [x + cap, y1]], [[x - cap, y2], [x + cap, y2]]); }
+        }
+        var x_extent = this.getErrorBarExtent("x", d);
+        if (x_extent){
+            var x1 = this.parent[x_scale](x_extent[0]);
+            var x2 = this.parent[x_scale](x_extent[1]);
+            segments.push([[x1, y], [x2, y]]);
+            if (cap){ segments.push([[x1, y - cap], [x1, y + cap]], [[x2, y - cap], [x2, y + cap]]); }
+        }
+        return segments.filter(function(segment){
+            return !isNaN(segment[0][0] + segment[0][1] + segment[1][0] + segment[1][1]);
+        });
+    };
+
+    // Get the ID of the SVG element for the error bars of an element
+    this.getErrorBarId = function(element){
+        return this.getElementId(element) + "_error_bar";
+    };
+
+    // Draw every visible point onto a canvas, and show the result as an image in the data layer. Also index the
+    // position of each point, to find the element under the mouse.
+    this.renderCanvas = function(){
+        var x_scale = "x_scale";
+        var y_scale = "y"+this.layout.y_axis.axis+"_scale";
+        var width = this.parent.layout.cliparea.width;
+        var height = this.parent.layout.cliparea.height;
+        var ratio = window.devicePixelRatio || 1;
+
+        // Drawing the canvas and encoding it as an image are slow, so they are only done again when something the
+        // canvas shows has changed: the data, the layout, the scales, or which elements are faded or hidden
+        var key = JSON.stringify([
+            this.layout, width, height, ratio,
+            this.parent[x_scale].domain(), this.parent[x_scale].range(),
+            this.parent[y_scale].domain(), this.parent[y_scale].range(),
+            this.state[this.state_id].faded, this.state[this.state_id].hidden
+        ]);
+        if (this.svg.raster && this.canvas_data === this.data && this.canvas_key === key){ return; }
+        this.canvas_data = this.data;
+        this.canvas_key = key;
+
+        if (!this.svg.raster){
+            this.svg.raster = this.svg.group.insert("image", ":first-child")
+                .attr("class", "lz-data_layer-" + this.layout.type + "-raster")
+                .attr("preserveAspectRatio", "none")
+                .style("pointer-events", "none");
+        }
+        if (!this.canvas){
+            this.canvas = document.createElement("canvas");
+        }
+        this.canvas.width = Math.max(Math.round(width * ratio), 1);
+        this.canvas.height = Math.max(Math.round(height * ratio), 1);
+        var context = this.canvas.getContext ? this.canvas.getContext("2d") : null;
+        var style = this.getCanvasStyle();
+        var faded_style = this.getCanvasStyle("faded");
+        if (context){
+            context.setTransform(ratio, 0, 0, ratio, 0, 0);
+            context.clearRect(0, 0, width, height);
+        }
+
+        var statuses = {};
+        ["faded", "hidden"].forEach(function(status){
+            statuses[status] = {};
+            this.state[this.state_id][status].forEach(function(id){ statuses[status][id] = true; });
+        }.bind(this));
+
+        // Error bars are drawn first, so that points lie on top of them
+        if (context && this.layout.error_bars){
+            this.data.forEach(function(d){
+                var id = this.getElementId(d);
+                if (statuses.hidden[id]){ return; }
+                var segments = this.getErrorBarSegments(d);
+                if (!segments.length){ return; }
+                context.beginPath();
+                segments.forEach(function(segment){
+                    context.moveTo(segment[0][0], segment[0][1]);
+                    context.lineTo(segment[1][0], segment[1][1]);
+                });
+                context.globalAlpha = statuses.faded[id] ? faded_style.stroke_opacity : 1;
+                context.strokeStyle = this.resolveScalableParameter(this.layout.color, d);
+                context.lineWidth = 1;
+                context.stroke();
+            }.bind(this));
+        }
+
+        var outlines = {};
+        var points = [];
+        this.canvas_elements = {};
+        this.data.forEach(function(d){
+            var id = this.getElementId(d);
+            this.canvas_elements[id] = d;
+            var x = this.parent[x_scale](d[this.layout.x_axis.field]);
+            var y = this.parent[y_scale](d[this.layout.y_axis.field]);
+            if (statuses.hidden[id] || isNaN(x) || isNaN(y)){ return; }
+            var size = this.resolveScalableParameter(this.layout.point_size, d);
+            var shape = this.resolveScalableParameter(this.layout.point_shape, d);
+            points.push({ x: x, y: y, radius: Math.sqrt(size / Math.PI), data: d });
+            if (!context){ return; }
+            var key = shape + "_" + size;
+            if (!outlines[key]){ outlines[key] = this.getSymbolOutline(shape, size); }
+            var outline = outlines[key];
+            context.beginPath();
+            if (outline.radius){
+                context.moveTo(x + outline.radius, y);
+                context.arc(x, y, outline.radius, 0, 2 * Math.PI);
+            } else {
+                outline.vertices.forEach(function(vertex, i){
+                    context[i ? "lineTo" : "moveTo"](x + vertex[0], y + vertex[1]);
+                });
+                context.closePath();
+            }
+            var point_style = statuses.faded[id] ? faded_style : style;
+            var fill_opacity = point_style.fill_opacity !== null ? point_style.fill_opacity
+                : this.resolveScalableParameter(this.layout.fill_opacity, d);
+            context.globalAlpha = isNaN(+fill_opacity) ? 1 : +fill_opacity;
+            context.fillStyle = this.resolveScalableParameter(this.layout.color, d);
+            context.fill();
+            if (point_style.stroke !== "none" && point_style.stroke_width > 0){
+                context.globalAlpha = point_style.stroke_opacity;
+                context.strokeStyle = point_style.stroke;
+                context.lineWidth = point_style.stroke_width;
+                context.stroke();
+            }
+        }.bind(this));
+
+        this.canvas_index = d3.geom.quadtree()
+            .x(function(point){ return point.x; })
+            .y(function(point){ return point.y; })(points);
+
+        this.svg.raster.attr({
+            "x": 0,
+            "y": 0,
+            "width": width,
+            "height": height,
+            "xlink:href": context ? this.canvas.toDataURL("image/png") : null
+        });
+    };
+
+    // Stop drawing on a canvas, as when switching back to SVG
+    this.removeCanvas = function(){
+        if (this.svg.raster){
+            this.svg.raster.remove();
+            this.svg.raster = null;
+        }
+        this.canvas = null;
+        this.canvas_data = null;
+        this.canvas_key = null;
+        this.canvas_index = null;
+        this.canvas_elements = {};
+        this.canvas_hover = null;
+        this.canvas_active = false;
+        var namespace = "." + this.getBaseId() + ".canvas";
+        this.parent.svg.container
+            .on("mousemove" + namespace, null)
+            .on("mouseleave" + namespace, null)
+            .on("click" + namespace, null, true)
+            .style("cursor", null);
+    };
+
+    /**
+     * Find the point drawn on the canvas at a position in the data layer, if any
+     * @param {Number} x
+     * @param {Number} y
+     * @returns {Object|null} The element at that position
+     */
+    this.getCanvasElementAt = function(x, y){
+        if (!this.canvas_index){ return null; }
+        var point = this.canvas_index.find([x, y]);
+        if (!point){ return null; }
+        var distance = Math.sqrt(Math.pow(point.x - x, 2) + Math.pow(point.y - y, 2));
+        // Allow a pixel of tolerance, for the stroke around each point
+        return distance <= point.radius + 1 ? point.data : null;
+    };
+
+    // Run the behaviors in the layout for a mouse event on an element drawn on the canvas, as `applyBehaviors` does
+    // for SVG elements
+    this.executeCanvasBehaviors = function(event, element){
+        if (typeof this.layout.behaviors != "object"){ return; }
+        Object.keys(this.layout.behaviors).forEach(function(directive){
+            var event_match = /(click|mouseover|mouseout)/.exec(directive);
+            if (event_match && event_match[0] === event){
+                this.executeBehaviors(directive, this.layout.behaviors[directive])(element);
+            }
+        }.bind(this));
+    };
+
+    // Listen for mouse events on the panel, and pass on those over a point drawn on the canvas
+    this.bindCanvasEvents = function(){
+        var namespace = "." + this.getBaseId() + ".canvas";
+        var container = this.parent.svg.container;
+        // Elements drawn after this data layer (including its own SVG elements) are on top of the canvas, and handle
+        // their own events
+        var isOnCanvas = function(){
+            var node = this.svg.container.node();
+            return !(node.compareDocumentPosition(d3.event.target) & node.DOCUMENT_POSITION_FOLLOWING);
+        }.bind(this);
+        var findElement = function(){
+            if (!isOnCanvas()){ return null; }
+            var coords = d3.mouse(this.svg.group.node());
+            return this.getCanvasElementAt(coords[0], coords[1]);
+        }.bind(this);
+        var hover = function(element){
+            if (element === this.canvas_hover){ return; }
+            if (this.canvas_hover){ this.executeCanvasBehaviors("mouseout", this.canvas_hover); }
+            this.canvas_hover = element;
+            if (element){ this.executeCanvasBehaviors("mouseover", element); }
+            container.style("cursor", element ? "pointer" : null);
+        }.bind(this);
+        container
+            .on("mousemove" + namespace, function(){
+                hover(findElement());
+            })
+            .on("mouseleave" + namespace, function(){
+                hover(null);
+            })
+            // Listen as the event travels down to its target, so that a click on a point is not also taken as a click
+            // on the panel background
+            .on("click" + namespace, function(){
+                var element = findElement();
+                if (!element){ return; }
+                d3.event.stopPropagation();
+                this.parent.emit("element_clicked", element);
+                this.parent_plot.emit("element_clicked", element);
+                this.executeCanvasBehaviors("click", element);
+            }.bind(this), true);
+    };
+
+    // Redraw the canvas (if needed) and the SVG elements over it once the statuses of elements have stopped changing,
+    // so that changing the status of many elements at once doesn't redraw everything for each one
+    this.scheduleCanvasUpdate = function(redraw){
+        this.canvas_redraw = this.canvas_redraw || redraw;
+        if (this.canvas_update){ return; }
+        this.canvas_update = setTimeout(function(){
+            this.canvas_update = null;
+            if (!this.canvas_active){ return; }
+            if (this.canvas_redraw){
+                this.canvas_redraw = false;
+                this.renderCanvas();
+            }
+            this.renderPoints(this.getOverlayData());
+        }.bind(this), 0);
+    };
+
+    // Elements drawn on the canvas have no SVG element of their own, so they are found by ID and updated separately
+    this.getElementById = function(id){
+        if (this.canvas_active && this.canvas_elements[id]){
+            return this.canvas_elements[id];
+        }
+        return LocusZoom.DataLayer.prototype.getElementById.call(this, id);
+    };
+    this.setElementStatus = function(status, element, toggle){
+        LocusZoom.DataLayer.prototype.setElementStatus.apply(this, arguments);
+        // Error bars take the same status as their point
+        if (this.layout.error_bars){
+            try {
+                var error_bar_id = this.getErrorBarId(element);
+                d3.select("#" + error_bar_id)
+                    .classed("lz-data_layer-error_bar-" + status, typeof toggle == "undefined" ? true : toggle);
+            } catch (get_element_id_error){
+                // Elements without an ID have no error bars to update
+            }
+        }
+        if (this.canvas_active){
+            this.scheduleCanvasUpdate(status === "faded" || status === "hidden");
+        }
+        return this;
+    };
+
+    // Points are drawn at their x and y values, so they can be found by position (as by a selection interaction)
+    this.getElementPosition = function(element){
+        var x_scale = this.parent.x_scale;
+        var y_scale = this.parent["y"+this.layout.y_axis.axis+"_scale"];
+        if (typeof x_scale != "function" || typeof y_scale != "function"){ return null; }
+        var x = x_scale(element[this.layout.x_axis.field]);
+        var y = y_scale(element[this.layout.y_axis.field]);
+        if (isNaN(x) || isNaN(y)){ return null; }
+        return { x: x, y: y };
+    };
+
     // Implement the main render function
     this.render = function(){
 
@@ -370,18 +777,60 @@ LocusZoom.DataLayers.add("scatter", function(layout){
             this.label_groups.exit().remove();
         }
             
+        // Draw points on a canvas when there are too many for one SVG element each. Points that are highlighted or
+        // selected are still drawn as SVG elements, over the canvas.
+        if (this.usesCanvas()){
+            this.canvas_active = true;
+            this.renderCanvas();
+            this.bindCanvasEvents();
+            this.renderPoints(this.getOverlayData());
+        } else {
+            if (this.canvas_active){ this.removeCanvas(); }
+            this.renderPoints(this.data);
+        }
+
+        // Apply method to keep labels from overlapping each other
+        if (this.layout.label){
+            this.flip_labels();
+            this.seperate_iterations = 0;
+            this.separate_labels();
+            // Extend mouse behaviors to labels
+            this.applyBehaviors(this.label_texts);
+        }
+        
+    };
+
+    // Draw an SVG path for each of the given elements
+    this.renderPoints = function(data){
+
+        var x_scale = "x_scale";
+        var y_scale = "y"+this.layout.y_axis.axis+"_scale";
+
+        // Draw error bars (if defined) before the points they belong to
+        this.renderErrorBars(this.layout.error_bars ? data : []);
+
         // Generate main scatter data elements
         var selection = this.svg.group
             .selectAll("path.lz-data_layer-" + this.layout.type)
-            .data(this.data, function(d){ return d[this.layout.id_field]; }.bind(this));
+            .data(data, function(d){ return d[this.layout.id_field]; }.bind(this));
 
-        // Create elements, apply class, ID, and initial position
+        // Create elements, apply class, ID, initial position, and any statuses the elements already have
+        var data_layer = this;
         var initial_y = isNaN(this.parent.layout.height) ? 0 : this.parent.layout.height;
         selection.enter()
             .append("path")
             .attr("class", "lz-data_layer-" + this.layout.type)
             .attr("id", function(d){ return this.getElementId(d); }.bind(this))
-            .attr("transform", "translate(0," + initial_y + ")");
+            .attr("transform", "translate(0," + initial_y + ")")
+            .each(function(d){
+                var element = d3.select(this);
+                var id = data_layer.getElementId(d);
+                LocusZoom.DataLayer.Statuses.adjectives.forEach(function(status){
+                    if (data_layer.state[data_layer.state_id][status].indexOf(id) !== -1){
+                        element.classed("lz-data_layer-" + data_layer.layout.type + "-" + status, true);
+                    }
+                });
+            });
 
         // Generate new values (or functions for them) for position, color, size, and shape
         var transform = function(d) {
@@ -400,8 +849,9 @@ LocusZoom.DataLayers.add("scatter", function(layout){
             .type(function(d){ return this.resolveScalableParameter(this.layout.point_shape, d); }.bind(this));
 
         // Apply position and color, using a transition if necessary
+        // (points drawn over a canvas must always line up with it, so they never transition)
 
-        if (this.canTransition()){
+        if (this.canTransition() && !this.canvas_active){
             selection
                 .transition()
                 .duration(this.layout.transition.duration || 0)
@@ -429,16 +879,60 @@ LocusZoom.DataLayers.add("scatter", function(layout){
        
         // Apply mouse behaviors
         this.applyBehaviors(selection);
-        
-        // Apply method to keep labels from overlapping each other
-        if (this.layout.label){
-            this.flip_labels();
-            this.seperate_iterations = 0;
-            this.separate_labels();
-            // Extend mouse behaviors to labels
-            this.applyBehaviors(this.label_texts);
+
+    };
+
+    // Draw the error bars of each of the given elements as a single SVG path, inserted below the points and colored
+    // to match them
+    this.renderErrorBars = function(data){
+
+        var data_layer = this;
+        // The class doesn't include the layer type, so that bars are styled alike in every layer that extends scatter
+        var error_bar_class = "lz-data_layer-error_bar";
+        var path = function(d){
+            return this.getErrorBarSegments(d).map(function(segment){
+                return "M" + segment[0].join(",") + "L" + segment[1].join(",");
+            }).join("");
+        }.bind(this);
+
+        var selection = this.svg.group
+            .selectAll("path." + error_bar_class)
+            .data(data, function(d){ return d[this.layout.id_field]; }.bind(this));
+
+        // Create elements, apply class, ID, initial shape, and any statuses the elements already have
+        selection.enter()
+            .insert("path", "path.lz-data_layer-" + this.layout.type)
+            .attr("class", error_bar_class)
+            .attr("id", function(d){ return this.getErrorBarId(d); }.bind(this))
+            .attr("d", path)
+            .each(function(d){
+                var element = d3.select(this);
+                var id = data_layer.getElementId(d);
+                LocusZoom.DataLayer.Statuses.adjectives.forEach(function(status){
+                    if (data_layer.state[data_layer.state_id][status].indexOf(id) !== -1){
+                        element.classed(error_bar_class + "-" + status, true);
+                    }
+                });
+            });
+
+        var stroke = function(d){ return this.resolveScalableParameter(this.layout.color, d); }.bind(this);
+
+        if (this.canTransition() && !this.canvas_active){
+            selection
+                .transition()
+                .duration(this.layout.transition.duration || 0)
+                .ease(this.layout.transition.ease || "cubic-in-out")
+                .attr("d", path)
+                .attr("stroke", stroke);
+        } else {
+            selection
+                .attr("d", path)
+                .attr("stroke", stroke);
         }
-        
+
+        // Remove old elements as needed
+        selection.exit().remove();
+
     };
 
     // Method to set a passed element as the LD reference in the plot-level state
@@ -600,4 +1094,604 @@ LocusZoom.DataLayers.extend("scatter", "category_scatter", {
         this._categories = this._generateCategoryBounds();
         return this;
     }
-});
\ No newline at end of file
+});
+
+/**
+ * A genome-wide scatter plot (Manhattan plot), in which each point is placed along the x-axis by its position in the
+ *   whole genome, rather than within one chromosome. Chromosomes are laid end to end in natural order (1-22, X, Y, MT,
+ *   and then any others), and points are drawn in alternating colors by chromosome.
+ *
+ * In addition to the options of `scatter`, the layout may specify:
+ * - `chromosome_field` and `position_field` (required): The fields with the chromosome and position of each point
+ * - `x_axis.field` (required): A synthetic field, added by this layer, for the position of each point in the genome
+ * - `chromosome_lengths`: The length of each chromosome, as {name: length}. Otherwise, each chromosome is taken to end
+ *   at the largest position seen in it.
+ * - `chromosome_colors`: The colors to alternate between. These are used for the x-axis ticks, and to fill in any
+ *   `categorical_bin` color scale on `chromosome_field`.
+ * - `bins_field`: To reduce the size of the data, a source may give the y values of many points (usually those that
+ *   are not significant) as one record with an array of values. Each value is drawn as a separate point at the
+ *   position of the record. This field must also be listed in `fields`.
+ * - `downsample`: {threshold, x_bins, y_bins}. Of the points with a y value below the threshold, only one is drawn in
+ *   each cell of a grid of x_bins by y_bins. This has little visible effect, but makes drawing much faster.
+ *
+ * @class LocusZoom.DataLayers.manhattan
+ * @augments LocusZoom.DataLayers.scatter
+ */
+LocusZoom.DataLayers.extend("scatter", "manhattan", {
+    /**
+     * Compare chromosome names in natural order: numbered chromosomes, then X, Y and MT, and then any others
+     *   alphabetically. Any "chr" prefix is ignored.
+     * @private
+     * @param {String} a
+     * @param {String} b
+     * @returns {Number}
+     */
+    _compareChromosomes: function(a, b) {
+        var rank = function(name) {
+            name = String(name).replace(/^chr/i, "").toUpperCase();
+            if (/^\d+$/.test(name)) {
+                return [0, +name, ""];
+            }
+            var index = ["X", "Y", "M", "MT"].indexOf(name);
+            return index !== -1 ? [1, Math.min(index, 2), ""] : [2, 0, name];
+        };
+        var rank_a = rank(a);
+        var rank_b = rank(b);
+        for (var i = 0; i < rank_a.length; i++) {
+            if (rank_a[i] !== rank_b[i]) {
+                return rank_a[i] < rank_b[i] ? -1 : 1;
+            }
+        }
+        return 0;
+    },
+
+    /**
+     * The colors to alternate between for successive chromosomes
+     * @private
+     * @returns {String[]}
+     */
+    _getChromosomeColors: function() {
+        var colors = this.layout.chromosome_colors;
+        return (Array.isArray(colors) && colors.length) ? colors : ["rgb(0, 0, 66)", "rgb(120, 120, 186)"];
+    },
+
+    /**
+     * Transform the raw array of records from the datasource to prepare it for plotting, as follows:
+     * 1. Expand any bins of values (see `bins_field`) into one record per point
+     * 2. Lay out the chromosomes end to end, and find the position of each point in the genome
+     * 3. Thin out points below the downsampling threshold, if any
+     * 4. Fill in the alternating colors for each chromosome
+     * @private
+     * @returns {Object[]}
+     */
+    _prepareData: function() {
+        var layout = this.layout;
+        var chromosome_field = layout.chromosome_field;
+        var position_field = layout.position_field;
+        var x_field = layout.x_axis.field;
+        var y_field = layout.y_axis.field;
+        var id_field = layout.id_field || "id";
+        if (!chromosome_field || !position_field || !x_field) {
+            throw "Layout for " + layout.id + " must specify chromosome_field, position_field, and x_axis.field";
+        }
+
+        var data = [];
+        this.data.forEach(function(d) {
+            var values = layout.bins_field ? d[layout.bins_field] : null;
+            if (!Array.isArray(values)) {
+                data.push(d);
+                return;
+            }
+            values.forEach(function(value, i) {
+                var point = {};
+                Object.keys(d).forEach(function(key) { point[key] = d[key]; });
+                point[y_field] = value;
+                point[id_field] = d[chromosome_field] + ":" + d[position_field] + "_" + i;
+                data.push(point);
+            });
+        });
+
+        var lengths = layout.chromosome_lengths || {};
+        var extents = {};
+        data.forEach(function(d) {
+            var chr = d[chromosome_field];
+            extents[chr] = Math.max(extents[chr] || 0, +d[position_field]);
+        });
+        var names = Object.keys(extents).sort(this._compareChromosomes);
+        var chromosomes = {};
+        var offset = 0;
+        names.forEach(function(chr, index) {
+            var length = +lengths[chr] || +lengths[chr.replace(/^chr/i, "")] || +lengths["chr" + chr] || extents[chr];
+            chromosomes[chr] = { start: offset, end: offset + length, index: index };
+            offset += length;
+        });
+        data.forEach(function(d) {
+            d[x_field] = chromosomes[d[chromosome_field]].start + +d[position_field];
+        });
+
+        var downsample = layout.downsample;
+        if (downsample && !isNaN(downsample.threshold)) {
+            var x_bins = downsample.x_bins || 1000;
+            var y_bins = downsample.y_bins || 100;
+            var y_value = new LocusZoom.Data.Field(y_field);
+            var cells = {};
+            data = data.filter(function(d) {
+                var y = +y_value.resolve(d);
+                if (!(y < downsample.threshold)) {
+                    return true;
+                }
+                var cell = Math.floor(d[x_field] / offset * x_bins) + "_" + Math.floor(y / downsample.threshold * y_bins);
+                if (cells[cell]) {
+                    return false;
+                }
+                cells[cell] = true;
+                return true;
+            });
+        }
+
+        var colors = this._getChromosomeColors();
+        [].concat(layout.color).forEach(function(color) {
+            if (color && color.scale_function === "categorical_bin" && color.field === chromosome_field) {
+                color.parameters = color.parameters || {};
+                color.parameters.categories = names;
+                color.parameters.values = names.map(function(chr, i) { return colors[i % colors.length]; });
+            }
+        });
+
+        /**
+         * Where each chromosome starts and ends in the genome, and its place in order
+         * @member {Object.<String, {start: Number, end: Number, index: Number}>}
+         * @private
+         */
+        this._chromosomes = chromosomes;
+        /**
+         * @member {Number}
+         * @private
+         */
+        this._genome_length = offset;
+        return data;
+    },
+
+    applyDataMethods: function() { // Overrides parent method
+        this.data = this._prepareData();
+        return LocusZoom.DataLayer.prototype.applyDataMethods.call(this);
+    },
+
+    /**
+     * Unless a floor and ceiling are given, the x-axis covers the whole genome
+     * @param {('x'|'y')} dimension
+     * @returns {Number[]}
+     */
+    getAxisExtent: function(dimension) { // Overrides parent method
+        var x_axis = this.layout.x_axis;
+        if (dimension === "x" && this._genome_length && isNaN(x_axis.floor) && isNaN(x_axis.ceiling)) {
+            return [0, this._genome_length];
+        }
+        return LocusZoom.DataLayer.prototype.getAxisExtent.call(this, dimension);
+    },
+
+    /**
+     * One x-axis tick per chromosome, at its center, labeled with the chromosome name in the color of its points
+     * @param {('x'|'y')} dimension
+     * @param {Object} [config]
+     * @returns {Object[]}
+     */
+    getTicks: function(dimension, config) { // Overrides parent method
+        if (["x", "y"].indexOf(dimension) === -1) {
+            throw "Invalid dimension identifier";
+        }
+        var chromosomes = this._chromosomes;
+        if (dimension === "y" || !chromosomes) {
+            return [];
+        }
+        var colors = this._getChromosomeColors();
+        return Object.keys(chromosomes).sort(function(a, b) {
+            return chromosomes[a].index - chromosomes[b].index;
+        }).map(function(chr) {
+            var bounds = chromosomes[chr];
+            return {
+                x: (bounds.start + bounds.end) / 2,
+                text: chr.replace(/^chr/i, ""),
+                style: { "fill": colors[bounds.index % colors.length] }
+            };
+        });
+    }
+});
+
+
+/**
+ * A quantile-quantile (QQ) plot of association p-values: the observed -log10 p-value of each point against the value
+ *   expected under the null hypothesis for its rank, along with the line of equality and a confidence band for the
+ *   expected values. The genomic inflation factor (lambda) is calculated from the median p-value, and shown either in
+ *   the legend or as the panel title.
+ *
+ * In addition to the options of `scatter`, the layout may specify:
+ * - `log_pvalue_field` (required): The field with the -log10 p-value of each point. For a field of p-values, use the
+ *   "neglog10" transformation (such as "assoc:pvalue|neglog10").
+ * - `x_axis.field` and `y_axis.field` (required): Synthetic fields, added by this layer, for the expected and
+ *   observed -log10 p-values
+ * - `stratify_field`: A field (such as a MAF bin) to divide the points into strata, each with its own expected values
+ *   and lambda
+ * - `stratify_bins`: Break points (in ascending order) for dividing the values of a numeric `stratify_field` into
+ *   strata, such as [0.01, 0.05] for MAF, which gives the strata "< 0.01", "0.01 - 0.05", and ">= 0.05"
+ * - `stratum_field`: A synthetic field, added by this layer, with the name of the stratum of each point. Strata are
+ *   colored by any `categorical_bin` color scale on this field (or, without it, on `stratify_field`): its categories
+ *   and values are used if given, and otherwise filled in.
+ * - `lambda_display`: "legend" (default) to list lambda (for each stratum) in the legend, "title" to show it as the
+ *   title of the panel, or "none"
+ * - `confidence_band`: {level, points, style}. The band is calculated for `points` ranks from the beta distribution
+ *   of each order statistic. With strata, it is drawn for the largest stratum. Set to false to hide the band.
+ * - `diagonal`: {style}. Set to false to hide the line of equality.
+ *
+ * @class LocusZoom.DataLayers.qqplot
+ * @augments LocusZoom.DataLayers.scatter
+ */
+LocusZoom.DataLayers.extend("scatter", "qqplot", {
+    /**
+     * The inverse of the standard normal cumulative distribution function (Acklam's approximation, accurate to about
+     *   1e-9)
+     * @private
+     * @param {Number} p
+     * @returns {Number}
+     */
+    _inverseNormal: function(p) {
+        var a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+        var b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+        var c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+        var d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+        var q, r;
+        if (p <= 0) {
+            return -Infinity;
+        } else if (p >= 1) {
+            return Infinity;
+        } else if (p < 0.02425) {
+            q = Math.sqrt(-2 * Math.log(p));
+            return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5])
+                / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        } else if (p > 1 - 0.02425) {
+            return -this._inverseNormal(1 - p);
+        }
+        q = p - 0.5;
+        r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q
+            / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    },
+
+    /**
+     * The natural logarithm of the gamma function (Lanczos approximation)
+     * @private
+     * @param {Number} x
+     * @returns {Number}
+     */
+    _logGamma: function(x) {
+        var coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155,
+            0.1208650973866179e-2, -0.5395239384953e-5];
+        var tmp = x + 5.5;
+        tmp -= (x + 0.5) * Math.log(tmp);
+        var series = 1.000000000190015;
+        for (var i = 0; i < coefficients.length; i++) {
+            series += coefficients[i] / (x + i + 1);
+        }
+        return -tmp + Math.log(2.5066282746310005 * series / x);
+    },
+
+    /**
+     * The regularized incomplete beta function, I_x(a, b): the cumulative distribution function of the beta
+     *   distribution (evaluated by continued fraction)
+     * @private
+     * @param {Number} x
+     * @param {Number} a
+     * @param {Number} b
+     * @returns {Number}
+     */
+    _incompleteBeta: function(x, a, b) {
+        if (x <= 0) {
+            return 0;
+        } else if (x >= 1) {
+            return 1;
+        }
+        var continuedFraction = function(x, a, b) {
+            var tiny = 1e-300;
+            var c = 1;
+            var d = 1 - (a + b) * x / (a + 1);
+            d = 1 / (Math.abs(d) < tiny ? tiny : d);
+            var h = d;
+            for (var m = 1; m <= 10000; m++) {
+                var m2 = 2 * m;
+                var steps = [m * (b - m) * x / ((a + m2 - 1) * (a + m2)), -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1))];
+                var delta = 1;
+                for (var i = 0; i < steps.length; i++) {
+                    d = 1 + steps[i] * d;
+                    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+                    c = 1 + steps[i] / c;
+                    c = Math.abs(c) < tiny ? tiny : c;
+                    delta = c * d;
+                    h *= delta;
+                }
+                if (Math.abs(delta - 1) < 1e-12) {
+                    break;
+                }
+            }
+            return h;
+        };
+        var front = Math.exp(this._logGamma(a + b) - this._logGamma(a) - this._logGamma(b)
+                             + a * Math.log(x) + b * Math.log(1 - x));
+        if (x < (a + 1) / (a + b + 2)) {
+            return front * continuedFraction(x, a, b) / a;
+        }
+        return 1 - front * continuedFraction(1 - x, b, a) / b;
+    },
+
+    /**
+     * The quantile function of the beta distribution (found by bisection on a log scale, so that it is accurate even
+     *   for the very small values that describe the most significant ranks)
+     * @private
+     * @param {Number} q
+     * @param {Number} a
+     * @param {Number} b
+     * @returns {Number}
+     */
+    _betaQuantile: function(q, a, b) {
+        var low = -300;
+        var high = 0;
+        for (var i = 0; i < 60; i++) {
+            var mid = (low + high) / 2;
+            if (this._incompleteBeta(Math.pow(10, mid), a, b) < q) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return Math.pow(10, (low + high) / 2);
+    },
+
+    /**
+     * The genomic inflation factor: the median chi-squared statistic (with 1 degree of freedom) corresponding to a set
+     *   of p-values, divided by its expected value
+     * @param {Number[]} log_pvalues -log10 p-values, sorted in either order
+     * @returns {Number|null}
+     */
+    calculateLambda: function(log_pvalues) {
+        var n = log_pvalues.length;
+        if (!n) {
+            return null;
+        }
+        var median = n % 2 ? log_pvalues[(n - 1) / 2] : (log_pvalues[n / 2 - 1] + log_pvalues[n / 2]) / 2;
+        var z = this._inverseNormal(Math.pow(10, -median) / 2);
+        return z * z / 0.454936423119572;
+    },
+
+    /**
+     * Calculate the confidence band for the expected -log10 p-values of n points: for each of a selection of ranks,
+     *   the expected value, along with the bounds within which the observed value would fall with the given probability
+     *   if there were no association
+     * @param {Number} n The number of points
+     * @param {Number} [level=0.95]
+     * @param {Number} [points=100] The number of ranks to calculate the bounds for, evenly spaced in expected value
+     * @returns {{x: Number, lower: Number, upper: Number}[]}
+     */
+    calculateConfidenceBand: function(n, level, points) {
+        level = isNaN(level) ? 0.95 : +level;
+        points = Math.min(isNaN(points) ? 100 : +points, n);
+        var ranks = [];
+        if (points >= n) {
+            ranks = d3.range(1, n + 1);
+        } else {
+            var max_expected = -Math.log(0.5 / n) / Math.LN10;
+            for (var k = 0; k < points; k++) {
+                var expected = points > 1 ? max_expected * k / (points - 1) : max_expected;
+                var rank = Math.max(1, Math.min(n, Math.round(n * Math.pow(10, -expected) + 0.5)));
+                if (ranks.indexOf(rank) === -1) {
+                    ranks.push(rank);
+                }
+            }
+            ranks.sort(function(a, b) { return a - b; });
+        }
+        return ranks.map(function(rank) {
+            return {
+                x: -Math.log((rank - 0.5) / n) / Math.LN10,
+                lower: -Math.log(this._betaQuantile((1 + level) / 2, rank, n - rank + 1)) / Math.LN10,
+                upper: -Math.log(this._betaQuantile((1 - level) / 2, rank, n - rank + 1)) / Math.LN10
+            };
+        }.bind(this));
+    },
+
+    /**
+     * Transform the raw array of records from the datasource to prepare it for plotting: drop records without a valid
+     *   p-value, find the expected and observed -log10 p-value of each point (within its stratum), and calculate lambda
+     *   and the confidence band
+     * @private
+     * @returns {Object[]}
+     */
+    _prepareData: function() {
+        var layout = this.layout;
+        var x_field = layout.x_axis.field;
+        var y_field = layout.y_axis.field;
+        if (!layout.log_pvalue_field || !x_field || !y_field) {
+            throw "Layout for " + layout.id + " must specify log_pvalue_field, x_axis.field, and y_axis.field";
+        }
+        var log_pvalue = new LocusZoom.Data.Field(layout.log_pvalue_field);
+        var stratum = layout.stratify_field ? new LocusZoom.Data.Field(layout.stratify_field) : null;
+        var bins = Array.isArray(layout.stratify_bins) ? layout.stratify_bins : null;
+        var bin_names = bins ? this._getBinNames(bins) : null;
+
+        var strata = {};
+        var data = this.data.filter(function(d) {
+            var value = log_pvalue.resolve(d);
+            if (value === null || value === "" || !isFinite(+value) || +value < 0) {
+                return false;
+            }
+            var name = "";
+            if (stratum) {
+                var stratum_value = stratum.resolve(d);
+                if (bins && stratum_value !== null && !isNaN(+stratum_value)) {
+                    name = bin_names[bins.filter(function(bin) { return +stratum_value >= bin; }).length];
+                } else {
+                    name = String(stratum_value);
+                }
+                if (layout.stratum_field) {
+                    d[layout.stratum_field] = name;
+                }
+            }
+            strata[name] = strata[name] || [];
+            strata[name].push({ record: d, value: +value });
+            return true;
+        });
+
+        /**
+         * The genomic inflation factor, for all points and for each stratum
+         * @member {{all: Number, strata: Object.<String, Number>}}
+         */
+        this.lambda = { all: null, strata: {} };
+        var largest = 0;
+        Object.keys(strata).forEach(function(name) {
+            var points = strata[name].sort(function(a, b) { return b.value - a.value; });
+            var n = points.length;
+            points.forEach(function(point, i) {
+                point.record[x_field] = -Math.log((i + 0.5) / n) / Math.LN10;
+                point.record[y_field] = point.value;
+            });
+            this.lambda.strata[name] = this.calculateLambda(points.map(function(point) { return point.value; }));
+            largest = Math.max(largest, n);
+        }.bind(this));
+        var all_values = data.map(function(d) { return +d[y_field]; }).sort(function(a, b) { return a - b; });
+        this.lambda.all = this.calculateLambda(all_values);
+
+        var band = layout.confidence_band;
+        /**
+         * @member {{x: Number, lower: Number, upper: Number}[]}
+         * @private
+         */
+        this._band = (band && largest) ? this.calculateConfidenceBand(largest, band.level, band.points) : [];
+
+        this._applyStrata(stratum ? Object.keys(strata) : [], bin_names);
+        return data;
+    },
+
+    /**
+     * Name the strata given by a set of break points
+     * @private
+     * @param {Number[]} bins
+     * @returns {String[]}
+     */
+    _getBinNames: function(bins) {
+        var names = ["< " + bins[0]];
+        for (var i = 1; i < bins.length; i++) {
+            names.push(bins[i - 1] + " - " + bins[i]);
+        }
+        names.push(">= " + bins[bins.length - 1]);
+        return names;
+    },
+
+    /**
+     * Fill in the color scale for the strata (if not given in the layout), and show lambda in the legend or title
+     * @private
+     * @param {String[]} names The strata found in the data
+     * @param {String[]} [bin_names] The names of all strata (in order), when `stratify_bins` are used
+     */
+    _applyStrata: function(names, bin_names) {
+        var layout = this.layout;
+        var format = function(lambda) {
+            return lambda === null ? "n/a" : lambda.toFixed(3);
+        };
+        var categories = bin_names ? bin_names.slice() : names.slice().sort();
+        var colors = [];
+        var color_field = layout.stratum_field || layout.stratify_field;
+        [].concat(layout.color).forEach(function(color) {
+            if (color_field && color && color.scale_function === "categorical_bin" && color.field === color_field) {
+                color.parameters = color.parameters || {};
+                var given = color.parameters.categories || [];
+                if (given.length && (color.parameters.values || []).length) {
+                    // Use the order and colors given in the layout, followed by any other strata
+                    categories = given.concat(categories.filter(function(name) { return given.indexOf(name) === -1; }));
+                } else {
+                    var scale = categories.length <= 10 ? d3.scale.category10 : d3.scale.category20;
+                    color.parameters.categories = categories;
+                    color.parameters.values = scale().range().slice(0, categories.length);
+                }
+                colors = color.parameters.values;
+            }
+        });
+
+        if (layout.lambda_display === "title") {
+            if (this.parent) {
+                this.parent.setTitle("λ = " + format(this.lambda.all));
+            }
+        } else if (layout.lambda_display !== "none") {
+            var base_color = [].concat(layout.color).filter(function(color) {
+                return typeof color === "string";
+            })[0] || "#888888";
+            layout.legend = names.length ? categories.filter(function(name) {
+                return names.indexOf(name) !== -1;
+            }).map(function(name) {
+                var index = categories.indexOf(name);
+                return {
+                    shape: "circle", size: 40, color: colors[index] || base_color,
+                    label: name + " (λ = " + format(this.lambda.strata[name]) + ")"
+                };
+            }.bind(this)) : [{ shape: "circle", size: 40, color: base_color, label: "λ = " + format(this.lambda.all) }];
+            if (this.parent && this.parent.legend) {
+                this.parent.legend.render();
+            }
+        }
+    },
+
+    applyDataMethods: function() { // Overrides parent method
+        this.data = this._prepareData();
+        return LocusZoom.DataLayer.prototype.applyDataMethods.call(this);
+    },
+
+    /**
+     * Draw the line of equality and the confidence band, beneath the points
+     */
+    renderGuides: function() {
+        var x_scale = this.parent.x_scale;
+        var y_scale = this.parent["y" + this.layout.y_axis.axis + "_scale"];
+        if (!this.svg.guides) {
+            this.svg.guides = this.svg.group.insert("g", ":first-child").attr("class", "lz-data_layer-qqplot-guides");
+        }
+
+        var band = this.layout.confidence_band && this._band.length ? [this._band] : [];
+        var band_selection = this.svg.guides.selectAll("path.lz-data_layer-qqplot-band").data(band);
+        band_selection.enter().append("path").attr("class", "lz-data_layer-qqplot-band");
+        band_selection
+            .attr("d", d3.svg.area()
+                .x(function(d) { return x_scale(d.x); })
+                .y0(function(d) { return y_scale(d.lower); })
+                .y1(function(d) { return y_scale(d.upper); }))
+            .style((this.layout.confidence_band || {}).style || {});
+        band_selection.exit().remove();
+
+        var x_field = this.layout.x_axis.field;
+        var max_expected = d3.max(this.data, function(d) { return +d[x_field]; }) || 0;
+        var diagonal = this.layout.diagonal && this.data.length ? [max_expected] : [];
+        var diagonal_selection = this.svg.guides.selectAll("path.lz-data_layer-qqplot-diagonal").data(diagonal);
+        diagonal_selection.enter().append("path").attr("class", "lz-data_layer-qqplot-diagonal");
+        diagonal_selection
+            .attr("d", function(max) {
+                return "M" + x_scale(0) + "," + y_scale(0) + "L" + x_scale(max) + "," + y_scale(max);
+            })
+            .style((this.layout.diagonal || {}).style || {});
+        diagonal_selection.exit().remove();
+        return this;
+    }
+}, function(layout) {
+    // Merge the defaults for this DataLayer type with the layout
+    this.layout = LocusZoom.Layouts.merge(this.layout, {
+        lambda_display: "legend",
+        confidence_band: {
+            level: 0.95,
+            points: 100,
+            style: { "fill": "#D3D3D3", "fill-opacity": 0.5, "stroke": "none" }
+        },
+        diagonal: {
+            style: { "stroke": "#888888", "stroke-width": "1px", "stroke-dasharray": "4px 4px", "fill": "none" }
+        }
+    });
+
+    var renderPoints = this.render;
+    this.render = function() {
+        this.renderGuides();
+        return renderPoints.apply(this, arguments);
+    };
+});
@@ -0,0 +1,312 @@
+/* global LocusZoom, Uint8Array */
+"use strict";
+
+/**
+ * Functions to export a plot, or a single one of its panels, as an image: SVG (with the page styles that apply to it
+ *   inlined), PNG at any resolution, or vector PDF. These are used by the `download` dashboard component.
+ * @namespace
+ */
+LocusZoom.Export = {};
+
+/**
+ * Get the size of the image of a plot or panel, in pixels
+ * @param {LocusZoom.Plot} plot
+ * @param {String} [panel_id] The ID of a panel to export on its own
+ * @returns {{width: Number, height: Number}}
+ */
+LocusZoom.Export.getSize = function(plot, panel_id){
+    var layout = panel_id ? plot.panels[panel_id].layout : plot.layout;
+    return { width: +layout.width, height: +layout.height };
+};
+
+/**
+ * Collect the CSS rules, from every stylesheet on the page, that apply to an element or anything inside it. Stylesheets
+ *   that the page can't read (as when one is served from another domain) are requested again, and parsed.
+ * @param {Element} node
+ * @returns {Promise} Resolves to a string of CSS
+ */
+LocusZoom.Export.getCSS = function(node){
+    var matches = node.matches || node.msMatchesSelector || node.webkitMatchesSelector;
+    var collect = function(rules){
+        var css = [];
+        Array.prototype.forEach.call(rules || [], function(rule){
+            // Only style rules (type 1) apply to elements; media queries and the like are left out
+            if (rule.type !== 1 || !rule.selectorText){ return; }
+            var applies = rule.selectorText.split(",").some(function(selector){
+                try {
+                    return !!node.querySelector(selector) || !!(matches && matches.call(node, selector));
+                } catch (selector_error){
+                    return false;
+                }
+            });
+            if (applies){ css.push(rule.cssText); }
+        });
+        return css.join(" ");
+    };
+    var parse = function(text){
+        var style = document.createElement("style");
+        style.appendChild(document.createTextNode(text));
+        document.head.appendChild(style);
+        var css = collect(style.sheet && style.sheet.cssRules);
+        document.head.removeChild(style);
+        return css;
+    };
+    var promises = Array.prototype.map.call(document.styleSheets || [], function(sheet){
+        var rules = null;
+        try {
+            rules = sheet.cssRules;
+        } catch (security_error){
+            rules = null;
+        }
+        if (rules){ return Q(collect(rules)); }
+        if (!sheet.href){ return Q(""); }
+        return LocusZoom.createCORSPromise("GET", sheet.href).then(parse, function(){ return ""; });
+    });
+    return Q.all(promises).then(function(css){
+        return css.filter(function(text){ return text; }).join(" ");
+    });
+};
+
+/**
+ * Get the SVG markup for a plot, or one of its panels, with the styles that apply to it inlined
+ * @param {LocusZoom.Plot} plot
+ * @param {String} [panel_id] The ID of a panel to export on its own
+ * @returns {Promise} Resolves to a string of SVG markup
+ */
+LocusZoom.Export.getSVG = function(plot, panel_id){
+    return LocusZoom.Export.getCSS(plot.svg.node()).then(function(css){
+        var size = LocusZoom.Export.getSize(plot, panel_id);
+        // Insert a hidden div, clone the node into that so we can modify it with d3
+        var container = d3.select(plot.svg.node().parentNode).append("div").style("display", "none")
+            .html(plot.svg.node().outerHTML);
+        var svg = container.select("svg");
+        // Remove unnecessary elements
+        svg.selectAll("g.lz-curtain").remove();
+        svg.selectAll("g.lz-mouse_guide").remove();
+        // To export a single panel, keep only its container, and move it to the origin
+        if (panel_id){
+            var panel_container_id = plot.panels[panel_id].getBaseId() + ".panel_container";
+            Array.prototype.slice.call(svg.node().childNodes).forEach(function(child){
+                if (child.nodeType === 1 && child.getAttribute("id") === panel_container_id){
+                    child.setAttribute("transform", "translate(0,0)");
+                } else if (child.nodeType !== 1 || child.tagName.toLowerCase() !== "defs"){
+                    svg.node().removeChild(child);
+                }
+            });
+        }
+        svg.attr("width", size.width).attr("height", size.height);
+        // Convert units on axis tick dy attributes from ems to pixels
+        svg.selectAll("g.tick text").each(function(){
+            var dy = +(d3.select(this).attr("dy").substring(-2).slice(0,-2))*10;
+            d3.select(this).attr("dy", dy);
+        });
+        // Pull the svg into a string and add the styles that apply to it
+        // Don't add this with d3 because it will escape the CDATA declaration incorrectly
+        var initial_html = container.html();
+        // Data layers drawn on a canvas are embedded as images, which need the xlink namespace to be declared
+        if (initial_html.indexOf("xlink:href") !== -1 && initial_html.indexOf("xmlns:xlink") === -1){
+            initial_html = initial_html.replace("<svg", "<svg xmlns:xlink=\"http://www.w3.org/1999/xlink\"");
+        }
+        var style_def = "<style type=\"text/css\"><![CDATA[ " + css.replace(/[\r\n]/g," ").replace(/\s+/g," ") + " ]]></style>";
+        var insert_at = initial_html.indexOf(">") + 1;
+        initial_html = initial_html.slice(0,insert_at) + style_def + initial_html.slice(insert_at);
+        // Delete the container node
+        container.remove();
+        return initial_html;
+    });
+};
+
+/**
+ * Base64-encode a string of text (which may contain any unicode characters)
+ * @param {String} text
+ * @returns {String}
+ */
+LocusZoom.Export.toBase64 = function(text){
+    return btoa(encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, function(match, p1) {
+        return String.fromCharCode("0x" + p1);
+    }));
+};
+
+/**
+ * Decode base64 data into bytes
+ * @param {String} base64
+ * @returns {Uint8Array}
+ */
+LocusZoom.Export.fromBase64 = function(base64){
+    var binary = atob(base64);
+    var bytes = new Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i++){
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+};
+
+/**
+ * Calculate the CRC-32 checksum of some bytes, as used in PNG chunks
+ * @protected
+ * @param {Uint8Array} bytes
+ * @returns {Number}
+ */
+LocusZoom.Export.crc32 = function(bytes){
+    if (!LocusZoom.Export.crc32.table){
+        var table = LocusZoom.Export.crc32.table = [];
+        for (var n = 0; n < 256; n++){
+            var c = n;
+            for (var k = 0; k < 8; k++){
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            table[n] = c >>> 0;
+        }
+    }
+    var crc = 0xFFFFFFFF;
+    for (var i = 0; i < bytes.length; i++){
+        crc = LocusZoom.Export.crc32.table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Record the resolution of a PNG image (in a pHYs chunk, replacing any that it has already), so that the image is
+ *   placed at the right size by programs that read it
+ * @param {Uint8Array} bytes PNG data
+ * @param {Number} dpi
+ * @returns {Uint8Array} New PNG data
+ */
+LocusZoom.Export.setPNGResolution = function(bytes, dpi){
+    var read = function(pos){
+        return ((bytes[pos] << 24) | (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3]) >>> 0;
+    };
+    var write = function(target, pos, value){
+        target[pos] = (value >>> 24) & 0xFF;
+        target[pos + 1] = (value >>> 16) & 0xFF;
+        target[pos + 2] = (value >>> 8) & 0xFF;
+        target[pos + 3] = value & 0xFF;
+    };
+    // Build the pHYs chunk: pixels per meter along each axis, and the unit (1: meters)
+    var pixels_per_meter = Math.round(dpi / 0.0254);
+    var chunk = new Uint8Array(21);
+    write(chunk, 0, 9);
+    chunk.set([112, 72, 89, 115], 4); // "pHYs"
+    write(chunk, 8, pixels_per_meter);
+    write(chunk, 12, pixels_per_meter);
+    chunk[16] = 1;
+    write(chunk, 17, LocusZoom.Export.crc32(chunk.subarray(4, 17)));
+    // Copy the signature and every chunk except any existing pHYs, inserting the new one after the header chunk
+    var parts = [bytes.subarray(0, 8)];
+    var pos = 8;
+    while (pos + 8 <= bytes.length){
+        var length = read(pos);
+        var type = String.fromCharCode(bytes[pos + 4], bytes[pos + 5], bytes[pos + 6], bytes[pos + 7]);
+        var end = pos + 12 + length;
+        if (type !== "pHYs"){ parts.push(bytes.subarray(pos, end)); }
+        if (type === "IHDR"){ parts.push(chunk); }
+        pos = end;
+    }
+    var total = parts.reduce(function(sum, part){ return sum + part.length; }, 0);
+    var result = new Uint8Array(total);
+    var offset = 0;
+    parts.forEach(function(part){
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+};
+
+/**
+ * Draw an SVG image onto a canvas, at a given resolution, and get the result as a PNG image
+ * @param {String} svg SVG markup, as from `getSVG`
+ * @param {{width: Number, height: Number}} size The size of the SVG image, in pixels
+ * @param {Number} [dpi=96] The resolution of the image. At 96 DPI there is one pixel in the image for each pixel of the
+ *   plot on the screen; at 192 DPI there are two along each side, and so on.
+ * @returns {Promise} Resolves to a Uint8Array of PNG data
+ */
+LocusZoom.Export.getPNG = function(svg, size, dpi){
+    dpi = +dpi || 96;
+    var scale = dpi / 96;
+    var deferred = Q.defer();
+    var image = new Image();
+    image.onload = function(){
+        try {
+            var canvas = document.createElement("canvas");
+            canvas.width = Math.max(Math.round(size.width * scale), 1);
+            canvas.height = Math.max(Math.round(size.height * scale), 1);
+            var context = canvas.getContext("2d");
+            context.fillStyle = "#FFFFFF";
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+            var bytes = LocusZoom.Export.fromBase64(canvas.toDataURL("image/png").split(",")[1]);
+            deferred.resolve(LocusZoom.Export.setPNGResolution(bytes, dpi));
+        } catch (canvas_error){
+            deferred.reject("Unable to draw the plot as a PNG image: " + canvas_error);
+        }
+    };
+    image.onerror = function(){
+        deferred.reject("Unable to draw the plot as a PNG image");
+    };
+    image.src = "data:image/svg+xml;base64," + LocusZoom.Export.toBase64(svg);
+    return deferred.promise;
+};
+
+/**
+ * Whether PDF images can be made: that is, whether jsPDF and svg2pdf.js have been included on the page
+ * @returns {Boolean}
+ */
+LocusZoom.Export.canMakePDF = function(){
+    return typeof jspdf != "undefined" && typeof svg2pdf != "undefined";
+};
+
+/**
+ * Draw a plot, or one of its panels, as a vector PDF, by way of jsPDF and svg2pdf.js. One pixel on the screen is drawn
+ *   as 0.75 points, so that the page is the same physical size as the plot.
+ * @param {LocusZoom.Plot} plot
+ * @param {String} [panel_id] The ID of a panel to export on its own
+ * @returns {Promise} Resolves to a Uint8Array of PDF data
+ */
+LocusZoom.Export.getPDF = function(plot, panel_id){
+    if (!LocusZoom.Export.canMakePDF()){
+        return Q.reject("Unable to draw the plot as a PDF: jsPDF and svg2pdf.js must be included on the page");
+    }
+    var size = LocusZoom.Export.getSize(plot, panel_id);
+    var width = size.width * 0.75;
+    var height = size.height * 0.75;
+    return LocusZoom.Export.getSVG(plot, panel_id).then(function(svg){
+        // svg2pdf.js reads the styles (inlined by getSVG) from the document, so the image is drawn in a hidden div
+        var container = d3.select(plot.svg.node().parentNode).append("div").style("display", "none").html(svg);
+        // The image is drawn in points, so the viewBox keeps it in pixels
+        container.select("svg").attr("viewBox", "0 0 " + size.width + " " + size.height);
+        var pdf = new jspdf.jsPDF({
+            orientation: width > height ? "landscape" : "portrait",
+            unit: "pt",
+            format: [width, height]
+        });
+        return Q(svg2pdf.svg2pdf(container.select("svg").node(), pdf, { x: 0, y: 0, width: width, height: height }))
+            .then(function(){
+                return new Uint8Array(pdf.output("arraybuffer"));
+            }).fin(function(){
+                container.remove();
+            });
+    });
+};
+
+/**
+ * Save data as a file, by way of a temporary link
+ * @param {String|Uint8Array} data
+ * @param {String} type The MIME type of the data
+ * @param {String} filename
+ */
+LocusZoom.Export.save = function(data, type, filename){
+    var blob = new Blob([data], { type: type });
+    if (window.navigator && window.navigator.msSaveOrOpenBlob){
+        window.navigator.msSaveOrOpenBlob(blob, filename);
+        return;
+    }
+    var url = URL.createObjectURL(blob);
+    var link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.style.display = "none";
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(function(){ URL.revokeObjectURL(url); }, 1000);
+};
@@ -428,6 +428,210 @@ LocusZoom.Layouts.add("data_layer", "phewas_pvalues", {
     }
 });
 
+LocusZoom.Layouts.add("data_layer", "manhattan", {
+    namespace: { "manhattan": "manhattan" },
+    id: "manhattan",
+    type: "manhattan",
+    point_shape: "circle",
+    point_size: 20,
+    renderer: "auto",
+    id_field: "{{namespace[manhattan]}}variant",
+    fields: ["{{namespace[manhattan]}}variant", "{{namespace[manhattan]}}chromosome", "{{namespace[manhattan]}}position", "{{namespace[manhattan]}}log_pvalue"],
+    chromosome_field: "{{namespace[manhattan]}}chromosome",
+    position_field: "{{namespace[manhattan]}}position",
+    chromosome_colors: ["rgb(0, 0, 66)", "rgb(120, 120, 186)"],
+    downsample: {
+        threshold: 3,
+        x_bins: 1000,
+        y_bins: 60
+    },
+    x_axis: {
+        field: "{{namespace[manhattan]}}genome_position"  // Synthetic/derived field added by `manhattan` layer
+    },
+    y_axis: {
+        axis: 1,
+        field: "{{namespace[manhattan]}}log_pvalue",
+        floor: 0,
+        upper_buffer: 0.10,
+        min_extent: [ 0, 10 ]
+    },
+    color: {
+        field: "{{namespace[manhattan]}}chromosome",
+        scale_function: "categorical_bin",
+        parameters: {
+            categories: [],
+            values: [],
+            null_value: "#B8B8B8"
+        }
+    },
+    behaviors: {
+        onmouseover: [
+            { action: "set", status: "highlighted" }
+        ],
+        onmouseout: [
+            { action: "unset", status: "highlighted" }
+        ],
+        onclick: [
+            { action: "open_region", flank: 250000, layout: "standard_association" }
+        ],
+        onshiftclick: [
+            { action: "toggle", status: "selected" }
+        ]
+    },
+    tooltip: {
+        closable: true,
+        show: { or: ["highlighted", "selected"] },
+        hide: { and: ["unhighlighted", "unselected"] },
+        html: "<strong>{{{{namespace[manhattan]}}variant|htmlescape}}</strong><br>"
+            + "Position: <strong>{{{{namespace[manhattan]}}chromosome}}:{{{{namespace[manhattan]}}position}}</strong><br>"
+            + "P Value: <strong>{{{{namespace[manhattan]}}log_pvalue|logtoscinotation}}</strong><br>"
+            + "Click to show this region"
+    }
+});
+
+LocusZoom.Layouts.add("data_layer", "qqplot", {
+    namespace: { "assoc": "assoc" },
+    id: "qqplot",
+    type: "qqplot",
+    point_shape: "circle",
+    point_size: 20,
+    renderer: "auto",
+    id_field: "{{namespace[assoc]}}variant",
+    fields: ["{{namespace[assoc]}}variant", "{{namespace[assoc]}}log_pvalue"],
+    log_pvalue_field: "{{namespace[assoc]}}log_pvalue",
+    stratum_field: "{{namespace[assoc]}}qq_stratum",  // Synthetic/derived field added by `qqplot` layer
+    x_axis: {
+        field: "{{namespace[assoc]}}expected_log_pvalue",  // Synthetic/derived field added by `qqplot` layer
+        floor: 0
+    },
+    y_axis: {
+        axis: 1,
+        field: "{{namespace[assoc]}}observed_log_pvalue",  // Synthetic/derived field added by `qqplot` layer
+        floor: 0,
+        upper_buffer: 0.10
+    },
+    color: [
+        {
+            field: "{{namespace[assoc]}}qq_stratum",
+            scale_function: "categorical_bin",
+            parameters: {
+                categories: [],
+                values: []
+            }
+        },
+        "#357EBD"
+    ],
+    lambda_display: "legend",
+    behaviors: {
+        onmouseover: [
+            { action: "set", status: "highlighted" }
+        ],
+        onmouseout: [
+            { action: "unset", status: "highlighted" }
+        ],
+        onclick: [
+            { action: "toggle", status: "selected", exclusive: true }
+        ],
+        onshiftclick: [
+            { action: "toggle", status: "selected" }
+        ]
+    },
+    tooltip: {
+        closable: true,
+        show: { or: ["highlighted", "selected"] },
+        hide: { and: ["unhighlighted", "unselected"] },
+        html: "<strong>{{{{namespace[assoc]}}variant|htmlescape}}</strong><br>"
+            + "Observed P Value: <strong>{{{{namespace[assoc]}}observed_log_pvalue|logtoscinotation}}</strong><br>"
+            + "Expected P Value: <strong>{{{{namespace[assoc]}}expected_log_pvalue|logtoscinotation}}</strong><br>"
+    }
+});
+
+LocusZoom.Layouts.add("data_layer", "arcs", {
+    namespace: { "interactions": "interactions" },
+    id: "arcs",
+    type: "arcs",
+    fields: [
+        "{{namespace[interactions]}}start1", "{{namespace[interactions]}}end1",
+        "{{namespace[interactions]}}start2", "{{namespace[interactions]}}end2",
+        "{{namespace[interactions]}}score"
+    ],
+    start1_field: "{{namespace[interactions]}}start1",
+    end1_field: "{{namespace[interactions]}}end1",
+    start2_field: "{{namespace[interactions]}}start2",
+    end2_field: "{{namespace[interactions]}}end2",
+    score_field: "{{namespace[interactions]}}score",
+    behaviors: {
+        onmouseover: [
+            { action: "set", status: "highlighted" }
+        ],
+        onmouseout: [
+            { action: "unset", status: "highlighted" }
+        ],
+        onclick: [
+            { action: "toggle", status: "selected", exclusive: true }
+        ],
+        onshiftclick: [
+            { action: "toggle", status: "selected" }
+        ]
+    },
+    tooltip: {
+        closable: true,
+        show: { or: ["highlighted", "selected"] },
+        hide: { and: ["unhighlighted", "unselected"] },
+        html: "{{{{namespace[interactions]}}start1|commas}}-{{{{namespace[interactions]}}end1|commas}}<br>"
+            + "{{{{namespace[interactions]}}start2|commas}}-{{{{namespace[interactions]}}end2|commas}}<br>"
+            + "Score: <strong>{{{{namespace[interactions]}}score|toprecision(3)}}</strong>"
+    }
+});
+
+LocusZoom.Layouts.add("data_layer", "ld_heatmap", {
+    namespace: { "ldpairs": "ldpairs" },
+    id: "ld_heatmap",
+    type: "ld_heatmap",
+    fields: [
+        "{{namespace[ldpairs]}}variant1", "{{namespace[ldpairs]}}position1",
+        "{{namespace[ldpairs]}}variant2", "{{namespace[ldpairs]}}position2",
+        "{{namespace[ldpairs]}}rsquare"
+    ],
+    variant1_field: "{{namespace[ldpairs]}}variant1",
+    position1_field: "{{namespace[ldpairs]}}position1",
+    variant2_field: "{{namespace[ldpairs]}}variant2",
+    position2_field: "{{namespace[ldpairs]}}position2",
+    color: [
+        {
+            field: "{{namespace[ldpairs]}}rsquare",
+            scale_function: "interpolate",
+            parameters: {
+                breaks: [0, 1],
+                values: ["#FFFFFF", "#D43F3A"]
+            }
+        },
+        "#B8B8B8"
+    ],
+    behaviors: {
+        onmouseover: [
+            { action: "set", status: "highlighted" }
+        ],
+        onmouseout: [
+            { action: "unset", status: "highlighted" }
+        ],
+        onclick: [
+            { action: "toggle", status: "selected", exclusive: true }
+        ],
+        onshiftclick: [
+            { action: "toggle", status: "selected" }
+        ]
+    },
+    tooltip: {
+        closable: true,
+        show: { or: ["highlighted", "selected"] },
+        hide: { and: ["unhighlighted", "unselected"] },
+        html: "<strong>{{{{namespace[ldpairs]}}variant1|htmlescape}}</strong><br>"
+            + "<strong>{{{{namespace[ldpairs]}}variant2|htmlescape}}</strong><br>"
+            + "r&sup2;: <strong>{{{{namespace[ldpairs]}}rsquare|tofixed(2)}}</strong><br>"
+    }
+});
+
 LocusZoom.Layouts.add("data_layer", "genes", {
     namespace: { "gene": "gene", "constraint": "constraint" },
     id: "genes",
@@ -514,6 +718,50 @@ LocusZoom.Layouts.add("data_layer", "intervals", {
     tooltip: LocusZoom.Layouts.get("tooltip", "standard_intervals", { unnamespaced: true })
 });
 
+LocusZoom.Layouts.add("data_layer", "bed_intervals", {
+    namespace: { "bed": "bed" },
+    id: "bed_intervals",
+    type: "intervals",
+    fields: [
+        "{{namespace[bed]}}id", "{{namespace[bed]}}start", "{{namespace[bed]}}end", "{{namespace[bed]}}name",
+        "{{namespace[bed]}}score", "{{namespace[bed]}}strand", "{{namespace[bed]}}color"
+    ],
+    id_field: "{{namespace[bed]}}id",
+    start_field: "{{namespace[bed]}}start",
+    end_field: "{{namespace[bed]}}end",
+    track_split_field: "{{namespace[bed]}}name",
+    track_split_order: "ASC",
+    split_tracks: false,
+    always_hide_legend: true,
+    color: [
+        { field: "{{namespace[bed]}}color" },
+        "#B8B8B8"
+    ],
+    behaviors: {
+        onmouseover: [
+            { action: "set", status: "highlighted" }
+        ],
+        onmouseout: [
+            { action: "unset", status: "highlighted" }
+        ],
+        onclick: [
+            { action: "toggle", status: "selected", exclusive: true }
+        ],
+        onshiftclick: [
+            { action: "toggle", status: "selected" }
+        ]
+    },
+    tooltip: {
+        namespace: { "bed": "bed" },
+        closable: false,
+        show: { or: ["highlighted", "selected"] },
+        hide: { and: ["unhighlighted", "unselected"] },
+        html: "<strong>{{{{namespace[bed]}}name}}</strong><br>"
+            + "{{{{namespace[bed]}}start}}-{{{{namespace[bed]}}end}} {{{{namespace[bed]}}strand}}<br>"
+            + "Score: {{{{namespace[bed]}}score}}"
+    }
+});
+
 /**
  * Dashboard Layouts: toolbar buttons etc
   * @namespace Layouts.dashboard
@@ -693,6 +941,10 @@ LocusZoom.Layouts.add("panel", "genes", {
             type: "resize_to_data",
             position: "right"
         });
+        l.components.push({
+            type: "gene_display_mode",
+            position: "right"
+        });
         return l;
     })(),   
     data_layers: [
@@ -732,6 +984,113 @@ LocusZoom.Layouts.add("panel", "phewas", {
     ]
 });
 
+LocusZoom.Layouts.add("panel", "manhattan", {
+    id: "manhattan",
+    width: 800,
+    height: 300,
+    min_width:  800,
+    min_height: 300,
+    proportional_width: 1,
+    margin: { top: 20, right: 50, bottom: 50, left: 50 },
+    inner_border: "rgb(210, 210, 210)",
+    axes: {
+        x: {
+            label: "Chromosome",
+            label_offset: 35,
+            ticks: {  // Object based config (shared defaults; allow layers to specify ticks)
+                style: {
+                    "font-weight": "bold",
+                    "font-size": "11px",
+                    "text-anchor": "middle"
+                }
+            }
+        },
+        y1: {
+            label: "-log10 p-value",
+            label_offset: 28
+        }
+    },
+    data_layers: [
+        LocusZoom.Layouts.get("data_layer", "significance", { unnamespaced: true, offset: 7.301 }),
+        LocusZoom.Layouts.get("data_layer", "manhattan", { unnamespaced: true })
+    ]
+});
+
+LocusZoom.Layouts.add("panel", "qqplot", {
+    id: "qqplot",
+    width: 400,
+    height: 400,
+    min_width: 300,
+    min_height: 300,
+    margin: { top: 35, right: 30, bottom: 50, left: 50 },
+    inner_border: "rgb(210, 210, 210)",
+    axes: {
+        x: {
+            label: "Expected -log10 p-value",
+            label_offset: 34
+        },
+        y1: {
+            label: "Observed -log10 p-value",
+            label_offset: 28
+        }
+    },
+    legend: {
+        orientation: "vertical",
+        origin: { x: 55, y: 40 }
+    },
+    data_layers: [
+        LocusZoom.Layouts.get("data_layer", "qqplot", { unnamespaced: true })
+    ]
+});
+
+LocusZoom.Layouts.add("panel", "arcs", {
+    id: "arcs",
+    width: 800,
+    height: 150,
+    min_width: 400,
+    min_height: 100,
+    proportional_width: 1,
+    margin: { top: 20, right: 50, bottom: 20, left: 50 },
+    axes: {
+        x: {
+            extent: "state"
+        }
+    },
+    interaction: {
+        drag_background_to_pan: true,
+        scroll_to_zoom: true,
+        x_linked: true
+    },
+    dashboard: LocusZoom.Layouts.get("dashboard", "standard_panel", { unnamespaced: true }),
+    data_layers: [
+        LocusZoom.Layouts.get("data_layer", "arcs", { unnamespaced: true })
+    ]
+});
+
+LocusZoom.Layouts.add("panel", "ld_heatmap", {
+    id: "ld_heatmap",
+    width: 800,
+    height: 300,
+    min_width: 400,
+    min_height: 150,
+    proportional_width: 1,
+    margin: { top: 20, right: 50, bottom: 20, left: 50 },
+    axes: {
+        x: {
+            extent: "state"
+        }
+    },
+    interaction: {
+        drag_background_to_pan: true,
+        scroll_to_zoom: true,
+        x_linked: true
+    },
+    dashboard: LocusZoom.Layouts.get("dashboard", "standard_panel", { unnamespaced: true }),
+    data_layers: [
+        LocusZoom.Layouts.get("data_layer", "ld_heatmap", { unnamespaced: true })
+    ]
+});
+
 LocusZoom.Layouts.add("panel", "genome_legend", {
     id: "genome_legend",
     width: 800,
@@ -1029,6 +1388,39 @@ LocusZoom.Layouts.add("panel", "intervals", {
     ]
 });
 
+LocusZoom.Layouts.add("panel", "bed_intervals", {
+    id: "bed_intervals",
+    width: 1000,
+    height: 50,
+    min_width: 500,
+    min_height: 50,
+    margin: { top: 25, right: 150, bottom: 5, left: 50 },
+    dashboard: (function(){
+        var l = LocusZoom.Layouts.get("dashboard", "standard_panel", { unnamespaced: true });
+        l.components.push({
+            type: "toggle_split_tracks",
+            data_layer_id: "bed_intervals",
+            position: "right"
+        });
+        return l;
+    })(),
+    axes: {},
+    interaction: {
+        drag_background_to_pan: true,
+        scroll_to_zoom: true,
+        x_linked: true
+    },
+    legend: {
+        hidden: true,
+        orientation: "horizontal",
+        origin: { x: 50, y: 0 },
+        pad_from_bottom: 5
+    },
+    data_layers: [
+        LocusZoom.Layouts.get("data_layer", "bed_intervals", { unnamespaced: true })
+    ]
+});
+
 
 /**
  * Plot Layouts
@@ -1078,6 +1470,19 @@ LocusZoom.Layouts.add("plot", "standard_phewas", {
     mouse_guide: false
 });
 
+LocusZoom.Layouts.add("plot", "standard_manhattan", {
+    width: 800,
+    height: 300,
+    min_width: 800,
+    min_height: 300,
+    responsive_resize: true,
+    dashboard: LocusZoom.Layouts.get("dashboard", "standard_plot", { unnamespaced: true }),
+    panels: [
+        LocusZoom.Layouts.get("panel", "manhattan", { unnamespaced: true, proportional_height: 1 })
+    ],
+    mouse_guide: false
+});
+
 LocusZoom.Layouts.add("plot", "interval_association", {
     state: {},
     width: 800,
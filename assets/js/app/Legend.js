@@ -59,7 +59,9 @@ LocusZoom.Legend.DefaultLayout = {
     height: 10,
     padding: 5,
     label_size: 12,
-    hidden: false
+    hidden: false,
+    interactive: true,
+    toggle_status: "hidden"
 };
 
 /**
@@ -96,10 +98,20 @@ LocusZoom.Legend.prototype.render = function(){
     var y = padding;
     var line_height = 0;
     this.parent.data_layer_ids_by_z_index.slice().reverse().forEach(function(id){
-        if (Array.isArray(this.parent.data_layers[id].layout.legend)){
-            this.parent.data_layers[id].layout.legend.forEach(function(element){
+        var data_layer = this.parent.data_layers[id];
+        if (Array.isArray(data_layer.layout.legend)){
+            var legend_state = data_layer.state[data_layer.state_id].legend || {};
+            data_layer.layout.legend.forEach(function(element, index){
                 var selector = this.elements_group.append("g")
                     .attr("transform", "translate(" + x + "," + y + ")");
+                // Clicking an element toggles the elements it represents; shift-clicking shows only those elements
+                if (this.isInteractive(element)){
+                    selector.classed("lz-legend-element-interactive", true)
+                        .classed("lz-legend-element-" + legend_state[index], !!legend_state[index])
+                        .on("click", function(){
+                            this.toggleElement(data_layer, index, !!(d3.event && d3.event.shiftKey));
+                        }.bind(this));
+                }
                 var label_size = +element.label_size || +this.layout.label_size || 12;
                 var label_x = 0;
                 var label_y = (label_size/2) + (padding/2);
@@ -135,6 +147,11 @@ LocusZoom.Legend.prototype.render = function(){
                     label_x = (2*radius) + padding;
                     label_y = Math.max((2*radius)+(padding/2), label_y);
                     line_height = Math.max(line_height, (2*radius) + padding);
+                } else if (element.shape === "gradient"){
+                    // Color bar for a continuous scale, with ticks below
+                    var gradient = this.renderGradient(selector, element, label_size);
+                    label_x = gradient.width + padding;
+                    line_height = Math.max(line_height, gradient.height + padding);
                 }
                 // Draw the legend element label
                 selector.append("text").attr("text-anchor", "left").attr("class", "lz-label")
@@ -177,6 +194,114 @@ LocusZoom.Legend.prototype.render = function(){
     return this.position();
 };
 
+/**
+ * Whether clicking a legend element should toggle the data layer elements it represents: only elements that stand for
+ *   a set of data layer elements (by `filters` or `color`) do, and only if neither the legend nor the element has
+ *   `interactive: false`
+ * @param {Object} element The legend element layout
+ * @returns {Boolean}
+ */
+LocusZoom.Legend.prototype.isInteractive = function(element){
+    return !!this.layout.interactive && element.interactive !== false && element.shape !== "gradient"
+        && (Array.isArray(element.filters) || typeof element.color == "string");
+};
+
+/**
+ * Toggle the status (set by the legend layout's `toggle_status`: "hidden" or "faded") of the data layer elements
+ *   represented by one legend element. To isolate a legend element instead, every other interactive element of the same
+ *   data layer is given the status, unless the legend element is already isolated, in which case all are cleared.
+ * @param {LocusZoom.DataLayer} data_layer
+ * @param {Number} index The index of the element in the data layer's `legend`
+ * @param {Boolean} [isolate=false]
+ * @returns {LocusZoom.Legend}
+ */
+LocusZoom.Legend.prototype.toggleElement = function(data_layer, index, isolate){
+    var status = this.layout.toggle_status || "hidden";
+    var legend_state = data_layer.state[data_layer.state_id].legend || {};
+    var new_state = {};
+    if (isolate){
+        var others = [];
+        data_layer.layout.legend.forEach(function(element, idx){
+            if (idx !== index && this.isInteractive(element)){ others.push(idx); }
+        }.bind(this));
+        var isolated = !legend_state[index] && others.every(function(idx){ return legend_state[idx] === status; });
+        if (!isolated){
+            others.forEach(function(idx){ new_state[idx] = status; });
+        }
+    } else {
+        Object.keys(legend_state).forEach(function(idx){ new_state[idx] = legend_state[idx]; });
+        if (new_state[index]){
+            delete new_state[index];
+        } else {
+            new_state[index] = status;
+        }
+    }
+    data_layer.setLegendElementStatuses(new_state);
+    this.render();
+    return this;
+};
+
+/**
+ * Draw a color bar for a continuous scale (such as `color_ramp` or `interpolate`), with tick marks and labels below
+ *   it. The legend element declares the scale in the same way as a scalable layout directive:
+ *   `{ shape: "gradient", scale_function: "color_ramp", parameters: { palette: "viridis", domain: [0, 1] },
+ *   label: "r²" }`. The domain is taken from `parameters.domain`, or else the first and last of `parameters.breaks`,
+ *   and is drawn on a log scale if `parameters.log` is set. The size of the bar is set by `length` and `thickness`,
+ *   and its ticks by `ticks` (an approximate count) and `tick_format` (a d3 format string).
+ * @protected
+ * @param {d3.selection} selector The group for the legend element
+ * @param {Object} element The legend element layout
+ * @param {Number} label_size
+ * @returns {{width: Number, height: Number}} The size of the bar and its ticks
+ */
+LocusZoom.Legend.prototype.renderGradient = function(selector, element, label_size){
+    var scale_function = element.scale_function || "color_ramp";
+    var parameters = element.parameters || {};
+    var domain = parameters.domain
+        || (Array.isArray(parameters.breaks) && parameters.breaks.length ? [parameters.breaks[0], parameters.breaks[parameters.breaks.length - 1]] : [0, 1]);
+    var length = +element.length || 100;
+    var thickness = +element.thickness || 10;
+    var tick_length = 4;
+    var scale = (parameters.log ? d3.scale.log() : d3.scale.linear()).domain(domain).range([0, length]);
+
+    // Sample the scale function along the bar, so that any continuous scale function can be drawn
+    var id = this.parent.getBaseId().replace(/\W/g, "_") + "_legend_gradient_" + this.elements.length;
+    var gradient = selector.append("defs").append("linearGradient")
+        .attr({ id: id, x1: "0%", y1: "0%", x2: "100%", y2: "0%" });
+    var steps = 32;
+    d3.range(steps + 1).forEach(function(step){
+        var value = scale.invert(length * step / steps);
+        gradient.append("stop")
+            .attr("offset", (100 * step / steps) + "%")
+            .attr("stop-color", LocusZoom.ScaleFunctions.get(scale_function, parameters, value));
+    });
+    selector.append("rect").attr("class", "lz-legend-gradient " + (element.class || ""))
+        .attr("width", length).attr("height", thickness)
+        .attr("fill", "url(#" + id + ")")
+        .style(element.style || {});
+
+    // Draw ticks, skipping any that a log scale's format leaves unlabeled (its minor ticks)
+    var tick_count = isNaN(+element.ticks) ? 5 : +element.ticks;
+    var format;
+    if (parameters.log){
+        format = scale.tickFormat(tick_count, element.tick_format || ",");
+    } else {
+        format = element.tick_format ? d3.format(element.tick_format) : scale.tickFormat(tick_count);
+    }
+    scale.ticks(tick_count).forEach(function(tick){
+        var text = format(tick);
+        if (!text){ return; }
+        var x = scale(tick);
+        selector.append("path").attr("class", "lz-legend-gradient-tick")
+            .attr("d", "M" + x + "," + thickness + "L" + x + "," + (thickness + tick_length));
+        selector.append("text").attr("text-anchor", "middle").attr("class", "lz-label lz-legend-gradient-tick")
+            .attr("x", x).attr("y", thickness + tick_length + label_size)
+            .style({"font-size": label_size}).text(text);
+    });
+
+    return { width: length, height: thickness + tick_length + label_size };
+};
+
 /**
  * Place the legend in position relative to the panel, as specified in the layout configuration
  * @returns {LocusZoom.Legend | null}
@@ -232,6 +232,95 @@ LocusZoom.prettyTicks = function(range, clip_range, target_tick_count){
     return ticks;
 };
 
+/**
+ * An error describing a request for data that failed. The plot and panel curtains show it as a message, so it should
+ *   describe the problem in terms a user can act on.
+ * @class
+ * @param {String} message
+ * @param {Number} [status=0] The HTTP status of the response, or 0 if no response was received (eg a timeout)
+ * @param {String} [url] The URL that was requested
+ */
+LocusZoom.RequestError = function(message, status, url) {
+    /** @member {String} */
+    this.message = message;
+    /** @member {Number} */
+    this.status = status || 0;
+    /** @member {String|null} */
+    this.url = url || null;
+    /**
+     * The namespace of the data source that made the request, as used in the plot's data sources
+     * @member {String|null}
+     */
+    this.source = null;
+};
+
+/**
+ * @returns {String}
+ */
+LocusZoom.RequestError.prototype.toString = function() {
+    return (this.source ? "Error fetching data for " + this.source + ": " : "") + this.message;
+};
+
+/**
+ * A token used to cancel asynchronous operations, such as AJAX requests, whose results are no longer needed. For
+ *   example, a plot cancels all requests made for a previous state when the state changes again.
+ * @class
+ */
+LocusZoom.CancelToken = function() {
+    /** @member {Boolean} */
+    this.cancelled = false;
+    /** @member {String|null} */
+    this.reason = null;
+    /**
+     * @protected
+     * @member {Function[]}
+     */
+    this._callbacks = [];
+};
+
+/**
+ * Cancel all operations that use this token
+ * @param {String} [reason="Request cancelled"]
+ * @returns {LocusZoom.CancelToken}
+ */
+LocusZoom.CancelToken.prototype.cancel = function(reason) {
+    if (!this.cancelled) {
+        this.cancelled = true;
+        this.reason = reason || "Request cancelled";
+        var callbacks = this._callbacks;
+        this._callbacks = [];
+        callbacks.forEach(function(callback) {
+            callback(this.reason);
+        }.bind(this));
+    }
+    return this;
+};
+
+/**
+ * Register a function to be called when this token is cancelled. If it has already been cancelled, the function is
+ *   called immediately.
+ * @param {Function} callback Called with the reason for cancellation
+ * @returns {LocusZoom.CancelToken}
+ */
+LocusZoom.CancelToken.prototype.onCancel = function(callback) {
+    if (this.cancelled) {
+        callback(this.reason);
+    } else {
+        this._callbacks.push(callback);
+    }
+    return this;
+};
+
+/**
+ * Create a new token that will be cancelled along with this one, but which can also be cancelled on its own
+ * @returns {LocusZoom.CancelToken}
+ */
+LocusZoom.CancelToken.prototype.child = function() {
+    var child = new LocusZoom.CancelToken();
+    this.onCancel(child.cancel.bind(child));
+    return child;
+};
+
 /**
  * Make an AJAX request and return a promise.
  * From http://www.html5rocks.com/en/tutorials/cors/
@@ -242,10 +331,16 @@ LocusZoom.prettyTicks = function(range, clip_range, target_tick_count){
  * @param {String} body The request body to send to the server
  * @param {Object} headers Object of custom request headers
  * @param {Number} [timeout] If provided, wait this long (in ms) before timing out
- * @returns {Promise}
+ * @param {String} [responseType] If provided, the XHR responseType to request (eg "arraybuffer" for binary data)
+ * @param {LocusZoom.CancelToken} [cancel_token] If provided, abort the request when this token is cancelled
+ * @returns {Promise} Resolves to the response; rejects with a `LocusZoom.RequestError` if the request fails or times
+ *   out, or with the reason for cancellation if it is cancelled
  */
-LocusZoom.createCORSPromise = function (method, url, body, headers, timeout) {
+LocusZoom.createCORSPromise = function (method, url, body, headers, timeout, responseType, cancel_token) {
     var response = Q.defer();
+    // Local files (a file: URL, or a relative URL on a page loaded from one) load with status 0; for any other URL,
+    //   status 0 means that no response was received, as when the network or a CORS check fails
+    var is_file = /^file:/i.test(url) || (!/^[a-z][a-z0-9+.-]*:/i.test(url) && window.location.protocol === "file:");
     var xhr = new XMLHttpRequest();
     if ("withCredentials" in xhr) {
         // Check if the XMLHttpRequest object has a "withCredentials" property.
@@ -261,16 +356,36 @@ LocusZoom.createCORSPromise = function (method, url, body, headers, timeout) {
         xhr = null;
     }
     if (xhr) {
+        if (responseType) {
+            xhr.responseType = responseType;
+        }
         xhr.onreadystatechange = function() {
             if (xhr.readyState === 4) {
-                if (xhr.status === 200 || xhr.status === 0 ) {
+                // 206 is the expected status for a successful HTTP range request
+                if (xhr.status === 200 || xhr.status === 206 || (xhr.status === 0 && is_file)) {
                     response.resolve(xhr.response);
+                } else if (xhr.status === 0) {
+                    response.reject(new LocusZoom.RequestError("No response for " + url, 0, url));
                 } else {
-                    response.reject("HTTP " + xhr.status + " for " + url);
+                    response.reject(new LocusZoom.RequestError("HTTP " + xhr.status + " for " + url, xhr.status, url));
                 }
             }
         };
-        timeout && setTimeout(response.reject, timeout);
+        timeout && setTimeout(function(){
+            if (xhr.readyState !== 4){
+                response.reject(new LocusZoom.RequestError("Request timed out after " + timeout + "ms for " + url, 0, url));
+                xhr.abort();
+            }
+        }, timeout);
+        if (cancel_token) {
+            cancel_token.onCancel(function(reason) {
+                // Reject first, so that the reason for cancellation wins over the status 0 that aborting completes with
+                response.reject(reason);
+                if (xhr.readyState !== 4) {
+                    xhr.abort();
+                }
+            });
+        }
         body = typeof body !== "undefined" ? body : "";
         if (typeof headers !== "undefined"){
             for (var header in headers){
@@ -371,7 +486,7 @@ LocusZoom.parseFields = function (data, html) {
     // `tokens` is like [token,...]
     // `token` is like {text: '...'} or {variable: 'foo|bar'} or {condition: 'foo|bar'} or {close: 'if'}
     var tokens = [];
-    var regex = /\{\{(?:(#if )?([A-Za-z0-9_:|]+)|(\/if))\}\}/;
+    var regex = /\{\{(?:(#if )?((?:[A-Za-z0-9_:|]|\((?:"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^()"'{}])*\))+)|(\/if))\}\}/;
     while (html.length > 0){
         var m = regex.exec(html);
         if (!m) { tokens.push({text: html}); html = ""; }
@@ -506,7 +621,8 @@ LocusZoom.generateCurtain = function(){
         /**
          * Generate the curtain. Any content (string) argument passed will be displayed in the curtain as raw HTML.
          *   CSS (object) can be passed which will apply styles to the curtain and its content.
-         * @param {string} content Content to be displayed on the curtain (as raw HTML)
+         * @param {string|object} content Content to be displayed on the curtain (as raw HTML). Objects, such as errors,
+         *   are displayed using their toString method.
          * @param {object} css Apply the specified styles to the curtain and its contents
          */
         show: function(content, css){
@@ -526,7 +642,8 @@ LocusZoom.generateCurtain = function(){
         /**
          * Update the content and css of the curtain that's currently being shown. This method also adjusts the size
          *   and positioning of the curtain to ensure it still covers the entire panel with no overlap.
-         * @param {string} content Content to be displayed on the curtain (as raw HTML)
+         * @param {string|object} content Content to be displayed on the curtain (as raw HTML). Objects, such as errors,
+         *   are displayed using their toString method.
          * @param {object} css Apply the specified styles to the curtain and its contents
          */
         update: function(content, css){
@@ -548,7 +665,10 @@ LocusZoom.generateCurtain = function(){
                 "max-width": (this.layout.width - 40) + "px",
                 "max-height": (this.layout.height - 40) + "px"
             });
-            // Apply content if provided
+            // Apply content if provided; errors and other objects are shown as their string representation
+            if (content && typeof content == "object"){
+                content = content.toString();
+            }
             if (typeof content == "string"){
                 this.curtain.content_selector.html(content);
             }
@@ -50,6 +50,12 @@ LocusZoom.Panel = function(layout, parent) {
     this.layout_idx = null;
     /** @member {Object} */
     this.svg = {};
+    /**
+     * Set briefly when a selection (see `setSelectionMode`) ends, so that the click that ends it is ignored
+     * @protected
+     * @member {Boolean}
+     */
+    this.selection_click = false;
 
     /**
      * A JSON-serializable object used to describe the composition of the Panel
@@ -89,6 +95,13 @@ LocusZoom.Panel = function(layout, parent) {
      */
     this.data_promises = [];
 
+    /**
+     * Token for the data requests made by the most recent reMap; cancelled when a newer reMap supersedes them
+     * @member {LocusZoom.CancelToken}
+     * @protected
+     */
+    this.remap_token = null;
+
     /** @member {d3.scale} */
     this.x_scale  = null;
     /** @member {d3.scale} */
@@ -131,7 +144,8 @@ LocusZoom.Panel = function(layout, parent) {
         "layout_changed": [],
         "data_requested": [],
         "data_rendered": [],
-        "element_clicked": []
+        "element_clicked": [],
+        "elements_selected": []
     };
     /**
      * There are several events that a LocusZoom panel can "emit" when appropriate, and LocusZoom supports registering
@@ -142,6 +156,8 @@ LocusZoom.Panel = function(layout, parent) {
      *   - `data_requested` - context: panel - A request for new data from any data source used in the panel has been made.
      *   - `data_rendered` - context: panel - Data from a request has been received and rendered in the panel.
      *   - `element_clicked` - context: element - A data element in any of the panel's data layers has been clicked.
+     *   - `elements_selected` - context: {status, toggle, elements} - Data elements have been selected by dragging
+     *       across the panel (see `setSelectionMode`).
      *
      * To register a hook for any of these events use `panel.on('event_name', function() {})`.
      *
@@ -241,6 +257,8 @@ LocusZoom.Panel.DefaultLayout = {
         drag_y1_ticks_to_scale: false,
         drag_y2_ticks_to_scale: false,
         scroll_to_zoom: false,
+        brush_to_zoom: false,
+        select_elements: null,
         x_linked: false,
         y1_linked: false,
         y2_linked: false
@@ -471,6 +489,8 @@ LocusZoom.Panel.prototype.initialize = function(){
     this.inner_border = this.svg.group.append("rect")
         .attr("class", "lz-panel-background")
         .on("click", function(){
+            // The click that ends a selection made by dragging (see setSelectionMode) should not clear it
+            if (this.selection_click){ return; }
             if (this.layout.background_click === "clear_selections"){ this.clearSelections(); }
         }.bind(this));
 
@@ -517,9 +537,14 @@ LocusZoom.Panel.prototype.initialize = function(){
     }
 
     // Establish panel background drag interaction mousedown event handler (on the panel background)
-    if (this.layout.interaction.drag_background_to_pan){
+    // If the panel can also be brushed to zoom, dragging with the shift key held brushes instead of panning
+    var can_brush = this.layout.interaction.brush_to_zoom;
+    var can_pan = this.layout.interaction.drag_background_to_pan;
+    var shift_key = function(){ return !!(d3.event && d3.event.shiftKey); };
+    if (can_pan){
         var namespace = "." + this.parent.id + "." + this.id + ".interaction.drag";
         var mousedown = function(){
+            if (this.layout.interaction.select_elements || (can_brush && shift_key())){ return; }
             this.parent.startDrag(this, "background");
         }.bind(this);
         this.svg.container.select(".lz-panel-background")
@@ -527,10 +552,168 @@ LocusZoom.Panel.prototype.initialize = function(){
             .on("touchstart" + namespace + ".background", mousedown);
     }
 
+    // Establish panel background brush interaction mousedown event handler
+    if (can_brush){
+        var brush_namespace = "." + this.parent.id + "." + this.id + ".interaction.brush";
+        var brush = function(){
+            if (this.layout.interaction.select_elements || (can_pan && !shift_key())){ return; }
+            if (d3.event){ d3.event.preventDefault(); }
+            this.parent.startBrush(this);
+        }.bind(this);
+        this.svg.container.select(".lz-panel-background")
+            .classed("lz-panel-background-brushable", true)
+            .on("mousedown" + brush_namespace, brush)
+            .on("touchstart" + brush_namespace, brush);
+    }
+
+    // Establish panel background selection interaction mousedown event handler, if a selection mode is set
+    if (this.layout.interaction.select_elements){
+        this.setSelectionMode(this.layout.interaction.select_elements);
+    }
+
     return this;
 
 };
 
+/**
+ * Set how dragging across the panel background selects data elements, or turn selection off. While a selection mode
+ *   is set, dragging selects instead of panning or brushing to zoom. Each selection replaces the last, unless SHIFT
+ *   is held (to add to it) or ALT is held (to remove elements from it).
+ *
+ * Only layers that draw each element at a single point (such as scatter) can be selected from.
+ * @param {String|Object|null} mode "rectangle" or "lasso", or null to turn selection off. For more control, an object:
+ * @param {('rectangle'|'lasso')} mode.shape
+ * @param {String} [mode.status='selected'] The status to give selected elements
+ * @param {String[]} [mode.data_layer_ids] The IDs of the data layers to select from (default: all that can be)
+ * @returns {LocusZoom.Panel}
+ */
+LocusZoom.Panel.prototype.setSelectionMode = function(mode){
+    if (typeof mode == "string"){
+        mode = { shape: mode };
+    }
+    if (mode && typeof mode == "object"){
+        if (["rectangle", "lasso"].indexOf(mode.shape) === -1){
+            throw("Invalid selection shape passed to Panel.setSelectionMode(): " + mode.shape);
+        }
+        mode = {
+            shape: mode.shape,
+            status: mode.status || "selected",
+            data_layer_ids: Array.isArray(mode.data_layer_ids) ? mode.data_layer_ids : null
+        };
+        if (LocusZoom.DataLayer.Statuses.adjectives.indexOf(mode.status) === -1){
+            throw("Invalid status passed to Panel.setSelectionMode(): " + mode.status);
+        }
+    } else {
+        mode = null;
+    }
+    this.layout.interaction.select_elements = mode;
+    if (!this.svg.container){ return this; }
+
+    var namespace = "." + this.parent.id + "." + this.id + ".interaction.select";
+    var select = function(){
+        var event = d3.event || {};
+        if (event.preventDefault){ event.preventDefault(); }
+        this.parent.startSelection(this, event.shiftKey ? "add" : (event.altKey ? "subtract" : "replace"));
+    }.bind(this);
+    this.svg.container.select(".lz-panel-background")
+        .classed("lz-panel-background-selectable", !!mode)
+        .on("mousedown" + namespace, mode ? select : null)
+        .on("touchstart" + namespace, mode ? select : null);
+    return this;
+};
+
+/**
+ * Draw the shape of the selection being made on this panel (see `LocusZoom.Plot.startSelection`), or else remove it
+ * @returns {LocusZoom.Panel}
+ */
+LocusZoom.Panel.prototype.renderSelection = function(){
+    var interaction = this.parent.interaction;
+    if (!interaction.selecting || interaction.panel_id !== this.id){
+        if (this.svg.selection){
+            this.svg.selection.remove();
+            this.svg.selection = null;
+        }
+        return this;
+    }
+    if (!this.svg.selection){
+        this.svg.selection = this.svg.group.append("path").attr("class", "lz-panel-selection");
+    }
+    // The selection may extend past the clip area, but is only drawn within it
+    var clip = function(point){
+        return [
+            Math.max(Math.min(point[0], this.layout.cliparea.width), 0),
+            Math.max(Math.min(point[1], this.layout.cliparea.height), 0)
+        ].join(",");
+    }.bind(this);
+    this.svg.selection
+        .attr("transform", "translate(" + this.layout.cliparea.origin.x + "," + this.layout.cliparea.origin.y + ")")
+        .attr("d", "M" + this.parent.getSelectionPolygon().map(clip).join("L") + "Z");
+    return this;
+};
+
+/**
+ * Give (or take away) the selection status of this panel's selection mode to every element inside a polygon, in
+ *   each of the data layers that the selection mode applies to. Emits `elements_selected` with the elements inside.
+ * @param {Array[]} polygon The polygon's vertices as [x, y] pairs, in pixels relative to the panel's clip area
+ * @param {('replace'|'add'|'subtract')} [method='replace'] Whether the elements should replace any that already have
+ *   the status, be added to them, or lose the status
+ * @returns {LocusZoom.Panel}
+ */
+LocusZoom.Panel.prototype.applySelection = function(polygon, method){
+    var mode = this.layout.interaction.select_elements;
+    if (!mode){ return this; }
+    method = method || "replace";
+    var toggle = method !== "subtract";
+    var elements = [];
+    this.data_layer_ids_by_z_index.forEach(function(id){
+        var data_layer = this.data_layers[id];
+        if (mode.data_layer_ids && mode.data_layer_ids.indexOf(id) === -1){ return; }
+        // Leave alone layers whose elements can't be found by position
+        if (!data_layer.data.some(function(element){ return data_layer.getElementPosition(element) !== null; })){ return; }
+        elements = elements.concat(data_layer.setElementStatusByPolygon(mode.status, toggle, polygon, method === "replace"));
+    }.bind(this));
+    var context = { status: mode.status, toggle: toggle, elements: elements };
+    this.emit("elements_selected", context);
+    this.parent.emit("elements_selected", context);
+    return this;
+};
+
+/**
+ * Draw the brush selection (see `LocusZoom.Plot.startBrush`) if one is being made on this panel or on a panel x-linked
+ *   to it, or else remove it. The panel where the selection is made also shows the size of the selected region.
+ * @returns {LocusZoom.Panel}
+ */
+LocusZoom.Panel.prototype.renderBrush = function(){
+    var interaction = this.parent.interaction;
+    var is_target = interaction.brushing && (interaction.panel_id === this.id || interaction.linked_panel_ids.indexOf(this.id) !== -1);
+    if (!is_target || typeof this.x_scale != "function"){
+        if (this.svg.brush){
+            this.svg.brush.remove();
+            this.svg.brush = null;
+        }
+        return this;
+    }
+    if (!this.svg.brush){
+        this.svg.brush = this.svg.group.append("g").attr("class", "lz-panel-brush");
+        this.svg.brush.append("rect").attr("class", "lz-panel-brush-selection");
+        this.svg.brush.append("text").attr("class", "lz-panel-brush-label").attr("text-anchor", "middle");
+    }
+    var region = this.parent.getBrushRegion();
+    var clip = function(x){ return Math.max(Math.min(x, this.layout.cliparea.width), 0); }.bind(this);
+    var x1 = clip(this.x_scale(region.start));
+    var x2 = clip(this.x_scale(region.end));
+    this.svg.brush
+        .attr("transform", "translate(" + this.layout.cliparea.origin.x + "," + this.layout.cliparea.origin.y + ")")
+        .classed("lz-panel-brush-constrained", region.constrained);
+    this.svg.brush.select("rect")
+        .attr("x", x1).attr("y", 0)
+        .attr("width", x2 - x1).attr("height", this.layout.cliparea.height);
+    this.svg.brush.select("text")
+        .attr("x", (x1 + x2) / 2).attr("y", 14)
+        .text(interaction.panel_id === this.id ? LocusZoom.positionIntToString(region.end - region.start, null, true) : "");
+    return this;
+};
+
 /**
  * Refresh the sort order of all data layers (called by data layer moveUp and moveDown methods)
  */
@@ -699,18 +882,25 @@ LocusZoom.Panel.prototype.clearSelections = function(){
 /**
  * When the parent plot changes state, adjust the panel accordingly. For example, this may include fetching new data
  *   from the API as the viewing region changes
+ * @param {LocusZoom.CancelToken} [cancel_token] If provided, abort all data requests when this token is cancelled
  * @returns {Promise}
  */
-LocusZoom.Panel.prototype.reMap = function(){
+LocusZoom.Panel.prototype.reMap = function(cancel_token){
     this.emit("data_requested");
     this.data_promises = [];
 
+    // Abort any requests still pending for an earlier state, so that their data can never replace newer data
+    if (this.remap_token){
+        this.remap_token.cancel();
+    }
+    var token = this.remap_token = cancel_token ? cancel_token.child() : new LocusZoom.CancelToken();
+
     // Remove any previous error messages before attempting to load new data
     this.curtain.hide();
     // Trigger reMap on each Data Layer
     for (var id in this.data_layers){
         try {
-            this.data_promises.push(this.data_layers[id].reMap());
+            this.data_promises.push(this.data_layers[id].reMap(token));
         } catch (error) {
             console.warn(error);
             this.curtain.show(error);
@@ -719,6 +909,7 @@ LocusZoom.Panel.prototype.reMap = function(){
     // When all finished trigger a render
     return Q.all(this.data_promises)
         .then(function(){
+            if (token.cancelled){ return; }
             this.initialized = true;
             this.render();
             this.emit("layout_changed");
@@ -726,6 +917,7 @@ LocusZoom.Panel.prototype.reMap = function(){
             this.emit("data_rendered");
         }.bind(this))
         .catch(function(error){
+            if (token.cancelled){ return; }
             console.warn(error);
             this.curtain.show(error);
         }.bind(this));
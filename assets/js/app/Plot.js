@@ -65,6 +65,13 @@ LocusZoom.Plot = function(id, datasource, layout) {
      */
     this.remap_promises = [];
 
+    /**
+     * Token for the data requests made by the most recent applyState; cancelled when the state changes again
+     * @protected
+     * @member {LocusZoom.CancelToken}
+     */
+    this.remap_token = null;
+
     if (typeof layout == "undefined"){
         /**
          * The layout is a serializable object used to describe the composition of the Plot
@@ -95,6 +102,12 @@ LocusZoom.Plot = function(id, datasource, layout) {
      */
     this.state = this.layout.state;
 
+    /**
+     * The data sources that the plot was created with (for creating related plots from the same sources)
+     * @member {LocusZoom.DataSources}
+     */
+    this.datasource = datasource;
+
     /** @member {LocusZoom.Data.Requester} */
     this.lzd = new LocusZoom.Data.Requester(datasource);
 
@@ -116,7 +129,8 @@ LocusZoom.Plot = function(id, datasource, layout) {
         "layout_changed": [],
         "data_requested": [],
         "data_rendered": [],
-        "element_clicked": []
+        "element_clicked": [],
+        "elements_selected": []
     };
     /**
      * There are several events that a LocusZoom plot can "emit" when appropriate, and LocusZoom supports registering
@@ -127,6 +141,8 @@ LocusZoom.Plot = function(id, datasource, layout) {
      *   - `data_requested` - context: plot - A request for new data from any data source used in the plot has been made.
      *   - `data_rendered` - context: plot - Data from a request has been received and rendered in the plot.
      *   - `element_clicked` - context: element - A data element in any of the plot's data layers has been clicked.
+     *   - `elements_selected` - context: {status, toggle, elements} - Data elements have been selected by dragging
+     *       across a panel (see `LocusZoom.Panel.setSelectionMode`).
      *
      * To register a hook for any of these events use `plot.on('event_name', function() {})`.
      *
@@ -228,7 +244,7 @@ LocusZoom.Plot = function(id, datasource, layout) {
         if (panel_id){
             return ((typeof this.interaction.panel_id == "undefined" || this.interaction.panel_id === panel_id) && !this.loading_data);
         } else {
-            return !(this.interaction.dragging || this.interaction.zooming || this.loading_data);
+            return !(this.interaction.dragging || this.interaction.zooming || this.interaction.brushing || this.interaction.selecting || this.loading_data);
         }
     };
 
@@ -831,6 +847,24 @@ LocusZoom.Plot.prototype.initialize = function(){
         this.stopDrag();
     }.bind(this);
     var mousemove = function(){
+        if (this.interaction.brushing){
+            if (d3.event){ d3.event.preventDefault(); }
+            this.interaction.brushing.end = this.getBrushPosition(this.panels[this.interaction.panel_id]);
+            this.renderBrushes();
+        }
+        if (this.interaction.selecting){
+            if (d3.event){ d3.event.preventDefault(); }
+            var point = this.getSelectionPoint(this.panels[this.interaction.panel_id]);
+            var points = this.interaction.selecting.points;
+            var last = points[points.length - 1];
+            if (this.interaction.selecting.shape === "rectangle"){
+                points[1] = point;
+            } else if (Math.abs(point[0] - last[0]) + Math.abs(point[1] - last[1]) >= LocusZoom.Plot.LASSO_SPACING){
+                // Mouse moves come far more often than a lasso needs vertices, so ignore those that barely move
+                points.push(point);
+            }
+            this.panels[this.interaction.panel_id].renderSelection();
+        }
         if (this.interaction.dragging){
             var coords = d3.mouse(this.svg.node());
             if (d3.event){ d3.event.preventDefault(); }
@@ -905,21 +939,30 @@ LocusZoom.Plot.prototype.applyState = function(state_changes){
         this.state[property] = new_state[property];
     }
 
+    // Abort requests still pending for any previous state; their data should never replace the data for this one
+    if (this.remap_token){
+        this.remap_token.cancel();
+    }
+    var token = this.remap_token = new LocusZoom.CancelToken();
+
     // Generate requests for all panels given new state
     this.emit("data_requested");
     this.remap_promises = [];
     this.loading_data = true;
     for (var id in this.panels){
-        this.remap_promises.push(this.panels[id].reMap());
+        this.remap_promises.push(this.panels[id].reMap(token));
     }
 
     return Q.all(this.remap_promises)
         .catch(function(error){
+            if (token.cancelled){ return; }
             console.error(error);
-            this.curtain.drop(error);
+            this.curtain.show(error);
             this.loading_data = false;
         }.bind(this))
         .then(function(){
+            // A newer state has been applied since this one; leave the plot to that call
+            if (token.cancelled){ return; }
             // TODO: Check logic here; in some promise implementations, this would cause the error to be considered handled, and "then" would always fire. (may or may not be desired behavior)
             // Update dashboard / components
             this.dashboard.update();
@@ -944,7 +987,9 @@ LocusZoom.Plot.prototype.applyState = function(state_changes){
                             }.bind(data_layer));
                         }
                     }
+                    data_layer.applyLegendStatuses();
                 }.bind(panel));
+                if (panel.legend){ panel.legend.render(); }
             }.bind(this));
 
             // Emit events
@@ -1004,6 +1049,170 @@ LocusZoom.Plot.prototype.startDrag = function(panel, method){
 
 };
 
+/**
+ * Start selecting a region to zoom to, by dragging across a panel whose layout has `interaction.brush_to_zoom` set.
+ *   The selection is drawn on the panel and on any panels x-linked to it.
+ * @param {LocusZoom.Panel} panel
+ * @returns {LocusZoom.Plot}
+ */
+LocusZoom.Plot.prototype.startBrush = function(panel){
+    if (!(panel instanceof LocusZoom.Panel) || typeof panel.x_scale != "function" || !this.canInteract()){ return this; }
+    var position = this.getBrushPosition(panel);
+    this.interaction = {
+        panel_id: panel.id,
+        linked_panel_ids: panel.getLinkedPanelIds("x"),
+        brushing: {
+            start: position,
+            end: position
+        }
+    };
+    this.svg.style("cursor", "col-resize");
+    this.renderBrushes();
+    return this;
+};
+
+/**
+ * Get the position (in base pairs) under the mouse on a panel, kept within the visible region
+ * @protected
+ * @param {LocusZoom.Panel} panel
+ * @returns {Number}
+ */
+LocusZoom.Plot.prototype.getBrushPosition = function(panel){
+    var coords = d3.mouse(this.svg.node());
+    var x = coords[0] - panel.layout.origin.x - panel.layout.margin.left;
+    x = Math.max(Math.min(x, panel.layout.cliparea.width), 0);
+    return panel.x_scale.invert(x);
+};
+
+/**
+ * Get the region that the current brush selection would zoom to, constrained by the plot's `min_region_scale` and
+ *   `max_region_scale` as it would be by `applyState`
+ * @returns {{chr: *, start: Number, end: Number, constrained: Boolean}|null}
+ */
+LocusZoom.Plot.prototype.getBrushRegion = function(){
+    var brushing = this.interaction.brushing;
+    if (!brushing){ return null; }
+    var start = Math.round(Math.min(brushing.start, brushing.end));
+    var end = Math.round(Math.max(brushing.start, brushing.end));
+    var region = LocusZoom.validateState({ chr: this.state.chr, start: start, end: end }, this.layout);
+    region.constrained = (region.start !== Math.max(start, 1) || region.end !== Math.max(end, 1));
+    return region;
+};
+
+/**
+ * Draw (or remove) the brush selection on every panel
+ * @protected
+ * @returns {LocusZoom.Plot}
+ */
+LocusZoom.Plot.prototype.renderBrushes = function(){
+    this.panel_ids_by_y_index.forEach(function(panel_id){
+        this.panels[panel_id].renderBrush();
+    }.bind(this));
+    return this;
+};
+
+/**
+ * Finish a brush selection, and zoom to the selected region. Selections narrower than a few pixels (as from a click)
+ *   are ignored.
+ * @returns {LocusZoom.Plot}
+ */
+LocusZoom.Plot.prototype.stopBrush = function(){
+    var panel = this.panels[this.interaction.panel_id];
+    var brushing = this.interaction.brushing;
+    var region = this.getBrushRegion();
+    this.interaction = {};
+    this.svg.style("cursor", null);
+    this.renderBrushes();
+    if (panel && brushing && Math.abs(panel.x_scale(brushing.end) - panel.x_scale(brushing.start)) >= 3){
+        this.applyState({ start: region.start, end: region.end });
+    }
+    return this;
+};
+
+/**
+ * Start selecting data elements, by dragging across a panel that has a selection mode set (see
+ *   `LocusZoom.Panel.setSelectionMode`)
+ * @param {LocusZoom.Panel} panel
+ * @param {('replace'|'add'|'subtract')} [method='replace'] How the selected elements are combined with those that
+ *   already have the selection status
+ * @returns {LocusZoom.Plot}
+ */
+LocusZoom.Plot.prototype.startSelection = function(panel, method){
+    if (!(panel instanceof LocusZoom.Panel) || !panel.layout.interaction.select_elements || !this.canInteract()){ return this; }
+    var point = this.getSelectionPoint(panel);
+    this.interaction = {
+        panel_id: panel.id,
+        linked_panel_ids: [],
+        selecting: {
+            shape: panel.layout.interaction.select_elements.shape,
+            method: method || "replace",
+            points: [point, point]
+        }
+    };
+    this.svg.style("cursor", "crosshair");
+    panel.renderSelection();
+    return this;
+};
+
+/**
+ * The least distance (in pixels, across and down) between the vertices of a lasso selection
+ * @type {Number}
+ */
+LocusZoom.Plot.LASSO_SPACING = 4;
+
+/**
+ * Get the point under the mouse on a panel, in pixels relative to the panel's clip area. The point isn't kept within
+ *   the clip area, so that dragging past its edge selects the points drawn on the edge.
+ * @protected
+ * @param {LocusZoom.Panel} panel
+ * @returns {Number[]}
+ */
+LocusZoom.Plot.prototype.getSelectionPoint = function(panel){
+    var coords = d3.mouse(this.svg.node());
+    return [
+        coords[0] - panel.layout.origin.x - panel.layout.margin.left,
+        coords[1] - panel.layout.origin.y - panel.layout.margin.top
+    ];
+};
+
+/**
+ * Get the polygon enclosed by the current selection: the four corners of a rectangle, or the points of a lasso
+ * @returns {Array[]|null}
+ */
+LocusZoom.Plot.prototype.getSelectionPolygon = function(){
+    var selecting = this.interaction.selecting;
+    if (!selecting){ return null; }
+    var points = selecting.points;
+    if (selecting.shape === "rectangle"){
+        var start = points[0], end = points[points.length - 1];
+        return [[start[0], start[1]], [end[0], start[1]], [end[0], end[1]], [start[0], end[1]]];
+    }
+    return points.slice();
+};
+
+/**
+ * Finish a selection, and apply it to the panel's data elements. Selections smaller than a few pixels across (as
+ *   from a click) are ignored.
+ * @returns {LocusZoom.Plot}
+ */
+LocusZoom.Plot.prototype.stopSelection = function(){
+    var panel = this.panels[this.interaction.panel_id];
+    var selecting = this.interaction.selecting;
+    var polygon = this.getSelectionPolygon();
+    this.interaction = {};
+    this.svg.style("cursor", null);
+    if (!panel){ return this; }
+    panel.renderSelection();
+    var x_extent = d3.extent(polygon, function(point){ return point[0]; });
+    var y_extent = d3.extent(polygon, function(point){ return point[1]; });
+    if (x_extent[1] - x_extent[0] < 3 && y_extent[1] - y_extent[0] < 3){ return this; }
+    panel.applySelection(polygon, selecting.method);
+    // Releasing the mouse over the panel background also clicks it, which would otherwise clear the selection
+    panel.selection_click = true;
+    setTimeout(function(){ panel.selection_click = false; }, 0);
+    return this;
+};
+
 /**
  * Process drag interactions across the target panel and synchronize plot state across other panels in sync;
  *   clear the event when complete
@@ -1011,6 +1220,8 @@ LocusZoom.Plot.prototype.startDrag = function(panel, method){
  */
 LocusZoom.Plot.prototype.stopDrag = function(){
 
+    if (this.interaction.brushing){ return this.stopBrush(); }
+    if (this.interaction.selecting){ return this.stopSelection(); }
     if (!this.interaction.dragging){ return this; }
 
     if (typeof this.panels[this.interaction.panel_id] != "object"){
@@ -149,15 +149,19 @@ LocusZoom.KnownDataSources = (function() {
  * Singleton for formatting or transforming a single input, for instance turning raw p values into negative log10 form
  * Transformation functions are chainable with a pipe on a field name, like so: "pvalue|neglog10"
  *
+ * Transformations may also take arguments, written after the name in parentheses, like so: "pvalue|toprecision(2)"
+ *   or "rsid|default(\"n/a\")". Arguments may be numbers, quoted strings, true, false, or null.
+ *
  * NOTE: Because these functions are chainable the FUNCTION is returned by get(), not the result of that function.
  *
- * All transformation functions must accept an object of parameters and a value to process.
+ * All transformation functions must accept the value to process, followed by any arguments given in the field name.
  * @class
  */
 LocusZoom.TransformationFunctions = (function() {
     /** @lends LocusZoom.TransformationFunctions */
     var obj = {};
     var transformations = {};
+    var argument_types = {};
 
     var getTrans = function(name) {
         if (!name) {
@@ -171,28 +175,110 @@ LocusZoom.TransformationFunctions = (function() {
         }
     };
 
+    // Check the arguments given to a transformation against the types it was registered with (if any)
+    var checkArgs = function(name, args) {
+        var types = argument_types[name];
+        if (!types) {
+            return;
+        }
+        if (args.length > types.length) {
+            throw("transformation " + name + " accepts at most " + types.length + " argument(s)");
+        }
+        types.forEach(function(type, i) {
+            var optional = type.slice(-1) === "?";
+            type = optional ? type.slice(0, -1) : type;
+            if (i >= args.length) {
+                if (!optional) {
+                    throw("transformation " + name + " requires argument " + (i + 1) + " (" + type + ")");
+                }
+            } else if (type !== "any" && typeof args[i] !== type) {
+                throw("transformation " + name + " expects argument " + (i + 1) + " to be a " + type + ", but got " + JSON.stringify(args[i]));
+            }
+        });
+    };
+
     //a single transformation with any parameters
-    //(parameters not currently supported)
-    var parseTrans = function(name) {
-        return getTrans(name);
+    var parseTrans = function(name, args) {
+        var fun = getTrans(name);
+        if (!args) {
+            return fun;
+        }
+        checkArgs(name, args);
+        return function(x) {
+            return fun.apply(null, [x].concat(args));
+        };
+    };
+
+    // Read one argument literal: a number, a single- or double-quoted string, true, false, or null
+    var parseArg = function(text) {
+        var match = /^\s*(?:(-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(true|false|null))\s*/.exec(text);
+        if (!match) {
+            throw("Unable to parse transformation argument at \"" + text + "\"");
+        }
+        var value;
+        if (typeof match[1] != "undefined") {
+            value = +match[1];
+        } else if (typeof match[2] != "undefined" || typeof match[3] != "undefined") {
+            value = (typeof match[2] != "undefined" ? match[2] : match[3]).replace(/\\(.)/g, "$1");
+        } else {
+            value = { "true": true, "false": false, "null": null }[match[4]];
+        }
+        return { value: value, rest: text.substring(match[0].length) };
+    };
+
+    /**
+     * Split a "raw" transformation string with a leading pipe, such as "|round(2)|default(\"-\")", into the name and
+     *   arguments of each transformation
+     * @param {String} x
+     * @returns {{name: String, args: Array|null}[]} The arguments are null when no parentheses were given
+     */
+    obj.parse = function(x) {
+        var parsed = [];
+        var rest = x;
+        while (rest.length) {
+            var match = /^\|\s*([^|()\s]+)\s*(\()?/.exec(rest);
+            if (!match) {
+                throw("Unable to parse transformation at \"" + rest + "\"");
+            }
+            var trans = { name: match[1], args: null };
+            rest = rest.substring(match[0].length);
+            if (match[2]) {
+                trans.args = [];
+                rest = rest.replace(/^\s+/, "");
+                while (rest.charAt(0) !== ")") {
+                    if (!rest.length) {
+                        throw("Expected \")\" in transformation " + trans.name + ": " + x);
+                    }
+                    if (trans.args.length) {
+                        if (rest.charAt(0) !== ",") {
+                            throw("Expected \",\" or \")\" in transformation " + trans.name + " at \"" + rest + "\"");
+                        }
+                        rest = rest.substring(1);
+                    }
+                    var arg = parseArg(rest);
+                    trans.args.push(arg.value);
+                    rest = arg.rest;
+                }
+                rest = rest.substring(1).replace(/^\s+/, "");
+            }
+            parsed.push(trans);
+        }
+        return parsed;
     };
 
     //a "raw" transformation string with a leading pipe
     //and one or more transformations
     var parseTransString = function(x) {
-        var funs = [];
-        var re = /\|([^|]+)/g;
-        var result;
-        while((result = re.exec(x))!==null) {
-            funs.push(result[1]);
-        }
+        var funs = obj.parse(x).map(function(trans) {
+            return parseTrans(trans.name, trans.args);
+        });
         if (funs.length===1) {
-            return parseTrans(funs[0]);
+            return funs[0];
         } else if (funs.length > 1) {
             return function(x) {
                 var val = x;
                 for(var i = 0; i<funs.length; i++) {
-                    val = parseTrans(funs[i])(val);
+                    val = funs[i](val);
                 }
                 return val;
             };
@@ -202,13 +288,18 @@ LocusZoom.TransformationFunctions = (function() {
 
     /**
      * Retrieve a transformation function by name
-     * @param {String} name The name of the transformation function to retrieve. May optionally be prefixed with a
-     *   pipe (`|`) when chaining multiple transformation functions.
+     * @param {String} name The name of the transformation function to retrieve, optionally with arguments, like
+     *   "round(2)". May optionally be prefixed with a pipe (`|`) when chaining multiple transformation functions.
+     * @param {Array} [args] Arguments for the transformation, if not given in the name
      * @returns {function} The constructor for the transformation function
      */
-    obj.get = function(name) {
-        if (name && name.substring(0,1)==="|") {
+    obj.get = function(name, args) {
+        if (args) {
+            return parseTrans(name, args);
+        } else if (name && name.substring(0,1)==="|") {
             return parseTransString(name);
+        } else if (name && !transformations[name] && name.indexOf("(") !== -1) {
+            return parseTransString("|" + name);
         } else {
             return parseTrans(name);
         }
@@ -218,15 +309,22 @@ LocusZoom.TransformationFunctions = (function() {
      * @protected
      * @param {String} name
      * @param {function} fn
+     * @param {String[]} [types] The types of the arguments accepted after the value
      */
-    obj.set = function(name, fn) {
+    obj.set = function(name, fn, types) {
         if (name.substring(0,1)==="|") {
             throw("transformation name should not start with a pipe");
         } else {
             if (fn) {
                 transformations[name] = fn;
+                if (types) {
+                    argument_types[name] = types;
+                } else {
+                    delete argument_types[name];
+                }
             } else {
                 delete transformations[name];
+                delete argument_types[name];
             }
         }
     };
@@ -234,13 +332,16 @@ LocusZoom.TransformationFunctions = (function() {
     /**
      * Register a transformation function
      * @param {String} name
-     * @param {function} fn A transformation function (should accept one argument with the value)
+     * @param {function} fn A transformation function (should accept the value, followed by any arguments)
+     * @param {String[]} [types] The types of the arguments accepted after the value: "number", "string", "boolean",
+     *   or "any", with a "?" suffix for optional arguments, eg `["number", "number?"]`. If given, the arguments in
+     *   each field name are checked when the field is parsed; if not, any arguments are accepted.
      */
-    obj.add = function(name, fn) {
+    obj.add = function(name, fn, types) {
         if (transformations[name]) {
             throw("transformation already exists with name: " + name);
         } else {
-            obj.set(name, fn);
+            obj.set(name, fn, types);
         }
     };
     /**
@@ -251,6 +352,18 @@ LocusZoom.TransformationFunctions = (function() {
         return Object.keys(transformations);
     };
 
+    /**
+     * Convert a value to a number for a transformation of numbers. Missing and non-numeric values become null, so that
+     *   the transformation can be followed by `|default()`.
+     * @param {*} x
+     * @returns {Number|null}
+     */
+    obj.toNumberOrNull = function(x) {
+        if (x === null || typeof x == "undefined" || x === "") { return null; }
+        x = +x;
+        return isNaN(x) ? null : x;
+    };
+
     return obj;
 })();
 
@@ -344,6 +457,297 @@ LocusZoom.TransformationFunctions.add("htmlescape", function(str) {
     });
 });
 
+/**
+ * Round a number to a given number of decimal places
+ * @function round
+ * @param {Number} x
+ * @param {Number} [digits=0]
+ * @returns {Number}
+ */
+LocusZoom.TransformationFunctions.add("round", function(x, digits) {
+    x = LocusZoom.TransformationFunctions.toNumberOrNull(x);
+    if (x === null){ return null; }
+    var factor = Math.pow(10, digits || 0);
+    return Math.round(x * factor) / factor;
+}, ["number?"]);
+
+/**
+ * Round a number down to an integer
+ * @function floor
+ * @param {Number} x
+ * @returns {Number}
+ */
+LocusZoom.TransformationFunctions.add("floor", function(x) {
+    x = LocusZoom.TransformationFunctions.toNumberOrNull(x);
+    return x === null ? null : Math.floor(x);
+}, []);
+
+/**
+ * Round a number up to an integer
+ * @function ceil
+ * @param {Number} x
+ * @returns {Number}
+ */
+LocusZoom.TransformationFunctions.add("ceil", function(x) {
+    x = LocusZoom.TransformationFunctions.toNumberOrNull(x);
+    return x === null ? null : Math.ceil(x);
+}, []);
+
+/**
+ * Return the absolute value of a number
+ * @function abs
+ * @param {Number} x
+ * @returns {Number}
+ */
+LocusZoom.TransformationFunctions.add("abs", function(x) {
+    x = LocusZoom.TransformationFunctions.toNumberOrNull(x);
+    return x === null ? null : Math.abs(x);
+}, []);
+
+/**
+ * Limit a number to a range, eg "pvalue|neglog10|clamp(0,300)"
+ * @function clamp
+ * @param {Number} x
+ * @param {Number} min
+ * @param {Number} max
+ * @returns {Number}
+ */
+LocusZoom.TransformationFunctions.add("clamp", function(x, min, max) {
+    x = LocusZoom.TransformationFunctions.toNumberOrNull(x);
+    return x === null ? null : Math.min(Math.max(x, min), max);
+}, ["number", "number"]);
+
+/**
+ * Format a number with a given number of significant digits
+ * @function toprecision
+ * @param {Number} x
+ * @param {Number} digits
+ * @returns {String}
+ */
+LocusZoom.TransformationFunctions.add("toprecision", function(x, digits) {
+    x = LocusZoom.TransformationFunctions.toNumberOrNull(x);
+    return x === null ? null : x.toPrecision(digits);
+}, ["number"]);
+
+/**
+ * Format a number with a given number of decimal places
+ * @function tofixed
+ * @param {Number} x
+ * @param {Number} [digits=0]
+ * @returns {String}
+ */
+LocusZoom.TransformationFunctions.add("tofixed", function(x, digits) {
+    x = LocusZoom.TransformationFunctions.toNumberOrNull(x);
+    return x === null ? null : x.toFixed(digits || 0);
+}, ["number?"]);
+
+/**
+ * Format a number in exponential notation, eg "1.23e-8"
+ * @function toexponential
+ * @param {Number} x
+ * @param {Number} [digits] The number of decimal places (by default, as many as needed)
+ * @returns {String}
+ */
+LocusZoom.TransformationFunctions.add("toexponential", function(x, digits) {
+    x = LocusZoom.TransformationFunctions.toNumberOrNull(x);
+    return x === null ? null : x.toExponential(digits);
+}, ["number?"]);
+
+/**
+ * Format a proportion as a percentage, eg 0.123 as "12.3%" with "|percent(1)"
+ * @function percent
+ * @param {Number} x
+ * @param {Number} [digits=0] The number of decimal places
+ * @returns {String}
+ */
+LocusZoom.TransformationFunctions.add("percent", function(x, digits) {
+    x = LocusZoom.TransformationFunctions.toNumberOrNull(x);
+    return x === null ? null : (x * 100).toFixed(digits || 0) + "%";
+}, ["number?"]);
+
+/**
+ * Format a number with commas between each group of thousands, eg positions like "1,234,567"
+ * @function commas
+ * @param {Number} x
+ * @returns {String}
+ */
+LocusZoom.TransformationFunctions.add("commas", function(x) {
+    x = LocusZoom.TransformationFunctions.toNumberOrNull(x);
+    if (x === null){ return null; }
+    var parts = String(x).split(".");
+    parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+    return parts.join(".");
+}, []);
+
+/**
+ * Replace a missing value (null, undefined, NaN, or an empty string) with a default, eg "rsid|default("n/a")"
+ * @function default
+ * @param {*} x
+ * @param {*} value
+ * @returns {*}
+ */
+LocusZoom.TransformationFunctions.add("default", function(x, value) {
+    if (x === null || typeof x == "undefined" || x === "" || (typeof x == "number" && isNaN(x))){
+        return value;
+    }
+    return x;
+}, ["any"]);
+
+/**
+ * Add text before a value, eg "chromosome|prefix("chr")". Missing values are left as null.
+ * @function prefix
+ * @param {*} x
+ * @param {String} text
+ * @returns {String}
+ */
+LocusZoom.TransformationFunctions.add("prefix", function(x, text) {
+    return (x === null || typeof x == "undefined") ? null : text + x;
+}, ["string"]);
+
+/**
+ * Add text after a value, eg "position|commas|suffix(" bp")". Missing values are left as null.
+ * @function suffix
+ * @param {*} x
+ * @param {String} text
+ * @returns {String}
+ */
+LocusZoom.TransformationFunctions.add("suffix", function(x, text) {
+    return (x === null || typeof x == "undefined") ? null : x + text;
+}, ["string"]);
+
+/**
+ * Convert text to upper case
+ * @function uppercase
+ * @param {String} str
+ * @returns {String}
+ */
+LocusZoom.TransformationFunctions.add("uppercase", function(str) {
+    return (str === null || typeof str == "undefined") ? null : String(str).toUpperCase();
+}, []);
+
+/**
+ * Convert text to lower case
+ * @function lowercase
+ * @param {String} str
+ * @returns {String}
+ */
+LocusZoom.TransformationFunctions.add("lowercase", function(str) {
+    return (str === null || typeof str == "undefined") ? null : String(str).toLowerCase();
+}, []);
+
+/**
+ * Shorten text to at most a given length, ending with an ellipsis if anything was removed
+ * @function truncate
+ * @param {String} str
+ * @param {Number} length The maximum length, including the ellipsis
+ * @param {String} [ellipsis="…"]
+ * @returns {String}
+ */
+LocusZoom.TransformationFunctions.add("truncate", function(str, length, ellipsis) {
+    if (str === null || typeof str == "undefined"){ return null; }
+    str = String(str);
+    ellipsis = typeof ellipsis == "string" ? ellipsis : "…";
+    if (str.length <= length){ return str; }
+    return str.substring(0, Math.max(length - ellipsis.length, 0)) + ellipsis;
+}, ["number", "string?"]);
+
+/**
+ * Replace every occurrence of some text with other text, eg "variant|replace("_", ":")"
+ * @function replace
+ * @param {String} str
+ * @param {String} search
+ * @param {String} replacement
+ * @returns {String}
+ */
+LocusZoom.TransformationFunctions.add("replace", function(str, search, replacement) {
+    if (str === null || typeof str == "undefined"){ return null; }
+    return String(str).split(search).join(replacement);
+}, ["string", "string"]);
+
+/**
+ * Singleton for functions that can be called in the expressions of derived fields, like so:
+ *   "log10(assoc:pvalue) * -1 as assoc:nlog10p"
+ *
+ * Each function is called once per record, with the values of its arguments for that record (which may be null).
+ * @class
+ * @static
+ */
+LocusZoom.DerivedFields = (function() {
+    /** @lends LocusZoom.DerivedFields */
+    var obj = {};
+    var functions = {};
+
+    /**
+     * Find a derived field function by name
+     * @param {String} name
+     * @returns {function}
+     */
+    obj.get = function(name) {
+        if (functions[name]) {
+            return functions[name];
+        } else {
+            throw("derived field function [" + name + "] not found");
+        }
+    };
+
+    /**
+     * @protected
+     * @param {String} name The name of the function to set/unset
+     * @param {Function} [fn] The function to register. If blank, removes this function name from the registry.
+     */
+    obj.set = function(name, fn) {
+        if (fn) {
+            functions[name] = fn;
+        } else {
+            delete functions[name];
+        }
+    };
+
+    /**
+     * Add a new derived field function to the registry
+     * @param {String} name The name of the function, as used in expressions
+     * @param {function} fn A function that accepts the values of its arguments and returns the derived value
+     */
+    obj.add = function(name, fn) {
+        if (functions[name]) {
+            throw("derived field function already exists with name: " + name);
+        } else {
+            obj.set(name, fn);
+        }
+    };
+
+    /**
+     * List the names of all registered derived field functions
+     * @returns {String[]}
+     */
+    obj.list = function() {
+        return Object.keys(functions);
+    };
+
+    return obj;
+})();
+
+// Numeric functions for derived fields: each gives null if any argument is missing or not a number
+[
+    ["abs", Math.abs],
+    ["sqrt", Math.sqrt],
+    ["exp", Math.exp],
+    ["log", Math.log],
+    ["log10", function(x) { return Math.log(x) / Math.LN10; }],
+    ["pow", Math.pow],
+    ["min", Math.min],
+    ["max", Math.max]
+].forEach(function(entry) {
+    LocusZoom.DerivedFields.add(entry[0], function() {
+        var args = Array.prototype.slice.call(arguments);
+        if (args.some(function(x) { return x === null || typeof x == "undefined" || isNaN(+x); })) {
+            return null;
+        }
+        var val = entry[1].apply(null, args.map(Number));
+        return (isNaN(val) || !isFinite(val)) ? null : val;
+    });
+});
+
 /**
  * Singleton for accessing/storing functions that will convert arbitrary data points to values in a given scale
  * Useful for anything that needs to scale discretely with data (e.g. color, point size, etc.)
@@ -530,3 +934,67 @@ LocusZoom.ScaleFunctions.add("interpolate", function(parameters, input){
         return d3.interpolate(values[upper_idx-1], values[upper_idx])(normalized_input);
     }
 });
+
+/**
+ * Named color palettes for the `color_ramp` scale function. Each is a list of colors, evenly spaced from low to high
+ *   values: perceptually uniform sequential palettes (viridis, magma, inferno, plasma), ColorBrewer sequential palettes
+ *   (Blues, Reds, Greys), and ColorBrewer diverging palettes (RdBu, RdYlBu). More can be added by name.
+ * @member {Object.<String, String[]>}
+ */
+LocusZoom.ScaleFunctions.palettes = {
+    viridis: ["#440154", "#472d7b", "#3b528b", "#2c728e", "#21918c", "#28ae80", "#5ec962", "#addc30", "#fde725"],
+    magma: ["#000004", "#1c1044", "#4f127b", "#812581", "#b5367a", "#e55964", "#fb8761", "#fec287", "#fcfdbf"],
+    inferno: ["#000004", "#1f0c48", "#550f6d", "#88226a", "#ba3655", "#e35933", "#f98e09", "#f9cb35", "#fcffa4"],
+    plasma: ["#0d0887", "#4c02a1", "#7e03a8", "#a92395", "#cc4778", "#e56b5d", "#f89540", "#fdc527", "#f0f921"],
+    Blues: ["#f7fbff", "#deebf7", "#c6dbef", "#9ecae1", "#6baed6", "#4292c6", "#2171b5", "#08519c", "#08306b"],
+    Reds: ["#fff5f0", "#fee0d2", "#fcbba1", "#fc9272", "#fb6a4a", "#ef3b2c", "#cb181d", "#a50f15", "#67000d"],
+    Greys: ["#ffffff", "#f0f0f0", "#d9d9d9", "#bdbdbd", "#969696", "#737373", "#525252", "#252525", "#000000"],
+    RdBu: ["#b2182b", "#d6604d", "#f4a582", "#fddbc7", "#f7f7f7", "#d1e5f0", "#92c5de", "#4393c3", "#2166ac"],
+    RdYlBu: ["#d73027", "#f46d43", "#fdae61", "#fee090", "#ffffbf", "#e0f3f8", "#abd9e9", "#74add1", "#4575b4"]
+};
+
+/**
+ * Function to map numerical values onto a continuous color ramp, such as viridis. Values are placed along the domain
+ *   (on a linear or log scale) and colors are interpolated between the colors of the palette. A legend element with
+ *   `shape: "gradient"` and the same parameters draws a matching color bar.
+ * @function color_ramp
+ * @param {Object} parameters
+ * @param {String|String[]} [parameters.palette="viridis"] The name of a palette in `LocusZoom.ScaleFunctions.palettes`,
+ *   or a list of colors, from low to high values
+ * @param {Number[]} [parameters.domain=[0, 1]] The values that map to the first and last colors of the palette
+ * @param {Boolean} [parameters.log=false] Place values along the domain on a log scale. Values that are not positive
+ *   return the null value.
+ * @param {Boolean} [parameters.clamp=true] Give values outside of the domain the color at the nearest end. If false,
+ *   they return the null value instead.
+ * @param {Boolean} [parameters.reverse=false] Run the palette from high to low values
+ * @param {*} parameters.null_value Value to return for missing or non-numeric input. Optional.
+ * @param {*} input value
+ */
+LocusZoom.ScaleFunctions.add("color_ramp", function(parameters, input){
+    var nullval = (parameters.null_value ? parameters.null_value : null);
+    var palette = parameters.palette || "viridis";
+    var colors = typeof palette == "string" ? LocusZoom.ScaleFunctions.palettes[palette] : palette;
+    if (!Array.isArray(colors) || !colors.length){
+        throw("color_ramp scale function does not know the palette: " + palette);
+    }
+    if (typeof input == "undefined" || input === null || input === "" || isNaN(+input)){ return nullval; }
+    var domain = parameters.domain || [0, 1];
+    var position = function(value){
+        return parameters.log ? Math.log(+value) / Math.LN10 : +value;
+    };
+    if (parameters.log && (+input <= 0 || +domain[0] <= 0 || +domain[1] <= 0)){ return nullval; }
+    var t = (position(input) - position(domain[0])) / (position(domain[1]) - position(domain[0]));
+    if (!isFinite(t)){ return nullval; }
+    if (t < 0 || t > 1){
+        if (parameters.clamp === false){ return nullval; }
+        t = Math.max(Math.min(t, 1), 0);
+    }
+    if (parameters.reverse){ t = 1 - t; }
+    if (colors.length === 1){ return colors[0]; }
+    var scaled = t * (colors.length - 1);
+    var idx = Math.min(Math.floor(scaled), colors.length - 2);
+    var fraction = scaled - idx;
+    if (fraction === 0){ return colors[idx]; }
+    if (fraction === 1){ return colors[idx + 1]; }
+    return d3.interpolateLab(colors[idx], colors[idx + 1])(fraction);
+});
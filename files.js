@@ -11,7 +11,15 @@ var glob = require("glob");
 // Any vendor libraries needed solely for testing should not appear in this list.
 var vendor_build = [
     "./node_modules/d3/d3.js",
-    "./node_modules/q/q.js"
+    "./node_modules/q/q.js",
+    "./node_modules/pako/dist/pako_inflate.js"
+];
+
+// Optional vendor libraries, which pages include separately if they need them (jsPDF and svg2pdf.js save plots as
+// PDF images). They are not part of the vendor build, but are loaded for the tests.
+var optional_vendor = [
+    "./node_modules/jspdf/dist/jspdf.umd.min.js",
+    "./node_modules/svg2pdf.js/dist/svg2pdf.umd.min.js"
 ];
 
 // Test suites. Should be able to be executed in any order.
@@ -28,9 +36,11 @@ var app_build = [
     "./assets/js/app/DataLayer.js",
     "./assets/js/app/DataLayers/**/*.js",
     "./assets/js/app/Singletons.js",
+    "./assets/js/app/Export.js",
     "./assets/js/app/Dashboard.js",
     "./assets/js/app/Legend.js",
     "./assets/js/app/Data.js",
+    "./assets/js/app/Data/**/*.js",
     "./assets/js/app/Plot.js",
     "./assets/js/app/Panel.js"
 ];
@@ -40,7 +50,8 @@ var app_build = [
 var test_include = [
     "./node_modules/should/should.js",
     ...app_build,
-    ...vendor_build
+    ...vendor_build,
+    ...optional_vendor
 ];
 // Since this list gets read manually, resolve the globs first
 test_include = test_include.reduce(function (acc, pattern) {
@@ -51,5 +62,6 @@ module.exports = {
     test_suite: test_suite,
     test_include: test_include,
     app_build: app_build,
-    vendor_build: vendor_build
+    vendor_build: vendor_build,
+    optional_vendor: optional_vendor
 };
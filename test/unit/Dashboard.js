@@ -265,4 +265,169 @@ describe("LocusZoom.Dashboard", function(){
         });
     });
 
+    describe("Download Data Component", function() {
+        beforeEach(function(){
+            var datasources = new LocusZoom.DataSources()
+                .add("d", ["StaticJSON", [{ id: "a", value: 1 }, { id: "b", value: 2 }]]);
+            var layout = {
+                dashboard: {
+                    components: [
+                        { type: "download_data" }
+                    ]
+                },
+                panels: [
+                    {
+                        id: "p",
+                        data_layers: [
+                            { id: "d1", type: "scatter", fields: ["d:id", "d:value"], id_field: "d:id" },
+                            { id: "d2", type: "scatter", fields: ["d:id"], id_field: "d:id" }
+                        ]
+                    }
+                ]
+            };
+            d3.select("body").append("div").attr("id", "plot");
+            this.plot = LocusZoom.populate("#plot", datasources, layout);
+            this.component = this.plot.dashboard.components[0];
+        });
+        afterEach(function(){
+            d3.select("#plot").remove();
+            this.plot = null;
+        });
+        it("Should list the data layers of every panel", function(){
+            var ids = this.component.getDataLayers().map(function(data_layer){ return data_layer.state_id; });
+            assert.deepEqual(ids, ["p.d1", "p.d2"]);
+            this.component.getDataLayer().id.should.be.exactly("d1");
+        });
+        it("Should offer the selected data layer, format and rows in its menu", function(){
+            this.component.options.data_layer = "p.d2";
+            this.component.options.format = "tsv";
+            this.component.button.menu.show();
+            var menu = this.component.button.menu.inner_selector;
+            menu.select("select").property("value").should.be.exactly("p.d2");
+            menu.selectAll("input[type=radio]").size().should.be.exactly(6);
+            menu.select("button").text().should.be.exactly("Save locuszoom_p_d2.tsv");
+        });
+        it("Should tell the user when the data cannot be exported", function(){
+            var saved = LocusZoom.Export.save;
+            LocusZoom.Export.save = function(){ throw "Nothing should be saved"; };
+            this.plot.panels.p.data_layers.d1.exportData = function(){ return null; };
+            try {
+                this.component.download();
+            } finally {
+                LocusZoom.Export.save = saved;
+            }
+            this.plot.curtain.showing.should.be.true();
+            this.plot.curtain.content_selector.html().should.match(/Unable to export the data of p \/ d1/);
+        });
+    });
+
+    describe("Select Elements Component", function() {
+        beforeEach(function(){
+            var layout = {
+                panels: [
+                    {
+                        id: "p",
+                        dashboard: { components: [ { type: "select_elements", status: "faded" } ] },
+                        data_layers: [ { id: "d", type: "scatter" } ]
+                    }
+                ]
+            };
+            d3.select("body").append("div").attr("id", "plot");
+            this.plot = LocusZoom.populate("#plot", {}, layout);
+            this.plot.panels.p.dashboard.show();
+            this.component = this.plot.panels.p.dashboard.components[0];
+        });
+        afterEach(function(){
+            d3.select("#plot").remove();
+            this.plot = null;
+        });
+        it("Should set the panel's selection mode from its menu", function(){
+            this.component.button.html.should.be.exactly("Select: Off");
+            this.component.button.menu.show();
+            var radios = this.component.button.menu.inner_selector.selectAll("input[type=radio]");
+            radios.size().should.be.exactly(3);
+            radios[0][2]["__onclick"]();
+            assert.deepEqual(this.plot.panels.p.layout.interaction.select_elements, { shape: "lasso", status: "faded", data_layer_ids: null });
+            this.component.button.html.should.be.exactly("Select: Lasso");
+            radios[0][0]["__onclick"]();
+            should.not.exist(this.plot.panels.p.layout.interaction.select_elements);
+        });
+    });
+
+    describe("Search Box Component", function() {
+        beforeEach(function(){
+            this.queries = [];
+            var lookup = {
+                search: function(query){
+                    this.queries.push(query);
+                    return Q([
+                        { type: "gene", label: "TCF7L2-AS1", chr: "10", start: 114700000, end: 114710000 },
+                        { type: "gene", label: "TCF7L2", chr: "10", start: 114710009, end: 114927437 }
+                    ]);
+                }.bind(this)
+            };
+            var failing = { search: function(){ return Q.reject("Server error"); } };
+            var datasources = new LocusZoom.DataSources()
+                .add("gene", lookup)
+                .add("broken", failing);
+            var layout = {
+                state: { chr: 1, start: 1000000, end: 1200000 },
+                dashboard: {
+                    components: [
+                        { type: "search_box", lookup_namespaces: ["broken"], flank: 50000 }
+                    ]
+                }
+            };
+            d3.select("body").append("div").attr("id", "plot");
+            this.plot = LocusZoom.populate("#plot", datasources, layout);
+            this.component = this.plot.dashboard.components[0];
+        });
+        afterEach(function(){
+            d3.select("#plot").remove();
+            this.plot = null;
+        });
+        it("Should recognize regions, positions and variant IDs without looking them up", function(){
+            assert.deepEqual(this.component.parseQuery("10:114550000-114950000"),
+                             { type: "region", label: "10:114550000-114950000", chr: "10", start: 114550000, end: 114950000 });
+            assert.deepEqual(this.component.parseQuery("chr10:114758349+10kb"),
+                             { type: "region", label: "chr10:114758349+10kb", chr: "10", start: 114748349, end: 114768349 });
+            assert.deepEqual(this.component.parseQuery("10:114758349"),
+                             { type: "position", label: "10:114758349", chr: "10", position: 114758349 });
+            assert.deepEqual(this.component.parseQuery("10:114758349_C/T"),
+                             { type: "variant", label: "10:114758349_C/T", chr: "10", position: 114758349, variant: "10:114758349_C/T" });
+            assert.equal(this.component.parseQuery("TCF7L2"), null);
+        });
+        it("Should look up other queries in every lookup source, ignoring any that fail", function(){
+            return this.component.lookup("TCF7L2").then(function(results){
+                assert.deepEqual(this.queries, ["TCF7L2"]);
+                assert.deepEqual(results.map(function(result){ return result.label; }), ["TCF7L2-AS1", "TCF7L2"]);
+            }.bind(this));
+        });
+        it("Should move to an exact match, with flanking regions around genes", function(){
+            return this.component.search("tcf7l2").then(function(result){
+                result.label.should.be.exactly("TCF7L2");
+                this.plot.state.chr.should.be.exactly("10");
+                this.plot.state.start.should.be.exactly(114710009 - 20000);
+                this.plot.state.end.should.be.exactly(114927437 + 20000);
+            }.bind(this));
+        });
+        it("Should center variants and make them the LD reference variant", function(){
+            return this.component.search("10:114758349_C/T").then(function(){
+                this.plot.state.start.should.be.exactly(114758349 - 50000);
+                this.plot.state.end.should.be.exactly(114758349 + 50000);
+                this.plot.state.ldrefvar.should.be.exactly("10:114758349_C/T");
+            }.bind(this));
+        });
+        it("Should show suggestions while typing", function(){
+            return this.component.suggest("TCF").then(function(){
+                var items = this.component.list.selectAll("li");
+                items.size().should.be.exactly(2);
+                items.select(".lz-dashboard-search-suggestion-label").text().should.be.exactly("TCF7L2-AS1");
+                return this.component.suggest("T");
+            }.bind(this)).then(function(){
+                this.component.list.selectAll("li").size().should.be.exactly(0);
+            }.bind(this));
+        });
+    });
+
 });
@@ -5,6 +5,48 @@
   Test LocusZoom Data access objects
 */
 describe("LocusZoom Data", function(){
+    // Build a bgzipped file from a list of blocks of text (plus the empty BGZF end-of-file block)
+    var zlib = require("zlib");
+    var bgzip = function(blocks) {
+        return Buffer.concat(blocks.concat([""]).map(function(text) {
+            var raw = Buffer.from(text);
+            var cdata = zlib.deflateRawSync(raw);
+            var header = Buffer.from([31, 139, 8, 4, 0, 0, 0, 0, 0, 255, 6, 0, 66, 67, 2, 0, 0, 0]);
+            header.writeUInt16LE(cdata.length + 25, 16);
+            var footer = Buffer.alloc(8);
+            footer.writeUInt32LE(raw.length, 4);
+            return Buffer.concat([header, cdata, footer]);
+        }));
+    };
+    var toArrayBuffer = function(buffer) {
+        var copy = new Uint8Array(buffer.length);
+        for (var i = 0; i < buffer.length; i++) { copy[i] = buffer[i]; }
+        return copy.buffer;
+    };
+    // Build a tabix-indexed file from header lines and one block of lines per chromosome, given as [[name, text]].
+    //  The index is minimal: every record for a chromosome is in one chunk of bin 0, with no linear index.
+    //  columns gives the index [format, col_seq, col_beg, col_end].
+    var buildTabix = function(header, chromosomes, columns) {
+        var blocks = [header].concat(chromosomes.map(function(chr) { return chr[1]; }));
+        var data = bgzip(blocks);
+        // Compressed offsets of each block, used to build virtual offsets for the index
+        var offsets = [0];
+        for (var i = 0; i < blocks.length; i++) {
+            offsets.push(offsets[i] + data.readUInt16LE(offsets[i] + 16) + 1);
+        }
+        var int32 = function(x) { var b = Buffer.alloc(4); b.writeInt32LE(x, 0); return b; };
+        var voffset = function(coffset) { var b = Buffer.alloc(8); b.writeUInt32LE(coffset * 65536, 0); return b; };
+        var names = Buffer.from(chromosomes.map(function(chr) { return chr[0] + "\u0000"; }).join(""));
+        var index = Buffer.concat([
+            Buffer.from("TBI\u0001"), int32(chromosomes.length),
+            int32(columns[0]), int32(columns[1]), int32(columns[2]), int32(columns[3]), int32(35), int32(0),
+            int32(names.length), names
+        ].concat(chromosomes.map(function(chr, i) {
+            return Buffer.concat([int32(1), int32(0), int32(1), voffset(offsets[i + 1]), voffset(offsets[i + 2]), int32(0)]);
+        })));
+        return { data: toArrayBuffer(data), index: toArrayBuffer(bgzip([index])) };
+    };
+
     describe("LocusZoom.Data.Field", function() {
         beforeEach(function() {
             LocusZoom.TransformationFunctions.add("herp", function(x) { return x.toString() + "herp"; });
@@ -78,6 +120,50 @@ describe("LocusZoom Data", function(){
         });
     });
 
+    describe("Derived fields", function() {
+        it("should parse a derived field into its name and expression", function() {
+            var f = new LocusZoom.Data.Field("assoc:beta / assoc:se as assoc:z");
+            f.full_name.should.be.exactly("assoc:z");
+            f.namespace.should.be.exactly("assoc");
+            f.name.should.be.exactly("z");
+            assert.deepEqual(f.expression.fields, ["assoc:beta", "assoc:se"]);
+            should(new LocusZoom.Data.Field("assoc:beta").expression).be.exactly(null);
+        });
+        it("should calculate the value of a derived field for a record", function() {
+            var f = new LocusZoom.Data.Field("assoc:beta / assoc:se as assoc:z");
+            var record = { "assoc:beta": 0.5, "assoc:se": 0.25 };
+            f.resolve(record).should.be.exactly(2);
+            record["assoc:z"].should.be.exactly(2);
+        });
+        it("should follow the usual order of operations", function() {
+            var evaluate = function(text, record) { return new LocusZoom.Data.Expression(text).evaluate(record || {}); };
+            evaluate("1 + 2 * 3").should.be.exactly(7);
+            evaluate("(1 + 2) * 3").should.be.exactly(9);
+            evaluate("8 / 4 / 2").should.be.exactly(1);
+            evaluate("-2 * -x", { x: 3 }).should.be.exactly(6);
+            evaluate("1.5e2 - .5").should.be.exactly(149.5);
+        });
+        it("should give null when a value is missing", function() {
+            var expression = new LocusZoom.Data.Expression("a:x + a:y");
+            should(expression.evaluate({ "a:x": 1 })).be.exactly(null);
+            should(expression.evaluate({ "a:x": 1, "a:y": null })).be.exactly(null);
+            expression.evaluate({ "a:x": 1, "a:y": "2" }).should.be.exactly(3);
+        });
+        it("should apply transformations and call derived field functions", function() {
+            var expression = new LocusZoom.Data.Expression("max(assoc:pvalue|neglog10, 1) * 2");
+            assert.deepEqual(expression.fields, ["assoc:pvalue|neglog10"]);
+            expression.evaluate({ "assoc:pvalue": 0.001 }).should.be.approximately(6, 1e-9);
+            expression.evaluate({ "assoc:pvalue": 0.5 }).should.be.exactly(2);
+        });
+        it("should reject invalid expressions", function() {
+            assert.throws(function() { new LocusZoom.Data.Expression("a:x +"); }, /Unexpected end of expression/);
+            assert.throws(function() { new LocusZoom.Data.Expression("(a:x"); }, /Expected "\)"/);
+            assert.throws(function() { new LocusZoom.Data.Expression("a:x a:y"); }, /Unexpected "a:y"/);
+            assert.throws(function() { new LocusZoom.Data.Expression("a:x % 2"); }, /Unable to parse expression at "% 2"/);
+            assert.throws(function() { new LocusZoom.Data.Expression("nonexistent(a:x)"); }, /derived field function \[nonexistent\] not found/);
+        });
+    });
+
     describe("LocusZoom.DataSources", function() {
 
         var TestSource1, TestSource2;
@@ -158,6 +244,143 @@ describe("LocusZoom Data", function(){
         });
     });
 
+    describe("LocusZoom.Data.Requester", function() {
+        beforeEach(function() {
+            var log = this.log = [];
+            // Returns one record per request; sources that declare dependencies annotate the records they were given instead
+            var TestSource = LocusZoom.Data.Source.extend(function(init) {
+                this.name = init.name;
+                this.params = init.params || {};
+                this.response = init.response;
+            });
+            TestSource.prototype.getRequest = function(state, chain) {
+                log.push("request " + this.name);
+                return this.response || Q.when([{ value: this.name }]);
+            };
+            TestSource.prototype.parseResponse = function(resp, chain, fields, outnames) {
+                log.push("response " + this.name);
+                if ((this.getDependencies() || []).length) {
+                    var name = this.name;
+                    return { header: chain.header, body: chain.body.map(function(record) {
+                        var annotated = { seen_by: name };
+                        Object.keys(record).forEach(function(key) { annotated[key] = record[key]; });
+                        return annotated;
+                    }) };
+                }
+                return { header: chain.header, body: this.parseData(resp, fields, outnames) };
+            };
+            this.create = function(name, params, response) {
+                return new TestSource({ name: name, params: params, response: response });
+            };
+            this.sources = new LocusZoom.DataSources();
+            this.requester = new LocusZoom.Data.Requester(this.sources);
+        });
+        it("should request independent sources in parallel and merge their results", function(done) {
+            var slow = Q.defer();
+            var log = this.log;
+            this.sources.add("a", this.create("a", {}, slow.promise));
+            this.sources.add("b", this.create("b", { dependencies: [] }));
+            var result = this.requester.getData({}, ["a:value", "b:value"]);
+            setTimeout(function() {
+                assert.deepEqual(log, ["request a", "request b", "response b"]);
+                slow.resolve([{ value: "a" }]);
+                result.then(function(data) {
+                    assert.deepEqual(data.body, [{ "a:value": "a" }, { "b:value": "b" }]);
+                    done();
+                }).fail(done);
+            }, 10);
+        });
+        it("should calculate derived fields once all data has arrived", function(done) {
+            var log = this.log;
+            var TestSource = LocusZoom.Data.Source.extend(function(records) {
+                this.records = records;
+            });
+            TestSource.prototype.getRequest = function(state, chain, fields) {
+                log.push(fields.join(","));
+                return Q.when(this.records);
+            };
+            this.sources.add("a", new TestSource([{ beta: 1, se: 0.5 }, { beta: -3, se: null }]));
+            this.requester.getData({}, ["a:beta / a:se as a:z", "abs(a:z) * 2 as a:twice"]).then(function(data) {
+                assert.deepEqual(log, ["beta,se"]);
+                assert.deepEqual(data.body, [
+                    { "a:beta": 1, "a:se": 0.5, "a:z": 2, "a:twice": 4 },
+                    { "a:beta": -3, "a:se": null, "a:z": null, "a:twice": null }
+                ]);
+                done();
+            }).fail(done);
+        });
+        it("should give a source the output of the namespaces it depends on", function(done) {
+            this.sources.add("a", this.create("a"));
+            this.sources.add("b", this.create("b", { dependencies: ["a"] }));
+            var log = this.log;
+            this.requester.getData({}, ["b:value", "a:value"]).then(function(data) {
+                assert.deepEqual(log, ["request a", "response a", "request b", "response b"]);
+                assert.deepEqual(data.body, [{ seen_by: "b", "a:value": "a" }]);
+                done();
+            }).fail(done);
+        });
+        it("should reject dependencies that the layer does not ask for any fields from", function() {
+            this.sources.add("a", this.create("a"));
+            this.sources.add("b", this.create("b", { dependencies: ["a"] }));
+            assert.throws(function() {
+                this.requester.getData({}, ["b:value"]);
+            }.bind(this), /depends on namespace a, but the data layer requests no fields from it/);
+            this.log.should.have.length(0);
+        });
+        it("should chain sources that do not declare their dependencies after the namespace before them", function(done) {
+            var dependent = this.create("b");
+            dependent.parseResponse = function(resp, chain) {
+                return { header: chain.header, body: chain.body.map(function(record) { return { seen: record["a:value"] }; }) };
+            };
+            this.sources.add("a", this.create("a"));
+            this.sources.add("b", dependent);
+            this.requester.getData({}, ["a:value", "b:value"]).then(function(data) {
+                assert.deepEqual(data.body, [{ seen: "a" }]);
+                done();
+            }).fail(done);
+        });
+        it("should choose the namespace before a source in the layer's fields, whatever the namespaces are called", function(done) {
+            var dependent = this.create("ld");
+            dependent.parseResponse = function(resp, chain) {
+                return { header: chain.header, body: chain.body.map(function(record) { return { seen: record["2:value"] }; }) };
+            };
+            // Integer-like keys come first in Object.keys, so the order of the fields must be used instead
+            this.sources.add("b", this.create("b"));
+            this.sources.add("2", this.create("2"));
+            this.sources.add("ld", dependent);
+            this.requester.getData({}, ["b:value", "2:value", "ld:value"]).then(function(data) {
+                assert.deepEqual(data.body, [{ seen: "2" }]);
+                done();
+            }).fail(done);
+        });
+        it("should not chain sources that say they are independent", function(done) {
+            var independent = this.create("b");
+            independent.independentSource = true;
+            var log = this.log;
+            this.sources.add("a", this.create("a", {}, Q.delay(10).then(function() { return [{ value: "a" }]; })));
+            this.sources.add("b", independent);
+            this.requester.getData({}, ["a:value", "b:value"]).then(function(data) {
+                assert.deepEqual(log, ["request a", "request b", "response b", "response a"]);
+                assert.deepEqual(data.body, [{ "a:value": "a" }, { "b:value": "b" }]);
+                done();
+            }).fail(done);
+        });
+        it("should reject dependency cycles", function() {
+            this.sources.add("a", this.create("a", { dependencies: ["c"] }));
+            this.sources.add("b", this.create("b", { dependencies: ["a"] }));
+            this.sources.add("c", this.create("c", { dependencies: ["b"] }));
+            assert.throws(function() {
+                this.requester.getData({}, ["a:value", "b:value", "c:value"]);
+            }.bind(this), /Datasource dependency cycle: a -> c -> b -> a/);
+        });
+        it("should reject dependencies on namespaces with no datasource", function() {
+            this.sources.add("b", this.create("b", { dependencies: ["a"] }));
+            assert.throws(function() {
+                this.requester.getData({}, ["b:value"]);
+            }.bind(this), /depends on namespace a, which has no datasource/);
+        });
+    });
+
     describe("LocusZoom Data.Source", function() {
         describe("Source.extend()", function() {
 
@@ -227,6 +450,28 @@ describe("LocusZoom Data", function(){
                 should.not.exist(obj.initOnly);
             });
 
+            it("should not change the parent type when adding methods to a child", function() {
+                var source1 = LocusZoom.Data.Source.extend(function() {}, "BaseOne");
+                source1.prototype.greet = function() {return "hello";};
+                var source2 = LocusZoom.Data.Source.extend(function() {}, "BaseTwo", "BaseOne");
+                source2.prototype.greet = function() {return "goodbye";};
+                new source1().greet().should.equal("hello");
+                new source2().greet().should.equal("goodbye");
+                LocusZoom.KnownDataSources.get("BaseOne").should.equal(source1);
+                new source1().constructor.SOURCE_NAME.should.equal("BaseOne");
+            });
+
+            it("should still inherit methods that are added to the parent type after the child is defined", function() {
+                var source1 = LocusZoom.Data.Source.extend(function() {}, "BaseOne");
+                var source2 = LocusZoom.Data.Source.extend(function() {}, "BaseTwo", "BaseOne");
+                var source3 = LocusZoom.Data.Source.extend(function() {}, "BaseThree", source1);
+                source1.prototype.greet = function() {return "hello";};
+                new source2().greet().should.equal("hello");
+                new source3().greet().should.equal("hello");
+                new source2().should.be.an.instanceOf(source1);
+                new source2().should.be.an.instanceOf(LocusZoom.Data.Source);
+            });
+
             it("should easily inherit from known types (function)", function() {
                 var source1 = LocusZoom.Data.Source.extend(function() {
                     this.name = "Bob";
@@ -256,6 +501,266 @@ describe("LocusZoom Data", function(){
             });
         });
 
+        describe("Source.getRequest caching", function() {
+            beforeEach(function() {
+                var fetched = this.fetched = [];
+                var TestSource = LocusZoom.Data.Source.extend(function(init) {
+                    this.parseInit(init);
+                });
+                TestSource.prototype.getURL = function(state) {
+                    return this.url + "?chr=" + state.chr + "&start=" + state.start + "&end=" + state.end;
+                };
+                TestSource.prototype.fetchRequest = function(state) {
+                    fetched.push(this.getURL(state));
+                    return Q.when([
+                        { position: state.start, value: 1 },
+                        { position: state.end, value: 2 }
+                    ]);
+                };
+                this.TestSource = TestSource;
+            });
+            it("should reuse any of several recent responses", function(done) {
+                var source = new this.TestSource({ url: "http://server.com/api" });
+                var fetched = this.fetched;
+                source.getRequest({ chr: "1", start: 1, end: 100 }, {}, [])
+                    .then(function() { return source.getRequest({ chr: "1", start: 101, end: 200 }, {}, []); })
+                    .then(function() { return source.getRequest({ chr: "1", start: 1, end: 100 }, {}, []); })
+                    .then(function(resp) {
+                        fetched.length.should.be.exactly(2);
+                        assert.deepEqual(resp, [{ position: 1, value: 1 }, { position: 100, value: 2 }]);
+                        assert.deepEqual(source.getCacheKeys(), [
+                            "http://server.com/api?chr=1&start=1&end=100",
+                            "http://server.com/api?chr=1&start=101&end=200"
+                        ]);
+                        done();
+                    }).fail(done);
+            });
+            it("should discard the least recently used response when full", function(done) {
+                var source = new this.TestSource({ url: "http://server.com/api", params: { cache_size: 2 } });
+                var fetched = this.fetched;
+                var request = function(start) {
+                    return function() { return source.getRequest({ chr: "1", start: start, end: start + 10 }, {}, []); };
+                };
+                request(1)().then(request(20)).then(request(1)).then(request(40)).then(function() {
+                    assert.deepEqual(source.getCacheKeys(), [
+                        "http://server.com/api?chr=1&start=40&end=50",
+                        "http://server.com/api?chr=1&start=1&end=11"
+                    ]);
+                    return request(20)();
+                }).then(function() {
+                    fetched.length.should.be.exactly(4);
+                    done();
+                }).fail(done);
+            });
+            it("should keep a separate cache for each source", function(done) {
+                var source1 = new this.TestSource({ url: "http://server.com/one" });
+                var source2 = new this.TestSource({ url: "http://server.com/two" });
+                source1.getRequest({ chr: "1", start: 1, end: 100 }, {}, []).then(function() {
+                    source1.getCacheKeys().length.should.be.exactly(1);
+                    source2.getCacheKeys().length.should.be.exactly(0);
+                    done();
+                }).fail(done);
+            });
+            it("should be possible to clear the cache", function(done) {
+                var source = new this.TestSource({ url: "http://server.com/api" });
+                var fetched = this.fetched;
+                var state = { chr: "1", start: 1, end: 100 };
+                source.getRequest(state, {}, []).then(function() {
+                    source.clearCache();
+                    source.getCacheKeys().length.should.be.exactly(0);
+                    return source.getRequest(state, {}, []);
+                }).then(function() {
+                    fetched.length.should.be.exactly(2);
+                    done();
+                }).fail(done);
+            });
+            it("should not cache anything when the cache size is 0", function(done) {
+                var source = new this.TestSource({ url: "http://server.com/api", params: { cache_size: 0 } });
+                var fetched = this.fetched;
+                var state = { chr: "1", start: 1, end: 100 };
+                source.getRequest(state, {}, []).then(function() {
+                    return source.getRequest(state, {}, []);
+                }).then(function() {
+                    fetched.length.should.be.exactly(2);
+                    source.getCacheKeys().length.should.be.exactly(0);
+                    done();
+                }).fail(done);
+            });
+            it("should reject, and not cache, a response that arrives after the request was cancelled", function(done) {
+                var source = new this.TestSource({ url: "http://server.com/api" });
+                var token = new LocusZoom.CancelToken();
+                var getter = source.getData({ chr: "1", start: 1, end: 100 }, ["value"], ["test:value"], [null], token);
+                var result = getter({ header: {}, body: [] });
+                token.cancel("Superseded");
+                result.then(function() {
+                    done(new Error("Request should have been cancelled"));
+                }, function(error) {
+                    assert.equal(error, "Superseded");
+                    return getter({ header: {}, body: [] });
+                }).then(function() {
+                    done(new Error("Request should have been cancelled"));
+                }, function(error) {
+                    assert.equal(error, "Superseded");
+                    done();
+                }).fail(done);
+            });
+            it("should find positions in the configured field, or by start and end, when keeping records in the region", function() {
+                var source = new this.TestSource({ url: "http://server.com/api", params: { position_field: "bp" } });
+                var state = { chr: "1", start: 10, end: 20 };
+                var sites = [{ "test:bp": 5 }, { "test:bp": 15 }, { "test:bp": null }];
+                assert.deepEqual(source.filterToRegion(sites, state), [{ "test:bp": 15 }, { "test:bp": null }]);
+                var genes = [{ start: 1, end: 9 }, { start: 5, end: 12 }, { start: 19, end: 30 }, { start: 21, end: 30 }];
+                assert.deepEqual(source.filterToRegion(genes, state), [{ start: 5, end: 12 }, { start: 19, end: 30 }]);
+                // Fields that merely end with the name are not positions
+                var other = [{ "test:bp_position": 1 }];
+                assert.deepEqual(new this.TestSource({ url: "http://server.com/api" }).filterToRegion(other, state), other);
+            });
+            it("should only reuse a larger region if configured to do so", function(done) {
+                var source = new this.TestSource({ url: "http://server.com/api" });
+                var fetched = this.fetched;
+                source.getRequest({ chr: "1", start: 1, end: 100 }, {}, []).then(function() {
+                    return source.getRequest({ chr: "1", start: 10, end: 50 }, {}, []);
+                }).then(function() {
+                    fetched.length.should.be.exactly(2);
+                    done();
+                }).fail(done);
+            });
+            it("should answer a request for a contained region from the cache, keeping only records in the region", function(done) {
+                var source = new this.TestSource({ url: "http://server.com/api", params: { cache_contained_regions: true } });
+                var fetched = this.fetched;
+                var getData = function(chr, start, end) {
+                    return source.getData({ chr: chr, start: start, end: end }, ["position", "value"], ["test:position", "test:value"], [null, null])({ header: {}, body: [] });
+                };
+                getData("1", 1, 100).then(function() {
+                    return getData("1", 10, 100);
+                }).then(function(data) {
+                    fetched.length.should.be.exactly(1);
+                    assert.deepEqual(data.body, [{ "test:position": 100, "test:value": 2 }]);
+                    return getData("2", 10, 100);
+                }).then(function() {
+                    return getData("1", 50, 150);
+                }).then(function() {
+                    fetched.length.should.be.exactly(3);
+                    done();
+                }).fail(done);
+            });
+        });
+
+        describe("Source.sendRequest", function() {
+            var originalXHR;
+            beforeEach(function() {
+                // Replace XHR with a fake that answers each request with the next status in the list
+                var sent = this.sent = [];
+                var statuses = this.statuses = [];
+                var FakeXHR = function() {
+                    this.withCredentials = false;
+                    this.readyState = 0;
+                    this.headers = {};
+                    sent.push(this);
+                };
+                FakeXHR.prototype.open = function(method, url) { this.method = method; this.url = url; };
+                FakeXHR.prototype.setRequestHeader = function(name, value) { this.headers[name] = value; };
+                FakeXHR.prototype.abort = function() {};
+                FakeXHR.prototype.send = function() {
+                    var xhr = this;
+                    setTimeout(function() {
+                        xhr.readyState = 4;
+                        xhr.status = statuses.length ? statuses.shift() : 200;
+                        xhr.response = JSON.stringify({ data: [{ position: 1, value: xhr.status }] });
+                        xhr.onreadystatechange();
+                    }, 0);
+                };
+                originalXHR = window.XMLHttpRequest;
+                window.XMLHttpRequest = FakeXHR;
+                this.sources = new LocusZoom.DataSources();
+                this.sources.add("assoc", ["AssociationLZ", { url: "http://server.com/api/", params: { retry_delay: 1 } }]);
+            });
+            afterEach(function() {
+                window.XMLHttpRequest = originalXHR;
+            });
+            it("should apply interceptors from the collection, then from the source", function(done) {
+                var sent = this.sent;
+                this.sources.addInterceptor(function(request) {
+                    request.headers.Authorization = "Bearer abc";
+                    request.url = request.url.replace("server.com", "other.com");
+                });
+                this.sources.get("assoc").addInterceptor(function(request) {
+                    return Q.when({ method: "GET", url: request.url + "&extra", headers: request.headers });
+                });
+                this.sources.get("assoc").sendRequest({ url: "http://server.com/api/?a=1" }).then(function() {
+                    sent.length.should.be.exactly(1);
+                    sent[0].url.should.be.exactly("http://other.com/api/?a=1&extra");
+                    assert.deepEqual(sent[0].headers, { Authorization: "Bearer abc" });
+                    done();
+                }).fail(done);
+            });
+            it("should not share interceptors between sources", function() {
+                this.sources.add("other", ["AssociationLZ", { url: "http://server.com/api/" }]);
+                this.sources.get("assoc").addInterceptor(function() {});
+                this.sources.get("assoc").interceptors.length.should.be.exactly(1);
+                should.not.exist(this.sources.get("other").interceptors);
+            });
+            it("should retry temporary failures when configured to", function(done) {
+                var sent = this.sent;
+                this.statuses.push(503, 503);
+                var source = this.sources.get("assoc");
+                source.params.retries = 2;
+                source.sendRequest({ url: "http://server.com/api/" }).then(function(response) {
+                    sent.length.should.be.exactly(3);
+                    JSON.parse(response).data[0].value.should.be.exactly(200);
+                    done();
+                }).fail(done);
+            });
+            it("should retry requests that get no response, but accept status 0 from local files", function(done) {
+                var sent = this.sent;
+                this.statuses.push(0, 0);
+                var source = this.sources.get("assoc");
+                source.params.retries = 1;
+                source.sendRequest({ url: "http://server.com/api/" }).then(function() {
+                    throw new Error("Request with no response should have failed");
+                }, function(error) {
+                    sent.length.should.be.exactly(2);
+                    error.status.should.be.exactly(0);
+                    error.toString().should.match(/No response for http:\/\/server.com\/api\//);
+                    this.statuses.push(0);
+                    return source.sendRequest({ url: "file:///data/assoc.json" });
+                }.bind(this)).then(function(response) {
+                    sent.length.should.be.exactly(3);
+                    JSON.parse(response).data[0].value.should.be.exactly(0);
+                    done();
+                }).fail(done);
+            });
+            it("should give up after the configured number of retries", function(done) {
+                var sent = this.sent;
+                this.statuses.push(503, 503, 503);
+                var source = this.sources.get("assoc");
+                source.params.retries = 1;
+                source.sendRequest({ url: "http://server.com/api/" }).then(function() {
+                    done(new Error("Request should have failed"));
+                }, function(error) {
+                    sent.length.should.be.exactly(2);
+                    error.should.be.an.instanceOf(LocusZoom.RequestError);
+                    error.status.should.be.exactly(503);
+                    done();
+                }).fail(done);
+            });
+            it("should not retry errors that will not go away, and should say which source failed", function(done) {
+                var sent = this.sent;
+                this.statuses.push(404);
+                this.sources.get("assoc").params.retries = 3;
+                var requester = new LocusZoom.Data.Requester(this.sources);
+                requester.getData({ chr: "1", start: 1, end: 100 }, ["assoc:value"]).then(function() {
+                    done(new Error("Request should have failed"));
+                }, function(error) {
+                    sent.length.should.be.exactly(1);
+                    error.source.should.be.exactly("assoc");
+                    error.status.should.be.exactly(404);
+                    error.toString().should.match(/^Error fetching data for assoc: HTTP 404 for http:\/\/server.com\/api\//);
+                    done();
+                }).fail(done);
+            });
+        });
+
         describe("Source.parseArraysToObjects", function() {
             it("should require all columns of data to be of same length", function() {
                 var source = new LocusZoom.Data.Source();
@@ -353,4 +858,594 @@ describe("LocusZoom Data", function(){
         });
     });
 
+    describe("Tabix Association Data Source", function() {
+        before(function() {
+            var tabix = buildTabix("#chrom\tpos\tref\talt\tp\n", [
+                ["1", "1\t100\tA\tG\t0.01\n1\t200\tC\tT\tNA\n1\t300000\tG\tA\t1e-8\n"],
+                ["2", "2\t150\tT\tC\t0.5\n"]
+            ], [0, 1, 2, 2]);
+            this.data = tabix.data;
+            this.index = tabix.index;
+        });
+        it("should parse the index", function(done) {
+            var reader = new LocusZoom.Data.TabixReader(this.data, this.index);
+            reader.fetchIndex().then(function(index) {
+                assert.deepEqual(index.names, ["1", "2"]);
+                index.col_seq.should.be.exactly(1);
+                index.col_beg.should.be.exactly(2);
+                index.meta.should.be.exactly("#");
+                index.refs.length.should.be.exactly(2);
+                done();
+            }).fail(done);
+        });
+        it("should read the header", function(done) {
+            var reader = new LocusZoom.Data.TabixReader(this.data, this.index);
+            reader.fetchHeader().then(function(header) {
+                assert.deepEqual(header, ["#chrom\tpos\tref\talt\tp"]);
+                done();
+            }).fail(done);
+        });
+        it("should read the index and header again after a failed read", function(done) {
+            var reader = new LocusZoom.Data.TabixReader(this.data, this.index);
+            var readBytes = reader.readBytes;
+            reader.readBytes = function() { return Q.reject("Network error"); };
+            reader.fetchHeader().then(function() {
+                done(new Error("Request should have failed"));
+            }).fail(function(error) {
+                error.should.be.exactly("Network error");
+                reader.readBytes = readBytes;
+                return reader.fetchHeader();
+            }).then(function(header) {
+                assert.deepEqual(header, ["#chrom\tpos\tref\talt\tp"]);
+                return reader.fetchIndex();
+            }).then(function(index) {
+                assert.deepEqual(index.names, ["1", "2"]);
+                done();
+            }).fail(done);
+        });
+        it("should read only the lines that overlap a region", function(done) {
+            var reader = new LocusZoom.Data.TabixReader(this.data, this.index);
+            reader.fetchRegion("1", 50, 250).then(function(lines) {
+                assert.deepEqual(lines, [["1", "100", "A", "G", "0.01"], ["1", "200", "C", "T", "NA"]]);
+                return reader.fetchRegion("chr2", 1, 1000);
+            }).then(function(lines) {
+                assert.deepEqual(lines, [["2", "150", "T", "C", "0.5"]]);
+                return reader.fetchRegion("X", 1, 1000);
+            }).then(function(lines) {
+                assert.deepEqual(lines, []);
+                done();
+            }).fail(done);
+        });
+        it("should map columns to association fields", function(done) {
+            var source = LocusZoom.KnownDataSources.create("TabixAssociation", {
+                url: "unused.tsv.gz",
+                params: { columns: { pvalue: "p", ref_allele: 3, alt_allele: "alt" } }
+            });
+            source.reader = new LocusZoom.Data.TabixReader(this.data, this.index);
+            var fields = ["pvalue", "log_pvalue", "ref_allele"];
+            var outnames = ["assoc:pvalue", "assoc:log_pvalue", "assoc:ref_allele"];
+            var trans = [null, null, null];
+            source.getData({ chr: "1", start: 50, end: 250 }, fields, outnames, trans)({ header: {}, body: [] })
+                .then(function(data) {
+                    data.body.length.should.be.exactly(2);
+                    data.body[0]["assoc:log_pvalue"].should.be.approximately(2, 1e-9);
+                    delete data.body[0]["assoc:log_pvalue"];
+                    assert.deepEqual(data.body, [
+                        { id: "1:100_A/G", position: 100, "assoc:pvalue": 0.01, "assoc:ref_allele": "A" },
+                        { id: "1:200_C/T", position: 200, "assoc:pvalue": null, "assoc:log_pvalue": null, "assoc:ref_allele": "C" }
+                    ]);
+                    done();
+                }).fail(done);
+        });
+        it("should require a pvalue or log_pvalue column", function(done) {
+            var source = LocusZoom.KnownDataSources.create("TabixAssociation", { url: "unused.tsv.gz" });
+            source.reader = new LocusZoom.Data.TabixReader(this.data, this.index);
+            source.fetchRequest({ chr: "1", start: 50, end: 250 }).then(function() {
+                done(new Error("Request should have failed"));
+            }).fail(function(error) {
+                error.should.match(/requires a pvalue or log_pvalue column/);
+                done();
+            }).fail(done);
+        });
+    });
+
+    describe("LD Data Source", function() {
+        beforeEach(function() {
+            this.chain = { header: {}, body: [100, 200, 300].map(function(position) {
+                return { "assoc:variant": "1:" + position + "_A/G", "assoc:position": position, "assoc:log_pvalue": position === 200 ? 10 : 1 };
+            }) };
+            // Respond as the API would, recording the URLs requested
+            this.createSource = function(params) {
+                var source = LocusZoom.KnownDataSources.create("LDLZ", { url: "http://server.com/ld/", params: params });
+                source.urls = [];
+                source.fetchRequest = function(state, chain, fields) {
+                    var url = this.getURL(state, chain, fields);
+                    this.urls.push(url);
+                    var refvar = url.match(/variant1 eq '([^']+)'/)[1];
+                    return Q.when(JSON.stringify({ data: {
+                        position2: [100, 200, 300],
+                        rsquare: [0.1, 0.2, 0.3].map(function(x) { return refvar === "1:300_A/G" ? x * 2 : x; }),
+                        dprime: [0.4, 0.5, 0.6]
+                    } }));
+                };
+                return source;
+            };
+        });
+        it("should provide each statistic and the reference variant as separate fields", function(done) {
+            var source = this.createSource({});
+            var fields = ["rsquare", "dprime", "isrefvar", "refvar"];
+            source.getData({ chr: "1", start: 1, end: 1000 }, fields, fields.map(function(f) { return "ld:" + f; }), [null, null, null, null])(this.chain)
+                .then(function(data) {
+                    source.urls[0].should.match(/variant1 eq '1:200_A\/G'&fields=chr,pos,rsquare,dprime$/);
+                    assert.deepEqual(data.body[0], {
+                        "assoc:variant": "1:100_A/G", "assoc:position": 100, "assoc:log_pvalue": 1,
+                        "ld:rsquare": 0.1, "ld:dprime": 0.4, "ld:isrefvar": 0, "ld:refvar": "1:200_A/G"
+                    });
+                    data.body[1]["ld:isrefvar"].should.be.exactly(1);
+                    done();
+                }).fail(done);
+        });
+        it("should still provide r2 as the state field", function(done) {
+            var source = this.createSource({});
+            source.getData({ chr: "1", start: 1, end: 1000, ldrefvar: "1:300_A/G" }, ["state", "isrefvar"], ["ld:state", "ld:isrefvar"], [null, null])(this.chain)
+                .then(function(data) {
+                    source.urls[0].should.match(/&fields=chr,pos,rsquare$/);
+                    data.header.ldrefvar.should.be.exactly("1:300_A/G");
+                    assert.deepEqual(data.body.map(function(record) { return record["ld:state"]; }), [0.2, 0.4, 0.6]);
+                    assert.deepEqual(data.body.map(function(record) { return record["ld:isrefvar"]; }), [0, 0, 1]);
+                    done();
+                }).fail(done);
+        });
+        it("should allow a fixed reference variant and the state in the same chain", function(done) {
+            var fixed = this.createSource({ refvar: "1:300_A/G" });
+            var current = this.createSource({});
+            var state = { chr: "1", start: 1, end: 1000 };
+            fixed.getData(state, ["rsquare", "isrefvar"], ["ld_fixed:rsquare", "ld_fixed:isrefvar"], [null, null])(this.chain)
+                .then(function(chain) {
+                    return current.getData(state, ["rsquare", "isrefvar"], ["ld:rsquare", "ld:isrefvar"], [null, null])(chain);
+                }).then(function(data) {
+                    assert.deepEqual(data.body.map(function(record) { return record["ld_fixed:rsquare"]; }), [0.2, 0.4, 0.6]);
+                    assert.deepEqual(data.body.map(function(record) { return record["ld_fixed:isrefvar"]; }), [0, 0, 1]);
+                    assert.deepEqual(data.body.map(function(record) { return record["ld:rsquare"]; }), [0.1, 0.2, 0.3]);
+                    assert.deepEqual(data.body.map(function(record) { return record["ld:isrefvar"]; }), [0, 1, 0]);
+                    done();
+                }).fail(done);
+        });
+        it("should not accept more than one field that chooses the reference variant", function() {
+            var source = this.createSource({});
+            assert.throws(function() {
+                source.getData({}, ["state", "best"], ["ld:state", "ld:best"], [null, null]);
+            }, /LD does not know how to get all fields: state, best/);
+        });
+    });
+
+    describe("Pairwise LD Data Source", function() {
+        beforeEach(function() {
+            this.source = LocusZoom.KnownDataSources.create("PairwiseLDLZ", { url: "http://server.com/ld/", params: { population: "EUR" } });
+            var pages = {
+                first: { data: { variant1: ["1:100_A/G"], position1: [100], variant2: ["1:200_C/T"], position2: [200], correlation: [0.5] }, next: "http://server.com/ld/page2" },
+                "http://server.com/ld/page2": { data: { variant1: ["1:100_A/G"], position1: [100], variant2: ["1:300_G/A"], position2: [300], correlation: [0.25] }, next: null }
+            };
+            var urls = this.urls = [];
+            this.source.sendRequest = function(request) {
+                urls.push(request.url);
+                return Q.when(JSON.stringify(pages[urls.length === 1 ? "first" : request.url]));
+            };
+        });
+        it("should request every page of pairs in the region", function(done) {
+            var fields = ["variant2", "position2", "rsquare", "correlation"];
+            this.source.getData({ chr: "1", start: 1, end: 1000 }, fields, fields.map(function(f) { return "ldpairs:" + f; }), [null, null, null, null])({ header: {}, body: [] })
+                .then(function(data) {
+                    this.urls[0].should.be.exactly("http://server.com/ld/genome_builds/GRCh37/references/1000G/populations/EUR/regions?chrom=1&start=1&stop=1000&correlation=rsquare&limit=100000");
+                    this.urls[1].should.be.exactly("http://server.com/ld/page2");
+                    assert.deepEqual(data.body, [
+                        { "ldpairs:variant2": "1:200_C/T", "ldpairs:position2": 200, "ldpairs:rsquare": 0.5, "ldpairs:correlation": 0.5 },
+                        { "ldpairs:variant2": "1:300_G/A", "ldpairs:position2": 300, "ldpairs:rsquare": 0.25, "ldpairs:correlation": 0.25 }
+                    ]);
+                    done();
+                }.bind(this)).fail(done);
+        });
+    });
+
+    describe("Search lookups", function() {
+        var respond = function(source, data){
+            source.sendRequest = function(request){
+                source.requested = request.url;
+                return Q(JSON.stringify({ data: data }));
+            };
+            return source;
+        };
+        it("should look up genes by symbol in a GeneLZ source", function() {
+            var source = respond(LocusZoom.KnownDataSources.create("GeneLZ", { url: "http://server.com/genes/", params: { source: 1 } }),
+                                 [{ gene_name: "TCF7L2", chrom: "10", start: 114710009, end: 114927437 }]);
+            return source.search("tcf7l2").then(function(results){
+                source.requested.should.be.exactly("http://server.com/genes/?filter=source in 1 and gene_name like 'TCF7L2%25'");
+                assert.deepEqual(results, [{ type: "gene", label: "TCF7L2", chr: "10", start: 114710009, end: 114927437 }]);
+            });
+        });
+        it("should suggest genes whose symbols start with a partial symbol, with any exact match first", function() {
+            var source = respond(LocusZoom.KnownDataSources.create("GeneLZ", { url: "http://server.com/genes/" }), [
+                { gene_name: "TCF7L2", chrom: "10", start: 114710009, end: 114927437 },
+                { gene_name: "TCF7", chrom: "5", start: 133450402, end: 133487556 },
+                { gene_name: "TCF7L1", chrom: "2", start: 85360583, end: 85537511 }
+            ]);
+            return source.search("tcf7", 2).then(function(results){
+                source.requested.should.be.exactly("http://server.com/genes/?filter=source in 2 and gene_name like 'TCF7%25'");
+                assert.deepEqual(results.map(function(result){ return result.label; }), ["TCF7", "TCF7L1"]);
+            });
+        });
+        it("should look up genes and variants with a SearchLZ source", function() {
+            var source = respond(LocusZoom.KnownDataSources.create("SearchLZ", { url: "http://server.com/search/", params: { build: "GRCh37" } }), [
+                { term: "rs7903146", type: "variant", chrom: "chr10", start: 114758349, variant: "10:114758349_C/T" },
+                { term: "TCF7L2", type: "gene", chrom: "10", start: 114710009, end: 114927437 }
+            ]);
+            return source.search("rs7903146", 5).then(function(results){
+                source.requested.should.be.exactly("http://server.com/search/?q=rs7903146&limit=5&build=GRCh37");
+                assert.deepEqual(results, [
+                    { type: "variant", label: "rs7903146", chr: "10", position: 114758349, variant: "10:114758349_C/T" },
+                    { type: "gene", label: "TCF7L2", chr: "10", start: 114710009, end: 114927437 }
+                ]);
+            });
+        });
+    });
+
+    describe("BED Data Source", function() {
+        var bed = "track name=peaks itemRgb=On\n"
+            + "1\t99\t200\tpeak1\t500\t+\t119\t180\t255,0,0\t2\t10,20,\t0,81,\n"
+            + "1\t299\t400\n"
+            + "1\t5000\t6000\tfar\n"
+            + "2\t99\t200\tother\n";
+        // Build a bigBed file with one chromosome and all records in a single (compressed) data block
+        var buildBigBed = function(chr, lines) {
+            var uint = function(size, value) {
+                var b = Buffer.alloc(8);
+                b.writeUInt32LE(+value % 4294967296, 0);
+                b.writeUInt32LE(Math.floor(+value / 4294967296), 4);
+                return b.slice(0, size);
+            };
+            var raw = Buffer.concat(lines.map(function(cols) {
+                return Buffer.concat([uint(4, 0), uint(4, cols[1]), uint(4, cols[2]), Buffer.from(cols.slice(3).join("\t") + "\u0000")]);
+            }));
+            var block = zlib.deflateSync(raw);
+            var key = Buffer.from(chr);
+            var chrom_tree = Buffer.concat([
+                uint(4, 0x78CA8C91), uint(4, 1), uint(4, key.length), uint(4, 8), uint(8, 1), uint(8, 0),
+                Buffer.from([1, 0]), uint(2, 1), key, uint(4, 0), uint(4, 1000000)
+            ]);
+            var data_offset = 64 + chrom_tree.length;
+            var index_offset = data_offset + 8 + block.length;
+            var header = Buffer.concat([
+                uint(4, 0x8789F2EB), uint(2, 4), uint(2, 0), uint(8, 64), uint(8, data_offset), uint(8, index_offset),
+                uint(2, 12), uint(2, 12), uint(8, 0), uint(8, 0), uint(4, raw.length), uint(8, 0)
+            ]);
+            var index = Buffer.concat([
+                uint(4, 0x2468ACE0), uint(4, 1), uint(8, 1), uint(4, 0), uint(4, lines[0][1]), uint(4, 0),
+                uint(4, lines[lines.length - 1][2]), uint(8, index_offset), uint(4, lines.length), uint(4, 0),
+                Buffer.from([1, 0]), uint(2, 1), uint(4, 0), uint(4, lines[0][1]), uint(4, 0),
+                uint(4, lines[lines.length - 1][2]), uint(8, data_offset + 8), uint(8, block.length)
+            ]);
+            return toArrayBuffer(Buffer.concat([header, chrom_tree, uint(8, lines.length), block, index]));
+        };
+        var checkRecords = function(records) {
+            records.length.should.be.exactly(2);
+            assert.deepEqual(records[0], {
+                id: "1:100-200_peak1", chromosome: "1", start: 100, end: 200, name: "peak1", score: 500, strand: "+",
+                thick_start: 120, thick_end: 180, color: "rgb(255,0,0)",
+                blocks: [{ start: 100, end: 109 }, { start: 181, end: 200 }],
+                state_id: "peak1", state_name: "peak1"
+            });
+            assert.deepEqual(records[1], {
+                id: "1:300-400", chromosome: "1", start: 300, end: 400, name: null, score: null, strand: null,
+                thick_start: null, thick_end: null, color: null, blocks: null, state_id: null, state_name: null
+            });
+        };
+        it("should read intervals from a plain text BED file", function(done) {
+            var source = LocusZoom.KnownDataSources.create("BED", { params: { file: toArrayBuffer(Buffer.from(bed)) } });
+            source.format.should.be.exactly("text");
+            source.fetchRequest({ chr: "1", start: 150, end: 1000 }).then(function(records) {
+                checkRecords(records);
+                done();
+            }).fail(done);
+        });
+        it("should keep reading a plain text file for other requests when one request is cancelled", function(done) {
+            var response = Q.defer();
+            var tokens = [];
+            var send = function(request, cancel_token) {
+                tokens.push(cancel_token);
+                return response.promise;
+            };
+            var columns = { col_seq: 1, col_beg: 2, col_end: 3, zero_based: true };
+            var reader = new LocusZoom.Data.TextReader("http://server.com/peaks.bed", columns, send);
+            var cancelled = new LocusZoom.CancelToken();
+            var first = reader.fetchRegion("1", 150, 1000, cancelled);
+            var second = reader.fetchRegion("1", 150, 1000, new LocusZoom.CancelToken());
+            cancelled.cancel();
+            response.resolve(toArrayBuffer(Buffer.from(bed)));
+            Q.allSettled([first, second]).spread(function(first, second) {
+                first.state.should.be.exactly("rejected");
+                first.reason.should.be.exactly("Request cancelled");
+                second.state.should.be.exactly("fulfilled");
+                assert.deepEqual(second.value.map(function(cols) { return cols[1]; }), ["99", "299"]);
+                assert.deepEqual(tokens, [undefined]);
+                done();
+            }).fail(done);
+        });
+        it("should read intervals from a tabix-indexed BED file", function(done) {
+            var lines = bed.split("\n").slice(1, 4).join("\n").replace(/^1/gm, "chr1") + "\n";
+            var tabix = buildTabix("", [["chr1", lines]], [0x10000, 1, 2, 3]);
+            var source = LocusZoom.KnownDataSources.create("BED", { params: { file: tabix.data, index_file: tabix.index } });
+            source.format.should.be.exactly("tabix");
+            source.fetchRequest({ chr: "1", start: 150, end: 1000 }).then(function(records) {
+                records.forEach(function(record) {
+                    record.chromosome.should.be.exactly("chr1");
+                    record.chromosome = "1";
+                    record.id = record.id.replace(/^chr/, "");
+                });
+                checkRecords(records);
+                done();
+            }).fail(done);
+        });
+        it("should read intervals from a bigBed file", function(done) {
+            var lines = bed.split("\n").slice(1, 4).map(function(line) { return line.split("\t"); });
+            var source = LocusZoom.KnownDataSources.create("BED", { params: { file: buildBigBed("1", lines), format: "bigbed" } });
+            source.fetchRequest({ chr: "chr1", start: 150, end: 1000 }).then(function(records) {
+                checkRecords(records);
+                done();
+            }).fail(done);
+        });
+        it("should read the bigBed header again after a failed read", function(done) {
+            var lines = bed.split("\n").slice(1, 4).map(function(line) { return line.split("\t"); });
+            var reader = new LocusZoom.Data.BigBedReader(buildBigBed("1", lines));
+            var readBytes = reader.readBytes;
+            reader.readBytes = function() { return Q.reject("Network error"); };
+            reader.fetchHeader().then(function() {
+                done(new Error("Request should have failed"));
+            }).fail(function(error) {
+                error.should.be.exactly("Network error");
+                reader.readBytes = readBytes;
+                return reader.fetchHeader();
+            }).then(function(header) {
+                assert.deepEqual(header.names, ["1"]);
+                done();
+            }).fail(done);
+        });
+        it("should provide the requested fields", function(done) {
+            var source = LocusZoom.KnownDataSources.create("BED", { params: { file: toArrayBuffer(Buffer.from(bed)) } });
+            source.getData({ chr: "1", start: 1, end: 1000 }, ["start", "color"], ["bed:start", "bed:color"], [null, null])({ header: {}, body: [] })
+                .then(function(data) {
+                    assert.deepEqual(data.body, [
+                        { "bed:start": 100, "bed:color": "rgb(255,0,0)" },
+                        { "bed:start": 300, "bed:color": null }
+                    ]);
+                    done();
+                }).fail(done);
+        });
+        it("should guess the format from the file name", function() {
+            LocusZoom.KnownDataSources.create("BED", "http://server.com/peaks.bb").format.should.be.exactly("bigbed");
+            LocusZoom.KnownDataSources.create("BED", "http://server.com/peaks.bed.gz").format.should.be.exactly("tabix");
+            LocusZoom.KnownDataSources.create("BED", "http://server.com/peaks.bed").format.should.be.exactly("text");
+        });
+    });
+
+    describe("GTF Data Source", function() {
+        var gtf = "#!genome-build GRCh38\n"
+            + "1\thavana\tgene\t1000\t5000\t.\t+\t.\tgene_id \"ENSG01\"; gene_name \"ALPHA\"; gene_biotype \"protein_coding\";\n"
+            + "1\thavana\ttranscript\t1000\t5000\t.\t+\t.\tgene_id \"ENSG01\"; transcript_id \"ENST01\"; transcript_name \"ALPHA-201\"; tag \"basic\"; tag \"Ensembl_canonical\";\n"
+            + "1\thavana\texon\t3000\t5000\t.\t+\t.\tgene_id \"ENSG01\"; transcript_id \"ENST01\"; exon_id \"ENSE02\";\n"
+            + "1\thavana\texon\t1000\t1200\t.\t+\t.\tgene_id \"ENSG01\"; transcript_id \"ENST01\"; exon_id \"ENSE01\";\n"
+            + "1\thavana\tCDS\t1100\t1200\t.\t+\t0\tgene_id \"ENSG01\"; transcript_id \"ENST01\";\n"
+            + "1\tucsc\texon\t8000\t8100\t.\t-\t.\tgene_id \"BETA\"; transcript_id \"NM_2\"; gene_name \"BETA\";\n"
+            + "1\tucsc\texon\t8500\t9000\t.\t-\t.\tgene_id \"BETA\"; transcript_id \"NM_2\"; gene_name \"BETA\";\n"
+            + "1\tucsc\texon\t50000\t51000\t.\t+\t.\tgene_id \"FAR\"; transcript_id \"NM_3\";\n";
+        var gff3 = "##gff-version 3\n"
+            + "1\tensembl\texon\t1000\t1200\t.\t+\t.\tParent=transcript:ENST01;exon_id=ENSE01\n"
+            + "1\tensembl\tmRNA\t1000\t5000\t.\t+\t.\tID=transcript:ENST01;Parent=gene:ENSG01;Name=ALPHA-201;tag=basic,Ensembl_canonical\n"
+            + "1\tensembl\tgene\t1000\t5000\t.\t+\t.\tID=gene:ENSG01;Name=ALPHA;biotype=protein_coding;gene_id=ENSG01\n"
+            + "1\tensembl\texon\t3000\t5000\t.\t+\t.\tParent=transcript:ENST01;exon_id=ENSE02\n"
+            + "1\tensembl\tCDS\t1100\t1200\t.\t+\t0\tParent=transcript:ENST01\n"
+            + "1\tensembl\tgene\t8000\t9000\t.\t-\t.\tID=BETA;Name=BETA%3B1\n";
+        var alpha = {
+            gene_id: "ENSG01", gene_name: "ALPHA", gene_type: "protein_coding", chrom: "1", start: 1000, end: 5000, strand: "+",
+            transcripts: [{
+                transcript_id: "ENST01", transcript_name: "ALPHA-201", chrom: "1", start: 1000, end: 5000, strand: "+",
+                cds_start: 1100, cds_end: 1200, is_canonical: true,
+                exons: [
+                    { exon_id: "ENSE01", chrom: "1", start: 1000, end: 1200, strand: "+" },
+                    { exon_id: "ENSE02", chrom: "1", start: 3000, end: 5000, strand: "+" }
+                ]
+            }]
+        };
+        var createSource = function(text, params) {
+            params.file = toArrayBuffer(Buffer.from(text));
+            return LocusZoom.KnownDataSources.create("GTF", { params: params });
+        };
+        it("should assemble genes from a GTF file", function(done) {
+            var source = createSource(gtf, {});
+            source.type.should.be.exactly("gtf");
+            source.getData({ chr: "1", start: 1, end: 10000 }, ["gene"], ["gene:gene"], [null])({ header: {}, body: [] })
+                .then(function(data) {
+                    data.body.length.should.be.exactly(2);
+                    assert.deepEqual(data.body[0], alpha);
+                    assert.deepEqual(data.body[1], {
+                        gene_id: "BETA", gene_name: "BETA", gene_type: null, chrom: "1", start: 8000, end: 9000, strand: "-",
+                        transcripts: [{
+                            transcript_id: "NM_2", transcript_name: "NM_2", chrom: "1", start: 8000, end: 9000, strand: "-",
+                            exons: [
+                                { exon_id: "NM_2_1", chrom: "1", start: 8000, end: 8100, strand: "-" },
+                                { exon_id: "NM_2_2", chrom: "1", start: 8500, end: 9000, strand: "-" }
+                            ]
+                        }]
+                    });
+                    done();
+                }).fail(done);
+        });
+        it("should assemble genes from a GFF3 file", function(done) {
+            var source = createSource(gff3, { type: "gff3" });
+            source.fetchRequest({ chr: "chr1", start: 1, end: 10000 }).then(function(genes) {
+                genes.length.should.be.exactly(2);
+                assert.deepEqual(genes[0], alpha);
+                genes[1].gene_name.should.be.exactly("BETA;1");
+                // Genes without transcripts are given an empty one, for the genes layer to draw
+                assert.deepEqual(genes[1].transcripts, [{
+                    transcript_id: "BETA", transcript_name: "BETA;1", chrom: "1", start: 8000, end: 9000, strand: "-", exons: []
+                }]);
+                done();
+            }).fail(done);
+        });
+        it("should read a region from a tabix-indexed file", function(done) {
+            var tabix = buildTabix("", [["1", gtf.split("\n").slice(1).join("\n")]], [0, 1, 4, 5]);
+            var source = LocusZoom.KnownDataSources.create("GTF", { params: { file: tabix.data, index_file: tabix.index } });
+            source.format.should.be.exactly("tabix");
+            source.fetchRequest({ chr: "1", start: 40000, end: 60000 }).then(function(genes) {
+                assert.deepEqual(genes.map(function(gene) { return gene.gene_id; }), ["FAR"]);
+                done();
+            }).fail(done);
+        });
+        it("should chain with gene constraint data by Ensembl ID", function(done) {
+            var genes = createSource(gtf, {});
+            var constraint = LocusZoom.KnownDataSources.create("GeneConstraintLZ", { url: "http://server.com/constraint/" });
+            var body;
+            constraint.sendRequest = function(request) {
+                body = decodeURIComponent(request.body);
+                return Q.when(JSON.stringify({ ENSG01: { pLI: 0.5 } }));
+            };
+            var state = { chr: "1", start: 1, end: 10000 };
+            genes.getData(state, ["gene"], ["gene:gene"], [null])({ header: {}, body: [] }).then(function(chain) {
+                return constraint.getData(state, ["constraint"], ["constraint:constraint"], [null])(chain);
+            }).then(function(data) {
+                body.should.be.exactly("geneids=" + JSON.stringify(["ENSG01", "BETA"]));
+                data.body[0].pLI.should.be.exactly(0.5);
+                should(data.body[1].pLI).be.exactly(null);
+                done();
+            }).fail(done);
+        });
+    });
+
+    describe("VCF LD Data Source", function() {
+        before(function() {
+            var row = function(pos, ref, alt, genotypes) {
+                return ["1", pos, ".", ref, alt, ".", "PASS", ".", "GT"].concat(genotypes).join("\t") + "\n";
+            };
+            var tabix = buildTabix(
+                "##fileformat=VCFv4.2\n#CHROM\tPOS\tID\tREF\tALT\tQUAL\tFILTER\tINFO\tFORMAT\tS1\tS2\tS3\tS4\n",
+                [["1", row(100, "A", "G", ["1|1", "1|0", "0|0", "0|0"])
+                    + row(200, "C", "T", ["1|1", "1|0", "0|0", "0|0"])
+                    + row(300, "G", "A", ["0|0", "0|1", "1|1", "0|0"])
+                    + row(400, "T", "C", ["0/1", "0/1", "0/0", "0/0"])]],
+                [2, 1, 2, 0]
+            );
+            this.data = tabix.data;
+            this.index = tabix.index;
+        });
+        beforeEach(function() {
+            this.chain = { header: {}, body: [100, 200, 300, 400, 500].map(function(position) {
+                return { "assoc:variant": "1:" + position + "_A/G", "assoc:position": position, "assoc:log_pvalue": position === 100 ? 10 : 1 };
+            }) };
+            this.createSource = function(params) {
+                params.file = this.data;
+                params.index_file = this.index;
+                return LocusZoom.KnownDataSources.create("VCFLD", { params: params });
+            };
+        });
+        it("should merge r2 against the most significant variant into the association data", function(done) {
+            var source = this.createSource({});
+            source.getData({ chr: "1", start: 1, end: 1000 }, ["state", "isrefvar"], ["ld:state", "ld:isrefvar"], [null, null])(this.chain)
+                .then(function(data) {
+                    data.header.ldrefvar.should.be.exactly("1:100_A/G");
+                    var ld = data.body.map(function(record) { return record["ld:state"]; });
+                    ld[0].should.be.approximately(1, 1e-9);
+                    ld[1].should.be.approximately(1, 1e-9);
+                    ld[2].should.be.approximately(0.36, 1e-9);
+                    // Unphased genotypes are compared by dosage
+                    ld[3].should.be.approximately(0.140625 / 0.171875, 1e-9);
+                    should.not.exist(ld[4]);
+                    assert.deepEqual(data.body.map(function(record) { return record["ld:isrefvar"]; }), [1, 0, 0, 0, 0]);
+                    done();
+                }).fail(done);
+        });
+        it("should provide D' instead if configured to", function(done) {
+            var source = this.createSource({ statistic: "dprime" });
+            source.getData({ chr: "1", start: 1, end: 1000, ldrefvar: "1:200_C/T" }, ["state"], ["ld:state"], [null])(this.chain)
+                .then(function(data) {
+                    var ld = data.body.map(function(record) { return record["ld:state"]; });
+                    assert.deepEqual(ld, [1, 1, 1, null, undefined]);
+                    done();
+                }).fail(done);
+        });
+        it("should provide r2 and D' together", function(done) {
+            var source = this.createSource({});
+            source.getData({ chr: "1", start: 1, end: 1000, ldrefvar: "1:200_C/T" }, ["rsquare", "dprime"], ["ld:rsquare", "ld:dprime"], [null, null])(this.chain)
+                .then(function(data) {
+                    data.body[2]["ld:rsquare"].should.be.approximately(0.36, 1e-9);
+                    data.body[2]["ld:dprime"].should.be.exactly(1);
+                    should.not.exist(data.body[3]["ld:dprime"]);
+                    done();
+                }).fail(done);
+        });
+        it("should not provide LD if the reference variant is not in the VCF", function(done) {
+            var source = this.createSource({});
+            source.getData({ chr: "1", start: 1, end: 1000, ldrefvar: "1:500_A/G" }, ["state"], ["ld:state"], [null])(this.chain)
+                .then(function(data) {
+                    data.body.forEach(function(record) { should.not.exist(record["ld:state"]); });
+                    done();
+                }).fail(done);
+        });
+        it("should calculate LD between every pair of variants in the region", function(done) {
+            var source = LocusZoom.KnownDataSources.create("VCFPairwiseLD", { params: { file: this.data, index_file: this.index } });
+            var fields = ["variant1", "position1", "variant2", "position2", "rsquare", "dprime"];
+            source.getData({ chr: "1", start: 1, end: 1000 }, fields, fields.map(function(f) { return "ldpairs:" + f; }), fields.map(function() { return null; }))({ header: {}, body: [] })
+                .then(function(data) {
+                    var pairs = data.body.map(function(record) {
+                        return record["ldpairs:position1"] + "-" + record["ldpairs:position2"];
+                    });
+                    assert.deepEqual(pairs, ["100-200", "100-300", "100-400", "200-300", "200-400", "300-400"]);
+                    data.body[0]["ldpairs:variant1"].should.be.exactly("1:100_A/G");
+                    data.body[0]["ldpairs:variant2"].should.be.exactly("1:200_C/T");
+                    data.body[0]["ldpairs:rsquare"].should.be.approximately(1, 1e-9);
+                    data.body[1]["ldpairs:rsquare"].should.be.approximately(0.36, 1e-9);
+                    data.body[1]["ldpairs:dprime"].should.be.exactly(1);
+                    data.body[2]["ldpairs:rsquare"].should.be.approximately(0.140625 / 0.171875, 1e-9);
+                    should.not.exist(data.body[2]["ldpairs:dprime"]);
+                    done();
+                }).fail(done);
+        });
+        it("should thin out regions with too many variants for pairwise LD", function(done) {
+            var source = LocusZoom.KnownDataSources.create("VCFPairwiseLD", { params: { file: this.data, index_file: this.index, max_variants: 2 } });
+            source.getData({ chr: "1", start: 1, end: 1000 }, ["position1", "position2"], ["ldpairs:position1", "ldpairs:position2"], [null, null])({ header: {}, body: [] })
+                .then(function(data) {
+                    data.body.length.should.be.exactly(1);
+                    data.body[0]["ldpairs:position1"].should.be.exactly(100);
+                    data.body[0]["ldpairs:position2"].should.be.exactly(400);
+                    done();
+                }).fail(done);
+        });
+        it("should stop its worker and release the worker's script when removed", function() {
+            var originalWorker = window.Worker;
+            var originalCreate = window.URL.createObjectURL;
+            var originalRevoke = window.URL.revokeObjectURL;
+            var calls = [];
+            window.Worker = function(url) { calls.push("start " + url); };
+            window.Worker.prototype.postMessage = function() {};
+            window.Worker.prototype.terminate = function() { calls.push("terminate"); };
+            window.URL.createObjectURL = function() { return "blob:worker"; };
+            window.URL.revokeObjectURL = function(url) { calls.push("revoke " + url); };
+            try {
+                var sources = new LocusZoom.DataSources();
+                sources.add("ld", this.createSource({}));
+                var pending = sources.get("ld").compute({ lines: [] });
+                sources.remove("ld");
+                assert.deepEqual(calls, ["start blob:worker", "terminate", "revoke blob:worker"]);
+                return pending.then(function() {
+                    throw new Error("Calculation should have failed");
+                }, function(error) {
+                    error.should.match(/the data source was removed/);
+                });
+            } finally {
+                window.Worker = originalWorker;
+                window.URL.createObjectURL = originalCreate;
+                window.URL.revokeObjectURL = originalRevoke;
+            }
+        });
+    });
+
 });
@@ -138,6 +138,13 @@ describe("LocusZoom.DataLayer", function(){
             assert.equal(this.datalayer.resolveScalableParameter(this.layout.scale, { test: "manatee" }), null);
             assert.equal(this.datalayer.resolveScalableParameter(this.layout.scale, {}), null);
         });
+        it("uses the value of a field directly in the absence of a specified scale function", function() {
+            this.datalayer = new LocusZoom.DataLayer({ id: "test" });
+            this.layout = { scale: { field: "bed:color" } };
+            assert.equal(this.datalayer.resolveScalableParameter(this.layout.scale, { "bed:color": "rgb(255,0,0)" }), "rgb(255,0,0)");
+            assert.equal(this.datalayer.resolveScalableParameter(this.layout.scale, {}), null);
+            assert.equal(this.datalayer.resolveScalableParameter([this.layout.scale, "#B8B8B8"], { "bed:color": null }), "#B8B8B8");
+        });
         it("supports operating on an entire data element in the absence of a specified field", function() {
             LocusZoom.ScaleFunctions.add("test_effect_direction", function(parameters, input){
                 if (typeof input == "undefined"){
@@ -480,7 +487,7 @@ describe("LocusZoom.DataLayer", function(){
                 { "ds1:id": 5, "ds1:pvalue": 0.53, "ds1:pvalue|logtoscinotation": "0.2951", "ds1:ref_allele": null },
                 { "ds1:id": 21, "ds1:pvalue": 412.5, "ds1:pvalue|logtoscinotation": "3.16 × 10^-413", "ds1:ref_allele": NaN }
             ]);
-            this.ds1_expected_csv_data = "\"ds1:id\",\"ds1:pvalue\",\"ds1:pvalue|logtoscinotation\",\"ds1:ref_allele\"\n"
+            this.ds1_expected_csv_data = "id,pvalue,pvalue|logtoscinotation,ref_allele\n"
                                        + "2,32.7,\"2.00 × 10^-33\",\"G\"\n"
                                        + "5,0.53,\"0.2951\",null\n"
                                        + "21,412.5,\"3.16 × 10^-413\",null";
@@ -494,7 +501,7 @@ describe("LocusZoom.DataLayer", function(){
                 { "ds2:id": 35, "ds2:bp": { a: 1, b: 2 }, "ds2:exons": [ { start: 34, strand: "+", bar: true } ] },
                 { "ds2:id": 64, "ds2:bp": false, "ds2:exons": [], "ds2:other": true }
             ]);
-            this.ds2_expected_csv_data = "\"ds2:id\",\"ds2:bp\",\"ds2:exons\",\"ds2:other\"\n"
+            this.ds2_expected_csv_data = "id,bp,exons,other\n"
                                        + "3,1234,\"[Array(2)]\",null\n"
                                        + "35,\"[Object]\",\"[Array(1)]\",null\n"
                                        + "64,false,\"[Array(0)]\",true";
@@ -560,6 +567,15 @@ describe("LocusZoom.DataLayer", function(){
                     done();
                 }.bind(this)).fail(done);
         });
+        it("exportData() should export derived fields by name", function(done){
+            this.plot.panels.p.data_layers.dl1.layout.fields = ["ds1:id", "ds1:id * 2 as ds1:double"];
+            this.plot.applyState({ start: 0, end: 100 })
+                .then(function(){
+                    var csv = this.plot.panels.p.data_layers.dl1.exportData("csv");
+                    csv.split("\n").slice(0, 2).join("\n").should.be.exactly("id,double\n" + this.ds1_src_data[0].id + "," + (this.ds1_src_data[0].id * 2));
+                    done();
+                }.bind(this)).fail(done);
+        });
         it("exportData() should export clean TSV of a data layer's underlying data when TSV is specified as the format", function(done){
             this.plot.applyState({ start: 0, end: 100 })
                 .then(function(){
@@ -570,6 +586,26 @@ describe("LocusZoom.DataLayer", function(){
                     done();
                 }.bind(this)).fail(done);
         });
+        it("exportData() should name columns by field, keeping namespaces only where needed to tell fields apart", function(){
+            var data_layer = this.plot.panels.p.data_layers.dl1;
+            data_layer.layout.fields = ["ds1:id", "ds2:id", "ds1:pvalue|neglog10", "ds1:id * 2 as double"];
+            assert.deepEqual(data_layer.getExportFieldNames(), ["ds1:id", "ds2:id", "pvalue|neglog10", "double"]);
+        });
+        it("exportData() should export only selected rows, or only rows that are shown, when asked", function(done){
+            this.plot.applyState({ start: 0, end: 100 })
+                .then(function(){
+                    var data_layer = this.plot.panels.p.data_layers.dl1;
+                    data_layer.selectElement(data_layer.data[1]);
+                    var selected = data_layer.exportData("csv", "selected").split("\n");
+                    assert.deepEqual(selected, ["id,pvalue,pvalue|logtoscinotation,ref_allele", "5,0.53,\"0.2951\",null"]);
+                    data_layer.layout.filters = [["ds1:pvalue", ">", 1]];
+                    data_layer.hideElement(data_layer.data[0]);
+                    var shown = JSON.parse(data_layer.exportData("json", "filtered"));
+                    assert.deepEqual(shown.map(function(d){ return d["ds1:id"]; }), [21]);
+                    assert.equal(JSON.parse(data_layer.exportData("json", "all")).length, 3);
+                    done();
+                }.bind(this)).fail(done);
+        });
     });
 
     describe("Highlight functions", function() {
@@ -806,6 +842,780 @@ describe("LocusZoom.DataLayer", function(){
         });
     });
 
+    describe("Scatter canvas renderer", function() {
+        beforeEach(function(){
+            var data_sources = new LocusZoom.DataSources()
+                .add("d", ["StaticJSON", [{ id: "a", x: 1, y: 1 }, { id: "b", x: 2, y: 2 }, { id: "c", x: 3, y: 3 }] ]);
+            this.layout = {
+                width: 400,
+                panels: [
+                    {
+                        id: "p",
+                        height: 300,
+                        margin: { top: 0, right: 0, bottom: 0, left: 0 },
+                        data_layers: [
+                            {
+                                id: "d",
+                                type: "scatter",
+                                renderer: "canvas",
+                                fields: ["d:id", "d:x", "d:y"],
+                                id_field: "d:id",
+                                x_axis: { field: "d:x" },
+                                y_axis: { axis: 1, field: "d:y" },
+                                behaviors: {
+                                    onclick: [{ action: "toggle", status: "selected", exclusive: true }]
+                                }
+                            }
+                        ]
+                    }
+                ]
+            };
+            d3.select("body").append("div").attr("id", "plot");
+            this.plot = LocusZoom.populate("#plot", data_sources, this.layout);
+            this.data_layer = this.plot.panels.p.data_layers.d;
+            // Canvas drawing is not available here, so record what is drawn instead
+            var calls = this.calls = [];
+            var context = {};
+            ["setTransform", "clearRect", "beginPath", "moveTo", "lineTo", "arc", "closePath", "fill", "stroke"].forEach(function(method){
+                context[method] = function(){ calls.push(method); };
+            });
+            this.data_layer.canvas = {
+                getContext: function(){ return context; },
+                toDataURL: function(){ return "data:image/png;base64,AAAA"; }
+            };
+            this.position = function(element){
+                return [this.plot.panels.p.x_scale(element["d:x"]), this.plot.panels.p.y1_scale(element["d:y"])];
+            }.bind(this);
+        });
+        afterEach(function(){
+            d3.select("#plot").remove();
+            delete this.plot;
+        });
+        it("should draw points on a canvas instead of as SVG elements", function(done){
+            this.plot.applyState({ start: 0, end: 100 }).then(function(){
+                var data_layer = this.data_layer;
+                data_layer.canvas_active.should.be.true();
+                data_layer.svg.group.selectAll("path.lz-data_layer-scatter").size().should.be.exactly(0);
+                data_layer.svg.raster.attr("xlink:href").should.be.exactly("data:image/png;base64,AAAA");
+                this.calls.filter(function(call){ return call === "fill"; }).length.should.be.exactly(3);
+                data_layer.exportData("json").should.be.exactly(JSON.stringify(data_layer.data));
+                done();
+            }.bind(this)).fail(done);
+        });
+        it("should find the element under a position", function(done){
+            this.plot.applyState({ start: 0, end: 100 }).then(function(){
+                var data_layer = this.data_layer;
+                var b = data_layer.data[1];
+                var pos = this.position(b);
+                assert.ok(data_layer.getCanvasElementAt(pos[0] + 2, pos[1] - 2) === b);
+                should(data_layer.getCanvasElementAt(pos[0] + 20, pos[1])).be.exactly(null);
+                assert.ok(data_layer.getElementById(data_layer.getElementId(b)) === b);
+                done();
+            }.bind(this)).fail(done);
+        });
+        it("should apply behaviors when a point on the canvas is clicked", function(done){
+            this.plot.applyState({ start: 0, end: 100 }).then(function(){
+                var data_layer = this.data_layer;
+                var c = data_layer.data[2];
+                var pos = this.position(c);
+                var clicked = null;
+                this.plot.on("element_clicked", function(){ clicked = this; });
+                // Without layout on the page, mouse positions are relative to the data layer
+                var event = document.createEvent("MouseEvent");
+                event.initMouseEvent("click", true, true, window, 1, 0, 0, pos[0], pos[1], false, false, false, false, 0, null);
+                this.plot.panels.p.inner_border.node().dispatchEvent(event);
+                assert.ok(clicked === c);
+                assert.deepEqual(this.plot.state[data_layer.state_id].selected, [data_layer.getElementId(c)]);
+                done();
+            }.bind(this)).fail(done);
+        });
+        it("should draw highlighted and selected elements in SVG over the canvas", function(done){
+            this.plot.applyState({ start: 0, end: 100 }).then(function(){
+                var data_layer = this.data_layer;
+                var a = data_layer.data[0];
+                data_layer.highlightElement(a);
+                data_layer.fadeElement(data_layer.data[1]);
+                data_layer.hideElement(data_layer.data[2]);
+                this.calls.length = 0;
+                setTimeout(function(){
+                    var paths = data_layer.svg.group.selectAll("path.lz-data_layer-scatter");
+                    paths.size().should.be.exactly(1);
+                    paths.attr("id").should.be.exactly(data_layer.getElementId(a));
+                    paths.classed("lz-data_layer-scatter-highlighted").should.be.true();
+                    // The canvas is redrawn without the hidden element
+                    this.calls.filter(function(call){ return call === "fill"; }).length.should.be.exactly(2);
+                    data_layer.unhighlightElement(a);
+                    setTimeout(function(){
+                        data_layer.svg.group.selectAll("path.lz-data_layer-scatter").size().should.be.exactly(0);
+                        done();
+                    }, 10);
+                }.bind(this), 10);
+            }.bind(this)).fail(done);
+        });
+        it("should only draw the canvas again when what it shows has changed", function(done){
+            var encoded = 0;
+            this.data_layer.canvas.toDataURL = function(){
+                encoded++;
+                return "data:image/png;base64,AAAA";
+            };
+            this.plot.applyState({ start: 0, end: 100 }).then(function(){
+                var data_layer = this.data_layer;
+                encoded.should.be.exactly(1);
+                data_layer.render();
+                encoded.should.be.exactly(1);
+                // Highlighted and selected points are drawn in SVG, so the image stays as it is
+                data_layer.highlightElement(data_layer.data[0]);
+                data_layer.selectElement(data_layer.data[1]);
+                setTimeout(function(){
+                    encoded.should.be.exactly(1);
+                    data_layer.svg.raster.attr("xlink:href").should.be.exactly("data:image/png;base64,AAAA");
+                    data_layer.fadeElement(data_layer.data[2]);
+                    setTimeout(function(){
+                        encoded.should.be.exactly(2);
+                        done();
+                    }, 10);
+                }, 10);
+            }.bind(this)).fail(done);
+        });
+        it("should only use a canvas above a threshold when the renderer is auto", function(done){
+            var data_layer = this.data_layer;
+            data_layer.layout.renderer = "auto";
+            data_layer.layout.canvas_threshold = 3;
+            this.plot.applyState({ start: 0, end: 100 }).then(function(){
+                data_layer.canvas_active.should.be.false();
+                data_layer.svg.group.selectAll("path.lz-data_layer-scatter").size().should.be.exactly(3);
+                data_layer.layout.canvas_threshold = 2;
+                data_layer.render();
+                data_layer.canvas_active.should.be.true();
+                data_layer.svg.group.selectAll("path.lz-data_layer-scatter").size().should.be.exactly(0);
+                data_layer.layout.renderer = "svg";
+                data_layer.render();
+                data_layer.canvas_active.should.be.false();
+                data_layer.svg.group.select("image").empty().should.be.true();
+                data_layer.svg.group.selectAll("path.lz-data_layer-scatter").size().should.be.exactly(3);
+                done();
+            }).fail(done);
+        });
+    });
+
+    describe("Scatter error bars", function() {
+        beforeEach(function(){
+            var data_sources = new LocusZoom.DataSources()
+                .add("d", ["StaticJSON", [
+                    { id: "a", x: 10, y: 5, lower: 4, upper: 7, se: 1 },
+                    { id: "b", x: 20, y: 2, lower: null, upper: null, se: null }
+                ] ]);
+            this.layout = {
+                width: 100,
+                panels: [
+                    {
+                        id: "p",
+                        height: 100,
+                        margin: { top: 0, right: 0, bottom: 0, left: 0 },
+                        axes: { y1: { extent: [0, 10] } },
+                        data_layers: [
+                            {
+                                id: "d",
+                                type: "scatter",
+                                fields: ["d:id", "d:x", "d:y", "d:lower", "d:upper", "d:se"],
+                                id_field: "d:id",
+                                color: "#FF0000",
+                                x_axis: { field: "d:x" },
+                                y_axis: { axis: 1, field: "d:y", floor: 0, ceiling: 10 },
+                                error_bars: { y: { lower_field: "d:lower", upper_field: "d:upper" }, cap_width: 4 }
+                            }
+                        ]
+                    }
+                ]
+            };
+            d3.select("body").append("div").attr("id", "plot");
+            this.plot = LocusZoom.populate("#plot", data_sources, this.layout);
+            this.data_layer = this.plot.panels.p.data_layers.d;
+        });
+        afterEach(function(){
+            d3.select("#plot").remove();
+            delete this.plot;
+        });
+        it("should draw error bars with caps in the color of each point, below the points", function(done){
+            this.plot.applyState({ start: 0, end: 100 }).then(function(){
+                var data_layer = this.data_layer;
+                var a = data_layer.data[0];
+                var x = this.plot.panels.p.x_scale(10);
+                var y1 = this.plot.panels.p.y1_scale(4);
+                var y2 = this.plot.panels.p.y1_scale(7);
+                var bar = data_layer.svg.group.select("#" + data_layer.getErrorBarId(a));
+                bar.attr("d").should.be.exactly(
+                    "M" + x + "," + y1 + "L" + x + "," + y2
+                    + "M" + (x - 2) + "," + y1 + "L" + (x + 2) + "," + y1
+                    + "M" + (x - 2) + "," + y2 + "L" + (x + 2) + "," + y2
+                );
+                bar.attr("stroke").should.be.exactly("#FF0000");
+                // Elements with no bounds have no error bars
+                data_layer.svg.group.select("#" + data_layer.getErrorBarId(data_layer.data[1])).attr("d").should.be.exactly("");
+                // Bars come before the points, so that points are drawn on top of them
+                var classes = Array.prototype.slice.call(data_layer.svg.group.node().querySelectorAll("path")).map(function(node){
+                    return node.getAttribute("class");
+                });
+                assert.deepEqual(classes, ["lz-data_layer-error_bar", "lz-data_layer-error_bar",
+                    "lz-data_layer-scatter", "lz-data_layer-scatter"]);
+                done();
+            }.bind(this)).fail(done);
+        });
+        it("should calculate error bars from a standard error along either axis", function(done){
+            this.data_layer.layout.error_bars = { x: { se_field: "d:se", multiplier: 2 }, y: { se_field: "d:se" } };
+            this.plot.applyState({ start: 0, end: 100 }).then(function(){
+                var data_layer = this.data_layer;
+                var a = data_layer.data[0];
+                assert.deepEqual(data_layer.getErrorBarExtent("x", a), [8, 12]);
+                assert.deepEqual(data_layer.getErrorBarExtent("y", a), [5 - 1.96, 5 + 1.96]);
+                should(data_layer.getErrorBarExtent("y", data_layer.data[1])).be.exactly(null);
+                data_layer.getErrorBarSegments(a).length.should.be.exactly(6);
+                // Each field is parsed once, however many points use it
+                assert.deepEqual(Object.keys(data_layer.error_bar_fields).sort(), ["d:se", "d:x", "d:y"]);
+                done();
+            }.bind(this)).fail(done);
+        });
+        it("should give error bars the same statuses as their points", function(done){
+            this.plot.applyState({ start: 0, end: 100 }).then(function(){
+                var data_layer = this.data_layer;
+                var a = data_layer.data[0];
+                var bar = function(){ return data_layer.svg.group.select("#" + data_layer.getErrorBarId(a)); };
+                data_layer.fadeElement(a);
+                bar().classed("lz-data_layer-error_bar-faded").should.be.true();
+                data_layer.unfadeElement(a);
+                bar().classed("lz-data_layer-error_bar-faded").should.be.false();
+                data_layer.selectElement(a);
+                // Statuses are kept when the layer is drawn again
+                data_layer.svg.group.selectAll("path").remove();
+                data_layer.render();
+                bar().classed("lz-data_layer-error_bar-selected").should.be.true();
+                done();
+            }.bind(this)).fail(done);
+        });
+    });
+
+    describe("Manhattan data layer", function() {
+        beforeEach(function(){
+            this.records = [
+                { variant: "2:100", chromosome: "2", position: 100, log_pvalue: 8 },
+                { variant: "1:50", chromosome: "1", position: 50, log_pvalue: 2 },
+                { variant: "X:10", chromosome: "X", position: 10, log_pvalue: 1 },
+                { variant: "1:200", chromosome: "1", position: 200, log_pvalue: 4 }
+            ];
+            this.layer_layout = {
+                id: "m",
+                type: "manhattan",
+                fields: ["m:variant", "m:chromosome", "m:position", "m:log_pvalue"],
+                id_field: "m:variant",
+                chromosome_field: "m:chromosome",
+                position_field: "m:position",
+                chromosome_lengths: { "1": 1000 },
+                chromosome_colors: ["red", "blue"],
+                x_axis: { field: "m:genome_position" },
+                y_axis: { axis: 1, field: "m:log_pvalue" },
+                color: {
+                    field: "m:chromosome",
+                    scale_function: "categorical_bin",
+                    parameters: { categories: [], values: [] }
+                }
+            };
+            this.makePlot = function(records, changes) {
+                var data_sources = new LocusZoom.DataSources().add("m", ["StaticJSON", records]);
+                var layout = {
+                    width: 800,
+                    panels: [
+                        {
+                            id: "p",
+                            height: 300,
+                            axes: { x: { ticks: { position: "center" } } },
+                            data_layers: [ LocusZoom.Layouts.merge(changes || {}, this.layer_layout) ]
+                        }
+                    ]
+                };
+                d3.select("body").append("div").attr("id", "plot");
+                this.plot = LocusZoom.populate("#plot", data_sources, layout);
+                this.data_layer = this.plot.panels.p.data_layers.m;
+                return this.plot.applyState({ chr: "1", start: 1, end: 1000 });
+            }.bind(this);
+        });
+        afterEach(function(){
+            d3.selectAll("#plot, #plot_region, #region").remove();
+            delete this.plot;
+        });
+        it("should sort chromosomes in natural order", function(){
+            var compare = LocusZoom.DataLayers.get("manhattan", { id: "x" })._compareChromosomes;
+            assert.deepEqual(["Y", "chr10", "MT", "2", "X", "1", "GL000192.1"].sort(compare),
+                             ["1", "2", "chr10", "X", "Y", "MT", "GL000192.1"]);
+        });
+        it("should place points at their position in the genome, with alternating colors by chromosome", function(done){
+            this.makePlot(this.records).then(function(){
+                var data_layer = this.data_layer;
+                var positions = {};
+                data_layer.data.forEach(function(d){ positions[d["m:variant"]] = d["m:genome_position"]; });
+                assert.deepEqual(positions, { "2:100": 1100, "1:50": 50, "X:10": 1110, "1:200": 200 });
+                assert.deepEqual(data_layer.getAxisExtent("x"), [0, 1110]);
+                assert.deepEqual(this.plot.panels.p.x_extent, [0, 1110]);
+                assert.deepEqual(data_layer.layout.color.parameters.categories, ["1", "2", "X"]);
+                assert.deepEqual(data_layer.layout.color.parameters.values, ["red", "blue", "red"]);
+                var ticks = data_layer.getTicks("x", {}).map(function(tick){
+                    return [tick.x, tick.text, tick.style.fill];
+                });
+                assert.deepEqual(ticks, [[500, "1", "red"], [1050, "2", "blue"], [1105, "X", "red"]]);
+                assert.deepEqual(data_layer.getTicks("y", {}), []);
+                done();
+            }.bind(this)).fail(done);
+        });
+        it("should expand bins of values and downsample points below the threshold", function(done){
+            var records = [
+                { variant: "1:100", chromosome: "1", position: 100, log_pvalue: 0, bins: [0.1, 0.11, 0.6] },
+                { variant: "1:500", chromosome: "1", position: 500, log_pvalue: 9, bins: null },
+                { variant: "1:501", chromosome: "1", position: 501, log_pvalue: 0.12, bins: null }
+            ];
+            var changes = {
+                fields: ["m:variant", "m:chromosome", "m:position", "m:log_pvalue", "m:bins"],
+                bins_field: "m:bins",
+                downsample: { threshold: 1, x_bins: 10, y_bins: 2 }
+            };
+            this.makePlot(records, changes).then(function(){
+                var points = this.data_layer.data.map(function(d){
+                    return [d["m:variant"], d["m:log_pvalue"]];
+                });
+                assert.deepEqual(points, [["1:100_0", 0.1], ["1:100_2", 0.6], ["1:500", 9], ["1:501", 0.12]]);
+                done();
+            }.bind(this)).fail(done);
+        });
+        it("should open a regional plot around a point", function(done){
+            this.makePlot(this.records).then(function(){
+                var data_layer = this.data_layer;
+                var region_plot = data_layer.openRegion(data_layer.data[0], { flank: 50000 });
+                assert.ok(region_plot.container === document.getElementById("plot_region"));
+                assert.ok(document.getElementById("plot").nextSibling === region_plot.container);
+                region_plot.state.chr.should.be.exactly("2");
+                region_plot.state.start.should.be.exactly(1);
+                region_plot.state.end.should.be.exactly(50100);
+                region_plot.panels.should.have.property("association");
+                // Later calls move the same plot
+                assert.ok(data_layer.openRegion(data_layer.data[3]) === region_plot);
+                region_plot.state.chr.should.be.exactly("1");
+                region_plot.state.end.should.be.exactly(250200);
+                // Or draw in a given element
+                d3.select("body").append("div").attr("id", "region");
+                var other_plot = data_layer.openRegion(data_layer.data[2], { selector: "#region", layout: "standard_phewas" });
+                assert.ok(other_plot.container === document.getElementById("region"));
+                other_plot.panels.should.have.property("phewas");
+                other_plot.state.chr.should.be.exactly("X");
+                done();
+            }.bind(this)).fail(done);
+        });
+    });
+
+    describe("QQ plot data layer", function() {
+        beforeEach(function(){
+            this.layer = LocusZoom.DataLayers.get("qqplot", { id: "q" });
+            this.makePlot = function(records, changes) {
+                var data_sources = new LocusZoom.DataSources().add("a", ["StaticJSON", records]);
+                var layer_layout = LocusZoom.Layouts.get("data_layer", "qqplot", {
+                    namespace: { assoc: "a" }, id: "q", renderer: "svg"
+                });
+                var layout = {
+                    width: 400,
+                    panels: [
+                        {
+                            id: "p",
+                            height: 400,
+                            legend: { origin: { x: 0, y: 0 } },
+                            data_layers: [ LocusZoom.Layouts.merge(changes || {}, layer_layout) ]
+                        }
+                    ]
+                };
+                d3.select("body").append("div").attr("id", "plot");
+                this.plot = LocusZoom.populate("#plot", data_sources, layout);
+                this.data_layer = this.plot.panels.p.data_layers.q;
+                return this.plot.applyState({ chr: "1", start: 1, end: 1000 });
+            }.bind(this);
+            this.records = [0.5, 0.9, 0.01, 0.2, null].map(function(p, i){
+                return { variant: "v" + i, log_pvalue: p === null ? null : -Math.log(p) / Math.LN10, maf: i / 10 };
+            });
+        });
+        afterEach(function(){
+            d3.select("#plot").remove();
+            delete this.plot;
+        });
+        it("should calculate the distributions needed for a QQ plot", function(){
+            this.layer._inverseNormal(0.025).should.be.approximately(-1.959964, 1e-6);
+            this.layer._inverseNormal(0.5).should.be.approximately(0, 1e-9);
+            this.layer._inverseNormal(0.999).should.be.approximately(3.090232, 1e-6);
+            this.layer._incompleteBeta(0.5, 2, 3).should.be.approximately(0.6875, 1e-9);
+            this.layer._betaQuantile(0.3, 1, 1).should.be.approximately(0.3, 1e-9);
+            this.layer.calculateLambda([-Math.log(0.5) / Math.LN10]).should.be.approximately(1, 1e-6);
+            this.layer.calculateLambda([0, 1, 2]).should.be.approximately(2.705543 / 0.454936, 1e-4);
+            should(this.layer.calculateLambda([])).be.exactly(null);
+        });
+        it("should calculate a confidence band from the distribution of each rank", function(){
+            var band = this.layer.calculateConfidenceBand(10, 0.95, 100);
+            band.length.should.be.exactly(10);
+            // The smallest of 10 uniform values has the distribution Beta(1, 10)
+            band[0].x.should.be.approximately(-Math.log(0.05) / Math.LN10, 1e-9);
+            band[0].lower.should.be.approximately(-Math.log(1 - Math.pow(0.025, 0.1)) / Math.LN10, 1e-6);
+            band[0].upper.should.be.approximately(-Math.log(1 - Math.pow(0.975, 0.1)) / Math.LN10, 1e-6);
+            band[9].x.should.be.approximately(-Math.log(0.95) / Math.LN10, 1e-9);
+            // Larger sets are summarized by a selection of ranks, from the most to the least significant
+            band = this.layer.calculateConfidenceBand(100000, 0.95, 20);
+            band.length.should.be.within(15, 20);
+            band[0].x.should.be.approximately(-Math.log(0.5 / 100000) / Math.LN10, 1e-9);
+            band[band.length - 1].x.should.be.approximately(-Math.log(99999.5 / 100000) / Math.LN10, 1e-9);
+            band[0].lower.should.be.below(band[0].x);
+            band[0].upper.should.be.above(band[0].x);
+        });
+        it("should plot observed against expected p-values and show lambda in the legend", function(done){
+            this.makePlot(this.records).then(function(){
+                var data_layer = this.data_layer;
+                var points = {};
+                data_layer.data.forEach(function(d){
+                    points[d["a:variant"]] = [d["a:expected_log_pvalue"], d["a:observed_log_pvalue"]];
+                });
+                assert.deepEqual(Object.keys(points).sort(), ["v0", "v1", "v2", "v3"]);
+                points.v2[0].should.be.approximately(-Math.log(0.125) / Math.LN10, 1e-9);
+                points.v2[1].should.be.approximately(2, 1e-9);
+                points.v1[0].should.be.approximately(-Math.log(0.875) / Math.LN10, 1e-9);
+                var lambda = data_layer.calculateLambda([0.01, 0.2, 0.5, 0.9].map(function(p){ return -Math.log(p) / Math.LN10; }));
+                data_layer.lambda.all.should.be.approximately(lambda, 1e-9);
+                data_layer.layout.legend.length.should.be.exactly(1);
+                data_layer.layout.legend[0].label.should.be.exactly("λ = " + lambda.toFixed(3));
+                this.plot.panels.p.legend.elements.length.should.be.exactly(1);
+                data_layer.svg.guides.selectAll("path.lz-data_layer-qqplot-band").size().should.be.exactly(1);
+                data_layer.svg.guides.selectAll("path.lz-data_layer-qqplot-diagonal").size().should.be.exactly(1);
+                data_layer.svg.group.selectAll("path.lz-data_layer-qqplot").size().should.be.exactly(4);
+                done();
+            }.bind(this)).fail(done);
+        });
+        it("should stratify points by binned values of a field", function(done){
+            var changes = {
+                fields: ["a:variant", "a:log_pvalue", "a:maf"],
+                stratify_field: "a:maf",
+                stratify_bins: [0.15],
+                lambda_display: "title",
+                confidence_band: false
+            };
+            this.makePlot(this.records, changes).then(function(){
+                var data_layer = this.data_layer;
+                var strata = {};
+                data_layer.data.forEach(function(d){
+                    strata[d["a:variant"]] = [d["a:qq_stratum"], d["a:expected_log_pvalue"]];
+                });
+                strata.v0[0].should.be.exactly("< 0.15");
+                strata.v2[0].should.be.exactly(">= 0.15");
+                // Expected values are found within each stratum
+                strata.v1[1].should.be.approximately(-Math.log(0.75) / Math.LN10, 1e-9);
+                strata.v2[1].should.be.approximately(-Math.log(0.25) / Math.LN10, 1e-9);
+                assert.deepEqual(Object.keys(data_layer.lambda.strata).sort(), ["< 0.15", ">= 0.15"]);
+                var color = data_layer.layout.color[0].parameters;
+                assert.deepEqual(color.categories, ["< 0.15", ">= 0.15"]);
+                color.values.length.should.be.exactly(2);
+                this.plot.panels.p.layout.title.text.should.be.exactly("λ = " + data_layer.lambda.all.toFixed(3));
+                data_layer.svg.guides.selectAll("path.lz-data_layer-qqplot-band").size().should.be.exactly(0);
+                done();
+            }.bind(this)).fail(done);
+        });
+    });
+
+    describe("Genes data layer", function() {
+        beforeEach(function(){
+            this.genes = [
+                {
+                    gene_id: "ENSGA", gene_name: "ALPHA", chrom: "1", start: 1000, end: 5000, strand: "+",
+                    transcripts: [
+                        {
+                            transcript_id: "ENSTA1", transcript_name: "ALPHA-201", start: 1000, end: 5000, strand: "+",
+                            cds_start: 1100, cds_end: 4000,
+                            exons: [{ exon_id: "A1", start: 1000, end: 1200 }, { exon_id: "A2", start: 3000, end: 5000 }]
+                        },
+                        {
+                            transcript_id: "ENSTA2", transcript_name: "ALPHA-202", start: 1000, end: 5000, strand: "+",
+                            is_canonical: true,
+                            exons: [{ exon_id: "A1", start: 1000, end: 1200 }, { exon_id: "A3", start: 4000, end: 5000 }]
+                        }
+                    ]
+                },
+                {
+                    gene_id: "ENSGB", gene_name: "BETA", chrom: "1", start: 8000, end: 9000, strand: "-",
+                    transcripts: [{
+                        transcript_id: "NM_2", start: 8000, end: 9000, strand: "-",
+                        exons: [{ exon_id: "B1", start: 8000, end: 8100 }, { exon_id: "B2", start: 8500, end: 9000 }]
+                    }]
+                }
+            ];
+            this.makePlot = function(changes){
+                var source = LocusZoom.KnownDataSources.create("GeneLZ", { url: "http://server.com/genes/" });
+                var genes = this.genes;
+                source.fetchRequest = function(){ return Q.when(JSON.stringify({ data: genes })); };
+                var data_sources = new LocusZoom.DataSources().add("gene", source);
+                var layer_layout = LocusZoom.Layouts.get("data_layer", "genes", { unnamespaced: true });
+                layer_layout.fields = ["gene:gene"];
+                delete layer_layout.tooltip;
+                var layout = {
+                    width: 800,
+                    panels: [
+                        LocusZoom.Layouts.get("panel", "genes", {
+                            id: "p",
+                            min_height: 10,
+                            margin: { top: 0, right: 0, bottom: 0, left: 0 },
+                            dashboard: { components: [] },
+                            data_layers: [ LocusZoom.Layouts.merge(changes || {}, layer_layout) ]
+                        })
+                    ]
+                };
+                d3.select("body").append("div").attr("id", "plot");
+                this.plot = LocusZoom.populate("#plot", data_sources, layout);
+                this.data_layer = this.plot.panels.p.data_layers.genes;
+                return this.plot.applyState({ chr: "1", start: 1000, end: 9000 });
+            }.bind(this);
+            this.exons = function(feature_id){
+                var group = d3.select("#" + this.data_layer.getElementId({ feature_id: feature_id }));
+                var exons = [];
+                group.selectAll("rect.lz-exon").each(function(){
+                    var rect = d3.select(this);
+                    exons.push([+rect.attr("x"), +rect.attr("width"), +rect.attr("height"), rect.classed("lz-utr")]);
+                });
+                return exons;
+            }.bind(this);
+        });
+        afterEach(function(){
+            d3.select("#plot").remove();
+            delete this.plot;
+        });
+        it("should draw the canonical transcript of each gene when collapsed", function(done){
+            this.makePlot().then(function(){
+                var data_layer = this.data_layer;
+                data_layer.features.length.should.be.exactly(2);
+                data_layer.features[0].transcript_id.should.be.exactly("ENSTA2");
+                data_layer.getElementId(data_layer.features[0]).should.be.exactly("plot_p_genes-ENSGA");
+                assert.deepEqual(this.exons("ENSGA"), [[0, 20, 16, false], [300, 100, 16, false]]);
+                data_layer.tracks.should.be.exactly(1);
+                done();
+            }.bind(this)).fail(done);
+        });
+        it("should merge the exons of all transcripts, with thinner UTRs", function(done){
+            this.makePlot({ collapsed_transcript: "merged" }).then(function(){
+                var alpha = this.data_layer.features[0];
+                alpha.transcript_id.should.be.exactly("ENSTA1, ENSTA2");
+                assert.deepEqual(this.exons("ENSGA"), [
+                    [0, 10, 8, true], [10, 10, 16, false], [200, 100, 16, false], [300, 100, 8, true]
+                ]);
+                done();
+            }.bind(this)).fail(done);
+        });
+        it("should draw each transcript on its own row when expanded, and scale the panel to fit", function(done){
+            this.makePlot({ display_mode: "expanded" }).then(function(){
+                var data_layer = this.data_layer;
+                assert.deepEqual(data_layer.features.map(function(f){ return f.feature_id; }), ["ENSGA_ENSTA1", "ENSGA_ENSTA2", "ENSGB_NM_2"]);
+                assert.deepEqual(data_layer.features.map(function(f){ return f.track; }), [1, 2, 1]);
+                assert.deepEqual(data_layer.features.map(function(f){ return f.label; }), ["ALPHA-201", "ALPHA-202", "BETA NM_2"]);
+                this.plot.panels.p.layout.height.should.be.exactly(2 * data_layer.getTrackHeight() - 10);
+                // Each transcript has its own status
+                data_layer.highlightElement(data_layer.features[1]);
+                d3.select("#plot_p_genes-ENSGA_ENSTA2-statusnode").classed("lz-data_layer-genes-statusnode-highlighted").should.be.true();
+                d3.select("#plot_p_genes-ENSGA_ENSTA1-statusnode").classed("lz-data_layer-genes-statusnode-highlighted").should.be.false();
+                // Strand arrows are drawn along introns, pointing the way the gene is read
+                var arrows = d3.select("#plot_p_genes-ENSGA_ENSTA1").select("path.lz-strand").attr("d");
+                arrows.match(/M/g).length.should.be.exactly(6);
+                arrows.indexOf("M33.5,").should.be.exactly(0);
+                done();
+            }.bind(this)).fail(done);
+        });
+        it("should switch between display modes", function(done){
+            this.makePlot().then(function(){
+                var data_layer = this.data_layer;
+                var panel = this.plot.panels.p;
+                data_layer.setDisplayMode("squished");
+                data_layer.features.length.should.be.exactly(3);
+                data_layer.getTrackHeight().should.be.exactly(10);
+                panel.layout.height.should.be.exactly(18);
+                data_layer.svg.group.selectAll("text.lz-label").size().should.be.exactly(0);
+                data_layer.setDisplayMode("collapsed");
+                data_layer.svg.group.selectAll("g.lz-data_layer-genes").size().should.be.exactly(2);
+                panel.layout.height.should.be.exactly(data_layer.getTrackHeight() - 10);
+                assert.throws(function(){ data_layer.setDisplayMode("tiny"); }, /Invalid gene display mode/);
+                done();
+            }.bind(this)).fail(done);
+        });
+        it("should export genes without the objects they refer to", function(done){
+            this.makePlot().then(function(){
+                var data_layer = this.data_layer;
+                data_layer.data[0].parent.should.be.exactly(data_layer);
+                var json = JSON.parse(data_layer.exportData("json"));
+                assert.deepEqual(json.map(function(d){ return d.gene_name; }), ["ALPHA", "BETA"]);
+                should.not.exist(json[0].parent);
+                should.not.exist(json[0].transcripts);
+                var csv = data_layer.exportData("csv").split("\n");
+                csv[0].indexOf("gene_id,gene_name,chrom,start,end,strand").should.be.exactly(0);
+                csv[2].indexOf("\"ENSGB\",\"BETA\",\"1\",8000,9000,\"-\"").should.be.exactly(0);
+                done();
+            }.bind(this)).fail(done);
+        });
+    });
+
+    describe("Arcs data layer", function() {
+        beforeEach(function(){
+            this.records = [
+                { start1: 150, end1: 170, start2: 250, end2: 270, score: 2 },
+                // The second anchor of this arc is outside of the plotted region
+                { start1: 300, end1: 320, start2: 900, end2: 1000, score: 4 }
+            ];
+            this.makePlot = function(changes) {
+                var data_sources = new LocusZoom.DataSources().add("interactions", ["StaticJSON", this.records]);
+                var layer_layout = LocusZoom.Layouts.get("data_layer", "arcs", { unnamespaced: true });
+                var layout = {
+                    width: 400,
+                    panels: [
+                        LocusZoom.Layouts.get("panel", "arcs", {
+                            id: "p",
+                            height: 100,
+                            margin: { top: 0, right: 0, bottom: 0, left: 0 },
+                            dashboard: { components: [] },
+                            data_layers: [ LocusZoom.Layouts.merge(changes || {}, layer_layout) ]
+                        })
+                    ]
+                };
+                d3.select("body").append("div").attr("id", "plot");
+                this.plot = LocusZoom.populate("#plot", data_sources, layout);
+                this.data_layer = this.plot.panels.p.data_layers.arcs;
+                return this.plot.applyState({ chr: "1", start: 100, end: 500 });
+            }.bind(this);
+            this.paths = function(){
+                var paths = [];
+                this.data_layer.svg.group.selectAll("path.lz-data_layer-arcs").each(function(){
+                    paths.push(d3.select(this).attr("d"));
+                });
+                return paths;
+            }.bind(this);
+        });
+        afterEach(function(){
+            d3.select("#plot").remove();
+            delete this.plot;
+        });
+        it("should draw an arc between the centers of each pair of anchors, scaled by score", function(done){
+            this.makePlot().then(function(){
+                assert.deepEqual(this.paths(), ["M60,100Q110,0 160,100", "M210,100Q530,-100 850,100"]);
+                var arc = this.data_layer.getArcGeometry(this.data_layer.data[0]);
+                assert.deepEqual([arc.x1, arc.x2, arc.baseline, arc.peak], [60, 160, 100, 50]);
+                this.data_layer.max_score.should.be.exactly(4);
+                this.data_layer.svg.group.select("path.lz-data_layer-arcs").attr("stroke").should.be.exactly("#357EBD");
+                done();
+            }.bind(this)).fail(done);
+        });
+        it("should resolve arc height and opacity as scalable parameters", function(done){
+            this.makePlot({
+                direction: "down",
+                arc_height: { field: "interactions:score", scale_function: "numerical_bin", parameters: { breaks: [0, 3], values: [20, 40] } },
+                stroke_opacity: { field: "interactions:score", scale_function: "if", parameters: { field_value: 4, then: 1, else: 0.5 } }
+            }).then(function(){
+                assert.deepEqual(this.paths(), ["M60,0Q110,40 160,0", "M210,0Q530,80 850,0"]);
+                var opacities = [];
+                this.data_layer.svg.group.selectAll("path.lz-data_layer-arcs").each(function(){
+                    opacities.push(+d3.select(this).attr("stroke-opacity"));
+                });
+                assert.deepEqual(opacities, [0.5, 1]);
+                done();
+            }.bind(this)).fail(done);
+        });
+        it("should identify arcs by their anchors and apply statuses", function(done){
+            this.makePlot().then(function(){
+                var data_layer = this.data_layer;
+                var element = data_layer.data[1];
+                data_layer.getElementId(element).should.be.exactly("plot_p_arcs-300_320_900_1000");
+                data_layer.highlightElement(element);
+                d3.select("#" + data_layer.getElementId(element)).classed("lz-data_layer-arcs-highlighted").should.be.true();
+                data_layer.tooltips[data_layer.getElementId(element)].should.be.an.Object();
+                done();
+            }.bind(this)).fail(done);
+        });
+    });
+
+    describe("LD heatmap data layer", function() {
+        beforeEach(function(){
+            var positions = [100, 200, 300, 400];
+            var records = [];
+            positions.forEach(function(position1, i){
+                positions.slice(i + 1).forEach(function(position2){
+                    records.push({
+                        variant1: "1:" + position1 + "_A/G", position1: position1,
+                        variant2: "1:" + position2 + "_C/T", position2: position2,
+                        rsquare: position2 - position1 > 100 ? 0.2 : 0.9
+                    });
+                });
+            });
+            // A variant's LD with itself has no cell
+            records.push({ variant1: "1:100_A/G", position1: 100, variant2: "1:100_A/G", position2: 100, rsquare: 1 });
+            var data_sources = new LocusZoom.DataSources().add("ldpairs", ["StaticJSON", records]);
+            var layout = {
+                width: 400,
+                panels: [
+                    LocusZoom.Layouts.get("panel", "ld_heatmap", {
+                        id: "p",
+                        height: 200,
+                        margin: { top: 0, right: 0, bottom: 0, left: 0 },
+                        dashboard: { components: [] }
+                    })
+                ]
+            };
+            d3.select("body").append("div").attr("id", "plot");
+            this.plot = LocusZoom.populate("#plot", data_sources, layout);
+            this.data_layer = this.plot.panels.p.data_layers.ld_heatmap;
+            this.cell = function(position1, position2){
+                return this.data_layer.svg.group.selectAll("path.lz-data_layer-ld_heatmap").filter(function(d){
+                    return d["ldpairs:position1"] === position1 && d["ldpairs:position2"] === position2;
+                });
+            }.bind(this);
+        });
+        afterEach(function(){
+            d3.select("#plot").remove();
+            delete this.plot;
+        });
+        it("should draw a cell below and between each pair of variants", function(done){
+            this.plot.applyState({ chr: "1", start: 50, end: 450 }).then(function(){
+                var data_layer = this.data_layer;
+                assert.deepEqual(data_layer.positions, [100, 200, 300, 400]);
+                assert.deepEqual(data_layer.boundaries, [50, 150, 250, 350, 450]);
+                data_layer.data.length.should.be.exactly(6);
+                var cells = data_layer.data.map(function(d){ return d.cell_indices; });
+                assert.deepEqual(cells, [[0, 1], [0, 2], [0, 3], [1, 2], [1, 3], [2, 3]]);
+                this.cell(100, 200).attr("d").should.be.exactly("M100,0L150,50L100,100L50,50Z");
+                this.cell(100, 400).attr("d").should.be.exactly("M200,100L250,150L200,200L150,150Z");
+                this.cell(100, 200).attr("fill").should.be.exactly(d3.interpolate("#FFFFFF", "#D43F3A")(0.9));
+                var center = data_layer.getCellCenter(data_layer.data[0]);
+                assert.deepEqual([center.x, center.y], [100, 50]);
+                this.cell(100, 200).attr("id").should.be.exactly(data_layer.getElementId(data_layer.data[0]));
+                done();
+            }.bind(this)).fail(done);
+        });
+        it("should zoom with the plot", function(done){
+            this.plot.applyState({ chr: "1", start: 50, end: 450 }).then(function(){
+                return this.plot.applyState({ start: 50, end: 250 });
+            }.bind(this)).then(function(){
+                this.cell(100, 200).attr("d").should.be.exactly("M200,0L300,100L200,200L100,100Z");
+                done();
+            }.bind(this)).fail(done);
+        });
+        it("should highlight the row and column of the hovered variants", function(done){
+            this.plot.applyState({ chr: "1", start: 50, end: 450 }).then(function(){
+                var hover = function(type){
+                    var event = document.createEvent("MouseEvent");
+                    event.initMouseEvent(type, true, true, window, 1, 0, 0, 0, 0, false, false, false, false, 0, null);
+                    this.cell(100, 200).node().dispatchEvent(event);
+                }.bind(this);
+                hover("mouseover");
+                var crosshair = this.data_layer.svg.group.selectAll("path.lz-data_layer-ld_heatmap-crosshair");
+                crosshair.size().should.be.exactly(5);
+                this.cell(300, 400).classed("lz-data_layer-ld_heatmap-crosshair").should.be.false();
+                this.cell(100, 200).classed("lz-data_layer-ld_heatmap-highlighted").should.be.true();
+                hover("mouseout");
+                this.data_layer.svg.group.selectAll("path.lz-data_layer-ld_heatmap-crosshair").size().should.be.exactly(0);
+                done();
+            }.bind(this)).fail(done);
+        });
+    });
+
     describe("Data Layers collection object", function() {
         it("LocusZoom should have a DataLayers collection object", function(){
             LocusZoom.should.have.property("DataLayers").which.is.an.Object;
@@ -929,6 +1739,28 @@ describe("LocusZoom.DataLayer", function(){
                 LocusZoom.DataLayers.set("testchild");
                 LocusZoom.DataLayers.set("testparent");
             });
+
+            it("should run an optional constructor after the parent constructor", function() {
+                LocusZoom.DataLayers.add("testparent", function(layout) {
+                    LocusZoom.DataLayer.apply(this, arguments);
+                    this.render = function(){ return "foo"; };
+                });
+                var Child = LocusZoom.DataLayers.extend("testparent", "testchild", {}, function(layout) {
+                    var render = this.render;
+                    this.layout_id = layout.id;
+                    this.render = function(){ return render() + "bar"; };
+                });
+                var instance = new Child({ id: "baz" });
+                assert.equal(instance.layout_id, "baz");
+                assert.equal(instance.render(), "foobar");
+                assert.throws(
+                    LocusZoom.DataLayers.extend.bind(null, "testparent", "testother", {}, "notafunction"),
+                    /Constructor must be a function/
+                );
+
+                LocusZoom.DataLayers.set("testchild");
+                LocusZoom.DataLayers.set("testparent");
+            });
         });
         it("should have a method to change or delete existing data layers", function(){
             LocusZoom.DataLayers.should.have.property("set").which.is.a.Function;
@@ -0,0 +1,108 @@
+"use strict";
+
+/**
+  Export.js Tests
+  Test exporting plots and panels as SVG, PNG and PDF images
+*/
+describe("LocusZoom.Export", function(){
+    // Tests
+    it("creates an object for its name space", function() {
+        should.exist(LocusZoom.Export);
+    });
+
+    describe("Plot images", function() {
+        beforeEach(function(){
+            var layout = {
+                width: 400,
+                panels: [
+                    { id: "p1", height: 150, title: { text: "First panel" } },
+                    { id: "p2", height: 100 }
+                ]
+            };
+            d3.select("body").append("div").attr("id", "plot");
+            this.plot = LocusZoom.populate("#plot", new LocusZoom.DataSources(), layout);
+            this.style = document.createElement("style");
+            this.style.appendChild(document.createTextNode(
+                ".lz-panel-title { fill: #123456; } .lz-not-in-plot { fill: red; }"));
+            document.head.appendChild(this.style);
+        });
+        afterEach(function(){
+            d3.select("#plot").remove();
+            document.head.removeChild(this.style);
+            delete this.plot;
+        });
+        it("collects the styles that apply to the plot, from any stylesheet", function() {
+            return LocusZoom.Export.getCSS(this.plot.svg.node()).then(function(css){
+                assert.ok(css.indexOf("#123456") !== -1);
+                assert.equal(css.indexOf("lz-not-in-plot"), -1);
+            });
+        });
+        it("exports the whole plot as SVG, with styles inlined", function() {
+            return LocusZoom.Export.getSVG(this.plot).then(function(svg){
+                assert.equal(svg.indexOf("<svg"), 0);
+                assert.ok(svg.indexOf("<style type=\"text/css\"><![CDATA[") !== -1);
+                assert.ok(svg.indexOf("#123456") !== -1);
+                assert.ok(svg.indexOf("plot.p1.panel_container") !== -1);
+                assert.ok(svg.indexOf("plot.p2.panel_container") !== -1);
+                assert.equal(svg.indexOf("lz-mouse_guide"), -1);
+            });
+        });
+        it("exports a single panel as SVG, moved to the origin", function() {
+            return LocusZoom.Export.getSVG(this.plot, "p2").then(function(svg){
+                var container = d3.select("body").append("div").html(svg);
+                var groups = container.select("svg").selectAll("g").filter(function(){
+                    return this.parentNode.tagName.toLowerCase() === "svg";
+                });
+                assert.equal(groups.size(), 1);
+                assert.equal(groups.attr("id"), "plot.p2.panel_container");
+                assert.equal(groups.attr("transform"), "translate(0,0)");
+                assert.equal(container.select("svg").attr("width"), "400");
+                assert.equal(container.select("svg").attr("height"), "100");
+                container.remove();
+            });
+        });
+        it("exports the whole plot as a PDF document, with one point for each 0.75 pixels", function() {
+            assert.ok(LocusZoom.Export.canMakePDF());
+            return LocusZoom.Export.getPDF(this.plot).then(function(bytes){
+                var text = String.fromCharCode.apply(null, bytes);
+                assert.equal(text.indexOf("%PDF-"), 0);
+                assert.ok(text.indexOf("/MediaBox [0 0 300. 187.5]") !== -1);
+                assert.ok(text.indexOf("0.75 0. 0. 0.75 0. 0. cm") !== -1);
+                assert.ok(text.indexOf("(First panel) Tj") !== -1);
+                // The hidden copy of the plot that was drawn is removed
+                assert.equal(d3.select("#plot").selectAll("svg").size(), 1);
+            });
+        });
+        it("exports a single panel as a PDF document", function() {
+            return LocusZoom.Export.getPDF(this.plot, "p2").then(function(bytes){
+                var text = String.fromCharCode.apply(null, bytes);
+                assert.ok(text.indexOf("/MediaBox [0 0 300. 75.]") !== -1);
+                assert.equal(text.indexOf("(First panel) Tj"), -1);
+            });
+        });
+    });
+
+    describe("PNG resolution", function() {
+        var chunk = function(type, data){
+            var bytes = [0, 0, 0, data.length].concat(type.split("").map(function(c){ return c.charCodeAt(0); }), data);
+            var crc = LocusZoom.Export.crc32(new Uint8Array(bytes.slice(4)));
+            return bytes.concat([(crc >>> 24) & 255, (crc >>> 16) & 255, (crc >>> 8) & 255, crc & 255]);
+        };
+        it("calculates PNG checksums", function() {
+            var iend = new Uint8Array([73, 69, 78, 68]);
+            assert.equal(LocusZoom.Export.crc32(iend), 0xAE426082);
+        });
+        it("records the resolution after the header, replacing any earlier one", function() {
+            var png = [137, 80, 78, 71, 13, 10, 26, 10]
+                .concat(chunk("IHDR", [0, 0, 0, 1, 0, 0, 0, 1, 8, 2, 0, 0, 0]))
+                .concat(chunk("pHYs", [0, 0, 0, 1, 0, 0, 0, 1, 0]))
+                .concat(chunk("IEND", []));
+            var result = LocusZoom.Export.setPNGResolution(new Uint8Array(png), 300);
+            assert.equal(result.length, png.length);
+            var phys = Array.prototype.slice.call(result, 33, 54);
+            // 300 DPI is 11811 pixels per meter
+            assert.deepEqual(phys, chunk("pHYs", [0, 0, 46, 35, 0, 0, 46, 35, 1]));
+            assert.deepEqual(Array.prototype.slice.call(result, 54), chunk("IEND", []));
+        });
+    });
+});
@@ -0,0 +1,228 @@
+"use strict";
+
+/**
+  Legend.js Tests
+  Test composition of the LocusZoom.Legend object
+*/
+describe("LocusZoom.Legend", function(){
+    // Tests
+    it("creates an object for its name space", function() {
+        should.exist(LocusZoom.Legend);
+    });
+
+    it("defines its layout defaults", function() {
+        LocusZoom.Legend.should.have.property("DefaultLayout").which.is.an.Object;
+    });
+
+    describe("Gradient elements", function() {
+        beforeEach(function(){
+            this.color = {
+                field: "d:value",
+                scale_function: "color_ramp",
+                parameters: { palette: "magma", domain: [0, 10] }
+            };
+            var layout = {
+                width: 400,
+                panels: [
+                    {
+                        id: "p",
+                        height: 200,
+                        legend: { origin: { x: 0, y: 0 } },
+                        data_layers: [
+                            {
+                                id: "d",
+                                type: "scatter",
+                                fields: ["d:id", "d:x", "d:value"],
+                                id_field: "d:id",
+                                x_axis: { field: "d:x" },
+                                y_axis: { axis: 1, field: "d:value" },
+                                color: this.color,
+                                legend: [
+                                    {
+                                        shape: "gradient",
+                                        scale_function: this.color.scale_function,
+                                        parameters: this.color.parameters,
+                                        length: 80,
+                                        ticks: 2,
+                                        label: "Value"
+                                    }
+                                ]
+                            }
+                        ]
+                    }
+                ]
+            };
+            d3.select("body").append("div").attr("id", "plot");
+            this.plot = LocusZoom.populate("#plot", new LocusZoom.DataSources(), layout);
+            this.legend = this.plot.panels.p.legend;
+        });
+        afterEach(function(){
+            d3.select("#plot").remove();
+            delete this.plot;
+        });
+        it("should draw a color bar that matches the scale function", function(){
+            this.legend.render();
+            this.legend.elements.length.should.be.exactly(1);
+            var element = this.legend.elements[0];
+            var bar = element.select("rect.lz-legend-gradient");
+            bar.attr("width").should.be.exactly("80");
+            var gradient_id = bar.attr("fill").match(/^url\(#(.*)\)$/)[1];
+            element.select("linearGradient").attr("id").should.be.exactly(gradient_id);
+            var stops = element.selectAll("stop");
+            stops[0][0].getAttribute("stop-color").should.be.exactly("#000004");
+            stops[0][stops.size() - 1].getAttribute("stop-color").should.be.exactly("#fcfdbf");
+            var middle = stops[0][Math.floor(stops.size() / 2)];
+            middle.getAttribute("offset").should.be.exactly("50%");
+            middle.getAttribute("stop-color").should.be.exactly(LocusZoom.ScaleFunctions.get("color_ramp", this.color.parameters, 5));
+        });
+        it("should label ticks along the bar", function(){
+            this.legend.render();
+            var labels = this.legend.elements[0].selectAll("text.lz-legend-gradient-tick");
+            var texts = [];
+            labels.each(function(){ texts.push(d3.select(this).text()); });
+            assert.deepEqual(texts, ["0", "5", "10"]);
+            var positions = [];
+            labels.each(function(){ positions.push(+d3.select(this).attr("x")); });
+            assert.deepEqual(positions, [0, 40, 80]);
+        });
+        it("should draw log scales with labels only at major ticks", function(){
+            this.plot.panels.p.data_layers.d.layout.legend[0].parameters = { palette: "viridis", domain: [1, 1000], log: true };
+            this.legend.render();
+            var texts = [];
+            this.legend.elements[0].selectAll("text.lz-legend-gradient-tick").each(function(){ texts.push(d3.select(this).text()); });
+            texts.length.should.be.above(1);
+            texts.length.should.be.below(10);
+            texts[0].should.be.exactly("1");
+        });
+    });
+
+    describe("Interactive elements", function() {
+        beforeEach(function(){
+            var data_sources = new LocusZoom.DataSources()
+                .add("d", ["StaticJSON", [
+                    { id: "a", x: 1, y: 1, category: "red" },
+                    { id: "b", x: 2, y: 2, category: "blue" },
+                    { id: "c", x: 3, y: 3, category: "blue" },
+                    { id: "e", x: 4, y: 4, category: "green" }
+                ] ]);
+            var layout = {
+                width: 400,
+                panels: [
+                    {
+                        id: "p",
+                        height: 200,
+                        legend: { origin: { x: 0, y: 0 } },
+                        data_layers: [
+                            {
+                                id: "d",
+                                type: "scatter",
+                                fields: ["d:id", "d:x", "d:y", "d:category"],
+                                id_field: "d:id",
+                                x_axis: { field: "d:x" },
+                                y_axis: { axis: 1, field: "d:y" },
+                                color: {
+                                    field: "d:category",
+                                    scale_function: "categorical_bin",
+                                    parameters: { categories: ["red", "blue"], values: ["#FF0000", "rgb(0, 0, 255)"], null_value: "#B8B8B8" }
+                                },
+                                legend: [
+                                    { shape: "circle", color: "#ff0000", label: "Red" },
+                                    { shape: "circle", color: "#0000FF", label: "Blue" },
+                                    { shape: "circle", color: "#B8B8B8", label: "Other", filters: [["d:x", ">", 3]] },
+                                    { shape: "rect", label: "Not a category" }
+                                ]
+                            }
+                        ]
+                    }
+                ]
+            };
+            d3.select("body").append("div").attr("id", "plot");
+            this.plot = LocusZoom.populate("#plot", data_sources, layout);
+            this.data_layer = this.plot.panels.p.data_layers.d;
+            this.click = function(index, shift){
+                var event = document.createEvent("MouseEvent");
+                event.initMouseEvent("click", true, true, window, 1, 0, 0, 0, 0, false, false, !!shift, false, 0, null);
+                this.plot.panels.p.legend.elements[index].node().dispatchEvent(event);
+            }.bind(this);
+            this.hidden = function(){
+                return this.plot.state[this.data_layer.state_id].hidden.slice().sort();
+            }.bind(this);
+            this.ids = function(){
+                return Array.prototype.slice.call(arguments).map(function(id){ return this.data_layer.getElementId(id); }.bind(this)).sort();
+            }.bind(this);
+        });
+        afterEach(function(){
+            d3.select("#plot").remove();
+            delete this.plot;
+        });
+        it("should find the elements that each legend element represents, by color or by filters", function(done){
+            this.plot.applyState({ start: 0, end: 10 }).then(function(){
+                var data_layer = this.data_layer;
+                var legend = data_layer.layout.legend;
+                var ids = function(elements){ return elements.map(function(d){ return d["d:id"]; }); };
+                assert.deepEqual(ids(data_layer.getLegendElementMatches(legend[0])), ["a"]);
+                assert.deepEqual(ids(data_layer.getLegendElementMatches(legend[1])), ["b", "c"]);
+                assert.deepEqual(ids(data_layer.getLegendElementMatches(legend[2])), ["e"]);
+                assert.deepEqual(ids(data_layer.getLegendElementMatches(legend[3])), []);
+                this.plot.panels.p.legend.elements[3].classed("lz-legend-element-interactive").should.be.false();
+                done();
+            }.bind(this)).fail(done);
+        });
+        it("should hide the elements of a category when its legend element is clicked", function(done){
+            this.plot.applyState({ start: 0, end: 10 }).then(function(){
+                this.click(1);
+                assert.deepEqual(this.hidden(), this.ids("b", "c"));
+                assert.deepEqual(this.plot.state[this.data_layer.state_id].legend, { 1: "hidden" });
+                d3.select("#" + this.data_layer.getElementId("b")).classed("lz-data_layer-scatter-hidden").should.be.true();
+                this.plot.panels.p.legend.elements[1].classed("lz-legend-element-hidden").should.be.true();
+                this.click(1);
+                assert.deepEqual(this.hidden(), []);
+                assert.deepEqual(this.plot.state[this.data_layer.state_id].legend, {});
+                done();
+            }.bind(this)).fail(done);
+        });
+        it("should isolate a category when its legend element is shift-clicked", function(done){
+            this.plot.panels.p.legend.layout.toggle_status = "faded";
+            this.plot.applyState({ start: 0, end: 10 }).then(function(){
+                this.click(0, true);
+                assert.deepEqual(this.plot.state[this.data_layer.state_id].faded.slice().sort(), this.ids("b", "c", "e"));
+                this.hidden().length.should.be.exactly(0);
+                this.click(0, true);
+                this.plot.state[this.data_layer.state_id].faded.length.should.be.exactly(0);
+                done();
+            }.bind(this)).fail(done);
+        });
+        it("should keep legend choices in the plot state and apply them to new data", function(done){
+            var state_id = this.data_layer.state_id;
+            this.plot.applyState({ start: 0, end: 10 }).then(function(){
+                var changes = {};
+                changes[state_id] = JSON.parse(JSON.stringify(this.plot.state[state_id]));
+                changes[state_id].legend = { 0: "hidden", 2: "hidden" };
+                return this.plot.applyState(changes);
+            }.bind(this)).then(function(){
+                assert.deepEqual(this.hidden(), this.ids("a", "e"));
+                this.plot.panels.p.legend.elements[2].classed("lz-legend-element-hidden").should.be.true();
+                // Choices apply again when data is reloaded
+                return this.plot.applyState({ start: 0, end: 20 });
+            }.bind(this)).then(function(){
+                assert.deepEqual(this.hidden(), this.ids("a", "e"));
+                this.data_layer.setLegendElementStatus(0, null);
+                assert.deepEqual(this.hidden(), this.ids("e"));
+                done();
+            }.bind(this)).fail(done);
+        });
+        it("should replace the statuses of all legend elements at once", function(done){
+            this.plot.applyState({ start: 0, end: 10 }).then(function(){
+                var data_layer = this.data_layer;
+                data_layer.setLegendElementStatus(0, "hidden");
+                data_layer.setLegendElementStatuses({ 1: "faded" });
+                this.hidden().length.should.be.exactly(0);
+                assert.deepEqual(this.plot.state[data_layer.state_id].faded.slice().sort(), this.ids("b", "c"));
+                assert.deepEqual(this.plot.state[data_layer.state_id].legend, { 1: "faded" });
+                assert.throws(function(){ data_layer.setLegendElementStatuses({ 0: "invisible" }); }, /Invalid status/);
+                assert.deepEqual(this.plot.state[data_layer.state_id].legend, { 1: "faded" });
+                done();
+            }.bind(this)).fail(done);
+        });
+    });
+});
@@ -138,6 +138,45 @@ describe("LocusZoom Core", function(){
             LocusZoom.createCORSPromise.should.be.a.Function;
         });
 
+        describe("Cancel Tokens", function() {
+            it("should call each callback once, with the reason, when cancelled", function() {
+                var token = new LocusZoom.CancelToken();
+                var calls = [];
+                token.onCancel(function(reason) { calls.push(reason); });
+                token.cancel("Too slow");
+                token.cancel("Again");
+                assert.deepEqual(calls, ["Too slow"]);
+                assert.ok(token.cancelled);
+            });
+            it("should immediately call callbacks registered after cancellation", function() {
+                var token = new LocusZoom.CancelToken().cancel();
+                var calls = [];
+                token.onCancel(function(reason) { calls.push(reason); });
+                assert.deepEqual(calls, ["Request cancelled"]);
+            });
+            it("should cancel child tokens along with their parent, but not the reverse", function() {
+                var parent = new LocusZoom.CancelToken();
+                var child1 = parent.child();
+                var child2 = parent.child();
+                child1.cancel();
+                assert.ok(!parent.cancelled);
+                assert.ok(!child2.cancelled);
+                parent.cancel();
+                assert.ok(child2.cancelled);
+            });
+            it("should abort a CORS request when cancelled", function(done) {
+                var token = new LocusZoom.CancelToken();
+                LocusZoom.createCORSPromise("GET", "http://localhost/not-a-real-url", undefined, undefined, undefined, undefined, token)
+                    .then(function() {
+                        done(new Error("Request should have been cancelled"));
+                    }, function(error) {
+                        assert.equal(error, "Superseded");
+                        done();
+                    }).fail(done);
+                token.cancel("Superseded");
+            });
+        });
+
         describe("Parse Fields", function() {
             beforeEach(function() {
                 LocusZoom.TransformationFunctions.add("herp", function(x) { return x.toString() + "herp"; });
@@ -537,6 +537,182 @@ describe("LocusZoom.Panel", function(){
                 done();
             }.bind(this)).fail(done);
         });
+        it ("should zoom to a region brushed across the background", function(done){
+            this.layout.state = { chr: "1" };
+            this.layout.panels[0].interaction.brush_to_zoom = true;
+            this.layout.panels.push({ id: "linked", height: 100, interaction: { x_linked: true }, data_layers: [
+                LocusZoom.Layouts.merge({ id: "d2" }, this.layout.panels[0].data_layers[0])
+            ] });
+            this.layout.panels[0].interaction.x_linked = true;
+            this.plot = LocusZoom.populate("#plot", this.datasources, this.layout);
+            Q.allSettled(this.plot.remap_promises).then(function(){
+                var panel = this.plot.panels.p;
+                var position = function(x){
+                    return panel.x_scale.invert(x - panel.layout.origin.x - panel.layout.margin.left);
+                };
+                // Simulate click (mousedown) at [ 20, 50 ] on the background
+                d3.mouse = function(){ return [ 20, 50 ]; };
+                panel.svg.container.select(".lz-panel-background").node()["__onmousedown.plot.p.interaction.brush"]();
+                this.plot.interaction.panel_id.should.be.exactly("p");
+                this.plot.interaction.brushing.start.should.be.exactly(position(20));
+                // Simulate drag (mousemove) to [ 80, 50 ]
+                d3.mouse = function(){ return [ 80, 50 ]; };
+                this.plot.svg.node()["__onmousemove.plot"]();
+                this.plot.interaction.brushing.end.should.be.exactly(position(80));
+                var region = this.plot.getBrushRegion();
+                region.start.should.be.exactly(Math.round(position(20)));
+                region.end.should.be.exactly(Math.round(position(80)));
+                // The selection is drawn on the panel, with its size, and on the linked panel
+                panel.svg.group.selectAll("g.lz-panel-brush").size().should.be.exactly(1);
+                panel.svg.brush.select("text").text().should.be.exactly(LocusZoom.positionIntToString(region.end - region.start, null, true));
+                this.plot.panels.linked.svg.group.selectAll("g.lz-panel-brush").size().should.be.exactly(1);
+                this.plot.panels.linked.svg.brush.select("text").text().should.be.exactly("");
+                // Simulate mouseup to apply the region
+                this.plot.svg.node()["__onmouseup.plot"]();
+                assert.deepEqual(this.plot.interaction, {});
+                should.not.exist(panel.svg.brush);
+                should.not.exist(this.plot.panels.linked.svg.brush);
+                this.plot.state.start.should.be.exactly(region.start);
+                this.plot.state.end.should.be.exactly(region.end);
+                done();
+            }.bind(this)).fail(done);
+        });
+        it ("should keep brushed regions within the plot's region scale limits, and ignore clicks", function(done){
+            this.layout.state = { chr: "1" };
+            this.layout.min_region_scale = 1000;
+            this.layout.panels[0].interaction.brush_to_zoom = true;
+            this.layout.panels[0].interaction.drag_background_to_pan = true;
+            this.plot = LocusZoom.populate("#plot", this.datasources, this.layout);
+            Q.allSettled(this.plot.remap_promises).then(function(){
+                var background = this.plot.panels.p.svg.container.select(".lz-panel-background").node();
+                var event = { shiftKey: true, preventDefault: function(){ return null; } };
+                // Without the shift key, dragging pans
+                d3.mouse = function(){ return [ 20, 50 ]; };
+                background["__onmousedown.plot.p.interaction.drag.background"]({ shiftKey: false });
+                background["__onmousedown.plot.p.interaction.brush"]({ shiftKey: false });
+                should.not.exist(this.plot.interaction.brushing);
+                this.plot.stopDrag();
+                // A click without a drag changes nothing
+                var start = this.plot.state.start, end = this.plot.state.end;
+                background["__onmousedown.plot.p.interaction.drag.background"](event);
+                background["__onmousedown.plot.p.interaction.brush"](event);
+                should.not.exist(this.plot.interaction.dragging);
+                this.plot.interaction.brushing.should.be.an.Object;
+                this.plot.svg.node()["__onmouseup.plot"](event);
+                assert.equal(this.plot.state.start, start);
+                assert.equal(this.plot.state.end, end);
+                // A selection narrower than min_region_scale is widened
+                background["__onmousedown.plot.p.interaction.brush"](event);
+                d3.mouse = function(){ return [ 80, 50 ]; };
+                this.plot.svg.node()["__onmousemove.plot"](event);
+                var region = this.plot.getBrushRegion();
+                region.constrained.should.be.true;
+                (region.end - region.start).should.be.exactly(1000);
+                this.plot.panels.p.svg.brush.select("text").text().should.be.exactly(LocusZoom.positionIntToString(1000, null, true));
+                this.plot.svg.node()["__onmouseup.plot"](event);
+                (this.plot.state.end - this.plot.state.start).should.be.exactly(1000);
+                done();
+            }.bind(this)).fail(done);
+        });
+        it ("should select the points inside a rectangle dragged across the background", function(done){
+            this.layout.panels[0].interaction.select_elements = "rectangle";
+            this.layout.panels[0].interaction.drag_background_to_pan = true;
+            this.plot = LocusZoom.populate("#plot", this.datasources, this.layout);
+            Q.allSettled(this.plot.remap_promises).then(function(){
+                var panel = this.plot.panels.p;
+                var data_layer = panel.data_layers.d;
+                var background = panel.svg.container.select(".lz-panel-background").node();
+                assert.deepEqual(panel.layout.interaction.select_elements, { shape: "rectangle", status: "selected", data_layer_ids: null });
+                // Mouse positions, in plot coordinates, offset from the point with the given ID
+                var near = function(id, dx, dy){
+                    var position = data_layer.getElementPosition(data_layer.getElementById(data_layer.getElementId(id)));
+                    return [position.x + panel.layout.origin.x + panel.layout.margin.left + dx,
+                        position.y + panel.layout.origin.y + panel.layout.margin.top + dy];
+                };
+                var drag = function(from, to, event){
+                    event = event || {};
+                    event.preventDefault = function(){ return null; };
+                    d3.mouse = function(){ return from; };
+                    background["__onmousedown.plot.p.interaction.drag.background"](event);
+                    background["__onmousedown.plot.p.interaction.select"](event);
+                    d3.mouse = function(){ return to; };
+                    this.plot.svg.node()["__onmousemove.plot"](event);
+                }.bind(this);
+                var selected = function(){
+                    return this.plot.state["p.d"].selected.map(function(id){ return data_layer.getElementById(id)["static:id"]; }).sort();
+                }.bind(this);
+                var selections = [];
+                this.plot.on("elements_selected", function(){ selections.push(this); });
+                // Dragging selects instead of panning, and the rectangle is drawn while dragging
+                drag(near("a", -2, 2), near("b", 2, -2));
+                should.not.exist(this.plot.interaction.dragging);
+                this.plot.interaction.selecting.shape.should.be.exactly("rectangle");
+                panel.svg.group.selectAll("path.lz-panel-selection").size().should.be.exactly(1);
+                this.plot.svg.node()["__onmouseup.plot"]();
+                should.not.exist(panel.svg.selection);
+                assert.deepEqual(selected(), ["a", "b"]);
+                assert.equal(selections.length, 1);
+                assert.equal(selections[0].status, "selected");
+                assert.equal(selections[0].elements.length, 2);
+                // The click that ends the selection doesn't clear it
+                background["__onclick"]();
+                assert.deepEqual(selected(), ["a", "b"]);
+                // A new selection replaces the last, unless SHIFT (add) or ALT (subtract) is held
+                drag(near("c", -2, -2), near("c", 2, 2));
+                this.plot.svg.node()["__onmouseup.plot"]();
+                assert.deepEqual(selected(), ["c"]);
+                drag(near("a", -2, -2), near("a", 2, 2), { shiftKey: true });
+                this.plot.svg.node()["__onmouseup.plot"]();
+                assert.deepEqual(selected(), ["a", "c"]);
+                drag(near("a", -2, 2), near("c", 2, -2), { altKey: true });
+                this.plot.svg.node()["__onmouseup.plot"]();
+                assert.deepEqual(selected(), []);
+                // A click without a drag changes nothing
+                drag(near("b", 0, 0), near("b", 1, 1));
+                this.plot.svg.node()["__onmouseup.plot"]();
+                assert.equal(selections.length, 4);
+                done();
+            }.bind(this)).fail(done);
+        });
+        it ("should select the points inside a lasso, and allow the selection mode to change", function(done){
+            this.plot = LocusZoom.populate("#plot", this.datasources, this.layout);
+            Q.allSettled(this.plot.remap_promises).then(function(){
+                var panel = this.plot.panels.p;
+                var data_layer = panel.data_layers.d;
+                var background = panel.svg.container.select(".lz-panel-background").node();
+                should.not.exist(background["__onmousedown.plot.p.interaction.select"]);
+                assert.throws(function(){ panel.setSelectionMode("circle"); });
+                panel.setSelectionMode({ shape: "lasso", status: "faded" });
+                assert.equal(typeof background["__onmousedown.plot.p.interaction.select"], "function");
+                var offset = function(id){
+                    var position = data_layer.getElementPosition(data_layer.getElementById(data_layer.getElementId(id)));
+                    return [position.x + panel.layout.origin.x + panel.layout.margin.left,
+                        position.y + panel.layout.origin.y + panel.layout.margin.top];
+                };
+                // Draw a triangle around point b, whose corners come close to points a and c without enclosing them
+                var a = offset("a"), b = offset("b"), c = offset("c");
+                var path = [[a[0] + 2, a[1]], [b[0], b[1] - 10], [c[0] - 2, c[1]], [b[0], b[1] + 10]];
+                d3.mouse = function(){ return path[0]; };
+                background["__onmousedown.plot.p.interaction.select"]();
+                path.slice(1).forEach(function(point){
+                    d3.mouse = function(){ return point; };
+                    this.plot.svg.node()["__onmousemove.plot"]();
+                }.bind(this));
+                assert.equal(this.plot.getSelectionPolygon().length, 5);
+                // Moves that barely leave the last vertex don't add another
+                d3.mouse = function(){ return [path[3][0] + 1, path[3][1] + 1]; };
+                this.plot.svg.node()["__onmousemove.plot"]();
+                assert.equal(this.plot.getSelectionPolygon().length, 5);
+                this.plot.svg.node()["__onmouseup.plot"]();
+                assert.deepEqual(this.plot.state["p.d"].faded, [data_layer.getElementId("b")]);
+                assert.deepEqual(this.plot.state["p.d"].selected, []);
+                // Turning selection off removes the handler
+                panel.setSelectionMode(null);
+                should.not.exist(panel.layout.interaction.select_elements);
+                should.not.exist(background["__onmousedown.plot.p.interaction.select"]);
+                done();
+            }.bind(this)).fail(done);
+        });
         it ("should scale along the y1 axis when dragging a y1 tick", function(done){
             this.layout.panels[0].interaction.drag_y1_ticks_to_scale = true;
             this.plot = LocusZoom.populate("#plot", this.datasources, this.layout);
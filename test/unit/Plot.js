@@ -407,6 +407,13 @@ describe("LocusZoom.Plot", function(){
             this.plot.curtain.should.have.property("selector").which.is.exactly(null);
             this.plot.curtain.should.have.property("content_selector").which.is.exactly(null);
         });
+        it("should show errors and other objects as their string representation", function(){
+            var error = new LocusZoom.RequestError("HTTP 503 for http://server.com/api", 503, "http://server.com/api");
+            error.source = "assoc";
+            this.plot.curtain.show(error);
+            this.plot.curtain.content_selector.html().should.be.exactly("Error fetching data for assoc: HTTP 503 for http://server.com/api");
+            this.plot.curtain.hide();
+        });
         it("should have a loader object with show/update/animate/setPercentCompleted/hide methods, a showing boolean, and selectors", function(){
             this.plot.should.have.property("loader").which.is.an.Object;
             this.plot.loader.should.have.property("showing").which.is.exactly(false);
@@ -495,6 +502,43 @@ describe("LocusZoom.Plot", function(){
                 done();
             }.bind(this)).fail(done);
         });
+        it("Should only apply data for the most recent state, and abort requests for earlier states", function(done){
+            var requests = {};
+            var SlowSource = LocusZoom.Data.Source.extend(function(){});
+            SlowSource.prototype.getRequest = function(state, chain, fields, cancel_token){
+                var request = requests[state.start] = Q.defer();
+                cancel_token.onCancel(function(){ request.cancelled = true; });
+                return request.promise;
+            };
+            this.datasources.add("s", new SlowSource());
+            this.layout.state = { chr: 1, start: 100, end: 200 };
+            this.layout.panels = [{ id: "p", data_layers: [{ id: "d", type: "line", fields: ["s:x", "s:y"] }] }];
+            this.plot = LocusZoom.populate("#plot", this.datasources, this.layout);
+            var latest;
+            // Let each request start before the state changes again
+            Q.delay(10).then(function(){
+                this.plot.applyState({ start: 300, end: 400 });
+                return Q.delay(10);
+            }.bind(this)).then(function(){
+                latest = this.plot.applyState({ start: 500, end: 600 });
+                return Q.delay(10);
+            }.bind(this)).then(function(){
+                assert.ok(requests[100].cancelled);
+                assert.ok(requests[300].cancelled);
+                assert.ok(!requests[500].cancelled);
+                requests[500].resolve([{ x: 500, y: 1 }]);
+                return latest;
+            }).then(function(){
+                // A response for an earlier state that arrives late must not replace the current data
+                requests[300].resolve([{ x: 300, y: 1 }]);
+                return Q.delay(10);
+            }).then(function(){
+                var data = this.plot.panels.p.data_layers.d.data;
+                assert.equal(data.length, 1);
+                assert.equal(data[0]["s:x"], 500);
+                done();
+            }.bind(this)).fail(done);
+        });
     });
 
 });
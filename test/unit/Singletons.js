@@ -90,6 +90,124 @@ describe("LocusZoom Singletons", function(){
                 );
             });
         });
+
+        describe("Arguments", function() {
+            it("should parse the names and typed arguments of chained transformations", function() {
+                assert.deepEqual(
+                    LocusZoom.TransformationFunctions.parse("|neglog10|clamp(0, 3.5e2)|default(\"n/a\")|replace('|', \"\\\"\")|foo(true,null)"),
+                    [
+                        { name: "neglog10", args: null },
+                        { name: "clamp", args: [0, 350] },
+                        { name: "default", args: ["n/a"] },
+                        { name: "replace", args: ["|", "\""] },
+                        { name: "foo", args: [true, null] }
+                    ]
+                );
+            });
+            it("should reject malformed arguments", function() {
+                assert.throws(function() { LocusZoom.TransformationFunctions.parse("|round(3"); }, /Expected "\)" in transformation round/);
+                assert.throws(function() { LocusZoom.TransformationFunctions.parse("|round(3 4)"); }, /Expected "," or "\)"/);
+                assert.throws(function() { LocusZoom.TransformationFunctions.parse("|prefix(chr)"); }, /Unable to parse transformation argument/);
+            });
+            it("should pass the arguments after the value", function() {
+                LocusZoom.TransformationFunctions.get("round(3)")(1.23456).should.be.exactly(1.235);
+                LocusZoom.TransformationFunctions.get("round", [1])(1.25).should.be.exactly(1.3);
+                LocusZoom.TransformationFunctions.get("|neglog10|round(1)|prefix(\"p=1e-\")")(0.00001).should.be.exactly("p=1e-5");
+            });
+            it("should check arguments against the types they were registered with", function() {
+                assert.throws(function() { LocusZoom.TransformationFunctions.get("|round(\"3\")"); }, /expects argument 1 to be a number/);
+                assert.throws(function() { LocusZoom.TransformationFunctions.get("|clamp(0)"); }, /requires argument 2/);
+                assert.throws(function() { LocusZoom.TransformationFunctions.get("|floor(1)"); }, /accepts at most 0 argument/);
+                LocusZoom.TransformationFunctions.add("untyped", function(x, a, b) { return [x, a, b]; });
+                assert.deepEqual(LocusZoom.TransformationFunctions.get("|untyped(1,\"b\")")(0), [0, 1, "b"]);
+                LocusZoom.TransformationFunctions.set("untyped");
+            });
+            it("should allow arguments in field names", function() {
+                var data = { "assoc:pvalue": 0.0000324, "assoc:rsid": null, "assoc:chr": "1" };
+                new LocusZoom.Data.Field("assoc:pvalue|neglog10|toprecision(3)").resolve(data).should.be.exactly("4.49");
+                new LocusZoom.Data.Field("assoc:rsid|default(\"n/a: missing\")").resolve(data).should.be.exactly("n/a: missing");
+                new LocusZoom.Data.Field("assoc:chr|prefix(\"chr\")").resolve(data).should.be.exactly("chr1");
+                LocusZoom.parseFields(data, "{{assoc:chr|prefix(\"chr\")|uppercase}}").should.be.exactly("CHR1");
+            });
+        });
+
+        describe("Numeric transformations", function() {
+            it("should convert values to numbers with a helper on TransformationFunctions, not a global", function() {
+                should.not.exist(window.toNumberOrNull);
+                LocusZoom.TransformationFunctions.toNumberOrNull("2.5").should.be.exactly(2.5);
+                should(LocusZoom.TransformationFunctions.toNumberOrNull("")).be.exactly(null);
+                should(LocusZoom.TransformationFunctions.toNumberOrNull("n/a")).be.exactly(null);
+            });
+            var tests = [
+                { trans: "round",               arg: 2.5,      expected: 3 },
+                { trans: "round(2)",            arg: "0.1234", expected: 0.12 },
+                { trans: "round(-2)",           arg: 1234,     expected: 1200 },
+                { trans: "floor",               arg: -1.5,     expected: -2 },
+                { trans: "ceil",                arg: 1.2,      expected: 2 },
+                { trans: "abs",                 arg: -3,       expected: 3 },
+                { trans: "clamp(0,300)",        arg: 512,      expected: 300 },
+                { trans: "clamp(0,300)",        arg: -1,       expected: 0 },
+                { trans: "toprecision(2)",      arg: 0.012345, expected: "0.012" },
+                { trans: "tofixed(1)",          arg: 2,        expected: "2.0" },
+                { trans: "toexponential(1)",    arg: 0.000123, expected: "1.2e-4" },
+                { trans: "percent(1)",          arg: 0.1234,   expected: "12.3%" },
+                { trans: "commas",              arg: 1234567,  expected: "1,234,567" },
+                { trans: "commas",              arg: -1234.5,  expected: "-1,234.5" },
+                { trans: "round(2)",            arg: null,     expected: null },
+                { trans: "toprecision(2)",      arg: "foo",    expected: null },
+                { trans: "clamp(0,1)",          arg: "",       expected: null }
+            ];
+            tests.forEach(function(test) {
+                it("should return " + test.expected + " for " + test.trans + " of " + test.arg, function() {
+                    should(LocusZoom.TransformationFunctions.get(test.trans)(test.arg)).be.exactly(test.expected);
+                });
+            });
+        });
+
+        describe("String transformations", function() {
+            var tests = [
+                { trans: "default(\"n/a\")",      arg: null,            expected: "n/a" },
+                { trans: "default(\"n/a\")",      arg: "",              expected: "n/a" },
+                { trans: "default(0)",            arg: NaN,             expected: 0 },
+                { trans: "default(\"n/a\")",      arg: 0,               expected: 0 },
+                { trans: "prefix(\"chr\")",       arg: 10,              expected: "chr10" },
+                { trans: "prefix(\"chr\")",       arg: null,            expected: null },
+                { trans: "suffix(\" bp\")",       arg: "1,000",         expected: "1,000 bp" },
+                { trans: "uppercase",             arg: "rs123",         expected: "RS123" },
+                { trans: "lowercase",             arg: "ENSG",          expected: "ensg" },
+                { trans: "truncate(5)",           arg: "ABCDEFGH",      expected: "ABCD…" },
+                { trans: "truncate(5, \"...\")",  arg: "ABCDEFGH",      expected: "AB..." },
+                { trans: "truncate(5)",           arg: "ABC",           expected: "ABC" },
+                { trans: "replace(\"_\", \":\")", arg: "1_1000_A_G",    expected: "1:1000:A:G" }
+            ];
+            tests.forEach(function(test) {
+                it("should return " + test.expected + " for " + test.trans + " of " + test.arg, function() {
+                    should(LocusZoom.TransformationFunctions.get(test.trans)(test.arg)).be.exactly(test.expected);
+                });
+            });
+        });
+    });
+
+    describe("Derived Field Functions", function() {
+        it("should have a DerivedFields registry", function() {
+            LocusZoom.DerivedFields.should.be.an.Object;
+            LocusZoom.DerivedFields.get.should.be.a.Function;
+            LocusZoom.DerivedFields.add.should.be.a.Function;
+            LocusZoom.DerivedFields.list().should.containEql("log10");
+        });
+        it("should register and remove functions", function() {
+            LocusZoom.DerivedFields.add("test_sum", function(a, b) { return a + b; });
+            LocusZoom.DerivedFields.get("test_sum")(1, 2).should.be.exactly(3);
+            assert.throws(function() { LocusZoom.DerivedFields.add("test_sum", function() {}); }, /already exists/);
+            LocusZoom.DerivedFields.set("test_sum");
+            assert.throws(function() { LocusZoom.DerivedFields.get("test_sum"); }, /not found/);
+        });
+        it("should give null for missing or invalid arguments to numeric functions", function() {
+            LocusZoom.DerivedFields.get("log10")(100).should.be.exactly(2);
+            should(LocusZoom.DerivedFields.get("log10")(0)).be.exactly(null);
+            should(LocusZoom.DerivedFields.get("max")(1, null)).be.exactly(null);
+            LocusZoom.DerivedFields.get("pow")("2", 3).should.be.exactly(8);
+        });
     });
 
     describe("Scale Functions", function() {
@@ -99,7 +217,7 @@ describe("LocusZoom Singletons", function(){
         it("should have a method to list available scale functions", function(){
             LocusZoom.ScaleFunctions.should.have.property("list").which.is.a.Function;
             var returned_list = LocusZoom.ScaleFunctions.list();
-            var expected_list = ["if", "numerical_bin", "categorical_bin", "interpolate"];
+            var expected_list = ["if", "numerical_bin", "categorical_bin", "interpolate", "color_ramp"];
             assert.deepEqual(returned_list, expected_list);
         });
         it("should have a general method to get a scale by function name", function(){
@@ -110,7 +228,7 @@ describe("LocusZoom Singletons", function(){
             var foo = function(){ return "#000000"; };
             LocusZoom.ScaleFunctions.add("foo", foo);
             var returned_list = LocusZoom.ScaleFunctions.list();
-            var expected_list = ["if", "numerical_bin", "categorical_bin", "interpolate", "foo"];
+            var expected_list = ["if", "numerical_bin", "categorical_bin", "interpolate", "color_ramp", "foo"];
             assert.deepEqual(returned_list, expected_list);
             var returned_value = LocusZoom.ScaleFunctions.get("foo", {}, 0);
             var expected_value = "#000000";
@@ -121,14 +239,14 @@ describe("LocusZoom Singletons", function(){
             var foo_new = function(){ return "#FFFFFF"; };
             LocusZoom.ScaleFunctions.set("foo", foo_new);
             var returned_list = LocusZoom.ScaleFunctions.list();
-            var expected_list = ["if", "numerical_bin", "categorical_bin", "interpolate", "foo"];
+            var expected_list = ["if", "numerical_bin", "categorical_bin", "interpolate", "color_ramp", "foo"];
             assert.deepEqual(returned_list, expected_list);
             var returned_value = LocusZoom.ScaleFunctions.get("foo", {}, 0);
             var expected_value = "#FFFFFF";
             assert.equal(returned_value, expected_value);
             LocusZoom.ScaleFunctions.set("foo");
             returned_list = LocusZoom.ScaleFunctions.list();
-            expected_list = ["if", "numerical_bin", "categorical_bin", "interpolate"];
+            expected_list = ["if", "numerical_bin", "categorical_bin", "interpolate", "color_ramp"];
             assert.deepEqual(returned_list, expected_list);
         });
         it("should throw an exception if asked to get a function that has not been defined", function(){
@@ -245,6 +363,41 @@ describe("LocusZoom Singletons", function(){
                 assert.equal(LocusZoom.ScaleFunctions.get("interpolate", parameters), "#333333");
             });
         });
+        describe("color_ramp", function() {
+            it("should map values across the domain onto a named palette", function(){
+                var parameters = { palette: "viridis", domain: [0, 8], null_value: "#B8B8B8" };
+                assert.equal(LocusZoom.ScaleFunctions.get("color_ramp", parameters, 0), "#440154");
+                assert.equal(LocusZoom.ScaleFunctions.get("color_ramp", parameters, 4), "#21918c");
+                assert.equal(LocusZoom.ScaleFunctions.get("color_ramp", parameters, 8), "#fde725");
+                var between = d3.interpolateLab("#440154", "#472d7b")(0.5);
+                assert.equal(LocusZoom.ScaleFunctions.get("color_ramp", parameters, 0.5), between);
+                assert.equal(LocusZoom.ScaleFunctions.get("color_ramp", parameters, "foo"), "#B8B8B8");
+                assert.equal(LocusZoom.ScaleFunctions.get("color_ramp", parameters, null), "#B8B8B8");
+                assert.equal(LocusZoom.ScaleFunctions.get("color_ramp", parameters), "#B8B8B8");
+            });
+            it("should clamp values outside of the domain, unless asked not to", function(){
+                var parameters = { palette: "RdBu", domain: [-1, 1] };
+                assert.equal(LocusZoom.ScaleFunctions.get("color_ramp", parameters, -5), "#b2182b");
+                assert.equal(LocusZoom.ScaleFunctions.get("color_ramp", parameters, 5), "#2166ac");
+                parameters.clamp = false;
+                assert.equal(LocusZoom.ScaleFunctions.get("color_ramp", parameters, 5), null);
+                parameters.reverse = true;
+                assert.equal(LocusZoom.ScaleFunctions.get("color_ramp", parameters, -1), "#2166ac");
+                assert.equal(LocusZoom.ScaleFunctions.get("color_ramp", parameters, 0), "#f7f7f7");
+            });
+            it("should place values on a log scale, and accept a list of colors", function(){
+                var parameters = { palette: ["#000000", "#888888", "#ffffff"], domain: [1, 100], log: true, null_value: "red" };
+                assert.equal(LocusZoom.ScaleFunctions.get("color_ramp", parameters, 10), "#888888");
+                assert.equal(LocusZoom.ScaleFunctions.get("color_ramp", parameters, 100), "#ffffff");
+                assert.equal(LocusZoom.ScaleFunctions.get("color_ramp", parameters, 0), "red");
+                assert.equal(LocusZoom.ScaleFunctions.get("color_ramp", parameters, -10), "red");
+            });
+            it("should throw an error for an unknown palette", function(){
+                assert.throws(function(){
+                    LocusZoom.ScaleFunctions.get("color_ramp", { palette: "nonexistent" }, 1);
+                }, /palette: nonexistent/);
+            });
+        });
     });
 
     describe("KnownDataSources", function() {